@@ -5,8 +5,12 @@ import { startConvert, stopConversion, isStandalone, isWebEnvironment } from './
 import {
 	updateEstimate, updateResolution, makeEditable, updateModeFields,
 	updateForegroundFields, applyPreviewBg, resetPreviewBg,
-	showPreviewBgBar, updatePaletteSwatches, updateVideoFilters, getModeAndPalette
+	showPreviewBgBar, updatePaletteSwatches, updateVideoFilters, getModeAndPalette,
+	getCustomPalette, getShownPalette, getCustomRamp
 } from './js/ui.js';
+import { sortRampByDensity } from '../lib/font.js';
+import { gradientPresets, buildPresetPalette } from '../lib/render.js';
+import { PALETTE_FORMATS, paletteFormatFromPath, parsePalette, formatPalette } from '../lib/palette-file.js';
 import {
 	toggleCrop, syncCropInputsToBox, syncTrimInputsToSliders,
 	syncTrimSlidersToInputs, onCropDrag, onCropDragEnd, getActiveCrop
@@ -525,7 +529,9 @@ async function updateImagePreview() {
 	const bg = dom.bgInput?.value || '#000000';
 	const brightness = parseInt(dom.brightSlider?.value) || 0;
 	const contrast = parseInt(dom.contrastSlider?.value) || 0;
+	const curve = dom.toneCurve?.value || null;
 	const detail = parseInt(dom.detailSlider?.value) || 100;
+	const ramp = getCustomRamp();
 
 	try {
 		console.debug('[Preview] Fetching with params: width=' + width + ', mode=' + mode);
@@ -538,11 +544,14 @@ async function updateImagePreview() {
 				height,
 				mode,
 				palette,
+				customPalette: getCustomPalette(modeSelection),
 				depth,
 				charMode,
+				ramp,
 				fg,
 				bg,
 				customTone: brightness !== 0 || contrast !== 0 ? { brightness, contrast } : null,
+				curve,
 				detail,
 				time: 0  // Images only have one frame at time 0
 			})
@@ -656,45 +665,19 @@ function addDownloadAction(label, url, filename) {
 
 const _CHAR_RAMP = ' .:-=+*#%@';
 const _BLOCK_RAMP = ' ░▒▓█';
-
-// Gradient presets for palette modes
-const GRADIENT_PRESETS = {
-	realistic: [[12, 18, 30], [40, 80, 140], [120, 160, 120], [200, 170, 120], [220, 220, 210]],
-	grayscale: [[0, 0, 0], [255, 255, 255]],
-	sunset: [[255, 94, 58], [255, 149, 0], [255, 204, 0]],
-	ocean: [[0, 24, 72], [0, 118, 255], [0, 217, 255]],
-	dracula: [[40, 42, 54], [97, 175, 239], [255, 121, 198], [189, 147, 249], [80, 250, 123]],
-	neon: [[57, 255, 20], [0, 255, 255], [255, 0, 255]],
-	forest: [[16, 64, 32], [34, 139, 34], [154, 205, 50]],
-};
-
-function makeGradientPalette(stops, steps) {
-	const palette = [];
-	const count = Math.max(2, steps);
-	const segments = stops.length - 1;
-	for (let i = 0; i < count; i++) {
-		const t = i / (count - 1);
-		const seg = Math.min(segments - 1, Math.floor(t * segments));
-		const localT = (t - seg / segments) * segments;
-		const a = stops[seg];
-		const b = stops[seg + 1];
-		palette.push([
-			Math.round(a[0] + (b[0] - a[0]) * localT),
-			Math.round(a[1] + (b[1] - a[1]) * localT),
-			Math.round(a[2] + (b[2] - a[2]) * localT),
-		]);
-	}
-	return palette;
-}
-
-function makeGrayscalePalette(steps) {
-	const palette = [];
-	const count = Math.max(2, steps);
-	for (let i = 0; i < count; i++) {
-		const v = Math.round((i / (count - 1)) * 255);
-		palette.push([v, v, v]);
+let _liveRampCache = { raw: null, ramp: null };
+
+function getLiveRamp(charMode) {
+	const raw = getCustomRamp();
+	if (raw) {
+		if (_liveRampCache.raw !== raw) {
+			let sorted = null;
+			try { sorted = sortRampByDensity(raw); } catch { /* invalid ramp – keep built-in */ }
+			_liveRampCache = { raw, ramp: sorted };
+		}
+		if (_liveRampCache.ramp) return _liveRampCache.ramp;
 	}
-	return palette;
+	return charMode === 'block' ? _BLOCK_RAMP : _CHAR_RAMP;
 }
 
 function nearestPaletteColor(rgb, palette) {
@@ -791,7 +774,7 @@ function startLiveAscii(videoEl, containerEl) {
 		const charMode = dom.charMode?.value || 'ascii';
 		const modeSelection = dom.modeSelect?.value || 'truecolor';
 		const { mode, palette: paletteName } = getModeAndPalette(modeSelection);
-		const ramp = charMode === 'block' ? _BLOCK_RAMP : _CHAR_RAMP;
+		const ramp = getLiveRamp(charMode);
 
 		// Debug log (only log occasionally to avoid spam)
 		if (Math.random() < 0.01) {
@@ -811,10 +794,11 @@ function startLiveAscii(videoEl, containerEl) {
 		let paletteColors = null;
 		if (mode === 'palette' && paletteName) {
 			const depth = parseInt(dom.depthSlider?.value) || 16;
-			if (paletteName === 'grayscale') {
-				paletteColors = makeGrayscalePalette(depth);
-			} else if (GRADIENT_PRESETS[paletteName]) {
-				paletteColors = makeGradientPalette(GRADIENT_PRESETS[paletteName], depth);
+			const custom = getCustomPalette(modeSelection);
+			if (custom) {
+				paletteColors = custom.colors;
+			} else if (paletteName === 'grayscale' || gradientPresets[paletteName]) {
+				paletteColors = buildPresetPalette(paletteName, depth);
 			}
 			// Debug log palette generation
 			if (Math.random() < 0.01 && paletteColors) {
@@ -1259,6 +1243,92 @@ window.addEventListener('beforeunload', () => {
 	} catch { }
 })();
 
+/* ── Palette files & library ───────────────────────────────── */
+function isPaletteFile(file) {
+	return PALETTE_FORMATS.some(ext => file.name.toLowerCase().endsWith('.' + ext));
+}
+
+async function importPaletteFile(file) {
+	try {
+		const parsed = parsePalette(await file.arrayBuffer(), paletteFormatFromPath(file.name));
+		const name = parsed.name || file.name.replace(/\.[^.]+$/, '');
+		setState('importedPalette', { name, colors: parsed.colors });
+		dom.importedPaletteOption.hidden = false;
+		dom.importedPaletteOption.disabled = false;
+		dom.importedPaletteOption.textContent = `Imported: ${name}`;
+		dom.modeSelect.value = 'imported';
+		updateModeFields(); updateEstimate(); requestImagePreviewUpdate();
+		appendLog(`Palette "${name}" loaded (${parsed.colors.length} colours)`, 'success');
+	} catch (err) {
+		appendLog(`Could not load palette ${file.name}: ${err.message}`, 'error');
+	}
+}
+
+async function loadPaletteLibrary() {
+	try {
+		const data = await (await fetch('/api/palettes')).json();
+		if (!data.ok) return;
+		setState('libraryPalettes', data.palettes);
+		dom.paletteLibraryGroup.innerHTML = '';
+		data.palettes.forEach(p => {
+			const opt = document.createElement('option');
+			opt.value = 'library:' + p.name;
+			opt.textContent = `${p.name} (${p.colors.length})`;
+			opt.title = `${data.dir} – .${p.format}`;
+			dom.paletteLibraryGroup.appendChild(opt);
+		});
+		dom.paletteLibraryGroup.hidden = !data.palettes.length;
+	} catch { }
+}
+
+function exportShownPalette() {
+	const shown = getShownPalette();
+	if (!shown) {
+		appendLog('No palette to export yet – K Means palettes are available after a conversion', 'error');
+		return;
+	}
+	const format = dom.paletteExportFormat.value;
+	const blob = new Blob([formatPalette(shown, format)], { type: format === 'json' ? 'application/json' : 'application/octet-stream' });
+	const a = document.createElement('a');
+	a.href = URL.createObjectURL(blob);
+	a.download = `${shown.name.replace(/[<>:"/\\|?*]+/g, '_')}.${format}`;
+	a.click();
+	setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+async function saveShownPalette() {
+	const shown = getShownPalette();
+	if (!shown) {
+		appendLog('No palette to save yet – K Means palettes are available after a conversion', 'error');
+		return;
+	}
+	const name = prompt('Save palette to your library as:', shown.name);
+	if (!name) return;
+	const data = await (await fetch('/api/palettes', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ name, colors: shown.colors }),
+	})).json();
+	if (data.ok) {
+		appendLog(`Palette saved to ${data.path}`, 'success');
+		await loadPaletteLibrary();
+	} else {
+		appendLog(`Could not save palette: ${data.error}`, 'error');
+	}
+}
+
+if (!isStandalone()) {
+	dom.paletteSaveBtn.classList.remove('hidden');
+	loadPaletteLibrary();
+}
+dom.paletteLoadBtn.addEventListener('click', () => dom.paletteFileInput.click());
+dom.paletteFileInput.addEventListener('change', () => {
+	if (dom.paletteFileInput.files[0]) importPaletteFile(dom.paletteFileInput.files[0]);
+	dom.paletteFileInput.value = '';
+});
+dom.paletteExportBtn.addEventListener('click', exportShownPalette);
+dom.paletteSaveBtn.addEventListener('click', saveShownPalette);
+
 // BIND ALL DOM EXPORTS
 dom.inputSelect.addEventListener('change', () => {
 	if (dom.inputSelect.value) selectFromDropdown(dom.inputSelect.value);
@@ -1271,6 +1341,11 @@ makeEditable(dom.heightVal, dom.heightSlider);
 makeEditable(dom.fpsVal, dom.fpsSlider);
 makeEditable(dom.depthValEl, dom.depthSlider);
 makeEditable(dom.fgThresholdVal, dom.fgThreshold);
+makeEditable(dom.fgSpillVal, dom.fgSpill);
+makeEditable(dom.fgErodeVal, dom.fgErode);
+makeEditable(dom.fgDilateVal, dom.fgDilate);
+makeEditable(dom.fgMinAreaVal, dom.fgMinArea);
+makeEditable(dom.fgPersistVal, dom.fgPersist);
 makeEditable(dom.brightVal, dom.brightSlider);
 makeEditable(dom.contrastVal, dom.contrastSlider);
 makeEditable(dom.detailVal, dom.detailSlider);
@@ -1289,9 +1364,16 @@ dom.qStepSlider.oninput = () => { dom.qStepValEl.textContent = dom.qStepSlider.v
 dom.depthSlider.oninput = () => { dom.depthValEl.textContent = dom.depthSlider.value; updateEstimate(); requestImagePreviewUpdate(); };
 dom.brightSlider.oninput = () => { dom.brightVal.textContent = dom.brightSlider.value; updateVideoFilters(); requestImagePreviewUpdate(); };
 dom.contrastSlider.oninput = () => { dom.contrastVal.textContent = dom.contrastSlider.value; updateVideoFilters(); requestImagePreviewUpdate(); };
+dom.toneCurve.onchange = () => { requestImagePreviewUpdate(); };
 dom.detailSlider.oninput = () => { dom.detailVal.textContent = dom.detailSlider.value; updateEstimate(); requestImagePreviewUpdate(); };
 dom.fgMode.onchange = updateForegroundFields;
 dom.fgThreshold.oninput = () => { dom.fgThresholdVal.textContent = dom.fgThreshold.value; };
+dom.fgSpill.oninput = () => { dom.fgSpillVal.textContent = dom.fgSpill.value; };
+dom.fgKeyInput.oninput = () => { dom.fgKeyVal.textContent = dom.fgKeyInput.value; };
+dom.fgErode.oninput = () => { dom.fgErodeVal.textContent = dom.fgErode.value; };
+dom.fgDilate.oninput = () => { dom.fgDilateVal.textContent = dom.fgDilate.value; };
+dom.fgMinArea.oninput = () => { dom.fgMinAreaVal.textContent = dom.fgMinArea.value; };
+dom.fgPersist.oninput = () => { dom.fgPersistVal.textContent = dom.fgPersist.value; };
 dom.fgInput.oninput = () => { dom.fgValEl.textContent = dom.fgInput.value; requestImagePreviewUpdate(); };
 dom.bgInput.oninput = () => { dom.bgValEl.textContent = dom.bgInput.value; requestImagePreviewUpdate(); };
 dom.fgBgInput.oninput = () => { dom.fgBgVal.textContent = dom.fgBgInput.value; };
@@ -1308,6 +1390,7 @@ dom.fgBackground.onchange = updateForegroundFields;
 
 dom.modeSelect.onchange = () => { updateModeFields(); updateEstimate(); requestImagePreviewUpdate(); };
 dom.charMode.onchange = () => { updateModeFields(); updateEstimate(); requestImagePreviewUpdate(); };
+dom.rampInput.oninput = () => { requestImagePreviewUpdate(); };
 
 // Trim bind
 dom.trimStartInp.addEventListener('input', () => { syncTrimInputsToSliders(); updateEstimate(); dom.trimStartVal.textContent = parseFloat(dom.trimStartSlider.value).toFixed(1); });
@@ -1350,7 +1433,9 @@ dom.previewContent.addEventListener('dragleave', () => {
 dom.previewContent.addEventListener('drop', (e) => {
 	e.preventDefault();
 	dom.dropZone.classList.remove('drag-over');
-	if (e.dataTransfer.files[0]) handleFile(e.dataTransfer.files[0]);
+	const file = e.dataTransfer.files[0];
+	if (file && isPaletteFile(file)) importPaletteFile(file);
+	else if (file) handleFile(file);
 });
 dom.fileInput.addEventListener('change', () => {
 	if (dom.fileInput.files[0]) handleFile(dom.fileInput.files[0]);
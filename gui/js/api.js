@@ -1,7 +1,7 @@
 import { dom } from './dom.js';
 import { state, setState } from './state.js';
 import { appendLog, formatBytes } from './utils.js';
-import { estimateBundleBase, updateEstimate, getModeAndPalette } from './ui.js';
+import { estimateBundleBase, updateEstimate, getModeAndPalette, getCustomPalette, getCustomRamp } from './ui.js';
 import { getActiveCrop } from './crop-trim.js';
 import { showResults, updateTabSizes } from '../app.js';
 
@@ -86,6 +86,8 @@ export async function startConvert() {
 
 	const { mode, palette } = getModeAndPalette(modeSelection);
 	console.log('[startConvert] After getModeAndPalette - mode:', mode, 'palette:', palette);
+	// Palette, k-means and the fixed ANSI palettes are dithered and matched in a colour space
+	const quantised = mode === 'palette' || mode === 'kmeans' || mode === 'ansi16' || mode === 'ansi256';
 
 	const opts = {
 		inputPath: state.selectedPath,
@@ -94,8 +96,12 @@ export async function startConvert() {
 		fps: parseInt(dom.fpsSlider.value),
 		mode,
 		charMode: dom.charMode?.value || 'ascii',
+		ramp: getCustomRamp(),
 		depth: parseInt(dom.depthSlider.value),
+		dither: quantised ? (dom.ditherSelect?.value || 'none') : 'none',
+		colorSpace: quantised ? (dom.colorSpaceSelect?.value || 'rgb') : 'rgb',
 		palette: palette || 'grayscale',
+		customPalette: getCustomPalette(modeSelection),
 		fg: dom.fgInput.value,
 		bg: dom.bgInput.value,
 		playerBg: mode === 'mono' ? undefined : 'auto',
@@ -105,6 +111,7 @@ export async function startConvert() {
 			brightness: parseInt(dom.brightSlider?.value) || 0,
 			contrast: parseInt(dom.contrastSlider?.value) || 0
 		},
+		curve: dom.toneCurve?.value || null,
 		skipGif: dom.skipGif?.checked,
 		detail: parseInt(dom.detailSlider?.value ?? 100),
 		qStep: parseInt(dom.qStepSlider?.value ?? 24)
@@ -131,8 +138,20 @@ export async function startConvert() {
 			background: dom.fgBackground.value,
 			threshold: parseInt(dom.fgThreshold.value),
 			bg: dom.fgBgInput.value,
+			erode: parseInt(dom.fgErode.value) || 0,
+			dilate: parseInt(dom.fgDilate.value) || 0,
+			fillHoles: dom.fgFillHoles.checked,
+			minArea: parseInt(dom.fgMinArea.value) || 0,
+			persist: parseInt(dom.fgPersist.value) || 0,
+			debugMask: dom.fgDebugMask.checked,
 		};
+		if (dom.fgMode.value === 'chroma') {
+			opts.foreground.key = dom.fgKeyInput.value;
+			opts.foreground.tolerance = parseInt(dom.fgThreshold.value);
+			opts.foreground.spill = (parseInt(dom.fgSpill.value) || 0) / 100;
+		}
 	}
+	hideMaskOverlay();
 
 	if (isStandalone()) {
 		// --- WASM Mode ---
@@ -172,6 +191,7 @@ export async function startConvert() {
 }
 
 function endConversionUI() {
+	hideMaskOverlay();
 	setState('isConverting', false);
 	setState('conversionStartTime', null);
 	// Keep convert button hidden for still images
@@ -181,6 +201,45 @@ function endConversionUI() {
 	dom.convertBtn.disabled = false;
 }
 
+// --- Foreground mask debug overlay ---
+const MASK_CELL_W = 6, MASK_CELL_H = 8; // same cell box as the GIF renderer
+
+function hideMaskOverlay() {
+	dom.maskOverlay?.classList.add('hidden');
+}
+
+/**
+ * Paint a `mask` event ({ width, height, bits }) over the source preview:
+ * foreground cells tinted with the accent colour. Covers the crop box
+ * while cropping, else the visible video/image (letterboxed like it).
+ */
+function drawMaskOverlay({ width, height, bits }) {
+	const canvas = dom.maskOverlay;
+	if (!canvas || !width || !height) return;
+	const target = state.isCropping ? dom.cropBox
+		: dom.previewImage.classList.contains('hidden') ? dom.previewVideo : dom.previewImage;
+	if (!target.offsetWidth || !target.offsetHeight) return;
+
+	canvas.width = width * MASK_CELL_W;
+	canvas.height = height * MASK_CELL_H;
+	const ctx = canvas.getContext('2d');
+	ctx.clearRect(0, 0, canvas.width, canvas.height);
+	ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--accent') || '#00e87b';
+	const packed = atob(bits);
+	for (let i = 0; i < width * height; i++) {
+		if (packed.charCodeAt(i >> 3) & (0x80 >> (i & 7))) {
+			ctx.fillRect((i % width) * MASK_CELL_W, Math.floor(i / width) * MASK_CELL_H, MASK_CELL_W, MASK_CELL_H);
+		}
+	}
+
+	canvas.style.left = target.offsetLeft + 'px';
+	canvas.style.top = target.offsetTop + 'px';
+	canvas.style.width = target.offsetWidth + 'px';
+	canvas.style.height = target.offsetHeight + 'px';
+	canvas.style.objectFit = state.isCropping ? 'fill' : 'contain';
+	canvas.classList.remove('hidden');
+}
+
 // --- WASM Worker Message Handler ---
 function handleWasmMessage(e) {
 	const { type, index, chars, result, error, info, level, message } = e.data;
@@ -312,6 +371,9 @@ if (!isStandalone()) {
 					label += ' — ~' + m + 'm ' + s + 's left';
 				}
 			}
+			if (typeof d.changedRatio === 'number') {
+				label += ' · ' + Math.round(d.changedRatio * 100) + '% changed';
+			}
 			dom.progressLabel.textContent = label;
 		} else {
 			dom.progressLabel.textContent = 'Frame ' + d.frame + '…';
@@ -322,6 +384,10 @@ if (!isStandalone()) {
 		appendLog(JSON.parse(e.data).msg);
 	});
 
+	evtSource.addEventListener('mask', (e) => {
+		drawMaskOverlay(JSON.parse(e.data));
+	});
+
 	evtSource.addEventListener('done', async (e) => {
 		const d = JSON.parse(e.data);
 		if (d.ok) {
@@ -74,6 +74,14 @@ export const dom = new Proxy({}, {
 			previewBgBar: '#previewBgBar',
 			previewBgCustom: '#previewBgCustom',
 			paletteSwatch: '#paletteSwatch',
+			paletteFileRow: '#paletteFileRow',
+			paletteFileInput: '#paletteFileInput',
+			paletteLoadBtn: '#paletteLoadBtn',
+			paletteExportFormat: '#paletteExportFormat',
+			paletteExportBtn: '#paletteExportBtn',
+			paletteSaveBtn: '#paletteSaveBtn',
+			importedPaletteOption: '#importedPaletteOption',
+			paletteLibraryGroup: '#paletteLibraryGroup',
 			widthSlider: '#width',
 			widthVal: '#widthVal',
 			heightSlider: '#height',
@@ -86,6 +94,10 @@ export const dom = new Proxy({}, {
 			depthRow: '#depthRow',
 			depthSlider: '#depth',
 			depthValEl: '#depthVal',
+			ditherRow: '#ditherRow',
+			ditherSelect: '#dither',
+			colorSpaceRow: '#colorSpaceRow',
+			colorSpaceSelect: '#colorSpace',
 			monoFgRow: '#monoFgRow',
 			monoBgRow: '#monoBgRow',
 			bundleIframe: '#bundleIframe',
@@ -107,13 +119,33 @@ export const dom = new Proxy({}, {
 			fgThresholdRow: '#fgThresholdRow',
 			fgThresholdLabel: '#fgThresholdLabel',
 			fgIsolationRow: '#fgIsolationRow',
+			fgKeyRow: '#fgKeyRow',
+			fgKeyInput: '#fgKey',
+			fgKeyVal: '#fgKeyVal',
+			fgSpillRow: '#fgSpillRow',
+			fgSpill: '#fgSpill',
+			fgSpillVal: '#fgSpillVal',
+			fgErode: '#fgErode',
+			fgErodeVal: '#fgErodeVal',
+			fgDilate: '#fgDilate',
+			fgDilateVal: '#fgDilateVal',
+			fgMinArea: '#fgMinArea',
+			fgMinAreaVal: '#fgMinAreaVal',
+			fgPersist: '#fgPersist',
+			fgPersistVal: '#fgPersistVal',
+			fgFillHoles: '#fgFillHoles',
+			fgDebugMask: '#fgDebugMask',
+			maskOverlay: '#maskOverlay',
 			brightSlider: '#brightnessAdj',
 			brightVal: '#brightVal',
 			contrastSlider: '#contrastAdj',
 			contrastVal: '#contrastVal',
+			toneCurve: '#toneCurve',
 			trimStartVal: '#trimStartVal',
 			trimEndVal: '#trimEndVal',
 			charMode: '#charMode',
+			rampInput: '#ramp',
+			rampRow: '#rampRow',
 			skipGif: '#skipGif',
 			detailSlider: '#detail',
 			detailVal: '#detailVal',
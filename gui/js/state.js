@@ -25,7 +25,9 @@ export const state = {
 	framePreviewHtml: null,
 	currentPreviewBg: '#000000',
 	dragContext: null,
-	qStep: 24
+	qStep: 24,
+	importedPalette: null,    // { name, colors } loaded from a palette file
+	libraryPalettes: []       // { name, format, colors } from the server's palette library
 };
 
 // Safe setters
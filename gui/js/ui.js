@@ -2,6 +2,8 @@ import { dom } from './dom.js';
 import { state, setState } from './state.js';
 import { formatBytes } from './utils.js';
 import { startConvert, stopConversion } from './api.js';
+import { buildPresetPalette } from '../../lib/render.js';
+import { ANSI_MODES, ansiPalette } from '../../lib/ansi.js';
 
 /* ── Estimate bundle size ──────────────────────────── */
 export function estimateBundleBase({ w, h, frames, mode, depth = 16, qStep = 24, detail = 100 }) {
@@ -14,6 +16,8 @@ export function estimateBundleBase({ w, h, frames, mode, depth = 16, qStep = 24,
 
 	if (mode === 'mono') {
 		bpc = 0.12;
+	} else if (ANSI_MODES.includes(mode)) {
+		bpc = 0.4 * (Math.log2(mode === 'ansi16' ? 16 : 240) / 8) * qFactor;
 	} else if (mode === 'palette' || mode === 'kmeans') {
 		const colourFactor = Math.log2(Math.max(2, depth)) / 8; // scales with depth
 		bpc = 0.4 * colourFactor * qFactor;
@@ -134,9 +138,14 @@ export function updateModeFields() {
 	} else {
 		dom.paletteSwatch.innerHTML = '';
 	}
+	// ANSI modes are fixed palettes: dithering, colour space and export apply, depth does not
+	const quantised = mode === 'palette' || mode === 'kmeans' || ANSI_MODES.includes(mode);
+	dom.paletteFileRow.classList.toggle('hidden', !quantised);
 
-	// Depth slider for palette and kmeans modes
-	dom.depthRow.classList.toggle('hidden', mode !== 'palette' && mode !== 'kmeans');
+	// Depth slider for palette and kmeans modes; imported palettes keep their own size
+	dom.depthRow.classList.toggle('hidden', (mode !== 'palette' && mode !== 'kmeans') || !!getCustomPalette(selection));
+	dom.ditherRow.classList.toggle('hidden', !quantised);
+	dom.colorSpaceRow.classList.toggle('hidden', !quantised);
 
 	// Mono colour selectors only for monochrome mode
 	dom.monoFgRow.classList.toggle('hidden', mode !== 'mono');
@@ -155,17 +164,61 @@ export function getModeAndPalette(selection) {
 		return { mode: 'kmeans', palette: null };
 	} else if (selection === 'mono') {
 		return { mode: 'mono', palette: null };
-	} else if (paletteNames.includes(selection)) {
+	} else if (ANSI_MODES.includes(selection)) {
+		return { mode: selection, palette: null };
+	} else if (paletteNames.includes(selection) || selection === 'imported' || selection.startsWith('library:')) {
 		return { mode: 'palette', palette: selection };
 	}
 	// Fallback
 	return { mode: 'truecolor', palette: null };
 }
 
+/** The { name, colors } palette behind an imported or library selection, else null. */
+export function getCustomPalette(selection) {
+	if (selection === 'imported') return state.importedPalette;
+	if (selection?.startsWith('library:')) {
+		const entry = state.libraryPalettes.find(p => p.name === selection.slice('library:'.length));
+		return entry ? { name: entry.name, colors: entry.colors } : null;
+	}
+	return null;
+}
+
+/**
+ * The palette the controls describe, for export: an imported or library
+ * palette, a preset at the current depth, the last k-means result or an
+ * xterm palette.
+ */
+export function getShownPalette() {
+	const selection = dom.modeSelect.value;
+	const custom = getCustomPalette(selection);
+	if (custom) return custom;
+	const { mode, palette } = getModeAndPalette(selection);
+	if (mode === 'kmeans') {
+		const colors = state.lastConvertResult?.palette;
+		return colors ? { name: 'k-means', colors } : null;
+	}
+	if (ANSI_MODES.includes(mode)) return { name: `xterm-${mode}`, colors: ansiPalette(mode) };
+	if (mode !== 'palette') return null;
+	return { name: palette, colors: buildPresetPalette(palette, parseInt(dom.depthSlider.value)) };
+}
+
+export function getCustomRamp() {
+	// Only ascii/block/shape honour a custom ramp; an empty field means the built-in one
+	const charMode = dom.charMode?.value || 'ascii';
+	if (charMode !== 'ascii' && charMode !== 'block' && charMode !== 'shape') return undefined;
+	return dom.rampInput?.value || undefined;
+}
+
 export function updateCharModeFields() {
 	// Detail slider applies to both ascii and block modes — always visible
+	// Custom ramps replace the ascii/block glyph sets and the shape candidates
+	const charMode = dom.charMode?.value || 'ascii';
+	dom.rampRow?.classList.toggle('hidden', charMode !== 'ascii' && charMode !== 'block' && charMode !== 'shape');
 }
 
+// The threshold slider means something different per mode; reset it on switching
+let lastFgMode = 'none';
+
 export function updateForegroundFields() {
 	const mode = dom.fgMode.value;
 	const enabled = mode !== 'none';
@@ -173,8 +226,19 @@ export function updateForegroundFields() {
 	dom.fgThresholdRow.classList.toggle('hidden', !enabled);
 	const showBg = enabled && dom.fgBackground.value === 'solid';
 	dom.fgBgRow.classList.toggle('hidden', !showBg);
-
-	if (mode === 'ml') {
+	dom.fgKeyRow.classList.toggle('hidden', mode !== 'chroma');
+	dom.fgSpillRow.classList.toggle('hidden', mode !== 'chroma');
+
+	if (mode === 'chroma') {
+		// Same slider, read as the key tolerance (0–100)
+		dom.fgThresholdLabel.textContent = 'Tolerance';
+		dom.fgThreshold.min = 0;
+		dom.fgThreshold.max = 100;
+		if (lastFgMode !== 'chroma') {
+			dom.fgThreshold.value = 70;
+			dom.fgThresholdVal.textContent = '70';
+		}
+	} else if (mode === 'ml') {
 		dom.fgThresholdLabel.textContent = 'Confidence';
 		dom.fgThreshold.min = 10;
 		dom.fgThreshold.max = 90;
@@ -186,7 +250,12 @@ export function updateForegroundFields() {
 		dom.fgThresholdLabel.textContent = 'Sensitivity';
 		dom.fgThreshold.min = 5;
 		dom.fgThreshold.max = 80;
+		if (lastFgMode === 'chroma') {
+			dom.fgThreshold.value = 20;
+			dom.fgThresholdVal.textContent = '20';
+		}
 	}
+	lastFgMode = mode;
 }
 
 /* ── Preview background colour ─────────────────────── */
@@ -227,56 +296,18 @@ export function showPreviewBgBar() {
 }
 
 /* ── Palette swatch preview ────────────────────────── */
-const GRADIENT_PRESETS = {
-	realistic: [[12, 18, 30], [40, 80, 140], [120, 160, 120], [200, 170, 120], [220, 220, 210]],
-	grayscale: [[0, 0, 0], [255, 255, 255]],
-	sunset: [[255, 94, 58], [255, 149, 0], [255, 204, 0]],
-	ocean: [[0, 24, 72], [0, 118, 255], [0, 217, 255]],
-	dracula: [[40, 42, 54], [97, 175, 239], [255, 121, 198], [189, 147, 249], [80, 250, 123]],
-	neon: [[57, 255, 20], [0, 255, 255], [255, 0, 255]],
-	forest: [[16, 64, 32], [34, 139, 34], [154, 205, 50]],
-};
-
-function interpolatePalette(stops, count) {
-	const pal = [];
-	const n = Math.max(2, count);
-	const segs = stops.length - 1;
-	for (let i = 0; i < n; i++) {
-		const t = i / (n - 1);
-		const seg = Math.min(segs - 1, Math.floor(t * segs));
-		const lt = (t - seg / segs) * segs;
-		const a = stops[seg], b = stops[seg + 1];
-		pal.push([
-			Math.round(a[0] + (b[0] - a[0]) * lt),
-			Math.round(a[1] + (b[1] - a[1]) * lt),
-			Math.round(a[2] + (b[2] - a[2]) * lt),
-		]);
-	}
-	return pal;
-}
-
 export function updatePaletteSwatches(paletteName) {
 	dom.paletteSwatch.innerHTML = '';
 
-	// If no palette name provided, use the one from mode select (shouldn't happen with new structure)
-	if (!paletteName) {
+	// No palette name (e.g. called as an input listener): use the one from mode select
+	if (typeof paletteName !== 'string') {
 		const { palette } = getModeAndPalette(dom.modeSelect.value);
 		paletteName = palette || 'grayscale';
 	}
 
-	const depth = parseInt(dom.depthSlider.value);
-	const stops = GRADIENT_PRESETS[paletteName];
-	if (!stops) return;
-	let colors;
-	if (paletteName === 'grayscale') {
-		colors = [];
-		for (let i = 0; i < depth; i++) {
-			const v = Math.round((i / (depth - 1)) * 255);
-			colors.push([v, v, v]);
-		}
-	} else {
-		colors = interpolatePalette(stops, depth);
-	}
+	const custom = getCustomPalette(paletteName);
+	if (!custom && (paletteName === 'imported' || paletteName.startsWith('library:'))) return;
+	const colors = custom ? custom.colors : buildPresetPalette(paletteName, parseInt(dom.depthSlider.value));
 	colors.forEach(([r, g, b]) => {
 		const s = document.createElement('span');
 		s.className = 'swatch';
@@ -64,7 +64,7 @@ console.info = function(...args) {
 console.log('[Worker] Worker script loaded, preparing to import modules...');
 
 // Lazy-load modules to catch import errors
-let convertWeb, probeVideoWeb, generateBundle, createAsciiGifWriter;
+let convertWeb, probeVideoWeb, resolveWebRender, generateBundle, createAsciiGifWriter;
 let modulesLoaded = false;
 
 async function loadModules() {
@@ -74,6 +74,7 @@ async function loadModules() {
 		const webConverter = await import('../../../lib/web-converter.js');
 		convertWeb = webConverter.convertWeb;
 		probeVideoWeb = webConverter.probeVideoWeb;
+		resolveWebRender = webConverter.resolveWebRender;
 
 		console.log('[Worker] Importing bundler...');
 		const bundler = await import('../../../lib/bundler.js');
@@ -132,9 +133,16 @@ self.onmessage = async (e) => {
 			console.log('[Worker] Conversion options:', payload.options);
 			await loadModules();
 
+			// Light theme backgrounds invert the ramp, as on the server
+			const render = await resolveWebRender(payload.options);
+
 			// Proxy the onFrame callback to send progress back to main thread
 			const options = {
 				...payload.options,
+				render,
+				invert: render.invert,
+				// convertWeb takes the tone curve as a look, like convert()
+				look: payload.options.curve ? { curve: payload.options.curve } : null,
 				file: payload.file,
 				signal: abortController.signal,
 				onFrame: (index, frame) => {
@@ -163,7 +171,7 @@ self.onmessage = async (e) => {
 				width: result.width,
 				height: result.height,
 				fps: result.fps,
-				render: options.render,
+				render: options.ramp ? { ...options.render, ramp: options.ramp } : options.render,
 				outputPath: null // Web mode doesn't write to disk
 			});
 			for (const frame of result.frames) {
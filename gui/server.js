@@ -18,10 +18,20 @@ import ffmpeg from 'ffmpeg-static';
 
 import { convert, probeVideo, probeImage } from '../lib/converter.js';
 import { createBundleWriter } from '../lib/bundler.js';
-import { createAsciiGifWriter } from '../lib/gif.js';
-import { makeGradientPalette, makeGrayscalePalette, makeRealisticPalette } from '../lib/render.js';
-import { adaptiveTone, sampleVideoLuminance } from '../lib/tone.js';
-import { extractPaletteFromVideo } from '../lib/kmeans.js';
+import { createAsciiGifWriter, findUnsupportedGlyphs, resolveCellAspect } from '../lib/gif.js';
+import { sortRampByDensity } from '../lib/font.js';
+import { findUnmatchableGlyphs } from '../lib/shape.js';
+import { DITHER_METHODS } from '../lib/dither.js';
+import { COLOR_SPACES } from '../lib/color.js';
+import { DEFAULT_MASK_CLEANUP, resolveMaskCleanup } from '../lib/mask.js';
+import { DEFAULT_CHROMA_KEY, resolveChromaKey } from '../lib/chroma.js';
+import { makeGrayscalePalette, buildPresetPalette, POLARITIES, resolvePolarity, autoBackground } from '../lib/render.js';
+import { resolvePalette, listLibraryPalettes, loadPaletteFile, saveLibraryPalette, paletteLibraryDir } from '../lib/palette-file.js';
+import { adaptiveTone, sampleVideoLuminance, resolveSceneTone, resolveClahe } from '../lib/tone.js';
+import { extractPaletteFromVideo, resolveScenePalettes, createScenePalettes, DEFAULT_KMEANS, resolveKmeans } from '../lib/kmeans.js';
+import { resolveLook } from '../lib/look.js';
+import { resolveSampling } from '../lib/sampling.js';
+import { ANSI_MODES, ansiPalette } from '../lib/ansi.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -65,24 +75,6 @@ async function downloadMlModel(destPath) {
 	});
 }
 
-/* ── Palette presets ───────────────────────────────────────────────── */
-
-const gradientPresets = {
-	realistic: [[12, 18, 30], [40, 80, 140], [120, 160, 120], [200, 170, 120], [220, 220, 210]],
-	grayscale: [[0, 0, 0], [255, 255, 255]],
-	sunset: [[255, 94, 58], [255, 149, 0], [255, 204, 0]],
-	ocean: [[0, 24, 72], [0, 118, 255], [0, 217, 255]],
-	dracula: [[40, 42, 54], [97, 175, 239], [255, 121, 198], [189, 147, 249], [80, 250, 123]],
-	neon: [[57, 255, 20], [0, 255, 255], [255, 0, 255]],
-	forest: [[16, 64, 32], [34, 139, 34], [154, 205, 50]],
-};
-
-function buildPresetPalette(name, count) {
-	if (name === 'grayscale') return makeGrayscalePalette(count);
-	if (name === 'realistic') return makeRealisticPalette(count);
-	return makeGradientPalette(gradientPresets[name] || gradientPresets.realistic, count);
-}
-
 function safeOutputName(inputPath) {
 	return basename(inputPath, extname(inputPath)).replace(/[<>:"/\\|?*]+/g, '_').trim() || 'output';
 }
@@ -143,11 +135,29 @@ function broadcast(event, data) {
 	}
 }
 
+const MASK_EVENT_INTERVAL_MS = 250;
+
+/** Pack a 0/1 cell mask into base64, eight cells per byte, MSB first. */
+function packMaskBits(mask) {
+	const bytes = Buffer.alloc(Math.ceil(mask.length / 8));
+	for (let i = 0; i < mask.length; i++) {
+		if (mask[i]) bytes[i >> 3] |= 0x80 >> (i & 7);
+	}
+	return bytes.toString('base64');
+}
+
 /* ── Conversion engine ─────────────────────────────────────────────── */
 
 let converting = false;
 let currentAbort = null;   // AbortController for the active conversion
 
+/** convert()'s `look` from the client's curve, lut and customTone.curve, or null. */
+function lookFromOptions(opts) {
+	const points = opts.customTone?.curve ?? null;
+	if (!opts.curve && !opts.lut && !points) return null;
+	return resolveLook({ curve: opts.curve || null, points, lut: opts.lut || null });
+}
+
 async function runConversion(opts) {
 	console.log('[server] ===== PALETTE DEBUG START =====');
 	console.log('[server] runConversion started with opts:', JSON.stringify(opts));
@@ -167,7 +177,15 @@ async function runConversion(opts) {
 			fps = 24,
 			mode: _mode = 'truecolor',
 			charMode = 'ascii',
+			ramp = null,
 			depth = 16,
+			dither = 'none',
+			stabilize = {},
+			edge = {},
+			workers = 1,
+			colorSpace: _colorSpace = 'rgb',
+			polarity: _polarity = 'auto',
+			cellAspect: _cellAspect = 'gif',
 			palette: _palette = 'realistic',
 			fg = '#00ff00',
 			bg = '#000000',
@@ -192,6 +210,14 @@ async function runConversion(opts) {
 		}
 
 		console.log('[server] After normalization - mode:', mode, 'palette:', palette);
+
+		let colorSpace = 'rgb';
+		if (COLOR_SPACES.includes(_colorSpace)) {
+			colorSpace = _colorSpace;
+			if (colorSpace !== 'rgb') broadcast('log', { msg: `Colour space: ${colorSpace}` });
+		} else {
+			broadcast('log', { msg: `⚠ Unknown colour space "${_colorSpace}" – using rgb` });
+		}
 		broadcast('log', { msg: 'Probing video…' });
 		console.log('[server] Probing video:', inputPath);
 		let meta;
@@ -204,13 +230,32 @@ async function runConversion(opts) {
 
 		const inputExt = extname(inputPath).toLowerCase();
 
+		/* Frames across the trim that tone and k-means are sampled from */
+		let sampling;
+		try {
+			sampling = { ...resolveSampling(opts.sampling || {}), start, end };
+		} catch (err) {
+			broadcast('log', { msg: `⚠ ${err.message} – using default sampling` });
+			sampling = { ...resolveSampling(), start, end };
+		}
+
+		/* Locked colours, pixel weighting and seed for k-means */
+		let kmeans = DEFAULT_KMEANS;
+		if (mode === 'kmeans' && opts.kmeans) {
+			try {
+				kmeans = resolveKmeans(opts.kmeans, depth);
+			} catch (err) {
+				broadcast('log', { msg: `⚠ ${err.message} – k-means options ignored` });
+			}
+		}
+
 		/* Resolve player background colour */
 		let resolvedBg = '#000000';
 		if (playerBg === 'auto') {
 			try {
 				console.log('[server] Sampling video luminance for auto background...');
-				const bgStats = await sampleVideoLuminance(inputPath, width, meta);
-				resolvedBg = bgStats.mean > 0.6 ? '#f0f0f0' : bgStats.mean > 0.4 ? '#1a1a2e' : '#0a0a0a';
+				const bgStats = await sampleVideoLuminance(inputPath, width, meta, null, sampling);
+				resolvedBg = autoBackground(bgStats);
 				broadcast('log', { msg: `Auto background: ${resolvedBg}` });
 				console.log('[server] Auto background detected:', resolvedBg);
 			} catch (err) {
@@ -240,33 +285,50 @@ async function runConversion(opts) {
 			};
 			tone = { contrast: 1.15, brightness: 0.02, saturation: 1.0, gamma: 1.05 };
 		} else if (mode === 'palette') {
-			const pal = buildPresetPalette(palette, depth);
+			// An imported { name, colors } palette is used as-is instead of a preset
+			const imported = opts.customPalette ? resolvePalette(opts.customPalette) : null;
+			const pal = imported ? imported.colors : buildPresetPalette(palette, depth);
+			if (imported) broadcast('log', { msg: `Palette: ${imported.name || 'imported'} (${pal.length} colours)` });
 			broadcast('log', { msg: 'Sampling video for adaptive tone…' });
 			console.log(`[server] Sampling video for adaptive tone (${palette})...`);
-			const stats = await sampleVideoLuminance(inputPath, width, meta, opts.crop);
+			const stats = await sampleVideoLuminance(inputPath, width, meta, opts.crop, sampling);
 			tone = adaptiveTone(depth, stats, inputExt, opts.customTone);
 
 			// Reduce saturation for grayscale
-			if (palette === 'grayscale') {
+			if (palette === 'grayscale' && !imported) {
 				tone.saturation = 0;
 			}
 
 			render = {
 				mode: 'palette', palette: pal, charMode,
-				theme: { fg: '#111', bg: resolvedBg }, label: `${palette.charAt(0).toUpperCase() + palette.slice(1)} (${depth} colours)`
+				theme: { fg: '#111', bg: resolvedBg },
+				label: imported
+					? `${imported.name || 'Imported palette'} (${pal.length} colours)`
+					: `${palette.charAt(0).toUpperCase() + palette.slice(1)} (${depth} colours)`
 			};
 		} else if (mode === 'kmeans') {
 			broadcast('log', { msg: `Extracting ${depth}-colour palette via k-means…` });
 			console.log('[server] Extracting palette via k-means...');
-			const pal = await extractPaletteFromVideo(inputPath, width, meta, depth, opts.crop);
+			const pal = await extractPaletteFromVideo(inputPath, width, meta, depth, opts.crop, colorSpace, sampling, kmeans);
 			console.log('[server] Sampling video for adaptive tone (kmeans)...');
-			const stats = await sampleVideoLuminance(inputPath, width, meta, opts.crop);
+			const stats = await sampleVideoLuminance(inputPath, width, meta, opts.crop, sampling);
 			tone = adaptiveTone(depth, stats, inputExt, opts.customTone);
 			render = {
 				mode: 'palette', palette: pal || makeGrayscalePalette(depth), charMode,
 				theme: { fg: '#111', bg: resolvedBg },
 				label: pal ? `k-means (${depth})` : `Grayscale fallback (${depth})`
 			};
+		} else if (ANSI_MODES.includes(mode)) {
+			// The bundle records the mode, so terminal players emit 16/256-colour SGR codes
+			const pal = ansiPalette(mode);
+			console.log(`[server] Sampling video for adaptive tone (${mode})...`);
+			const stats = await sampleVideoLuminance(inputPath, width, meta, opts.crop, sampling);
+			tone = adaptiveTone(pal.length, stats, inputExt, opts.customTone);
+			render = {
+				mode: 'palette', palette: pal, ansi: mode, charMode,
+				theme: { fg: '#111', bg: resolvedBg },
+				label: mode === 'ansi16' ? 'ANSI 16 colours' : 'xterm 256 colours'
+			};
 		} else {
 			render = {
 				mode: 'truecolor', palette: null, charMode,
@@ -318,7 +380,124 @@ async function runConversion(opts) {
 					}
 				}
 			}
+			if (foreground.mode === 'chroma') {
+				try {
+					resolveChromaKey(foreground);
+				} catch (err) {
+					broadcast('log', { msg: `⚠ ${err.message} – using the default green key` });
+					foreground = { ...foreground, ...DEFAULT_CHROMA_KEY };
+				}
+			}
 			broadcast('log', { msg: `Foreground isolation: ${foreground.mode} mode, ${foreground.background} background` });
+			try {
+				const cleanup = resolveMaskCleanup(foreground);
+				const passes = Object.entries(cleanup).filter(([, v]) => v).map(([k, v]) => (v === true ? k : `${k} ${v}`));
+				if (passes.length) broadcast('log', { msg: `Mask cleanup: ${passes.join(', ')}` });
+			} catch (err) {
+				broadcast('log', { msg: `⚠ ${err.message} – mask cleanup ignored` });
+				foreground = { ...foreground, ...DEFAULT_MASK_CLEANUP };
+			}
+		}
+
+		render.colorSpace = colorSpace;
+
+		// Ramp polarity: light backgrounds draw dark areas with the dense glyphs
+		let polarity = 'auto';
+		if (POLARITIES.includes(_polarity)) {
+			polarity = _polarity;
+		} else {
+			broadcast('log', { msg: `⚠ Unknown polarity "${_polarity}" – using auto` });
+		}
+		render.invert = resolvePolarity(polarity, render.theme.bg);
+		if (render.invert) {
+			broadcast('log', { msg: polarity === 'auto' ? `Light background ${render.theme.bg} – ramp inverted` : 'Ramp polarity: inverted' });
+		}
+
+		try {
+			render.cellAspect = resolveCellAspect(_cellAspect);
+		} catch (err) {
+			broadcast('log', { msg: `⚠ ${err.message} – using gif cells` });
+			render.cellAspect = resolveCellAspect('gif');
+		}
+
+		// Palette modes can re-sample the adaptive tone at every scene cut
+		let sceneTone = null;
+		if (opts.sceneTone && render.mode === 'palette') {
+			try {
+				const grayscale = mode === 'palette' && palette === 'grayscale';
+				sceneTone = {
+					...resolveSceneTone(opts.sceneTone),
+					toneFor: (stats) => {
+						const shotTone = adaptiveTone(render.ansi ? render.palette.length : depth, stats, inputExt, opts.customTone);
+						if (grayscale) shotTone.saturation = 0;
+						return shotTone;
+					},
+				};
+				broadcast('log', { msg: 'Scene tone: re-sampling at every cut' });
+			} catch (err) {
+				broadcast('log', { msg: `⚠ ${err.message} – scene tone off` });
+			}
+		}
+
+		// k-means can fit a palette to every scene; the bundle switches at each cut
+		let scenePalettes = null;
+		if (opts.scenePalettes && mode === 'kmeans') {
+			try {
+				const { threshold, minDuration } = resolveScenePalettes(opts.scenePalettes);
+				scenePalettes = createScenePalettes({ k: depth, colorSpace, threshold, minFrames: Math.round(minDuration * effectiveFps), width, kmeans });
+				broadcast('log', { msg: 'Scene palettes: one k-means palette per scene' });
+			} catch (err) {
+				broadcast('log', { msg: `⚠ ${err.message} – scene palettes off` });
+			}
+		}
+		// Subject cells are only known once converted: refit one palette from them
+		const subjectPalette = !scenePalettes && mode === 'kmeans' && kmeans.weight === 'foreground' && foreground
+			? createScenePalettes({ k: depth, colorSpace, threshold: 1, kmeans })
+			: null;
+
+		// Tone curve / LUT graded on top of the tone
+		let look = null;
+		try {
+			look = lookFromOptions(opts);
+			if (look) broadcast('log', { msg: `Look: ${[look.curve && `${look.curve} curve`, look.points && 'custom curve', look.lut && '.cube LUT'].filter(Boolean).join(' + ')}` });
+		} catch (err) {
+			broadcast('log', { msg: `⚠ ${err.message} – look off` });
+		}
+
+		// Local contrast (CLAHE) on the sampled frames, any mode
+		let clahe = null;
+		if (opts.clahe) {
+			try {
+				clahe = resolveClahe(opts.clahe);
+				broadcast('log', { msg: `Local contrast: ${clahe.tileSize}-cell tiles, clip ${clahe.clipLimit}` });
+			} catch (err) {
+				broadcast('log', { msg: `⚠ ${err.message} – local contrast off` });
+			}
+		}
+
+		if (render.mode === 'palette' && dither !== 'none') {
+			if (DITHER_METHODS.includes(dither)) {
+				render.dither = dither;
+				broadcast('log', { msg: `Dithering: ${dither}` });
+			} else {
+				broadcast('log', { msg: `⚠ Unknown dither method "${dither}" – ignored` });
+			}
+		}
+
+		if (ramp) {
+			render.ramp = sortRampByDensity(ramp);
+			broadcast('log', { msg: `Custom ramp (sorted by density): "${render.ramp}"` });
+			if (charMode === 'shape') {
+				const unmatchable = findUnmatchableGlyphs(render.ramp);
+				if (unmatchable.length) {
+					broadcast('log', { msg: `⚠ Shape mode has no bitmap for ${unmatchable.join(' ')} – these glyphs are never chosen` });
+				}
+			} else {
+				const missing = skipGif ? [] : findUnsupportedGlyphs(render.ramp);
+				if (missing.length) {
+					broadcast('log', { msg: `⚠ GIF font cannot draw ${missing.join(' ')} – shown as density blocks in preview.gif` });
+				}
+			}
 		}
 
 		/* Output directory */
@@ -333,6 +512,7 @@ async function runConversion(opts) {
 		let bundleWriter = null;
 		let gifWriter = null;
 		let frameCount = 0;
+		let lastMaskSent = 0;
 
 		const result = await convert({
 			inputPath, outputWidth: width, outputHeight: height, color: includeColors,
@@ -340,6 +520,16 @@ async function runConversion(opts) {
 			collectFrames: false,
 			foreground,
 			detail,
+			ramp: render.ramp || null,
+			stabilize,
+			edge,
+			workers,
+			colorSpace,
+			invert: render.invert,
+			cellAspect: render.cellAspect,
+			sceneTone,
+			look,
+			clahe,
 			crop: opts.crop || null,
 			signal: ac.signal,
 			onFrame: async (idx, frame) => {
@@ -347,11 +537,25 @@ async function runConversion(opts) {
 				broadcast('progress', {
 					frame: frameCount, total: expectedFrames,
 					percent: expectedFrames ? Math.min(100, Math.round((frameCount / expectedFrames) * 100)) : null,
+					changedCells: frame.changedCells,
+					changedRatio: frame.length ? frame.changedCells / frame.length : 0,
 				});
 
+				// Debug overlay: a few masks per second is plenty to judge cleanup
+				if (foreground?.debugMask && frame.fgMask && Date.now() - lastMaskSent >= MASK_EVENT_INTERVAL_MS) {
+					lastMaskSent = Date.now();
+					broadcast('mask', {
+						frame: frameCount, width,
+						height: Math.round(frame.fgMask.length / width),
+						bits: packMaskBits(frame.fgMask),
+					});
+				}
+				if (scenePalettes) scenePalettes.add(frame, idx);
+				if (subjectPalette) subjectPalette.add(frame, idx);
+
 				if (!bundleWriter) {
 					// Use the first frame to determine the output height
-					const fh = Math.max(1, Math.round(frame.chars.length / width));
+					const fh = Math.max(1, Math.round(frame.length / width));
 					bundleWriter = createBundleWriter({
 						width, height: fh, fps: effectiveFps,
 						color: includeColors, outputDir: outputJobDir, render
@@ -369,6 +573,17 @@ async function runConversion(opts) {
 		});
 
 		/* Finalize */
+		if (scenePalettes) {
+			// Both writers read this at finalize
+			render.scenePalettes = scenePalettes.finish();
+			broadcast('log', { msg: `Scene palettes: ${render.scenePalettes.length} scene${render.scenePalettes.length === 1 ? '' : 's'}` });
+		}
+		const [subject] = subjectPalette ? subjectPalette.finish() : [];
+		if (subject) {
+			render.scenePalettes = [subject];
+			render.palette = subject.palette;
+			broadcast('log', { msg: 'Refitted the k-means palette with subject cells weighted up' });
+		}
 		let gifOk = false;
 		if (gifWriter) {
 			broadcast('log', { msg: 'Generating GIF…' });
@@ -402,6 +617,8 @@ async function runConversion(opts) {
 			bundleSize: bundleInfo?.stats?.bundleSize || 0,
 			gzipRatio: bundleInfo?.stats?.gzipRatio || '?',
 			totalFrames: bundleInfo?.stats?.totalFrames || frameCount,
+			scenes: result.scenes || null,
+			palette: render.palette || null,
 		};
 		broadcast('done', summary);
 		return summary;
@@ -527,7 +744,7 @@ async function handler(req, res) {
 		if (url.pathname === '/api/palette-preview' && req.method === 'POST') {
 			const body = await readBody(req);
 			try {
-				const { palette, depth, mode, inputPath, width } = JSON.parse(body);
+				const { palette, depth, mode, inputPath, width, colorSpace } = JSON.parse(body);
 				let colors;
 				if (mode === 'kmeans' && inputPath) {
 					const resolved = await resolveVideoPath(inputPath);
@@ -535,7 +752,7 @@ async function handler(req, res) {
 						let meta;
 						try { meta = await probeVideo(resolved); }
 						catch { meta = { fps: 24, width: 640, height: 480, duration: undefined }; }
-						colors = await extractPaletteFromVideo(resolved, width || 80, meta, depth || 16);
+						colors = await extractPaletteFromVideo(resolved, width || 80, meta, depth || 16, undefined, COLOR_SPACES.includes(colorSpace) ? colorSpace : 'rgb');
 					}
 				}
 				if (!colors) {
@@ -589,10 +806,10 @@ async function handler(req, res) {
 				};
 				tone = { contrast: 1.15, brightness: 0.02, saturation: 1.0, gamma: 1.05 };
 			} else if (previewMode === 'palette') {
-				const pal = buildPresetPalette(previewPalette, depth);
+				const pal = opts.customPalette ? resolvePalette(opts.customPalette).colors : buildPresetPalette(previewPalette, depth);
 				const stats = await sampleVideoLuminance(resolved, w, meta);
 				tone = adaptiveTone(depth, stats, inputExt);
-				if (previewPalette === 'grayscale') {
+				if (previewPalette === 'grayscale' && !opts.customPalette) {
 					tone.saturation = 0;
 				}
 				render = { mode: 'palette', palette: pal, charMode, theme: { fg: '#111', bg: opts.bg || '#000000' } };
@@ -600,6 +817,11 @@ async function handler(req, res) {
 					const stats = await sampleVideoLuminance(resolved, w, meta);
 					tone = adaptiveTone(depth, stats, inputExt);
 					render = { mode: 'palette', palette: pal || makeGrayscalePalette(depth), charMode, theme: { fg: '#111', bg: opts.bg || '#000000' } };
+				} else if (ANSI_MODES.includes(previewMode)) {
+					const pal = ansiPalette(previewMode);
+					const stats = await sampleVideoLuminance(resolved, w, meta);
+					tone = adaptiveTone(pal.length, stats, inputExt);
+					render = { mode: 'palette', palette: pal, ansi: previewMode, charMode, theme: { fg: '#111', bg: opts.bg || '#000000' } };
 				} else {
 					render = { mode: 'truecolor', palette: null, charMode, theme: { fg: '#111', bg: opts.bg || '#000000' } };
 					tone = inputExt === '.gif'
@@ -620,6 +842,10 @@ async function handler(req, res) {
 					tone,
 					charMode,
 					detail,
+					ramp: opts.ramp || null,
+					invert: resolvePolarity(POLARITIES.includes(opts.polarity) ? opts.polarity : 'auto', render.theme.bg),
+					look: lookFromOptions(opts),
+					clahe: opts.clahe || null,
 					collectFrames: false,
 					onFrame: (idx, frame) => {
 						if (!capturedFrame) capturedFrame = frame;
@@ -629,7 +855,7 @@ async function handler(req, res) {
 				if (!capturedFrame) { json(res, { ok: false, error: 'No frames captured' }); return; }
 
 				/* Build simple HTML snippet for the single frame */
-				const { chars, colors: frameColors } = capturedFrame;
+				const { chars, colors: frameColors, bgColors: frameBgColors } = capturedFrame;
 				const rows = [];
 				const h = Math.ceil(chars.length / w);
 				for (let y = 0; y < h; y++) {
@@ -640,7 +866,9 @@ async function handler(req, res) {
 						const esc = ch === '<' ? '&lt;' : ch === '>' ? '&gt;' : ch === '&' ? '&amp;' : ch;
 						if (frameColors && frameColors[i]) {
 							const [r, g, b] = frameColors[i];
-							rowHtml += '<span style="color:rgb(' + r + ',' + g + ',' + b + ')">' + esc + '</span>';
+							const cellBg = (ch !== ' ' && frameBgColors && frameBgColors[i]) ? frameBgColors[i] : null;
+							const bgStyle = cellBg ? ';background:rgb(' + cellBg.join(',') + ')' : '';
+							rowHtml += '<span style="color:rgb(' + r + ',' + g + ',' + b + ')' + bgStyle + '">' + esc + '</span>';
 						} else {
 							rowHtml += esc;
 						}
@@ -656,6 +884,33 @@ async function handler(req, res) {
 			return;
 		}
 
+		/* API: user palette library – list with colours, or save one */
+		if (url.pathname === '/api/palettes' && req.method === 'GET') {
+			const palettes = [];
+			for (const entry of await listLibraryPalettes()) {
+				try {
+					const { colors } = await loadPaletteFile(entry.path);
+					palettes.push({ name: entry.name, format: entry.format, colors });
+				} catch (err) {
+					console.warn(`[server] Skipping palette ${entry.path}: ${err.message}`);
+				}
+			}
+			json(res, { ok: true, dir: await paletteLibraryDir(), palettes });
+			return;
+		}
+
+		if (url.pathname === '/api/palettes' && req.method === 'POST') {
+			const body = await readBody(req);
+			try {
+				const { name, colors } = JSON.parse(body);
+				const path = await saveLibraryPalette(name, resolvePalette({ colors }).colors);
+				json(res, { ok: true, path });
+			} catch (err) {
+				json(res, { ok: false, error: err.message });
+			}
+			return;
+		}
+
 		/* API: list video files in input/ */
 		if (url.pathname === '/api/files' && req.method === 'GET') {
 			try {
@@ -778,6 +1033,24 @@ async function handler(req, res) {
 			return;
 		}
 
+		/* Browser-safe library modules the GUI imports as ../lib/*.js */
+		if (url.pathname.startsWith('/lib/') && url.pathname.endsWith('.js')) {
+			const filePath = join(ROOT, decodeURIComponent(url.pathname.slice(1)));
+			if (!filePath.startsWith(join(ROOT, 'lib'))) { res.writeHead(403); res.end('Forbidden'); return; }
+			try {
+				const js = await readFile(filePath, 'utf-8');
+				res.writeHead(200, {
+					'Content-Type': 'application/javascript; charset=utf-8',
+					'Cache-Control': 'no-cache, no-store, must-revalidate'
+				});
+				res.end(js);
+			} catch {
+				res.writeHead(404, { 'Content-Type': 'text/plain' });
+				res.end('Not found');
+			}
+			return;
+		}
+
 		/* 404 */
 		res.writeHead(404, { 'Content-Type': 'text/plain' });
 		res.end('Not found');
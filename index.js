@@ -15,9 +15,55 @@
  *   <filename>            Path to video file (positional, first non-flag arg)
  *   -w, --width  <n>      Output width in characters    (default: 100)
  *   -f, --fps    <n>      Output frame rate              (default: 24)
- *   -m, --mode   <mode>   Colour mode: truecolor | mono | palette | kmeans  (default: truecolor)
+ *   -m, --mode   <mode>   Colour mode: truecolor | mono | palette | kmeans | ansi16 | ansi256  (default: truecolor)
  *   -d, --depth  <n>      Palette colour count: 2–64         (default: 16)
  *   -p, --palette <name>  Preset palette: realistic | grayscale | sunset | ocean | neon | forest
+ *   --palette-file <f>    Exact palette from a .gpl/.ase/.hex/.json file or a library palette name
+ *   --export-palette <f>  Write the palette used (e.g. k-means) to .gpl/.ase/.hex/.json
+ *   --save-palette <name> Save the palette used to the user palette library
+ *   --list-palettes       List the user palette library and exit
+ *   -g, --char-mode <m>   Character mode: ascii | block | braille | halfblock | shape | edge  (default: ascii)
+ *   --ramp <chars>        Custom glyph ramp for ascii/block (sorted by density) or shape candidates
+ *   --dither <method>     Palette dithering: none | floyd-steinberg | atkinson | bayer  (default: none)
+ *   --color-space <cs>    rgb | oklab (linear-light averaging, perceptual palette matching)  (default: rgb)
+ *   --polarity <p>        auto | normal | inverted ramp polarity; auto inverts on light backgrounds (default: auto)
+ *   --invert              Same as --polarity inverted
+ *   --scene-tone          Re-sample adaptive tone at every scene cut (palette/kmeans modes)
+ *   --scene-threshold <n> Histogram change (0–1) between frames that counts as a cut (default: 0.35)
+ *   --scene-fade <s>      Seconds to blend into a new scene's tone             (default: 0.5)
+ *   --scene-palettes      k-means: fit a palette to every scene, switched mid-bundle
+ *   --scene-palette-threshold <n>  Colour change (0–1) that counts as a cut (default: 0.4)
+ *   --scene-palette-min <s>        Shortest scene with its own palette  (default: 1)
+ *   --lock-colors <hex,…> k-means: colours always kept in the palette, e.g. "#e30613,#ffffff"
+ *   --kmeans-weight <w>   k-means: uniform | center | foreground (subject cells)  (default: uniform)
+ *   --seed <n>            k-means: seeded randomised start, same seed → same palette
+ *   --sample-frames <n>   Frames across the trim that tone and k-means are sampled from (default: 6)
+ *   --sample-mode <m>     even | scene (one frame per shot)                     (default: even)
+ *   --curve <name>        Tone curve: noir | high-key | film | bleach
+ *   --curve-points <pts>  Custom tone curve, input:output pairs on 0–255 like 0:0,64:40,255:255
+ *   --lut <file.cube>     Grade with a 3D LUT after the tone curve
+ *   --clahe               Local contrast enhancement (CLAHE) before character mapping
+ *   --clahe-tile <n>      CLAHE tile size in character cells                   (default: 8)
+ *   --clahe-clip <n>      CLAHE clip limit, 1–16; lower is subtler             (default: 2)
+ *   --cell-aspect <a>     Cell width:height where it is viewed: gif | web | terminal, or a ratio like 1:2 (default: gif)
+ *   --stabilize <n>       Keep a cell's glyph while its colour moves less than n per channel (default: 18, 0 = off)
+ *   --hysteresis <n>      Extra tolerance for cells already being held       (default: 0)
+ *   --vote <n>            Majority vote over the last n frames per cell      (default: 1 = off)
+ *   --edge-threshold <n>  Sobel magnitude an edge-mode cell needs for an outline glyph (default: 32)
+ *   --nms                 Thin edge-mode outlines to one character (non-maximum suppression)
+ *   --workers <n|auto>    Worker threads for frame analysis (default: 1)
+ *   --isolate <mode>      Subject isolation: motion | chroma | mask
+ *   --isolate-bg <bg>     Behind the subject: transparent | keep | #hex (solid)  (default: transparent)
+ *   --key <hex>           Chroma mode: screen colour to key out          (default: #00ff00)
+ *   --key-tolerance <n>   Chroma mode: 0–100, higher keys more of the screen (default: 70)
+ *   --spill <n>           Chroma mode: 0–1 share of the screen's colour cast removed (default: 0.5)
+ *   --mask [<sec>:]<img>  Mask mode: black/white image, white animates; repeat with start times for a sequence
+ *   --captions <file>     Burn in SRT/WebVTT captions
+ *   --caption-pos <pos>   Caption strip position: bottom | top               (default: bottom)
+ *   --caption-margin <n>  Rows between the strip and the edge                (default: 1)
+ *   --caption-padding <n> Blank rows above and below the caption text        (default: 0)
+ *   --caption-bg <hex>    Caption strip colour, or none for blank cells      (default: none)
+ *   --caption-color <hex> Caption text colour                                (default: #ffffff)
  *   --fg <hex>            Foreground colour for mono mode      (default: #00ff00)
  *   --bg <hex>            Background colour for mono mode      (default: #000000)
  *   -s, --start  <sec>    Trim start time in seconds
@@ -33,12 +79,27 @@ import { spawn } from 'node:child_process';
 import inquirer from 'inquirer';
 import ora from 'ora';
 import cliProgress from 'cli-progress';
-import { generateBundle, hexToRgbArray } from './lib/api.js';
+import { generateBundle, hexToRgbArray, validateForeground } from './lib/api.js';
+import { sortRampByDensity } from './lib/font.js';
+import { DITHER_METHODS } from './lib/dither.js';
+import { resolveStabilize, resolveEdge } from './lib/engine.js';
+import { resolveWorkers } from './lib/frame-pool.js';
+import { resolveColorSpace } from './lib/color.js';
+import { resolveCellAspect } from './lib/gif.js';
+import { resolveSceneTone, resolveClahe } from './lib/tone.js';
+import { resolveLook } from './lib/look.js';
+import { resolveSampling } from './lib/sampling.js';
+import { resolveScenePalettes, resolveKmeans } from './lib/kmeans.js';
+import { resolvePolarity } from './lib/render.js';
+import { paletteFormatFromPath, resolveLibraryName, listLibraryPalettes, paletteLibraryDir } from './lib/palette-file.js';
+import { resolveCaptions } from './lib/captions.js';
 import { probeVideo, probeImage } from './lib/converter.js';
 
 const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.webm', '.gif', '.avi', '.mkv', '.flv']);
 const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.tiff', '.tif']);
 const MEDIA_EXTENSIONS = new Set([...VIDEO_EXTENSIONS, ...IMAGE_EXTENSIONS]);
+const CHAR_MODES = new Set(['ascii', 'block', 'braille', 'halfblock', 'shape', 'edge']);
+const CHAR_MODE_LABELS = { ascii: 'ascii (edges)', block: 'block (█▓▒░)', braille: 'braille (⣿ dots)', halfblock: 'halfblock (▀ 2 colours)', shape: 'shape (glyph match)', edge: 'edge (Sobel outlines)' };
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -109,14 +170,44 @@ function validateSecondsInput(val, { min = 0, max = undefined } = {}) {
 	return true;
 }
 
+async function promptDither() {
+	const { dither } = await inquirer.prompt([
+		{
+			type: 'list',
+			name: 'dither',
+			message: 'Dithering:',
+			choices: [
+				{ name: 'None (flat bands)', value: 'none' },
+				{ name: 'Floyd–Steinberg (smooth error diffusion)', value: 'floyd-steinberg' },
+				{ name: 'Atkinson (lighter, higher contrast diffusion)', value: 'atkinson' },
+				{ name: 'Bayer (ordered 4×4 pattern)', value: 'bayer' },
+			],
+		},
+	]);
+	return dither;
+}
+
 // ─── Main ───────────────────────────────────────────────────────────────────
 
+/** `--cell-aspect` value: a preset name, a ratio, or width:height like 1:2. */
+function parseCellAspect(value = '') {
+	const m = /^(\d*\.?\d+):(\d*\.?\d+)$/.exec(value);
+	if (m) return Number(m[1]) / Number(m[2]);
+	return /^\d*\.?\d+$/.test(value) ? Number(value) : value;
+}
+
+/** '0:0,64:40,255:255' → [[0, 0], [64, 40], [255, 255]] (bad pairs become NaN and fail validation). */
+function parseCurvePoints(value = '') {
+	return value.split(',').map((pair) => pair.split(':').map(Number));
+}
+
 function parseCliArgs(argv) {
 	const args = argv.slice(2);
 	const opts = {
 		inputFile: null, width: null, fps: null, mode: null, depth: null,
-		palette: null, fg: null, bg: null, start: null, end: null, charMode: null,
-		noGif: false, noOpen: false, outlineOnly: false, detail: 100, help: false,
+		palette: null, paletteFile: null, exportPalette: null, savePalette: null, listPalettes: false, fg: null, bg: null, start: null, end: null, charMode: null,
+		noGif: false, noOpen: false, outlineOnly: false, detail: 100, ramp: null, dither: null, colorSpace: null, polarity: null, cellAspect: null, sceneTone: null, scenePalettes: null, kmeans: {}, sampling: {}, curve: null, curvePoints: null, lut: null, clahe: null, stabilize: {}, edge: {}, workers: null,
+		isolate: null, isolateBg: 'transparent', chroma: {}, masks: [], captionFile: null, captionStyle: {}, help: false,
 	};
 
 	for (let i = 0; i < args.length; i++) {
@@ -129,11 +220,60 @@ function parseCliArgs(argv) {
 		else if (a === '-m' || a === '--mode') { opts.mode = next(); }
 		else if (a === '-d' || a === '--depth') { opts.depth = Number(next()); }
 		else if (a === '-p' || a === '--palette') { opts.palette = next(); }
+		else if (a === '--palette-file') { opts.paletteFile = next(); }
+		else if (a === '--export-palette') { opts.exportPalette = next(); }
+		else if (a === '--save-palette') { opts.savePalette = next(); }
+		else if (a === '--list-palettes') { opts.listPalettes = true; }
 		else if (a === '--fg') { opts.fg = next(); }
 		else if (a === '--bg') { opts.bg = next(); }
 		else if (a === '-s' || a === '--start') { opts.start = Number(next()); }
 		else if (a === '-e' || a === '--end') { opts.end = Number(next()); }
 		else if (a === '-g' || a === '--char-mode') { opts.charMode = next(); }
+		else if (a === '--ramp') { opts.ramp = next(); }
+		else if (a === '--dither') { opts.dither = next(); }
+		else if (a === '--color-space') { opts.colorSpace = next(); }
+		else if (a === '--polarity') { opts.polarity = next(); }
+		else if (a === '--invert') { opts.polarity = 'inverted'; }
+		else if (a === '--cell-aspect') { opts.cellAspect = parseCellAspect(next()); }
+		else if (a === '--scene-tone') { opts.sceneTone = opts.sceneTone || {}; }
+		else if (a === '--scene-threshold') { opts.sceneTone = { ...opts.sceneTone, threshold: Number(next()) }; }
+		else if (a === '--scene-fade') { opts.sceneTone = { ...opts.sceneTone, transition: Number(next()) }; }
+		else if (a === '--scene-palettes') { opts.scenePalettes = opts.scenePalettes || {}; }
+		else if (a === '--scene-palette-threshold') { opts.scenePalettes = { ...opts.scenePalettes, threshold: Number(next()) }; }
+		else if (a === '--scene-palette-min') { opts.scenePalettes = { ...opts.scenePalettes, minDuration: Number(next()) }; }
+		else if (a === '--lock-colors') { opts.kmeans.locked = (next() || '').split(',').map((c) => c.trim()).filter(Boolean); }
+		else if (a === '--kmeans-weight') { opts.kmeans.weight = next(); }
+		else if (a === '--seed') { opts.kmeans.seed = Number(next()); }
+		else if (a === '--sample-frames') { opts.sampling.frames = Number(next()); }
+		else if (a === '--sample-mode') { opts.sampling.mode = next(); }
+		else if (a === '--curve') { opts.curve = next(); }
+		else if (a === '--curve-points') { opts.curvePoints = parseCurvePoints(next()); }
+		else if (a === '--lut') { opts.lut = next(); }
+		else if (a === '--clahe') { opts.clahe = opts.clahe || {}; }
+		else if (a === '--clahe-tile') { opts.clahe = { ...opts.clahe, tileSize: Number(next()) }; }
+		else if (a === '--clahe-clip') { opts.clahe = { ...opts.clahe, clipLimit: Number(next()) }; }
+		else if (a === '--stabilize') { opts.stabilize.threshold = Number(next()); }
+		else if (a === '--hysteresis') { opts.stabilize.hysteresis = Number(next()); }
+		else if (a === '--vote') { opts.stabilize.vote = Number(next()); }
+		else if (a === '--edge-threshold') { opts.edge.threshold = Number(next()); }
+		else if (a === '--nms') { opts.edge.nms = true; }
+		else if (a === '--workers') { const v = next(); opts.workers = v === 'auto' ? v : Number(v); }
+		else if (a === '--isolate') { opts.isolate = next(); }
+		else if (a === '--isolate-bg') { opts.isolateBg = next(); }
+		else if (a === '--key') { opts.chroma.key = next(); }
+		else if (a === '--key-tolerance') { opts.chroma.tolerance = Number(next()); }
+		else if (a === '--spill') { opts.chroma.spill = Number(next()); }
+		else if (a === '--mask') {
+			const v = next() || '';
+			const timed = /^(\d+(?:\.\d+)?):(.+)$/.exec(v);
+			opts.masks.push(timed ? { at: Number(timed[1]), path: resolve(timed[2]) } : { at: 0, path: resolve(v) });
+		}
+		else if (a === '--captions') { opts.captionFile = resolve(next() || ''); }
+		else if (a === '--caption-pos') { opts.captionStyle.position = next(); }
+		else if (a === '--caption-margin') { opts.captionStyle.margin = Number(next()); }
+		else if (a === '--caption-padding') { opts.captionStyle.padding = Number(next()); }
+		else if (a === '--caption-bg') { opts.captionStyle.background = next(); }
+		else if (a === '--caption-color') { opts.captionStyle.color = next(); }
 		else if (a === '--brightness') { opts.customBrightness = parseInt(next()); }
 		else if (a === '--contrast') { opts.customContrast = parseInt(next()); }
 		else if (a === '--no-gif') { opts.noGif = true; }
@@ -145,11 +285,32 @@ function parseCliArgs(argv) {
 		}
 	}
 
+	// '--palette-file' alone implies '-m palette'
+	if (opts.paletteFile && !opts.mode) opts.mode = 'palette';
+
+	// '--mask' alone implies '--isolate mask'
+	if (opts.masks.length && !opts.isolate) opts.isolate = 'mask';
+
+	// '--isolate-bg #hex' is shorthand for a solid background of that colour
+	if (opts.isolate) {
+		const solid = /^#/.test(opts.isolateBg);
+		opts.foreground = {
+			mode: opts.isolate,
+			background: solid ? 'solid' : opts.isolateBg,
+			...(solid ? { bg: opts.isolateBg } : {}),
+			...(opts.isolate === 'chroma' ? opts.chroma : {}),
+			...(opts.isolate === 'mask' ? { maskPath: opts.masks } : {}),
+		};
+	}
+
+	if (opts.captionFile) opts.captions = { path: opts.captionFile, ...opts.captionStyle };
+
 	// Support for custom tone via CLI flags
-	if (typeof opts.customBrightness === 'number' || typeof opts.customContrast === 'number') {
+	if (typeof opts.customBrightness === 'number' || typeof opts.customContrast === 'number' || opts.curvePoints) {
 		opts.customTone = {
 			brightness: opts.customBrightness || 0,
-			contrast: opts.customContrast || 0
+			contrast: opts.customContrast || 0,
+			...(opts.curvePoints ? { curve: opts.curvePoints } : {}),
 		};
 	}
 
@@ -168,12 +329,65 @@ function printHelp() {
     <file>                  Path to video or image file (positional)
     -w, --width  <n>        Output width in characters    (default: 100)
     -f, --fps    <n>        Frame rate (video only)       (default: 24)
-    -m, --mode   <mode>     truecolor | mono | palette | kmeans
+    -m, --mode   <mode>     truecolor | mono | palette | kmeans | ansi16 | ansi256
+                            (ansi16/ansi256: the xterm palettes, for terminals without truecolor)
     -d, --depth  <n>        Palette colours: 2–64 (any number)
     -p, --palette <name>    realistic | grayscale | sunset | ocean | neon | forest
+        --palette-file <f>  Use a palette's exact colours: a .gpl, .ase, .hex (Lospec) or .json file,
+                            or the name of a library palette (implies -m palette)
+        --export-palette <f> Write the palette used, e.g. the k-means one, to .gpl/.ase/.hex/.json
+        --save-palette <name> Save the palette used to your palette library
+        --list-palettes     List your palette library and where it lives, then exit
         --fg <hex>          Foreground for mono mode      (default: #00ff00)
         --bg <hex|auto>     Player background colour       (default: #000000)
-    -g, --char-mode <mode>  Character mode: ascii | block  (default: ascii)
+    -g, --char-mode <mode>  Character mode: ascii | block | braille | halfblock | shape | edge  (default: ascii)
+        --ramp <chars>      Custom glyph ramp for ascii/block, e.g. " .-=+*#%@" (auto-sorted by density);
+                            in shape mode, the glyphs to match against
+        --dither <method>   Palette/kmeans dithering: none | floyd-steinberg | atkinson | bayer  (default: none)
+        --scene-tone        Palette/kmeans: re-sample adaptive tone at every scene cut
+        --scene-threshold <n> Histogram change (0–1) between frames that counts as a cut (default: 0.35)
+        --scene-fade <s>    Seconds to blend into a new scene's tone (default: 0.5, 0 = hard switch)
+        --scene-palettes    k-means: extract a palette per scene; the bundle switches palettes at each cut
+        --scene-palette-threshold <n> Colour histogram change (0–1) that counts as a cut (default: 0.4)
+        --scene-palette-min <s> Shortest scene, in seconds, that gets its own palette (default: 1)
+        --lock-colors <hex,…> k-means: colours always in the palette, e.g. "#e30613,#ffffff";
+                            they count towards -d and never move
+        --kmeans-weight <w> k-means: uniform | center (middle of the frame counts more) |
+                            foreground (subject cells count more; needs --isolate) (default: uniform)
+        --seed <n>          k-means: start from a seeded random pick; the same seed gives the same palette
+        --sample-frames <n> Frames spread over the trim that adaptive tone and k-means look at (default: 6)
+        --sample-mode <m>   even | scene: evenly spaced, or one per shot (default: even)
+        --curve <name>      Tone curve graded on top of the tone: noir | high-key | film | bleach
+        --curve-points <pts> Custom tone curve as input:output pairs on 0–255, e.g. 0:20,128:140,255:240
+        --lut <file.cube>   Grade with a 3D .cube LUT (after any curve)
+        --clahe             Local contrast (CLAHE): keeps faces and shadows readable at low depth
+        --clahe-tile <n>    CLAHE tile size in character cells (default: 8)
+        --clahe-clip <n>    CLAHE clip limit, 1–16; lower is subtler (default: 2)
+        --color-space <cs>  rgb | oklab: average in linear light, match palettes perceptually (default: rgb)
+        --polarity <p>      auto | normal | inverted: dense glyphs on bright or dark areas;
+                            auto inverts on a light --bg (default: auto)
+        --invert            Same as --polarity inverted
+        --cell-aspect <a>   Cell shape where the output is viewed: gif | web | terminal, or width:height
+                            like 1:2; sets the grid height, GIF cells and player line height (default: gif)
+        --stabilize <n>     Hold a glyph while its colour moves < n per channel (default: 18, 0 = off)
+        --hysteresis <n>    Extra tolerance once a glyph is held            (default: 0)
+        --vote <n>          Majority vote over the last n frames per cell (1–15, default: 1)
+        --edge-threshold <n> Edge mode: Sobel magnitude needed for an outline glyph (default: 32)
+        --nms               Edge mode: thin outlines to one character wide
+        --workers <n|auto>  Analyse frames on n worker threads, 'auto' = one per spare core (default: 1)
+        --isolate <mode>    Subject isolation: motion | chroma (green/blue screen) | mask (your own image)
+        --isolate-bg <bg>   Behind the subject: transparent | keep | #hex  (default: transparent)
+        --key <hex>         Chroma: screen colour to key out (default: #00ff00; pick it from your footage)
+        --key-tolerance <n> Chroma: 0–100, higher keys darker/duller screen areas (default: 70)
+        --spill <n>         Chroma: 0–1 share of the screen's colour cast removed from the subject (default: 0.5)
+        --mask [<sec>:]<img> Mask: black/white image, white cells animate. Repeat with start times
+                            for a sequence, e.g. --mask a.png --mask 4.5:b.png
+        --captions <file>   Burn in SRT/WebVTT captions at their cue times
+        --caption-pos <pos> Caption strip: bottom | top (default: bottom)
+        --caption-margin <n> Rows between the strip and the grid edge (default: 1)
+        --caption-padding <n> Blank rows above and below the text (default: 0)
+        --caption-bg <hex>  Strip colour, or none for blank cells (colour modes; default: none)
+        --caption-color <hex> Caption text colour (colour modes; default: #ffffff)
     -s, --start  <sec>      Trim start (video only)
     -e, --end    <sec>      Trim end (video only)
         --brightness <int>  Manual brightness override (-100 to 100)
@@ -189,11 +403,44 @@ function printHelp() {
     node index.js input/photo.png -w 120 -m palette -d 16 -p sunset
     node index.js input/dog.mp4 -w 120 -f 30 -m palette -d 16 -p sunset
     node index.js input/dog.mp4 -m kmeans -d 32
+    node index.js input/dog.mp4 -m palette -d 8 -p grayscale --dither floyd-steinberg
+    node index.js input/trailer.mp4 -m kmeans -d 16 --scene-tone --scene-fade 0.3
+    node index.js input/montage.mp4 -m kmeans -d 8 --scene-palettes
+    node index.js input/ad.mp4 -m kmeans -d 12 --lock-colors "#e30613,#ffffff" --kmeans-weight center
+    node index.js input/dog.mp4 --palette-file palettes/pico-8.hex
+    node index.js input/sunset.mp4 -m kmeans -d 8 --save-palette sunset-8 --export-palette sunset-8.ase
+    node index.js input/interview.mp4 -m palette -d 4 --clahe --clahe-tile 6
+    node index.js input/brand.mp4 -m truecolor --curve film --lut looks/brand.cube
+    node index.js input/night.mp4 -m kmeans -d 16 --color-space oklab
+    node index.js input/dog.mp4 -m ansi256 --dither bayer
+    node index.js input/logo.png -g braille -m mono
+    node index.js input/dog.mp4 -g halfblock -m truecolor
+    node index.js input/slides.mp4 -g shape -w 120 -m mono
+    node index.js input/dog.mp4 --ramp " .-=+*#%@" -m mono
     node index.js input/dog.mp4 -m mono --fg "#0f0" --bg "#000"
+    node index.js input/sketch.png -m mono --fg "#222222" --bg "#f5f5f5"
+    node index.js input/dog.mp4 --cell-aspect terminal
     node index.js input/dog.mp4 -s 2 -e 8 -w 80
+    node index.js input/hero.mp4 --stabilize 28 --hysteresis 8 --vote 5
+    node index.js input/logo.png -g edge --nms --outline
+    node index.js input/long.mp4 -w 200 --workers auto
+    node index.js input/product.mp4 --isolate chroma --key "#3bb54a" --isolate-bg "#101010"
+    node index.js input/street.mp4 --mask input/window.png --isolate-bg keep
+    node index.js input/talk.mp4 --captions input/talk.srt --caption-bg "#202020" --caption-padding 1
 `);
 }
 
+async function printPaletteLibrary() {
+	const palettes = await listLibraryPalettes();
+	console.log(`\n  Palette library: ${await paletteLibraryDir()}\n`);
+	if (!palettes.length) {
+		console.log('  (empty – add .gpl/.ase/.hex/.json files or use --save-palette)\n');
+		return;
+	}
+	for (const { name, format } of palettes) console.log(`    ${name}  (.${format})`);
+	console.log('');
+}
+
 function makeCallbacks(noOpen) {
 	let spinner = null;
 	let bar = null;
@@ -206,20 +453,21 @@ function makeCallbacks(noOpen) {
 			}
 			if (phase === 'conversion' && expectedFrames) {
 				bar = new cliProgress.SingleBar({
-					format: 'Converting |{bar}| {percentage}% | {value}/{total} frames | ETA: {eta}s',
+					format: 'Converting |{bar}| {percentage}% | {value}/{total} frames | {changed} changed | ETA: {eta}s',
 					hideCursor: true,
 				}, cliProgress.Presets.shades_classic);
-				bar.start(expectedFrames, 0);
+				bar.start(expectedFrames, 0, { changed: '-' });
 			} else {
 				spinner = ora(message).start();
 			}
 		},
-		onProgress: ({ phase, frameCount, expectedFrames }) => {
+		onProgress: ({ phase, frameCount, expectedFrames, changedRatio }) => {
 			if (phase === 'conversion') {
+				const changed = typeof changedRatio === 'number' ? `${Math.round(changedRatio * 100)}%` : '-';
 				if (bar) {
-					bar.update(Math.min(frameCount, expectedFrames || frameCount));
+					bar.update(Math.min(frameCount, expectedFrames || frameCount), { changed });
 				} else if (spinner) {
-					spinner.text = `Converting… frame ${frameCount}`;
+					spinner.text = `Converting… frame ${frameCount} (${changed} changed)`;
 				}
 			}
 		},
@@ -250,6 +498,8 @@ function makeCallbacks(noOpen) {
 			if (spinner) {
 				spinner.fail(message);
 				spinner = null;
+			} else {
+				console.warn(`  ⚠  ${message}`);
 			}
 		}
 	};
@@ -269,6 +519,42 @@ async function runFromCLI(cli) {
 	const outputDir = join(cwd, 'output');
 	await mkdir(outputDir, { recursive: true });
 
+	if (cli.ramp !== null) {
+		try {
+			sortRampByDensity(cli.ramp);
+		} catch (err) {
+			console.error(`  ✖  ${err.message}`);
+			process.exit(1);
+		}
+	}
+
+	try {
+		resolveStabilize(cli.stabilize);
+		resolveEdge(cli.edge);
+		if (cli.workers !== null) resolveWorkers(cli.workers);
+		if (cli.colorSpace !== null) resolveColorSpace(cli.colorSpace);
+		if (cli.polarity !== null) resolvePolarity(cli.polarity);
+		if (cli.cellAspect !== null) resolveCellAspect(cli.cellAspect);
+		if (cli.sceneTone) resolveSceneTone(cli.sceneTone);
+		if (cli.scenePalettes) resolveScenePalettes(cli.scenePalettes);
+		resolveKmeans(cli.kmeans, cli.mode === 'kmeans' ? (cli.depth || 16) : Infinity);
+		if (cli.clahe) resolveClahe(cli.clahe);
+		resolveSampling(cli.sampling);
+		if (cli.curve || cli.lut || cli.curvePoints) resolveLook({ curve: cli.curve, points: cli.curvePoints, lut: cli.lut });
+		if (cli.foreground) validateForeground(cli.foreground);
+		if (cli.captions) resolveCaptions(cli.captions);
+		if (cli.exportPalette) paletteFormatFromPath(cli.exportPalette);
+		if (cli.savePalette) resolveLibraryName(cli.savePalette);
+	} catch (err) {
+		console.error(`  ✖  ${err.message}`);
+		process.exit(1);
+	}
+
+	if (cli.dither !== null && !DITHER_METHODS.includes(cli.dither)) {
+		console.error(`  ✖  Unknown dither method "${cli.dither}" (expected ${DITHER_METHODS.join(', ')})`);
+		process.exit(1);
+	}
+
 	const callbacks = makeCallbacks(cli.noOpen);
 
 	const isImage = isImageFile(inputPath);
@@ -282,13 +568,34 @@ async function runFromCLI(cli) {
 			mode: cli.mode || 'truecolor',
 			depth: cli.depth || 16,
 			palette: cli.palette || 'realistic',
+			paletteFile: cli.paletteFile,
+			exportPalette: cli.exportPalette,
+			savePalette: cli.savePalette,
 			fg: cli.fg || '#00ff00',
 			bg: cli.bg || '#000000',
 			start: isImage ? undefined : cli.start,
 			end: isImage ? undefined : cli.end,
-			charMode: cli.charMode === 'block' ? 'block' : 'ascii',
+			charMode: CHAR_MODES.has(cli.charMode) ? cli.charMode : 'ascii',
 			detail: cli.detail,
 			outlineOnly: cli.outlineOnly,
+			ramp: cli.ramp,
+			dither: cli.dither || 'none',
+			stabilize: cli.stabilize,
+			edge: cli.edge,
+			workers: cli.workers || 1,
+			colorSpace: cli.colorSpace || 'rgb',
+			polarity: cli.polarity || 'auto',
+			cellAspect: cli.cellAspect ?? 'gif',
+			sceneTone: cli.sceneTone || false,
+			scenePalettes: cli.scenePalettes || false,
+			kmeans: cli.kmeans,
+			sampling: cli.sampling,
+			curve: cli.curve,
+			lut: cli.lut,
+			customTone: cli.customTone || null,
+			clahe: cli.clahe || false,
+			foreground: cli.foreground || null,
+			captions: cli.captions || null,
 			skipGif: cli.noGif
 		}, callbacks);
 
@@ -367,6 +674,10 @@ async function runInteractive() {
 			choices: [
 				{ name: 'ASCII (edge-aware shapes: / \\ | _ - L J)', value: 'ascii' },
 				{ name: 'Block (█▓▒░ solid colour cells)', value: 'block' },
+				{ name: 'Braille (⣿ 2×4 dots per cell, fine line art)', value: 'braille' },
+				{ name: 'Half-block (▀▄ two colours per cell, double vertical resolution)', value: 'halfblock' },
+				{ name: 'Shape (best-matching glyph per cell, keeps text and curves legible)', value: 'shape' },
+				{ name: 'Edge (Sobel outlines: | / - \\ _ and corners)', value: 'edge' },
 			],
 		},
 		{
@@ -374,7 +685,7 @@ async function runInteractive() {
 			name: 'detail',
 			message: 'Detail level (0=edges only, 100=full fill):',
 			default: 100,
-			when: (ans) => ans.charMode === 'ascii',
+			when: (ans) => ans.charMode !== 'block',
 			validate: (val) => {
 				const num = Number(val);
 				if (!Number.isFinite(num)) return 'Please enter a valid number.';
@@ -422,6 +733,10 @@ async function runInteractive() {
 			choices: [
 				{ name: 'ASCII (edge-aware shapes: / \\ | _ - L J)', value: 'ascii' },
 				{ name: 'Block (█▓▒░ solid colour cells)', value: 'block' },
+				{ name: 'Braille (⣿ 2×4 dots per cell, fine line art)', value: 'braille' },
+				{ name: 'Half-block (▀▄ two colours per cell, double vertical resolution)', value: 'halfblock' },
+				{ name: 'Shape (best-matching glyph per cell, keeps text and curves legible)', value: 'shape' },
+				{ name: 'Edge (Sobel outlines: | / - \\ _ and corners)', value: 'edge' },
 			],
 		},
 		{
@@ -429,7 +744,7 @@ async function runInteractive() {
 			name: 'detail',
 			message: 'Detail level (0=edges only, 100=full fill):',
 			default: 100,
-			when: (ans) => ans.charMode === 'ascii',
+			when: (ans) => ans.charMode !== 'block',
 			validate: (val) => {
 				const num = Number(val);
 				if (!Number.isFinite(num)) return 'Please enter a valid number.';
@@ -556,8 +871,9 @@ async function runInteractive() {
 					{ name: 'Monochrome (custom fg/bg)', value: 'mono' },
 					{ name: 'Recolor (4/16/32/64 colors)', value: 'recolor' },
 					{ name: 'k-means ML palette (auto-extract)', value: 'kmeans' },
+					{ name: 'ANSI terminal colours (16 or 256)', value: 'ansi' },
 					new inquirer.Separator(),
-					{ name: `Char mode: ${charMode === 'block' ? 'block (█▓▒░)' : 'ascii (edges)'} (toggle)`, value: 'toggle-char-mode' },
+					{ name: `Char mode: ${CHAR_MODE_LABELS[charMode]} (toggle)`, value: 'toggle-char-mode' },
 					{ name: 'Open GIF preview', value: 'open-gif' },
 					{ name: 'Preview in terminal', value: 'preview' },
 					{ name: 'Regenerate bundle + GIF', value: 'regen' },
@@ -569,9 +885,11 @@ async function runInteractive() {
 		if (action === 'truecolor') {
 			renderOpts = { mode: 'truecolor' };
 			lastRun = await runConversion();
-			charMode = charMode === 'block' ? 'ascii' : 'block';
+		} else if (action === 'toggle-char-mode') {
+			const order = [...CHAR_MODES];
+			charMode = order[(order.indexOf(charMode) + 1) % order.length];
 			console.log(`  Char mode set to: ${charMode}`);
-			if (charMode === 'ascii') {
+			if (charMode !== 'block') {
 				const { detailVal } = await inquirer.prompt([{ type: 'input', name: 'detailVal', message: 'Detail level (0=edges only, 100=full fill):', default: detail, validate: v => { const n = Number(v); return Number.isFinite(n) && n >= 0 && n <= 100 ? true : '0-100'; }, filter: v => Number(v) }]);
 				detail = detailVal;
 			}
@@ -611,6 +929,7 @@ async function runInteractive() {
 					],
 				},
 			]);
+			const library = await listLibraryPalettes();
 			const paletteAnswers = await inquirer.prompt([
 				{
 					type: 'list',
@@ -624,6 +943,8 @@ async function runInteractive() {
 						{ name: 'Neon', value: 'neon' },
 						{ name: 'Forest', value: 'forest' },
 						{ name: 'Custom (3 colors)', value: 'custom' },
+						...(library.length ? [new inquirer.Separator('── Your palettes ──')] : []),
+						...library.map((p) => ({ name: `${p.name} (.${p.format})`, value: { file: p.path } })),
 					],
 				},
 			]);
@@ -642,9 +963,12 @@ async function runInteractive() {
 					hexToRgbArray(custom.c3, [241, 196, 15]),
 				];
 				renderOpts = { mode: 'palette', depth: colorCount, customPalette: customPaletteArray };
+			} else if (paletteAnswers.palette.file) {
+				renderOpts = { mode: 'palette', depth: colorCount, paletteFile: paletteAnswers.palette.file };
 			} else {
 				renderOpts = { mode: 'palette', depth: colorCount, palette: paletteAnswers.palette };
 			}
+			renderOpts.dither = await promptDither();
 			lastRun = await runConversion();
 		} else if (action === 'kmeans') {
 			const depthAnswers = await inquirer.prompt([
@@ -661,7 +985,21 @@ async function runInteractive() {
 					],
 				},
 			]);
-			renderOpts = { mode: 'kmeans', depth: depthAnswers.depth };
+			renderOpts = { mode: 'kmeans', depth: depthAnswers.depth, dither: await promptDither() };
+			lastRun = await runConversion();
+		} else if (action === 'ansi') {
+			const { ansiMode } = await inquirer.prompt([
+				{
+					type: 'list',
+					name: 'ansiMode',
+					message: 'Which terminal palette?',
+					choices: [
+						{ name: 'xterm 256 colours (tmux, most servers)', value: 'ansi256' },
+						{ name: 'ANSI 16 colours (follows the terminal theme)', value: 'ansi16' },
+					],
+				},
+			]);
+			renderOpts = { mode: ansiMode, dither: await promptDither() };
 			lastRun = await runConversion();
 		} else if (action === 'open-gif') {
 			if (lastRun && lastRun.gifPath) {
@@ -687,6 +1025,11 @@ async function main() {
 		process.exit(0);
 	}
 
+	if (cli.listPalettes) {
+		await printPaletteLibrary();
+		process.exit(0);
+	}
+
 	const hasCLIFile = !!cli.inputFile;
 
 	console.log('\n  ╔═══════════════════════════╗');
@@ -0,0 +1,127 @@
+/**
+ * ASCII-fi – ANSI colour depths.
+ *
+ * Not every terminal shows 24-bit colour: many tmux setups and server
+ * consoles stop at the xterm 256-colour palette, some at the 16 system
+ * colours. The 'ansi16' and 'ansi256' render modes quantise to those
+ * palettes during conversion, and the terminal players use the helpers
+ * here to emit matching SGR codes and to downgrade truecolor bundles to
+ * what the terminal they run in supports.
+ */
+
+/** Render modes that quantise to a standard xterm palette. */
+export const ANSI_MODES = ['ansi16', 'ansi256'];
+
+/** Terminal colour depths, richest first. */
+export const COLOR_DEPTHS = ['truecolor', 'ansi256', 'ansi16'];
+
+/** xterm's default 16 system colours (SGR 30–37 and 90–97). */
+export const XTERM_16 = Object.freeze([
+	[0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+	[0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+	[127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+	[92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255],
+].map((c) => Object.freeze(c)));
+
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/** The full xterm 256-colour palette: system colours, 6×6×6 cube, 24 greys. */
+export const XTERM_256 = Object.freeze([
+	...XTERM_16,
+	...Array.from({ length: 216 }, (_, i) => Object.freeze([
+		CUBE_LEVELS[Math.floor(i / 36)], CUBE_LEVELS[Math.floor(i / 6) % 6], CUBE_LEVELS[i % 6],
+	])),
+	...Array.from({ length: 24 }, (_, i) => Object.freeze([8 + i * 10, 8 + i * 10, 8 + i * 10])),
+]);
+
+/**
+ * Colours an ANSI render mode quantises to. 'ansi256' leaves out the 16
+ * system colours, which terminal themes redefine, and keeps the 240 whose
+ * values every terminal agrees on.
+ *
+ * @param {'ansi16'|'ansi256'} mode
+ * @returns {number[][]} Fresh `[r, g, b]` arrays
+ */
+export function ansiPalette(mode) {
+	if (!ANSI_MODES.includes(mode)) {
+		throw new TypeError(`Unknown ANSI mode "${mode}" (expected ${ANSI_MODES.join(', ')})`);
+	}
+	return (mode === 'ansi16' ? XTERM_16 : XTERM_256.slice(16)).map((c) => [...c]);
+}
+
+const indexCaches = { ansi16: new Map(), ansi256: new Map() };
+
+/**
+ * xterm palette index nearest to a colour. Colours from an ANSI bundle's
+ * dictionary are palette entries already, so they map back exactly.
+ *
+ * @param {number[]} rgb
+ * @param {'ansi16'|'ansi256'} depth
+ * @returns {number} 0–15 for 'ansi16', 16–255 for 'ansi256'
+ */
+export function ansiIndex(rgb, depth) {
+	const r = Math.round(rgb[0]), g = Math.round(rgb[1]), b = Math.round(rgb[2]);
+	const cache = indexCaches[depth];
+	const key = (r << 16) | (g << 8) | b;
+	let best = cache.get(key);
+	if (best !== undefined) return best;
+
+	const [from, to] = depth === 'ansi16' ? [0, 16] : [16, 256];
+	let bestDist = Infinity;
+	for (let i = from; i < to; i++) {
+		const c = XTERM_256[i];
+		const d = (r - c[0]) ** 2 + (g - c[1]) ** 2 + (b - c[2]) ** 2;
+		if (d < bestDist) { bestDist = d; best = i; }
+	}
+	cache.set(key, best);
+	return best;
+}
+
+/**
+ * SGR escape sequence that sets the foreground (or background) colour at
+ * a colour depth.
+ *
+ * @param {number[]} rgb
+ * @param {'truecolor'|'ansi256'|'ansi16'} [depth]
+ * @param {boolean} [background]
+ * @returns {string}
+ */
+export function sgrColor(rgb, depth = 'truecolor', background = false) {
+	if (depth === 'ansi256') return `\x1b[${background ? 48 : 38};5;${ansiIndex(rgb, depth)}m`;
+	if (depth === 'ansi16') {
+		const n = ansiIndex(rgb, depth);
+		return `\x1b[${(n < 8 ? 30 : 82) + (background ? 10 : 0) + n}m`;
+	}
+	return `\x1b[${background ? 48 : 38};2;${Math.round(rgb[0])};${Math.round(rgb[1])};${Math.round(rgb[2])}m`;
+}
+
+/**
+ * Colour depth of the terminal we are running in, from the environment.
+ * `ASCII_FI_COLOR_DEPTH` overrides the guess. `COLORTERM=truecolor` (or
+ * `24bit`) and Windows Terminal mean truecolor, a `TERM` like
+ * `xterm-256color` or `tmux-256color` means 256 colours, and any other
+ * `TERM` 16. Without a `TERM` (the Windows console) truecolor is assumed.
+ *
+ * @param {object} [env] - Environment variables (default process.env)
+ * @returns {'truecolor'|'ansi256'|'ansi16'}
+ */
+export function detectColorDepth(env = globalThis.process?.env || {}) {
+	if (COLOR_DEPTHS.includes(env.ASCII_FI_COLOR_DEPTH)) return env.ASCII_FI_COLOR_DEPTH;
+	if (/^(truecolor|24bit)$/i.test(env.COLORTERM || '') || env.WT_SESSION) return 'truecolor';
+	if (!env.TERM) return 'truecolor';
+	return /256/.test(env.TERM) ? 'ansi256' : 'ansi16';
+}
+
+/**
+ * Depth to play a bundle at: the bundle's own ANSI depth, lowered to what
+ * the terminal supports. Truecolor and palette bundles play at the
+ * terminal's depth.
+ *
+ * @param {string} [mode] - Render mode stored in the bundle
+ * @param {'truecolor'|'ansi256'|'ansi16'} [terminal] - See detectColorDepth()
+ * @returns {'truecolor'|'ansi256'|'ansi16'}
+ */
+export function playbackColorDepth(mode, terminal = detectColorDepth()) {
+	if (!ANSI_MODES.includes(mode)) return terminal;
+	return COLOR_DEPTHS.indexOf(mode) > COLOR_DEPTHS.indexOf(terminal) ? mode : terminal;
+}
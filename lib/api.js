@@ -2,10 +2,24 @@ import { access, mkdir } from 'node:fs/promises';
 import { resolve, extname, basename, join } from 'node:path';
 import { convert, probeVideo } from './converter.js';
 import { createBundleWriter } from './bundler.js';
-import { createAsciiGifWriter } from './gif.js';
-import { makeGradientPalette, makeGrayscalePalette, makeRealisticPalette } from './render.js';
-import { adaptiveTone, sampleVideoLuminance } from './tone.js';
-import { extractPaletteFromVideo } from './kmeans.js';
+import { createAsciiGifWriter, findUnsupportedGlyphs, resolveCellAspect } from './gif.js';
+import { sortRampByDensity } from './font.js';
+import { findUnmatchableGlyphs } from './shape.js';
+import { DITHER_METHODS } from './dither.js';
+import { resolveStabilize, resolveEdge } from './engine.js';
+import { resolveWorkers } from './frame-pool.js';
+import { resolveColorSpace } from './color.js';
+import { resolveMaskCleanup, resolveMaskSources } from './mask.js';
+import { resolveChromaKey } from './chroma.js';
+import { resolveCaptions } from './captions.js';
+import { resolveOverlays, loadOverlays, compositeOverlays } from './overlay.js';
+import { makeGradientPalette, makeGrayscalePalette, buildPresetPalette, resolvePolarity, autoBackground } from './render.js';
+import { resolvePalette, loadPalette, paletteFormatFromPath, resolveLibraryName, savePaletteFile, saveLibraryPalette } from './palette-file.js';
+import { adaptiveTone, sampleVideoLuminance, resolveSceneTone, resolveClahe } from './tone.js';
+import { resolveLook } from './look.js';
+import { resolveSampling } from './sampling.js';
+import { extractPaletteFromVideo, resolveScenePalettes, createScenePalettes, resolveKmeans } from './kmeans.js';
+import { ANSI_MODES, ansiPalette } from './ansi.js';
 
 export function safeOutputName(inputPath) {
 	const base = basename(inputPath, extname(inputPath));
@@ -25,21 +39,28 @@ export function hexToRgbArray(hex, fallback) {
 	return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
 }
 
-export const gradientPresets = {
-	realistic: [[12, 18, 30], [40, 80, 140], [120, 160, 120], [200, 170, 120], [220, 220, 210]],
-	grayscale: [[0, 0, 0], [255, 255, 255]],
-	sunset: [[255, 94, 58], [255, 149, 0], [255, 204, 0]],
-	ocean: [[0, 24, 72], [0, 118, 255], [0, 217, 255]],
-	dracula: [[40, 42, 54], [97, 175, 239], [255, 121, 198], [189, 147, 249], [80, 250, 123]],
-	neon: [[57, 255, 20], [0, 255, 255], [255, 0, 255]],
-	forest: [[16, 64, 32], [34, 139, 34], [154, 205, 50]],
-};
-
-export function buildPresetPalette(name, colorCount) {
-	if (name === 'grayscale') return makeGrayscalePalette(colorCount);
-	if (name === 'realistic') return makeRealisticPalette(colorCount);
-	const stops = gradientPresets[name] || gradientPresets.realistic;
-	return makeGradientPalette(stops, colorCount);
+export const FOREGROUND_MODES = ['motion', 'ml', 'chroma', 'mask'];
+export const FOREGROUND_BACKGROUNDS = ['transparent', 'solid', 'keep'];
+
+/**
+ * Check a `foreground` isolation options object before any work starts.
+ * Throws TypeError/RangeError naming the offending field.
+ *
+ * @param {object} foreground
+ */
+export function validateForeground(foreground) {
+	if (!FOREGROUND_MODES.includes(foreground.mode)) {
+		throw new TypeError(`Unknown foreground mode "${foreground.mode}" (expected ${FOREGROUND_MODES.join(', ')})`);
+	}
+	if (foreground.background !== undefined && !FOREGROUND_BACKGROUNDS.includes(foreground.background)) {
+		throw new TypeError(`Unknown foreground background "${foreground.background}" (expected ${FOREGROUND_BACKGROUNDS.join(', ')})`);
+	}
+	if (foreground.mode === 'ml' && !foreground.modelPath) {
+		throw new TypeError('Foreground mode "ml" needs a modelPath to an ONNX segmentation model');
+	}
+	if (foreground.mode === 'chroma') resolveChromaKey(foreground);
+	if (foreground.mode === 'mask') resolveMaskSources(foreground);
+	resolveMaskCleanup(foreground);
 }
 
 /**
@@ -51,6 +72,8 @@ export function buildPresetPalette(name, colorCount) {
  */import { TerminalPlayer } from './terminal-player.js';
 
 export { TerminalPlayer };
+export { gradientPresets, buildPresetPalette } from './render.js';
+export { ANSI_MODES, detectColorDepth } from './ansi.js';
 
 export async function generateBundle(options, callbacks = {}) {
 	const {
@@ -62,6 +85,9 @@ export async function generateBundle(options, callbacks = {}) {
 		depth = 16,
 		palette: _palette = 'realistic',
 		customPalette = null,
+		paletteFile = null,
+		exportPalette = null,
+		savePalette = null,
 		fg = '#00ff00',
 		bg = '#000000',
 		start = undefined,
@@ -73,9 +99,67 @@ export async function generateBundle(options, callbacks = {}) {
 		outlineOnly = false,
 		detail = 100,
 		qStep = 24,
+		ramp = null,
+		dither = 'none',
+		stabilize = {},
+		edge = {},
+		workers = 1,
+		colorSpace = 'rgb',
+		polarity = 'auto',
+		cellAspect = 'gif',
+		sceneTone = false,
+		scenePalettes = false,
+		kmeans = {},
+		sampling = {},
+		curve = null,
+		lut = null,
+		clahe = false,
+		foreground = null,
+		captions = null,
+		overlays = null,
 		signal = undefined
 	} = options;
 
+	// Custom glyph ramp, ordered by measured density (throws TypeError if unusable)
+	const sortedRamp = ramp ? sortRampByDensity(ramp) : null;
+	// Temporal stabilisation (throws RangeError on out-of-range values)
+	const stabilizeOpts = resolveStabilize(stabilize || {});
+	const edgeOpts = resolveEdge(edge || {});
+	const workerCount = resolveWorkers(workers);
+	// 'oklab': linear-light cell averages, perceptual palette matching (throws TypeError)
+	resolveColorSpace(colorSpace);
+	// 'auto' | 'normal' | 'inverted' ramp polarity (throws TypeError)
+	resolvePolarity(polarity);
+	// Cell width ÷ height where the output is viewed (throws TypeError/RangeError)
+	const aspect = resolveCellAspect(cellAspect);
+	// Per-shot tone: cut threshold and crossfade (throws TypeError/RangeError)
+	const sceneToneOpts = sceneTone ? resolveSceneTone(sceneTone) : null;
+	// k-means palette per scene: cut threshold and shortest scene (throws TypeError/RangeError)
+	const scenePaletteOpts = scenePalettes ? resolveScenePalettes(scenePalettes) : null;
+	// Locked colours, pixel weighting and seed for k-means (throws TypeError/RangeError)
+	const kmeansOpts = resolveKmeans(kmeans || {}, _mode === 'kmeans' ? depth : Infinity);
+	// Frames across the trim that tone and k-means are sampled from (throws TypeError/RangeError)
+	const sampleOpts = { ...resolveSampling(sampling || {}), start, end };
+	// Tone curve preset, customTone.curve points and .cube LUT, graded after the tone (throws TypeError/RangeError)
+	const look = curve || lut || customTone?.curve ? resolveLook({ curve, points: customTone?.curve ?? null, lut }) : null;
+	// Local contrast: tile size in cells and clip limit (throws TypeError/RangeError)
+	const claheOpts = clahe ? resolveClahe(clahe) : null;
+	if (!DITHER_METHODS.includes(dither)) {
+		throw new TypeError(`Unknown dither method "${dither}" (expected ${DITHER_METHODS.join(', ')})`);
+	}
+	if (foreground) validateForeground(foreground);
+	// Subtitle file and strip styling (throws TypeError/RangeError)
+	if (captions) resolveCaptions(captions);
+	// Text, banner and bundle layers (throws TypeError/RangeError)
+	if (overlays) resolveOverlays(overlays);
+	// Palette written out once resolved: file type from the extension, library name as a file name (throws TypeError)
+	if (exportPalette) paletteFormatFromPath(exportPalette);
+	if (savePalette) resolveLibraryName(savePalette);
+	// Exact palette from a .gpl/.ase/.hex/.json file or library name, or { name, colors } (throws on bad palettes)
+	const importedPalette = paletteFile
+		? await loadPalette(paletteFile)
+		: customPalette && !Array.isArray(customPalette) ? resolvePalette(customPalette) : null;
+
 	// Normalize grayscale mode to palette mode
 	let mode = _mode;
 	let palette = _palette;
@@ -116,8 +200,8 @@ export async function generateBundle(options, callbacks = {}) {
 	if (bg === 'auto') {
 		onStart({ phase: 'background', message: 'Detecting optimal background colour…' });
 		try {
-			const bgStats = await sampleVideoLuminance(inputPath, width, meta);
-			resolvedBg = bgStats.mean > 0.6 ? '#f0f0f0' : bgStats.mean > 0.4 ? '#1a1a2e' : '#0a0a0a';
+			const bgStats = await sampleVideoLuminance(inputPath, width, meta, null, sampleOpts);
+			resolvedBg = autoBackground(bgStats);
 			onSuccess({ phase: 'background', message: `Auto background: ${resolvedBg}` });
 		} catch {
 			onFail({ phase: 'background', message: 'Could not detect background, using #000000' });
@@ -144,7 +228,10 @@ export async function generateBundle(options, callbacks = {}) {
 	} else if (mode === 'palette') {
 		let resolvedPalette;
 		let label;
-		if (customPalette && Array.isArray(customPalette)) {
+		if (importedPalette) {
+			resolvedPalette = importedPalette.colors;
+			label = `${importedPalette.name || 'Imported palette'} (${resolvedPalette.length} colours)`;
+		} else if (customPalette && Array.isArray(customPalette)) {
 			resolvedPalette = makeGradientPalette(customPalette, depth);
 			label = `Custom palette (${depth} colors)`;
 		} else {
@@ -154,7 +241,7 @@ export async function generateBundle(options, callbacks = {}) {
 
 		onStart({ phase: 'tone', message: 'Sampling video for adaptive tone…' });
 		try {
-			const stats = await sampleVideoLuminance(inputPath, width, meta, crop);
+			const stats = await sampleVideoLuminance(inputPath, width, meta, crop, sampleOpts);
 			tone = adaptiveTone(depth, stats, inputExt, customTone);
 			onSuccess({ phase: 'tone', message: `Adaptive tone: contrast=${tone.contrast.toFixed(2)} brightness=${tone.brightness.toFixed(3)} gamma=${tone.gamma.toFixed(2)} sat=${tone.saturation.toFixed(2)}` });
 		} catch (err) {
@@ -163,7 +250,7 @@ export async function generateBundle(options, callbacks = {}) {
 		}
 
 		// Reduce saturation for grayscale palette
-		if (palette === 'grayscale' && !customPalette) {
+		if (palette === 'grayscale' && !customPalette && !importedPalette) {
 			tone.saturation = 0;
 		}
 
@@ -173,12 +260,35 @@ export async function generateBundle(options, callbacks = {}) {
 			charMode,
 			theme: { fg: '#111111', bg: resolvedBg },
 			label,
-			_paletteName: customPalette ? undefined : palette,
+			_paletteName: customPalette || importedPalette ? undefined : palette,
+			_kmeansMode: false
+		};
+	} else if (ANSI_MODES.includes(mode)) {
+		// Fixed xterm palette; the bundle records the mode so players emit 16/256-colour SGR codes
+		const ansiColors = ansiPalette(mode);
+		onStart({ phase: 'tone', message: 'Sampling video for adaptive tone…' });
+		try {
+			const stats = await sampleVideoLuminance(inputPath, width, meta, crop, sampleOpts);
+			tone = adaptiveTone(ansiColors.length, stats, inputExt, customTone);
+			onSuccess({ phase: 'tone', message: `Adaptive tone: contrast=${tone.contrast.toFixed(2)} brightness=${tone.brightness.toFixed(3)} gamma=${tone.gamma.toFixed(2)} sat=${tone.saturation.toFixed(2)}` });
+		} catch (err) {
+			onFail({ phase: 'tone', message: `Tone sampling failed: ${err.message}`, error: err });
+			tone = adaptiveTone(ansiColors.length, null, inputExt, customTone);
+		}
+
+		render = {
+			mode: 'palette',
+			palette: ansiColors,
+			ansi: mode,
+			charMode,
+			theme: { fg: '#111111', bg: resolvedBg },
+			label: mode === 'ansi16' ? 'ANSI 16 colours' : 'xterm 256 colours',
+			_paletteName: undefined,
 			_kmeansMode: false
 		};
 	} else if (mode === 'kmeans') {
 		onStart({ phase: 'palette', message: `Extracting optimal ${depth}-colour palette via k-means…` });
-		const mlPalette = await extractPaletteFromVideo(inputPath, width, meta, depth, crop);
+		const mlPalette = await extractPaletteFromVideo(inputPath, width, meta, depth, crop, colorSpace, sampleOpts, kmeansOpts);
 		if (!mlPalette) {
 			onFail({ phase: 'palette', message: 'Could not sample video for k-means. Falling back to grayscale.' });
 			render = {
@@ -204,7 +314,7 @@ export async function generateBundle(options, callbacks = {}) {
 		}
 
 		try {
-			const stats = await sampleVideoLuminance(inputPath, width, meta, crop);
+			const stats = await sampleVideoLuminance(inputPath, width, meta, crop, sampleOpts);
 			tone = adaptiveTone(depth, stats, inputExt, customTone);
 		} catch {
 			tone = adaptiveTone(depth, null, inputExt, customTone);
@@ -241,9 +351,79 @@ export async function generateBundle(options, callbacks = {}) {
 		tone.contrast = Math.max(-2.0, Math.min(100.0, tone.contrast));
 	}
 
+	if (dither !== 'none') {
+		if (render.mode === 'palette') {
+			render.dither = dither;
+		} else {
+			onFail({ phase: 'dither', message: 'Dithering only applies to palette and k-means modes – ignored' });
+		}
+	}
+	render.colorSpace = colorSpace;
+	render.cellAspect = aspect;
+
+	if (importedPalette && mode !== 'palette') {
+		onFail({ phase: 'palette', message: 'Palette files only apply to palette mode – ignored' });
+	}
+	// Adaptive tone re-sampled at every cut instead of once from the first frame
+	let sceneToneConfig = null;
+	if (sceneToneOpts) {
+		if (render.mode === 'palette') {
+			const grayscale = mode === 'palette' && palette === 'grayscale' && !customPalette && !importedPalette;
+			const toneDepth = render.ansi ? render.palette.length : depth;
+			sceneToneConfig = {
+				...sceneToneOpts,
+				toneFor: (stats) => {
+					const shotTone = adaptiveTone(toneDepth, stats, inputExt, customTone);
+					if (grayscale) shotTone.saturation = 0;
+					return shotTone;
+				},
+			};
+		} else {
+			onFail({ phase: 'tone', message: 'Scene tone only applies to palette and k-means modes – ignored' });
+		}
+	}
+
+	if (foreground?.background === 'transparent') {
+		render.theme.bg = 'transparent';
+	} else if (foreground?.background === 'solid' && foreground.bg) {
+		render.theme.bg = foreground.bg;
+	}
+
+	// Light backgrounds need the ramp the other way round to avoid a negative
+	render.invert = resolvePolarity(polarity, render.theme.bg);
+	if (render.invert && polarity === 'auto') {
+		onSuccess({ phase: 'polarity', message: `Light background ${render.theme.bg} – ramp inverted` });
+	}
+
+	if (sortedRamp) {
+		render.ramp = sortedRamp;
+		if (charMode === 'shape') {
+			const unmatchable = findUnmatchableGlyphs(sortedRamp);
+			if (unmatchable.length) {
+				onFail({ phase: 'ramp', message: `Shape mode has no bitmap for ${unmatchable.join(' ')} – these glyphs are never chosen` });
+			}
+		} else {
+			const missing = skipGif ? [] : findUnsupportedGlyphs(sortedRamp);
+			if (missing.length) {
+				onFail({ phase: 'ramp', message: `GIF font cannot draw ${missing.join(' ')} – shown as density blocks in preview.gif` });
+			}
+		}
+	}
+
 	const outputJobDir = join(outputDir, safeOutputName(inputPath));
 	await mkdir(outputJobDir, { recursive: true });
 
+	// Overlay bundles are decoded up front so a bad path fails before converting
+	let overlayLayers = null;
+	if (overlays?.length) {
+		try {
+			overlayLayers = await loadOverlays(overlays);
+		} catch (err) {
+			onFail({ phase: 'overlays', message: err.message, error: err });
+			throw err;
+		}
+	}
+
 	const duration = typeof end === 'number'
 		? Math.max(0, end - (start || 0))
 		: meta.duration;
@@ -252,6 +432,35 @@ export async function generateBundle(options, callbacks = {}) {
 		? Math.max(1, Math.round(duration * effectiveFps))
 		: null;
 
+	// k-means palettes fitted to each scene's cells as frames are converted
+	let scenePaletteTracker = null;
+	if (scenePaletteOpts) {
+		if (render._kmeansMode) {
+			scenePaletteTracker = createScenePalettes({
+				k: depth,
+				colorSpace,
+				threshold: scenePaletteOpts.threshold,
+				minFrames: Math.round(scenePaletteOpts.minDuration * effectiveFps),
+				width,
+				kmeans: kmeansOpts,
+			});
+		} else {
+			onFail({ phase: 'palette', message: 'Scene palettes only apply to k-means mode – ignored' });
+		}
+	}
+	// Subject cells are only known once converted, so 'foreground' weighting refits the palette then
+	let subjectPaletteTracker = null;
+	if (kmeansOpts.weight === 'foreground' && render._kmeansMode) {
+		if (!foreground) {
+			onFail({ phase: 'palette', message: 'Foreground k-means weighting needs subject isolation – ignored' });
+		} else if (!scenePaletteTracker) {
+			subjectPaletteTracker = createScenePalettes({ k: depth, colorSpace, threshold: 1, kmeans: kmeansOpts });
+		}
+	}
+	if ((kmeansOpts.locked.length || kmeansOpts.seed !== null || kmeansOpts.weight !== 'uniform') && !render._kmeansMode) {
+		onFail({ phase: 'palette', message: 'k-means locked colours, weighting and seed only apply to k-means mode – ignored' });
+	}
+
 	onStart({ phase: 'conversion', message: `Preparing conversion for ${basename(inputPath)}…`, expectedFrames });
 
 	let frameCount = 0;
@@ -274,15 +483,35 @@ export async function generateBundle(options, callbacks = {}) {
 			tone,
 			charMode: render.charMode || 'ascii',
 			detail: typeof detail === 'number' ? detail : (outlineOnly ? 0 : 100),
+			ramp: sortedRamp,
+			stabilize: stabilizeOpts,
+			edge: edgeOpts,
+			workers: workerCount,
+			colorSpace,
+			invert: render.invert,
+			cellAspect: aspect,
+			sceneTone: sceneToneConfig,
+			look,
+			clahe: claheOpts,
+			foreground,
+			captions,
 			crop,
 			collectFrames: false,
 			signal,
 			onFrame: async (idx, frame) => {
 				frameCount = idx + 1;
-				onProgress({ phase: 'conversion', frameCount, expectedFrames });
+				// Share of cells whose glyph changed – the flicker/responsiveness trade-off
+				const changedCells = frame.changedCells;
+				const changedRatio = frame.length ? changedCells / frame.length : 0;
+				onProgress({ phase: 'conversion', frameCount, expectedFrames, changedCells, changedRatio });
+
+				if (!frameHeight) frameHeight = Math.max(1, Math.round(frame.length / width));
+				// Composited here so the bundle and GIF writers both get the stamped frame
+				if (overlayLayers) compositeOverlays(frame, width, frameHeight, idx / effectiveFps, overlayLayers);
+				if (scenePaletteTracker) scenePaletteTracker.add(frame, idx);
+				if (subjectPaletteTracker) subjectPaletteTracker.add(frame, idx);
 
 				if (!bundleWriter) {
-					frameHeight = Math.max(1, Math.round(frame.chars.length / width));
 					bundleWriter = createBundleWriter({
 						width, height: frameHeight, fps: effectiveFps,
 						color: includeColors, outputDir: outputJobDir, render,
@@ -307,6 +536,43 @@ export async function generateBundle(options, callbacks = {}) {
 	}
 
 	onSuccess({ phase: 'conversion', message: `Converted ${frameCount} frames (${result.width}×${result.height} @ ${effectiveFps.toFixed(1)} fps)`, result });
+	if (result.scenes) {
+		onSuccess({ phase: 'tone', message: `Scene tone: ${result.scenes.length} scene${result.scenes.length === 1 ? '' : 's'}`, scenes: result.scenes });
+	}
+	if (scenePaletteTracker) {
+		// Read by both writers at finalize, so it is set before either runs
+		render.scenePalettes = scenePaletteTracker.finish();
+		const n = render.scenePalettes.length;
+		onSuccess({ phase: 'palette', message: `Scene palettes: ${n} scene${n === 1 ? '' : 's'}, ${depth} colours each`, scenePalettes: render.scenePalettes });
+	}
+	const [subject] = subjectPaletteTracker ? subjectPaletteTracker.finish() : [];
+	if (subject) {
+		// A single scene: the palette refitted to the converted cells, subject weighted
+		render.scenePalettes = [subject];
+		render.palette = subject.palette;
+		onSuccess({ phase: 'palette', message: 'Refitted the k-means palette with subject cells weighted up' });
+	}
+
+	// Resolved palette (the extracted one in k-means mode) written out once final
+	if (exportPalette || savePalette) {
+		if (render.palette) {
+			const saved = { name: render.label, colors: render.palette };
+			try {
+				if (exportPalette) {
+					await savePaletteFile(resolve(exportPalette), saved);
+					onSuccess({ phase: 'palette', message: `Palette exported to ${exportPalette}` });
+				}
+				if (savePalette) {
+					const path = await saveLibraryPalette(savePalette, render.palette);
+					onSuccess({ phase: 'palette', message: `Palette saved to library as "${savePalette}" (${path})` });
+				}
+			} catch (err) {
+				onFail({ phase: 'palette', message: `Palette export failed: ${err.message}`, error: err });
+			}
+		} else {
+			onFail({ phase: 'palette', message: 'Palette export only applies to palette and k-means modes – ignored' });
+		}
+	}
 
 	if (gifWriter) {
 		onStart({ phase: 'gif', message: 'Finalizing ASCII GIF preview…' });
@@ -338,6 +604,7 @@ export async function generateBundle(options, callbacks = {}) {
 		htmlPath: bundleInfo?.htmlPath,
 		stats: bundleInfo?.stats,
 		render,
+		scenes: result.scenes || null,
 		frameCount
 	};
 }
@@ -12,6 +12,9 @@
 
 import PLAYER_SOURCE from './player.js';
 import { nearestPaletteColor } from './render.js';
+import { DEFAULT_CELL_ASPECT } from './gif.js';
+import { createDitherer } from './dither.js';
+import { PackedFrame, codesToString } from './frame.js';
 
 const isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
 
@@ -88,16 +91,21 @@ function rleEncodeColors(colors, qStep = 4, palette = null) {
 // Colour dictionary – maps unique [r,g,b] → compact index
 // ────────────────────────────────────────────────────────────────────────────
 
-function buildColorDict(frames, qStep, palette) {
+// Palette snapping follows `colorSpace`; truecolor quantisation stays on
+// the sRGB grid, whose gamma encoding already spaces steps roughly evenly.
+function buildColorDict(frames, qStep, palette, colorSpace = 'rgb') {
 	console.log('[bundler] buildColorDict - palette:', palette ? `${palette.length} colors` : 'null', 'qStep:', qStep);
 	const map = new Map();
 	const dict = [];
+	// Source colour (0xRRGGBB) → dictionary index, so each distinct source
+	// colour is snapped once rather than once per cell
+	const indexOf = new Map();
 
 	function key(c) { return `${c[0]},${c[1]},${c[2]}`; }
 
 	function snap(c) {
 		if (palette && palette.length) {
-			const snapped = nearestPaletteColor(c, palette);
+			const snapped = nearestPaletteColor(c, palette, colorSpace);
 			return snapped;
 		}
 		return [
@@ -107,19 +115,47 @@ function buildColorDict(frames, qStep, palette) {
 		];
 	}
 
-	for (const frame of frames) {
-		if (!frame.colors) continue;
-		for (const c of frame.colors) {
-			const s = snap(c);
+	function add(r, g, b) {
+		const src = (r << 16) | (g << 8) | b;
+		let idx = indexOf.get(src);
+		if (idx === undefined) {
+			const s = snap([r, g, b]);
 			const k = key(s);
-			if (!map.has(k)) {
-				map.set(k, dict.length);
+			idx = map.get(k);
+			if (idx === undefined) {
+				idx = dict.length;
+				map.set(k, idx);
 				dict.push(s);
 			}
+			indexOf.set(src, idx);
+		}
+		return idx;
+	}
+
+	/**
+	 * Dictionary index per cell of one colour plane. With a mask, indices
+	 * are shifted up by one so 0 can mean "no colour" (no background).
+	 */
+	function indexPlane(plane, mask) {
+		const n = plane.length / 3;
+		const out = new Uint32Array(n);
+		for (let i = 0, o = 0; i < n; i++, o += 3) {
+			if (mask && !mask[i]) continue;
+			const idx = add(plane[o], plane[o + 1], plane[o + 2]);
+			out[i] = mask ? idx + 1 : idx;
 		}
+		return out;
 	}
 
-	return { dict, map, snap, key };
+	const colorIndices = [];
+	const bgIndices = [];
+	for (const frame of frames) {
+		colorIndices.push(frame.rgb ? indexPlane(frame.rgb, null) : null);
+		// Half-block backgrounds share the dictionary
+		bgIndices.push(frame.bgRgb ? indexPlane(frame.bgRgb, frame.bgMask) : null);
+	}
+
+	return { dict, map, snap, key, colorIndices, bgIndices };
 }
 
 /**
@@ -296,19 +332,19 @@ function encodeGaps(positions) {
 	return gaps;
 }
 
-function rleEncodeCharsBinary(str) {
-	if (!str.length) return { counts: [], chars: '' };
+function rleEncodeCharsBinary(codes) {
+	if (!codes.length) return { counts: [], chars: '' };
 	const counts = [];
-	let chars = '';
-	let current = str[0];
+	const heads = [];
+	let current = codes[0];
 	let count = 1;
-	for (let i = 1; i < str.length; i++) {
-		if (str[i] === current) { count++; }
-		else { counts.push(count); chars += current; current = str[i]; count = 1; }
+	for (let i = 1; i < codes.length; i++) {
+		if (codes[i] === current) { count++; }
+		else { counts.push(count); heads.push(current); current = codes[i]; count = 1; }
 	}
 	counts.push(count);
-	chars += current;
-	return { counts, chars };
+	heads.push(current);
+	return { counts, chars: codesToString(Uint16Array.from(heads)) };
 }
 
 function rleEncodeFromArrayBinary(arr) {
@@ -325,24 +361,27 @@ function rleEncodeFromArrayBinary(arr) {
 
 /**
  * V5 delta encoding – fully structured binary ready formats:
- *  - Full frames:  { type: 1, charCounts, chars, colorRLE? }
- *  - Delta frames: { type: 2, charGaps, chars, colorGaps?, colorVals? }
+ *  - Full frames:  { type: 1, charCounts, chars, colorRLE?, bgRLE? }
+ *  - Delta frames: { type: 2, charGaps, chars, colorGaps?, colorVals?, bgGaps?, bgVals? }
  *  - Duplicate:    { type: 0 }
+ *
+ * Background indices (`bg`) are only produced for half-block bundles and
+ * coloured caption strips.
  */
-function deltaEncodeFramesBinary(frames, color, dictInfo, threshold) {
+function deltaEncodeFramesBinary(frames, color, dictInfo, threshold, bg = false) {
 	const encoded = [];
 	let prevChars = null;
 	let prevColorIndices = null;
+	let prevBgIndices = null;
 	const dict = dictInfo?.dict || null;
+	const changedCodes = frames.length ? new Uint16Array(frames[0].codes.length) : null;
 
-	for (const frame of frames) {
-		const curChars = frame.chars;
+	for (let fi = 0; fi < frames.length; fi++) {
+		const curChars = frames[fi].codes;
 
-		let curColorIndices = null;
-		if (color && frame.colors && dictInfo) {
-			const { snap, key, map } = dictInfo;
-			curColorIndices = frame.colors.map((c) => map.get(key(snap(c))));
-		}
+		const curColorIndices = (color && dictInfo) ? dictInfo.colorIndices[fi] : null;
+		// Frames without backgrounds of their own show the player background
+		const curBgIndices = (bg && dictInfo) ? (dictInfo.bgIndices[fi] || new Uint32Array(curChars.length)) : null;
 
 		if (prevChars === null) {
 			// First frame – full data
@@ -351,27 +390,37 @@ function deltaEncodeFramesBinary(frames, color, dictInfo, threshold) {
 			if (color && curColorIndices) {
 				enc.colorRLE = rleEncodeFromArrayBinary(curColorIndices);
 			}
+			if (curBgIndices) enc.bgRLE = rleEncodeFromArrayBinary(curBgIndices);
 			encoded.push(enc);
 		} else {
 			// Delta – collect changed positions
 			const charPositions = [];
-			let charValues = '';
 			const colorPositions = [];
 			const colorValues = [];
+			const bgPositions = [];
+			const bgValues = [];
 			let hasDiff = false;
 
 			for (let i = 0; i < curChars.length; i++) {
 				const charChanged = curChars[i] !== prevChars[i];
 				const colorChanged = color && curColorIndices && prevColorIndices &&
 					!colorIndicesClose(curColorIndices[i], prevColorIndices[i], dict, threshold);
+				// A background appearing or vanishing always counts as a change
+				const bgChanged = curBgIndices && prevBgIndices && curBgIndices[i] !== prevBgIndices[i] &&
+					(curBgIndices[i] === 0 || prevBgIndices[i] === 0 ||
+						!colorIndicesClose(curBgIndices[i] - 1, prevBgIndices[i] - 1, dict, threshold));
 
-				if (charChanged || colorChanged) {
+				if (charChanged || colorChanged || bgChanged) {
+					changedCodes[charPositions.length] = curChars[i];
 					charPositions.push(i);
-					charValues += curChars[i];
 					if (color && curColorIndices) {
 						colorPositions.push(i);
 						colorValues.push(curColorIndices[i]);
 					}
+					if (curBgIndices) {
+						bgPositions.push(i);
+						bgValues.push(curBgIndices[i]);
+					}
 					hasDiff = true;
 				}
 			}
@@ -387,14 +436,20 @@ function deltaEncodeFramesBinary(frames, color, dictInfo, threshold) {
 					if (color && curColorIndices) {
 						enc.colorRLE = rleEncodeFromArrayBinary(curColorIndices);
 					}
+					if (curBgIndices) enc.bgRLE = rleEncodeFromArrayBinary(curBgIndices);
 					encoded.push(enc);
 				} else {
 					// Sparse delta with gap-encoded positions
-					const enc = { type: 2, charGaps: encodeGaps(charPositions), chars: charValues };
+					const chars = codesToString(changedCodes, 0, charPositions.length);
+					const enc = { type: 2, charGaps: encodeGaps(charPositions), chars };
 					if (color && colorPositions.length) {
 						enc.colorGaps = encodeGaps(colorPositions);
 						enc.colorVals = colorValues;
 					}
+					if (bgPositions.length) {
+						enc.bgGaps = encodeGaps(bgPositions);
+						enc.bgVals = bgValues;
+					}
 					encoded.push(enc);
 				}
 			}
@@ -402,13 +457,29 @@ function deltaEncodeFramesBinary(frames, color, dictInfo, threshold) {
 
 		prevChars = curChars;
 		prevColorIndices = curColorIndices;
+		prevBgIndices = curBgIndices;
 	}
 
 	return encoded;
 }
 
-function buildBinaryPayload(width, height, fps, color, renderConfig, dictArray, encodedFrames) {
+/**
+ * Write the V5 payload. `scenes` is a list of `{ dict, encodedFrames }`
+ * from encodeScenes(): the first dictionary goes in the header and every
+ * later one becomes a palette switch record (type 3: varint length + RGB
+ * bytes) ahead of its scene's frames. Switch records are not counted as
+ * frames, and the frame after one is always a full frame.
+ */
+function buildBinaryPayload(width, height, fps, color, renderConfig, scenes, bg = false) {
 	const writer = new BinaryWriter();
+	const writeDict = (dict) => {
+		writer.writeVarInt(dict.length);
+		for (const c of dict) {
+			writer.writeUint8(c[0]);
+			writer.writeUint8(c[1]);
+			writer.writeUint8(c[2]);
+		}
+	};
 
 	// Header
 	writer.writeString("ASCIFY");
@@ -416,30 +487,40 @@ function buildBinaryPayload(width, height, fps, color, renderConfig, dictArray,
 	writer.writeUint16(width);
 	writer.writeUint16(height);
 	writer.writeUint8(Math.round(fps));
-	writer.writeUint8(color ? 1 : 0);
-
-	// Render Config
-	writer.writeString(renderConfig.mode || 'truecolor');
+	// Flags: bit 0 = colour, bit 1 = per-cell background indices (half-block),
+	// bit 2 = inverted ramp polarity (spaces show the theme background),
+	// bit 3 = a u16 cell aspect (width ÷ height × 1000) follows the theme, else 6:8
+	const cellAspect = renderConfig.cellAspect && renderConfig.cellAspect !== DEFAULT_CELL_ASPECT ? renderConfig.cellAspect : null;
+	writer.writeUint8((color ? 1 : 0) | (color && bg ? 2 : 0) | (renderConfig.invert ? 4 : 0) | (cellAspect ? 8 : 0));
+
+	// Render Config: ANSI modes are stored by name so players emit 16/256-colour codes
+	writer.writeString(renderConfig.ansi || renderConfig.mode || 'truecolor');
 	writer.writeString(renderConfig.theme?.fg || '#0f0');
 	writer.writeString(renderConfig.theme?.bg || '#000');
+	if (cellAspect) writer.writeUint16(Math.round(cellAspect * 1000));
 
 	// Color Dictionary
+	const dictArray = scenes[0]?.dict;
 	if (color && dictArray && dictArray.length > 0) {
-		writer.writeVarInt(dictArray.length);
-		for (const c of dictArray) {
-			writer.writeUint8(c[0]);
-			writer.writeUint8(c[1]);
-			writer.writeUint8(c[2]);
-		}
+		writeDict(dictArray);
 	} else {
 		writer.writeVarInt(0);
 	}
 
-	// Frames
-	writer.writeVarInt(encodedFrames.length);
-	for (const f of encodedFrames) {
+	// Frames, with a palette switch ahead of each scene after the first
+	const records = [];
+	for (let si = 0; si < scenes.length; si++) {
+		if (si > 0 && color) records.push({ type: 3, dict: scenes[si].dict || [] });
+		for (const f of scenes[si].encodedFrames) records.push(f);
+	}
+	writer.writeVarInt(scenes.reduce((n, s) => n + s.encodedFrames.length, 0));
+	for (const f of records) {
 		writer.writeUint8(f.type);
 		if (f.type === 0) continue; // Duplicate
+		if (f.type === 3) { // Palette switch
+			writeDict(f.dict);
+			continue;
+		}
 
 		if (f.type === 1) { // Full
 			writer.writeVarInt(f.charCounts.length);
@@ -455,6 +536,15 @@ function buildBinaryPayload(width, height, fps, color, renderConfig, dictArray,
 					writer.writeUint8(0);
 				}
 			}
+			if (color && bg) {
+				if (f.bgRLE && f.bgRLE.length > 0) {
+					writer.writeUint8(1);
+					writer.writeVarInt(f.bgRLE.length);
+					for (const c of f.bgRLE) writer.writeVarInt(c);
+				} else {
+					writer.writeUint8(0);
+				}
+			}
 		} else if (f.type === 2) { // Delta
 			writer.writeVarInt(f.charGaps.length);
 			for (const c of f.charGaps) writer.writeVarInt(c);
@@ -470,16 +560,74 @@ function buildBinaryPayload(width, height, fps, color, renderConfig, dictArray,
 					writer.writeUint8(0);
 				}
 			}
+			if (color && bg) {
+				if (f.bgGaps && f.bgGaps.length > 0) {
+					writer.writeUint8(1);
+					writer.writeVarInt(f.bgGaps.length);
+					for (const c of f.bgGaps) writer.writeVarInt(c);
+					for (const v of f.bgVals) writer.writeVarInt(v);
+				} else {
+					writer.writeUint8(0);
+				}
+			}
 		}
 	}
 
 	return writer.toBuffer();
 }
 
+/**
+ * Dither palette-mode frames before their colours are snapped.
+ * `render.dither` picks the method; frames are returned unchanged otherwise.
+ */
+function ditherFrames(frames, width, height, palette, renderConfig) {
+	const ditherer = createDitherer({ method: renderConfig.dither, palette, width, height, colorSpace: renderConfig.colorSpace });
+	return ditherer ? frames.map((f) => ditherer.apply(f)) : frames;
+}
+
+/**
+ * Split frames where `render.scenePalettes` (`[{ frame, palette }]`, from
+ * per-scene k-means) switches palette. Without it, or without colour,
+ * every frame is one scene on `palette`.
+ */
+function paletteScenes(frames, palette, renderConfig) {
+	const switches = palette && renderConfig.scenePalettes?.length
+		? renderConfig.scenePalettes
+		: [{ frame: 0, palette }];
+	const scenes = [];
+	for (let i = 0; i < switches.length; i++) {
+		// The first scene always starts the clip
+		const start = i === 0 ? 0 : switches[i].frame;
+		const end = i + 1 < switches.length ? switches[i + 1].frame : frames.length;
+		if (end > start) scenes.push({ palette: switches[i].palette, frames: frames.slice(start, end) });
+	}
+	return scenes.length ? scenes : [{ palette, frames }];
+}
+
+/**
+ * Dither, index and delta-encode frames one palette scene at a time. Each
+ * scene has its own colour dictionary, and delta encoding restarts so a
+ * scene opens on a full frame.
+ *
+ * @returns {{dict: number[][]|null, encodedFrames: object[]}[]}
+ */
+function encodeScenes(frames, { width, height, color, bg, palette, qStep, threshold, renderConfig }) {
+	return paletteScenes(frames, color ? palette : null, renderConfig).map((scene) => {
+		const sceneFrames = (color && scene.palette) ? ditherFrames(scene.frames, width, height, scene.palette, renderConfig) : scene.frames;
+		const dictInfo = color ? buildColorDict(sceneFrames, qStep, scene.palette, renderConfig.colorSpace) : null;
+		return {
+			dict: dictInfo ? dictInfo.dict : null,
+			encodedFrames: deltaEncodeFramesBinary(sceneFrames, color, dictInfo, threshold, bg),
+		};
+	});
+}
+
 /**
  * Generate the web bundle files (batch mode – all frames in memory).
+ * Frames may be PackedFrames or plain `{ chars, colors?, bgColors? }` objects.
  */
-export async function generateBundle({ frames, width, height, fps, color, outputDir, render, qStep }) {
+export async function generateBundle({ frames: sourceFrames, width, height, fps, color, outputDir, render, qStep }) {
+	const frames = sourceFrames.map((f) => PackedFrame.from(f));
 	if (outputDir && isNode) {
 		const { mkdir } = await import('node:fs/promises');
 		await mkdir(outputDir, { recursive: true });
@@ -488,20 +636,15 @@ export async function generateBundle({ frames, width, height, fps, color, output
 	const palette = renderConfig.mode === 'palette' ? renderConfig.palette : null;
 	const qStepVal = palette ? 1 : (typeof qStep === 'number' ? qStep : 24);
 	const deltaThreshold = qStepVal * qStepVal * 1.05;
+	const includeBg = !!color && frames.some((f) => f.bgRgb);
 
-	// Build colour dictionary
-	let dictInfo = null;
-	let dictArray = null;
-	if (color) {
-		dictInfo = buildColorDict(frames, qStepVal, palette);
-		dictArray = dictInfo.dict;
-	}
-
-	// V5 compact binary encoding
-	const encodedFrames = deltaEncodeFramesBinary(frames, color, dictInfo, deltaThreshold);
+	// Colour dictionaries and V5 compact binary encoding, per palette scene
+	const scenes = encodeScenes(frames, {
+		width, height, color, bg: includeBg, palette, qStep: qStepVal, threshold: deltaThreshold, renderConfig
+	});
 
 	// Generate binary buffer directly
-	const rawBin = buildBinaryPayload(width, height, fps, color, renderConfig, dictArray, encodedFrames);
+	const rawBin = buildBinaryPayload(width, height, fps, color, renderConfig, scenes, includeBg);
 
 	// Gzip the binary payload
 	let compressed;
@@ -530,7 +673,7 @@ export async function generateBundle({ frames, width, height, fps, color, output
 		]);
 	}
 
-	const rawSize = frames.reduce((sum, f) => sum + f.chars.length, 0);
+	const rawSize = frames.reduce((sum, f) => sum + f.codes.length, 0);
 
 	return {
 		bundlePath, htmlPath,
@@ -564,26 +707,22 @@ export function createBundleWriter({ width, height, fps, color, outputDir, rende
 	let rawCharsSize = 0;
 
 	const writeFrame = (frame) => {
-		allFrames.push(frame);
-		rawCharsSize += frame.chars.length;
+		const packed = PackedFrame.from(frame);
+		allFrames.push(packed);
+		rawCharsSize += packed.codes.length;
 	};
 
 	const finalize = async () => {
-		const includeColor = color && allFrames.some((f) => f.colors);
-
-		// Build colour dictionary across all frames
-		let dictInfo = null;
-		let dictArray = null;
-		if (includeColor) {
-			dictInfo = buildColorDict(allFrames, qStepVal, palette);
-			dictArray = dictInfo.dict;
-		}
+		const includeColor = color && allFrames.some((f) => f.rgb);
+		const includeBg = includeColor && allFrames.some((f) => f.bgRgb);
 
-		// V5 compact binary encoding
-		const encodedFrames = deltaEncodeFramesBinary(allFrames, includeColor, dictInfo, deltaThreshold);
+		// Colour dictionaries and V5 compact binary encoding, per palette scene
+		const scenes = encodeScenes(allFrames, {
+			width, height, color: includeColor, bg: includeBg, palette, qStep: qStepVal, threshold: deltaThreshold, renderConfig
+		});
 
 		// Generate binary buffer directly
-		const rawBin = buildBinaryPayload(width, height, fps, includeColor, renderConfig, dictArray, encodedFrames);
+		const rawBin = buildBinaryPayload(width, height, fps, includeColor, renderConfig, scenes, includeBg);
 
 		let compressed;
 		if (isNode) {
@@ -698,10 +837,9 @@ function buildDemoHTML(width, height, frameCount, fps) {
         document.body.style.background = e.data.color || 'transparent';
       }
     });
-    function fitAscii(pre, cols, rows) {
+    function fitAscii(pre, cols, rows, lh) {
       // Measure one character width at a known font size
       var testSize = 100;
-      var lh = 0.8; // match player line-height: 0.8em
       pre.style.fontSize = testSize + 'px';
       pre.style.lineHeight = lh + 'em';
       var span = document.createElement('span');
@@ -724,9 +862,10 @@ function buildDemoHTML(width, height, frameCount, fps) {
       var container = document.getElementById('player-container');
       player.mount(container);
       var pre = container.querySelector('pre');
-      if (pre) fitAscii(pre, player.width, player.height);
+      // Keep the player's line height, which sets the cell aspect
+      if (pre) fitAscii(pre, player.width, player.height, player.lineHeight);
       window.addEventListener('resize', function() {
-        if (pre) fitAscii(pre, player.width, player.height);
+        if (pre) fitAscii(pre, player.width, player.height, player.lineHeight);
       });
       player.play();
     });
@@ -0,0 +1,239 @@
+/**
+ * ASCII-fi – Caption burn-in.
+ *
+ * Reads SRT or WebVTT subtitles and writes the active cue into each
+ * frame's character grid, so captions travel with the frame data into the
+ * bundle, the GIF and terminal playback alike.
+ *
+ * Captions sit on a full-width strip of blank rows (optionally coloured)
+ * at the top or bottom of the grid, word-wrapped and centred. Cue text is
+ * folded to printable ASCII – the players and the GIF font all draw that –
+ * and the cells are flagged in the frame's `textMask` so the GIF writer
+ * draws them as letters rather than density shapes.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+export const CAPTION_POSITIONS = ['bottom', 'top'];
+export const DEFAULT_CAPTION_STYLE = Object.freeze({ position: 'bottom', margin: 1, padding: 0, background: 'none', color: '#ffffff' });
+const MAX_CAPTION_SPACING = 20;
+
+const SPACE = 0x20;
+// Strip filler when it has a colour: players skip backgrounds on plain spaces
+const NBSP = 0xa0;
+
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/;
+
+function parseTimestamp(str) {
+	const m = TIMESTAMP.exec(str);
+	if (!m) return null;
+	const [, h = '0', min, sec, frac = '0'] = m;
+	return Number(h) * 3600 + Number(min) * 60 + Number(sec) + Number(`0.${frac}`);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const PUNCTUATION = { '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...', '♪': '#' };
+
+/** Strip markup and fold to printable ASCII (accents dropped, the rest as '?'). */
+function cleanCueText(text) {
+	return text
+		.replace(/<[^>]*>/g, '')
+		.replace(/\{\\[^}]*\}/g, '')
+		.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (_, name) => ENTITIES[name])
+		.replace(/[‘’“”–—…♪]/g, (ch) => PUNCTUATION[ch])
+		.normalize('NFKD')
+		.replace(/\p{M}/gu, '')
+		.replace(/\t/g, ' ')
+		.replace(/[^\n\x20-\x7e]/g, '?')
+		.split('\n')
+		.map((line) => line.trim())
+		.filter(Boolean)
+		.join('\n');
+}
+
+/**
+ * Parse SRT or WebVTT text into cues sorted by start time. Headers,
+ * NOTE/STYLE blocks, cue numbers and cue settings are skipped.
+ *
+ * @param {string} text
+ * @returns {{start: number, end: number, text: string}[]} Times in seconds
+ */
+export function parseCaptions(text) {
+	const blocks = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+	const cues = [];
+	for (const block of blocks) {
+		const lines = block.split('\n');
+		const timing = lines.findIndex((line) => line.includes('-->'));
+		if (timing < 0 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+		const m = /^\s*(\S+)\s+-->\s+(\S+)/.exec(lines[timing]);
+		const start = m && parseTimestamp(m[1]);
+		const end = m && parseTimestamp(m[2]);
+		if (start === null || end === null) {
+			throw new TypeError(`Bad caption timing "${lines[timing].trim()}"`);
+		}
+		const cueText = cleanCueText(lines.slice(timing + 1).join('\n'));
+		if (end > start && cueText) cues.push({ start, end, text: cueText });
+	}
+	return cues.sort((a, b) => a.start - b.start);
+}
+
+function parseHex(value, field) {
+	const m = /^#?([0-9a-fA-F]{6})$/.exec(typeof value === 'string' ? value : '');
+	if (!m) throw new TypeError(`Caption ${field} must be a hex colour like #ffffff (got "${value}")`);
+	const n = parseInt(m[1], 16);
+	return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Validate a `captions` options object (or a bare file path).
+ *
+ * @param {string|object} captions
+ * @param {string} [captions.path] - .srt or .vtt file
+ * @param {{start: number, end: number, text: string}[]} [captions.cues] - Already parsed cues
+ * @param {string} [captions.position] - 'bottom' | 'top'
+ * @param {number} [captions.margin] - Rows between the strip and the grid edge (0–20)
+ * @param {number} [captions.padding] - Blank strip rows above and below the text (0–20)
+ * @param {string} [captions.background] - Strip colour as #rrggbb, or 'none' for blank cells
+ * @param {string} [captions.color] - Text colour as #rrggbb (colour modes only)
+ * @returns {{path: string|null, cues: object[]|null, style: {position: string, margin: number, padding: number, background: number[]|null, color: number[]}}}
+ */
+export function resolveCaptions(captions) {
+	const opts = typeof captions === 'string' ? { path: captions } : (captions || {});
+	const path = typeof opts.path === 'string' && opts.path ? opts.path : null;
+	const cues = Array.isArray(opts.cues) ? opts.cues : null;
+	if (!path && !cues) throw new TypeError('Captions need a path to an .srt/.vtt file or a list of cues');
+
+	const style = { ...DEFAULT_CAPTION_STYLE };
+	for (const key of Object.keys(DEFAULT_CAPTION_STYLE)) {
+		if (opts[key] !== undefined) style[key] = opts[key];
+	}
+	if (!CAPTION_POSITIONS.includes(style.position)) {
+		throw new TypeError(`Unknown caption position "${style.position}" (expected ${CAPTION_POSITIONS.join(', ')})`);
+	}
+	for (const key of ['margin', 'padding']) {
+		if (!Number.isInteger(style[key]) || style[key] < 0 || style[key] > MAX_CAPTION_SPACING) {
+			throw new RangeError(`Caption ${key} must be a whole number of rows from 0 to ${MAX_CAPTION_SPACING}`);
+		}
+	}
+	return {
+		path,
+		cues,
+		style: {
+			position: style.position,
+			margin: style.margin,
+			padding: style.padding,
+			background: style.background === 'none' ? null : parseHex(style.background, 'background'),
+			color: parseHex(style.color, 'color'),
+		},
+	};
+}
+
+/**
+ * Resolve `captions` and read its subtitle file, if any.
+ *
+ * @param {string|object} captions - See resolveCaptions()
+ * @returns {Promise<{cues: object[], style: object}>}
+ */
+export async function loadCaptions(captions) {
+	const { path, cues, style } = resolveCaptions(captions);
+	if (cues) return { cues: [...cues].sort((a, b) => a.start - b.start), style };
+	let text;
+	try {
+		text = await readFile(path, 'utf8');
+	} catch (err) {
+		throw new Error(`Could not read captions ${path}: ${err.message}`);
+	}
+	const parsed = parseCaptions(text);
+	if (!parsed.length) throw new Error(`No caption cues found in ${path}`);
+	return { cues: parsed, style };
+}
+
+/**
+ * Text on screen at `time`: every cue that has started and not yet
+ * ended, one per line, or null between cues.
+ *
+ * @param {{start: number, end: number, text: string}[]} cues - Sorted by start
+ * @param {number} time - Seconds, on the source timeline
+ * @returns {string|null}
+ */
+export function captionAt(cues, time) {
+	let text = null;
+	for (const cue of cues) {
+		if (cue.start > time) break;
+		if (time < cue.end) text = text === null ? cue.text : `${text}\n${cue.text}`;
+	}
+	return text;
+}
+
+/** Word-wrap to `cols` columns, splitting words that are longer than a line. */
+function wrapText(text, cols) {
+	const out = [];
+	for (const para of text.split('\n')) {
+		let line = '';
+		for (let word of para.split(/ +/)) {
+			while (word.length > cols) {
+				if (line) { out.push(line); line = ''; }
+				out.push(word.slice(0, cols));
+				word = word.slice(cols);
+			}
+			if (!word) continue;
+			if (line && line.length + 1 + word.length > cols) { out.push(line); line = ''; }
+			line = line ? `${line} ${word}` : word;
+		}
+		if (line) out.push(line);
+	}
+	return out;
+}
+
+/**
+ * Write `text` into a frame as a caption strip. The frame is modified in
+ * place: glyphs, colours (when it has them) and `textMask`; a coloured
+ * strip also fills `bgRgb`/`bgMask`. Lines that don't fit are dropped.
+ *
+ * @param {import('./frame.js').PackedFrame} frame
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @param {string|null} text - Caption, as from captionAt(); null leaves the frame alone
+ * @param {ReturnType<typeof resolveCaptions>['style']} style
+ * @returns {import('./frame.js').PackedFrame}
+ */
+export function burnCaption(frame, width, height, text, style) {
+	if (!text) return frame;
+	const { padding, margin, color } = style;
+	const room = height - margin - padding * 2;
+	if (room < 1) return frame;
+	// One blank column either side keeps the text off the grid edge
+	const lines = wrapText(text, Math.max(1, width - 2)).slice(0, room);
+	const stripH = lines.length + padding * 2;
+	const top = style.position === 'top' ? margin : height - margin - stripH;
+
+	const { codes, rgb } = frame;
+	// Mono frames have no colour planes: their strip is blank cells
+	const background = rgb ? style.background : null;
+	if (background && !frame.bgRgb) {
+		frame.bgRgb = new Uint8Array(codes.length * 3);
+		frame.bgMask = new Uint8Array(codes.length);
+	}
+	if (!frame.textMask) frame.textMask = new Uint8Array(codes.length);
+	const blank = background ? NBSP : SPACE;
+
+	for (let row = top; row < top + stripH; row++) {
+		const line = lines[row - top - padding] || '';
+		const left = Math.floor((width - line.length) / 2);
+		for (let col = 0; col < width; col++) {
+			const i = row * width + col;
+			const code = (col >= left && col < left + line.length) ? line.charCodeAt(col - left) : SPACE;
+			const lit = code !== SPACE;
+			codes[i] = lit ? code : blank;
+			frame.textMask[i] = 1;
+			if (rgb) rgb.set(lit ? color : (background || color), i * 3);
+			if (background) {
+				frame.bgRgb.set(background, i * 3);
+				frame.bgMask[i] = 1;
+			} else if (frame.bgMask) {
+				frame.bgMask[i] = 0;
+			}
+		}
+	}
+	return frame;
+}
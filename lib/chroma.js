@@ -0,0 +1,108 @@
+/**
+ * ASCII-fi – Chroma-key foreground masks.
+ *
+ * Colour-difference keying for green/blue screen footage. Each pixel's
+ * chroma (its colour minus its grey level) is split into the part along
+ * the key colour's hue and the part off it. The difference of the two is
+ * the pixel's key strength: high on the screen, whatever its brightness,
+ * and zero or negative on skin, props and neutral greys.
+ *
+ * A cell is background when most of its pixels are keyed. Spill
+ * suppression pulls the remaining key-coloured cast (green fringes,
+ * reflections) out of every pixel that has one, before the engine
+ * samples colours. Removing a grey-free component keeps brightness.
+ */
+
+export const DEFAULT_CHROMA_KEY = Object.freeze({ key: '#00ff00', tolerance: 70, spill: 0.5 });
+
+/**
+ * Validate the chroma-key fields of a foreground options object.
+ *
+ * @param {object} [foreground]
+ * @param {string} [foreground.key] - Screen colour as #rrggbb
+ * @param {number} [foreground.tolerance] - 0–100: how far below the key's own
+ *   strength a pixel may fall and still be keyed (100 = anything with the key hue)
+ * @param {number} [foreground.spill] - 0–1: share of the key-coloured cast removed
+ * @returns {{key: number[], tolerance: number, spill: number}}
+ */
+export function resolveChromaKey(foreground = {}) {
+	const { key, tolerance, spill } = { ...DEFAULT_CHROMA_KEY, ...stripUndefined(foreground) };
+	const m = /^#?([0-9a-fA-F]{6})$/.exec(typeof key === 'string' ? key : '');
+	if (!m) throw new TypeError(`Chroma key must be a hex colour like #00ff00 (got "${key}")`);
+	const n = parseInt(m[1], 16);
+	const rgb = [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+	if (keyAxis(rgb).strength < 8) {
+		throw new TypeError(`Chroma key ${key} is too close to grey to key on`);
+	}
+	if (typeof tolerance !== 'number' || !(tolerance >= 0 && tolerance <= 100)) {
+		throw new RangeError('Chroma key tolerance must be a number from 0 to 100');
+	}
+	if (typeof spill !== 'number' || !(spill >= 0 && spill <= 1)) {
+		throw new RangeError('Chroma key spill must be a number from 0 to 1');
+	}
+	return { key: rgb, tolerance, spill };
+}
+
+function stripUndefined(obj) {
+	const out = {};
+	for (const [k, v] of Object.entries(obj || {})) if (v !== undefined) out[k] = v;
+	return out;
+}
+
+/** Unit vector along the key's chroma, and the key's own strength on it. */
+function keyAxis([r, g, b]) {
+	const mean = (r + g + b) / 3;
+	const cr = r - mean, cg = g - mean, cb = b - mean;
+	const strength = Math.sqrt(cr * cr + cg * cg + cb * cb);
+	return strength ? { ar: cr / strength, ag: cg / strength, ab: cb / strength, strength } : { strength };
+}
+
+const clampByte = (v) => (v <= 0 ? 0 : v >= 255 ? 255 : Math.round(v));
+
+/**
+ * Build the per-cell foreground mask for one frame and suppress spill.
+ * `pixels` is modified in place when `chroma.spill` is above 0.
+ *
+ * @param {Uint8Array} pixels - RGB24 frame
+ * @param {number} srcW
+ * @param {number} srcH
+ * @param {number} outW - Grid width in cells
+ * @param {number} outH - Grid height in cells
+ * @param {ReturnType<typeof resolveChromaKey>} chroma
+ * @returns {Uint8Array} 1 per foreground cell
+ */
+export function keyFrame(pixels, srcW, srcH, outW, outH, chroma) {
+	const { ar, ag, ab, strength } = keyAxis(chroma.key);
+	const minScore = strength * (1 - chroma.tolerance / 100);
+	const spill = chroma.spill;
+	const keyed = new Uint32Array(outW * outH);
+	const total = new Uint32Array(outW * outH);
+
+	for (let y = 0; y < srcH; y++) {
+		const row = Math.min(outH - 1, Math.floor((y * outH) / srcH)) * outW;
+		for (let x = 0; x < srcW; x++) {
+			const cell = row + Math.min(outW - 1, Math.floor((x * outW) / srcW));
+			total[cell]++;
+			const o = (y * srcW + x) * 3;
+			const r = pixels[o], g = pixels[o + 1], b = pixels[o + 2];
+			const mean = (r + g + b) / 3;
+			const cr = r - mean, cg = g - mean, cb = b - mean;
+			const along = cr * ar + cg * ag + cb * ab;
+			if (along <= 0) continue;
+			const dr = cr - along * ar, dg = cg - along * ag, db = cb - along * ab;
+			const score = along - Math.sqrt(dr * dr + dg * dg + db * db);
+			if (score <= 0) continue;
+			if (score > minScore) keyed[cell]++;
+			if (spill) {
+				const d = score * spill;
+				pixels[o] = clampByte(r - d * ar);
+				pixels[o + 1] = clampByte(g - d * ag);
+				pixels[o + 2] = clampByte(b - d * ab);
+			}
+		}
+	}
+
+	const mask = new Uint8Array(outW * outH);
+	for (let i = 0; i < mask.length; i++) mask[i] = keyed[i] * 2 > total[i] ? 0 : 1;
+	return mask;
+}
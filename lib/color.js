@@ -0,0 +1,86 @@
+/**
+ * ASCII-fi – Colour space helpers.
+ *
+ * 'rgb' works on gamma-encoded sRGB bytes directly (the historical
+ * behaviour). 'oklab' averages cells in linear light and measures colour
+ * distance in OKLab (Björn Ottosson, 2020), where equal steps look
+ * roughly equally different, so dark regions keep their hue and palette
+ * snapping picks the colour a viewer would.
+ */
+
+export const COLOR_SPACES = ['rgb', 'oklab'];
+
+/**
+ * Validate a colour space name.
+ *
+ * @param {string} [colorSpace]
+ * @returns {'rgb'|'oklab'}
+ */
+export function resolveColorSpace(colorSpace = 'rgb') {
+	if (!COLOR_SPACES.includes(colorSpace)) {
+		throw new TypeError(`Unknown colour space "${colorSpace}" (expected ${COLOR_SPACES.join(', ')})`);
+	}
+	return colorSpace;
+}
+
+/** Linear-light value (0–1) of every sRGB byte. */
+export const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+	const c = i / 255;
+	SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Linear-light value of an sRGB channel. Fractional and out-of-range
+ * inputs (dither error pushes values past 0–255) extend the curve
+ * symmetrically instead of clipping.
+ */
+function toLinear(v) {
+	if (v >= 0 && v <= 255 && v === (v | 0)) return SRGB_TO_LINEAR[v];
+	const c = Math.abs(v) / 255;
+	const lin = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+	return v < 0 ? -lin : lin;
+}
+
+/**
+ * Encode a linear-light value (0–1) back to the sRGB 0–255 range.
+ * Returns a float so callers can round as they already do.
+ */
+export function linearToSrgb(v) {
+	if (v <= 0) return 0;
+	if (v >= 1) return 255;
+	return 255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055);
+}
+
+/**
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b - sRGB channel values, nominally 0–255
+ * @returns {number[]} [L, a, b], L in 0–1
+ */
+export function srgbToOklab(r, g, b) {
+	const lr = toLinear(r), lg = toLinear(g), lb = toLinear(b);
+	const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+	const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+	const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+	return [
+		0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+		1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+		0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+	];
+}
+
+/**
+ * @param {number[]} lab - [L, a, b]
+ * @returns {number[]} [r, g, b] sRGB bytes, clipped to gamut
+ */
+export function oklabToSrgb([L, a, b]) {
+	const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+	const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+	const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+	return [
+		Math.round(linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s)),
+		Math.round(linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s)),
+		Math.round(linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)),
+	];
+}
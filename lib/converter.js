@@ -10,8 +10,14 @@ import { spawn } from 'node:child_process';
 import { extname } from 'node:path';
 import ffmpegPath from 'ffmpeg-static';
 import ffprobeStatic from 'ffprobe-static';
-import { CELL_W, CELL_H } from './gif.js';
-import { AsciiEngine } from './engine.js';
+import { resolveCellAspect } from './gif.js';
+import { AsciiEngine, getSampleFactor } from './engine.js';
+import { FramePool, resolveWorkers } from './frame-pool.js';
+import { resolveChromaKey, keyFrame } from './chroma.js';
+import { resolveMaskSources, maskAtTime } from './mask.js';
+import { loadCaptions, captionAt, burnCaption } from './captions.js';
+import { createSceneTone, resolveClahe, applyClahe } from './tone.js';
+import { loadLook, applyLook } from './look.js';
 
 const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.tiff', '.tif']);
 
@@ -19,6 +25,13 @@ function isImageFile(filePath) {
 	return IMAGE_EXTENSIONS.has(extname(filePath).toLowerCase());
 }
 
+/** Resolve a `clahe` option to applyClahe() settings, with tiles sized in sampled pixels. */
+function claheFor(clahe, sampleFactor) {
+	if (!clahe) return null;
+	const { tileSize, clipLimit } = resolveClahe(clahe);
+	return { tileSize: tileSize * sampleFactor, clipLimit };
+}
+
 
 /**
  * Probe the input video to discover its dimensions and frame rate.
@@ -148,14 +161,34 @@ export async function probeImage(inputPath) {
  * @param {string}   opts.inputPath   – Path to input video file.
  * @param {number}   opts.outputWidth – Target ASCII width (characters).
  * @param {boolean}  opts.color       – If true, store per-char RGB values.
- * @param {function} [opts.onFrame]   – Callback invoked with (frameIndex, asciiFrame).
- * @param {object}   [opts.foreground] – Foreground isolation options (mode/background/threshold/modelPath).
- * @returns {Promise<{ frames: any[], width: number, height: number, fps: number }>}
+ * @param {function} [opts.onFrame]   – Callback invoked with (frameIndex, PackedFrame). The frame's
+ *                                      `chars`/`colors` getters give the string/array view.
+ * @param {object}   [opts.foreground] – Foreground isolation options (mode/background/threshold/modelPath,
+ *                                      plus key/tolerance/spill for 'chroma' and maskPath for 'mask').
+ * @param {string}   [opts.ramp]      – Custom glyph ramp (sorted by density in the engine).
+ * @param {object}   [opts.stabilize] – Temporal stabilisation ({ threshold, hysteresis, vote }).
+ * @param {object}   [opts.edge]      – Sobel edge-mode settings ({ threshold, nms }).
+ * @param {string}   [opts.colorSpace] – 'rgb' (default) or 'oklab' linear-light cell averaging.
+ * @param {boolean}  [opts.invert]    – Inverted ramp polarity for light backgrounds (dark = dense).
+ * @param {number|string} [opts.cellAspect] – Cell width ÷ height the output is viewed at, or a preset
+ *                                      ('gif', 'web', 'terminal'); sets the grid height (default 'gif').
+ * @param {number|string} [opts.workers] – Worker threads for the per-cell pass (default 1 = none,
+ *                                      'auto' = one per spare core). Frames keep their order.
+ * @param {string|object} [opts.captions] – Subtitle file (or { path, position, margin, padding,
+ *                                      background, color }) burned into each frame, see captions.js.
+ * @param {object}   [opts.sceneTone] – Re-tone every shot instead of using `tone`: { toneFor(stats),
+ *                                      threshold, transition }, see createSceneTone() in tone.js.
+ *                                      Applied in JS; the result's `scenes` lists each shot's tone.
+ * @param {object}   [opts.look]      – Grade applied after the tone: { curve, points, lut }, a named
+ *                                      tone curve, custom curve points and/or a .cube LUT (see look.js).
+ * @param {boolean|object} [opts.clahe] – Local contrast pass before the engine: true or
+ *                                      { tileSize (cells), clipLimit }, see applyClahe() in tone.js.
+ * @returns {Promise<{ frames: PackedFrame[], width: number, height: number, fps: number, scenes: object[]|null }>}
  */
-export async function convert({ inputPath, outputWidth = 100, outputHeight, color = false, onFrame, startTime, endTime, meta, collectFrames = true, targetFps, tone, charMode = 'ascii', foreground = null, crop = null, signal = null, detail = 100 }) {
+export async function convert({ inputPath, outputWidth = 100, outputHeight, color = false, onFrame, startTime, endTime, meta, collectFrames = true, targetFps, tone, charMode = 'ascii', foreground = null, crop = null, signal = null, detail = 100, ramp = null, stabilize = {}, edge = {}, colorSpace = 'rgb', invert = false, cellAspect = 'gif', workers = 1, captions = null, sceneTone = null, look = null, clahe = null }) {
 	// Check if input is a still image
 	if (isImageFile(inputPath)) {
-		return convertImage({ inputPath, outputWidth, outputHeight, color, onFrame, meta, collectFrames, tone, charMode, foreground, crop, signal, detail });
+		return convertImage({ inputPath, outputWidth, outputHeight, color, onFrame, meta, collectFrames, tone, charMode, foreground, crop, signal, detail, ramp, stabilize, edge, colorSpace, invert, cellAspect, captions, look, clahe });
 	}
 
 	// 1. Probe video for metadata
@@ -163,23 +196,33 @@ export async function convert({ inputPath, outputWidth = 100, outputHeight, colo
 		? meta
 		: await probeVideo(inputPath);
 
-	const engine = new AsciiEngine();
+	const engine = new AsciiEngine({ ramp, stabilize, edge, colorSpace, invert });
+	const workerCount = resolveWorkers(workers);
 
 	// Compute ASCII grid height that preserves the source video's visual aspect ratio.
-	// Each character cell renders as CELL_W × CELL_H pixels in the GIF, or
-	// ≈0.6em × 0.8em in the browser player (which gives the same 0.75 ratio).
-	// To match the source aspect: rows = cols × (srcH / srcW) × (CELL_W / CELL_H)
+	// Each character cell is viewed at `cellAspect` (width ÷ height): 6×8 pixels
+	// in the GIF, ≈0.6em × 0.8em in the browser player, about 1:2 in a terminal.
+	// To match the source aspect: rows = cols × (srcH / srcW) × cellAspect
 	const srcH = crop && crop.h ? crop.h : info.height;
 	const srcW = (crop && crop.w ? crop.w : info.width) * (info.sar || 1);
-	const targetHeight = outputHeight || Math.round(outputWidth * (srcH / srcW) * (CELL_W / CELL_H));
+	const targetHeight = outputHeight || Math.round(outputWidth * (srcH / srcW) * resolveCellAspect(cellAspect));
 	const asciiHeight = Math.max(1, targetHeight);
 	// Ensure even (FFmpeg -2 requirement)
 	const evenHeight = asciiHeight % 2 === 0 ? asciiHeight : asciiHeight + 1;
-	// ASCII mode uses 4× oversampling for 2×2 quadrant edge detection;
+	// ASCII/braille modes oversample 4× for sub-cell shape detection;
 	// block mode only needs average colour so 2× is sufficient.
-	const sampleFactor = charMode === 'block' ? 2 : 4;
+	const sampleFactor = getSampleFactor(charMode);
 	const scaledW = outputWidth * sampleFactor;
 	const scaledH = evenHeight * sampleFactor;
+	const claheOpts = claheFor(clahe, sampleFactor);
+
+	// Mask images, captions and LUTs are read before the video so a bad path fails fast
+	const maskTrack = foreground?.mode === 'mask'
+		? await loadMaskTrack(resolveMaskSources(foreground), outputWidth, evenHeight, crop)
+		: null;
+	const captionTrack = captions ? await loadCaptions(captions) : null;
+	const grade = look ? await loadLook(look) : null;
+	const frameRate = targetFps || info.fps || 24;
 
 	// 2. Spawn FFmpeg – stream raw RGB24 pixels to stdout
 	const filters = [];
@@ -191,7 +234,9 @@ export async function convert({ inputPath, outputWidth = 100, outputHeight, colo
 	filters.push(`scale=${scaledW}:${scaledH}:flags=lanczos`);
 
 	if (targetFps) filters.push(`fps=${targetFps}`);
-	if (tone) {
+	// Scene tone varies over time, so it is applied per frame in JS instead
+	const sceneTracker = sceneTone ? createSceneTone(sceneTone) : null;
+	if (tone && !sceneTracker) {
 		const contrast = typeof tone.contrast === 'number' ? tone.contrast : 1.0;
 		const brightness = typeof tone.brightness === 'number' ? tone.brightness : 0.0;
 		const saturation = typeof tone.saturation === 'number' ? tone.saturation : 1.0;
@@ -218,7 +263,8 @@ export async function convert({ inputPath, outputWidth = 100, outputHeight, colo
 	const frames = collectFrames ? [] : null;
 	let buffer = Buffer.alloc(0);
 	let frameIndex = 0;
-	const fg = foreground && (foreground.mode === 'motion' || foreground.mode === 'ml') ? foreground : null;
+	const fg = foreground && ['motion', 'ml', 'chroma', 'mask'].includes(foreground.mode) ? foreground : null;
+	const chroma = fg && fg.mode === 'chroma' ? resolveChromaKey(fg) : null;
 	let processing = Promise.resolve();
 	let aborted = false;
 
@@ -231,7 +277,13 @@ export async function convert({ inputPath, outputWidth = 100, outputHeight, colo
 		}, { once: true });
 	}
 
-	return new Promise((resolve, reject) => {
+	// Pass 1 fans out across the pool; pass 2 (temporal state) runs here in frame order
+	const pool = workerCount > 1 ? new FramePool(workerCount, { ramp, edge: engine.edge, colorSpace, invert }) : null;
+	// Pause FFmpeg once this many frames are waiting, so decoded pixels don't pile up
+	const maxPending = workerCount * 2;
+	let pending = 0;
+
+	const result = new Promise((resolve, reject) => {
 		proc.stdout.on('data', (chunk) => {
 			// Accumulate data – handles partial & multi-frame chunks
 			buffer = Buffer.concat([buffer, chunk]);
@@ -243,16 +295,36 @@ export async function convert({ inputPath, outputWidth = 100, outputHeight, colo
 				const pixels = Uint8Array.from(frameBuf);
 				const idx = frameIndex;
 				frameIndex++;
+				const time = (startTime || 0) + idx / frameRate;
+				// Toned in arrival order: cut detection compares each frame with the last
+				if (sceneTracker) sceneTracker.apply(pixels, idx, time);
+				// Keyed before the pool sees the pixels: spill suppression edits them.
+				// Mask images and captions are picked by the frame's source time.
+				const presetMask = chroma ? keyFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, chroma)
+					: maskTrack ? maskAtTime(maskTrack, time)
+						: null;
+				if (grade) applyLook(pixels, grade);
+				if (claheOpts) applyClahe(pixels, scaledW, scaledH, claheOpts);
+				// The ML mask still needs the pixels, so only hand them over otherwise
+				const analysis = pool
+					? pool.analyze(pixels, scaledW, scaledH, outputWidth, evenHeight, sampleFactor, color, charMode, detail, { transfer: !(fg && fg.mode === 'ml') })
+					: null;
+				if (++pending >= maxPending) proc.stdout.pause();
 
 				processing = processing.then(async () => {
 					if (aborted) return;
 					const fgMask = (fg && fg.mode === 'ml')
 						? await buildMlMask(pixels, scaledW, scaledH, outputWidth, evenHeight, fg)
-						: null;
-					const frame = engine.processFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, sampleFactor, color, charMode, foreground, fgMask, detail);
+						: presetMask;
+					const frame = analysis
+						? engine.assembleFrame(await analysis, outputWidth, evenHeight, color, charMode, foreground, fgMask)
+						: engine.processFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, sampleFactor, color, charMode, foreground, fgMask, detail);
+					if (captionTrack) burnCaption(frame, outputWidth, evenHeight, captionAt(captionTrack.cues, time), captionTrack.style);
 					if (frames) frames.push(frame);
 					if (onFrame) await onFrame(idx, frame);
-				}).catch(reject);
+				}).catch(reject).finally(() => {
+					if (--pending < maxPending && proc.stdout.isPaused()) proc.stdout.resume();
+				});
 
 				// Advance past the consumed frame
 				buffer = buffer.subarray(frameByteLength);
@@ -280,12 +352,15 @@ export async function convert({ inputPath, outputWidth = 100, outputHeight, colo
 					height: evenHeight,
 					fps: targetFps || info.fps,
 					duration,
+					scenes: sceneTracker ? sceneTracker.scenes : null,
 				});
 			}).catch(reject);
 		});
 
 		proc.on('error', reject);
 	});
+
+	return pool ? result.finally(() => pool.destroy()) : result;
 }
 
 /**
@@ -294,23 +369,26 @@ export async function convert({ inputPath, outputWidth = 100, outputHeight, colo
  * @param {object} opts - Same options as convert(), but for still images
  * @returns {Promise<{ frames: any[], width: number, height: number, fps: number }>}
  */
-async function convertImage({ inputPath, outputWidth = 100, outputHeight, color = false, onFrame, meta, collectFrames = true, tone, charMode = 'ascii', foreground = null, crop = null, signal = null, detail = 100 }) {
+async function convertImage({ inputPath, outputWidth = 100, outputHeight, color = false, onFrame, meta, collectFrames = true, tone, charMode = 'ascii', foreground = null, crop = null, signal = null, detail = 100, ramp = null, stabilize = {}, edge = {}, colorSpace = 'rgb', invert = false, cellAspect = 'gif', captions = null, look = null, clahe = null }) {
 	// 1. Probe image for metadata
 	const info = (meta && meta.width && meta.height)
 		? meta
 		: await probeImage(inputPath);
 
-	const engine = new AsciiEngine();
+	const engine = new AsciiEngine({ ramp, stabilize, edge, colorSpace, invert });
 
 	// Compute ASCII grid height
 	const srcH = crop && crop.h ? crop.h : info.height;
 	const srcW = (crop && crop.w ? crop.w : info.width) * (info.sar || 1);
-	const targetHeight = outputHeight || Math.round(outputWidth * (srcH / srcW) * (CELL_W / CELL_H));
+	const targetHeight = outputHeight || Math.round(outputWidth * (srcH / srcW) * resolveCellAspect(cellAspect));
 	const asciiHeight = Math.max(1, targetHeight);
 	const evenHeight = asciiHeight % 2 === 0 ? asciiHeight : asciiHeight + 1;
-	const sampleFactor = charMode === 'block' ? 2 : 4;
+	const sampleFactor = getSampleFactor(charMode);
 	const scaledW = outputWidth * sampleFactor;
 	const scaledH = evenHeight * sampleFactor;
+	const claheOpts = claheFor(clahe, sampleFactor);
+	const captionTrack = captions ? await loadCaptions(captions) : null;
+	const grade = look ? await loadLook(look) : null;
 
 	// 2. Build FFmpeg filter chain
 	const filters = [];
@@ -378,12 +456,19 @@ async function convertImage({ inputPath, outputWidth = 100, outputHeight, color
 			const pixels = Uint8Array.from(buffer.subarray(0, frameByteLength));
 
 			try {
-				const fg = foreground && (foreground.mode === 'motion' || foreground.mode === 'ml') ? foreground : null;
+				const fg = foreground && ['motion', 'ml', 'chroma', 'mask'].includes(foreground.mode) ? foreground : null;
 				const fgMask = (fg && fg.mode === 'ml')
 					? await buildMlMask(pixels, scaledW, scaledH, outputWidth, evenHeight, fg)
-					: null;
+					: (fg && fg.mode === 'chroma')
+						? keyFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, resolveChromaKey(fg))
+						: (fg && fg.mode === 'mask')
+							? maskAtTime(await loadMaskTrack(resolveMaskSources(fg), outputWidth, evenHeight, crop), 0)
+							: null;
+				if (grade) applyLook(pixels, grade);
+				if (claheOpts) applyClahe(pixels, scaledW, scaledH, claheOpts);
 
 				const frame = engine.processFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, sampleFactor, color, charMode, foreground, fgMask, detail);
+				if (captionTrack) burnCaption(frame, outputWidth, evenHeight, captionAt(captionTrack.cues, 0), captionTrack.style);
 
 				if (frames) frames.push(frame);
 				if (onFrame) await onFrame(0, frame);
@@ -404,6 +489,53 @@ async function convertImage({ inputPath, outputWidth = 100, outputHeight, color
 	});
 }
 
+/**
+ * Decode one black/white mask image straight to the cell grid: FFmpeg
+ * crops it like the video, area-averages it to `outW`×`outH` and hands
+ * back grey levels; cells at or above mid-grey are foreground.
+ */
+function loadMaskImage(maskPath, outW, outH, crop) {
+	const filters = [];
+	if (crop && crop.w && crop.h) {
+		filters.push(`crop=${crop.w}:${crop.h}:${crop.x || 0}:${crop.y || 0}`);
+	}
+	filters.push(`scale=${outW}:${outH}:flags=area`);
+
+	return new Promise((resolve, reject) => {
+		const proc = spawn(ffmpegPath, [
+			'-i', maskPath,
+			'-frames:v', '1',
+			'-f', 'rawvideo',
+			'-pix_fmt', 'gray',
+			'-vf', filters.join(','),
+			'-',
+		], { stdio: ['ignore', 'pipe', 'pipe'] });
+		const chunks = [];
+		let stderrOutput = '';
+		proc.stdout.on('data', (chunk) => chunks.push(chunk));
+		proc.stderr.on('data', (chunk) => { stderrOutput += chunk; });
+		proc.on('close', (code) => {
+			const grey = Buffer.concat(chunks);
+			if (code !== 0 || grey.length < outW * outH) {
+				return reject(new Error(`Could not read mask image ${maskPath}: ${stderrOutput.slice(-300) || `FFmpeg exited with code ${code}`}`));
+			}
+			const mask = new Uint8Array(outW * outH);
+			for (let i = 0; i < mask.length; i++) mask[i] = grey[i] >= 128 ? 1 : 0;
+			resolve(mask);
+		});
+		proc.on('error', reject);
+	});
+}
+
+/** Load every scheduled mask up front: [{ at, mask }] in time order. */
+async function loadMaskTrack(sources, outW, outH, crop) {
+	const track = [];
+	for (const { at, path } of sources) {
+		track.push({ at, mask: await loadMaskImage(path, outW, outH, crop) });
+	}
+	return track;
+}
+
 let _mlSession = null;
 let _mlSessionPromise = null;
 let _ortModule = null;
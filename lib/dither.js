@@ -0,0 +1,188 @@
+/**
+ * ASCII-fi – Palette dithering across the cell grid.
+ *
+ * Runs before palette snapping so gradients at low colour depths are
+ * rendered as a mix of neighbouring palette entries instead of bands.
+ * Each ditherer is stateful and must see a stream's frames in order:
+ *
+ *   - 'bayer' adds a fixed 4×4 threshold pattern anchored to the grid, so
+ *     a cell only changes when its own source colour changes.
+ *   - 'floyd-steinberg' and 'atkinson' diffuse quantisation error to later
+ *     cells. To stop the pattern crawling, a cell whose source colour is
+ *     unchanged keeps last frame's palette entry as long as that entry is
+ *     still a reasonable fit; its error is diffused as usual.
+ */
+
+import { nearestPaletteColor } from './render.js';
+import { PackedFrame } from './frame.js';
+
+export const DITHER_METHODS = ['none', 'floyd-steinberg', 'atkinson', 'bayer'];
+
+// Error-diffusion kernels as [dx, dy, weight]; dx is mirrored on
+// right-to-left (serpentine) rows.
+const KERNELS = {
+	'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+	atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+};
+
+const BAYER_4 = [
+	[0, 8, 2, 10],
+	[12, 4, 14, 6],
+	[3, 11, 1, 9],
+	[15, 7, 13, 5],
+];
+
+const STABLE_SOURCE_SQ = 12 * 12 * 3; // source change below this keeps the old entry
+const SPACE = 0x20;
+
+function dist2(a, b) {
+	const dr = a[0] - b[0], dg = a[1] - b[1], db = a[2] - b[2];
+	return dr * dr + dg * dg + db * db;
+}
+
+function clampByte(v) {
+	return v < 0 ? 0 : v > 255 ? 255 : v;
+}
+
+/**
+ * Typical per-channel gap between neighbouring palette entries – the
+ * amplitude ordered dithering needs to reach the next entry.
+ */
+function paletteSpread(palette) {
+	if (palette.length < 2) return 0;
+	let total = 0;
+	for (let i = 0; i < palette.length; i++) {
+		let best = Infinity;
+		for (let j = 0; j < palette.length; j++) {
+			if (i === j) continue;
+			const d = dist2(palette[i], palette[j]);
+			if (d > 0 && d < best) best = d;
+		}
+		if (best !== Infinity) total += Math.sqrt(best / 3);
+	}
+	return total / palette.length;
+}
+
+/**
+ * Dither one packed RGB plane. Cells that are masked out or whose glyph is
+ * a space are passed through untouched and neither give nor take error.
+ * `snap` maps a colour to its palette entry. Error is diffused in sRGB
+ * either way; only the choice of entry follows the colour space.
+ */
+function ditherPlane(colors, codes, mask, width, height, snap, method, spread, state) {
+	const n = width * height;
+	const out = new Uint8Array(colors.length);
+	const skip = (i) => (mask && !mask[i]) || (codes && codes[i] === SPACE);
+	const v = [0, 0, 0];
+	const write = (o, q) => { out[o] = q[0]; out[o + 1] = q[1]; out[o + 2] = q[2]; };
+
+	if (method === 'bayer') {
+		for (let y = 0; y < height; y++) {
+			const row = BAYER_4[y & 3];
+			for (let x = 0; x < width; x++) {
+				const i = y * width + x, o = i * 3;
+				if (skip(i)) { out.set(colors.subarray(o, o + 3), o); continue; }
+				const t = ((row[x & 3] + 0.5) / 16 - 0.5) * spread;
+				v[0] = clampByte(colors[o] + t);
+				v[1] = clampByte(colors[o + 1] + t);
+				v[2] = clampByte(colors[o + 2] + t);
+				write(o, snap(v));
+			}
+		}
+		return out;
+	}
+
+	const kernel = KERNELS[method];
+	const err = new Float32Array(n * 3);
+	const holdSlack = spread * spread * 3;
+	const { prevSrc, prevOut, prevDithered } = state;
+	const dithered = new Uint8Array(n);
+	const c = [0, 0, 0], held = [0, 0, 0], src = [0, 0, 0];
+
+	for (let y = 0; y < height; y++) {
+		const rtl = (y & 1) === 1;
+		for (let k = 0; k < width; k++) {
+			const x = rtl ? width - 1 - k : k;
+			const i = y * width + x, o = i * 3;
+			if (skip(i)) { out.set(colors.subarray(o, o + 3), o); continue; }
+
+			c[0] = colors[o]; c[1] = colors[o + 1]; c[2] = colors[o + 2];
+			v[0] = clampByte(c[0] + err[o]);
+			v[1] = clampByte(c[1] + err[o + 1]);
+			v[2] = clampByte(c[2] + err[o + 2]);
+			let q = snap(v);
+			if (prevDithered && prevDithered[i]) {
+				src[0] = prevSrc[o]; src[1] = prevSrc[o + 1]; src[2] = prevSrc[o + 2];
+				if (dist2(c, src) < STABLE_SOURCE_SQ) {
+					// Snap last frame's colour too, so only palette entries are ever reused
+					held[0] = prevOut[o]; held[1] = prevOut[o + 1]; held[2] = prevOut[o + 2];
+					const keep = snap(held);
+					if (dist2(keep, q) !== 0 && dist2(v, keep) <= dist2(v, q) + holdSlack) q = keep;
+				}
+			}
+			write(o, q);
+			dithered[i] = 1;
+
+			const er = v[0] - q[0], eg = v[1] - q[1], eb = v[2] - q[2];
+			for (const [dx, dy, w] of kernel) {
+				const nx = x + (rtl ? -dx : dx), ny = y + dy;
+				if (nx < 0 || nx >= width || ny >= height) continue;
+				const j = (ny * width + nx) * 3;
+				err[j] += er * w;
+				err[j + 1] += eg * w;
+				err[j + 2] += eb * w;
+			}
+		}
+	}
+
+	state.prevSrc = colors;
+	state.prevOut = out;
+	state.prevDithered = dithered;
+	return out;
+}
+
+/**
+ * Create a ditherer for one frame stream.
+ *
+ * @param {object} opts
+ * @param {string} [opts.method] - One of DITHER_METHODS
+ * @param {number[][]} opts.palette - Target palette
+ * @param {number} opts.width - Grid width (characters)
+ * @param {number} opts.height - Grid height (characters)
+ * @param {string} [opts.colorSpace] - 'rgb' | 'oklab' palette matching, see nearestPaletteColor()
+ * @returns {{apply: (frame: object) => PackedFrame}|null} null when there is nothing to do
+ */
+export function createDitherer({ method, palette, width, height, colorSpace = 'rgb' }) {
+	if (!method || method === 'none' || !palette || palette.length < 2) return null;
+	if (!DITHER_METHODS.includes(method)) {
+		throw new TypeError(`Unknown dither method "${method}" (expected ${DITHER_METHODS.join(', ')})`);
+	}
+
+	const spread = paletteSpread(palette);
+	const snap = (v) => nearestPaletteColor(v, palette, colorSpace);
+	const fgState = { prevSrc: null, prevOut: null, prevDithered: null };
+	const bgState = { prevSrc: null, prevOut: null, prevDithered: null };
+
+	return {
+		/**
+		 * Dither a frame's colours (and half-block backgrounds) onto the
+		 * palette. Frames must be passed in playback order.
+		 *
+		 * @param {PackedFrame|object} frame - Packed or `{ chars, colors }` frame
+		 * @returns {PackedFrame}
+		 */
+		apply(frame) {
+			const packed = PackedFrame.from(frame);
+			if (!packed.rgb) return packed;
+			const { codes, bgRgb, bgMask, changedCells, textMask } = packed;
+			return new PackedFrame({
+				codes,
+				rgb: ditherPlane(packed.rgb, codes, null, width, height, snap, method, spread, fgState),
+				bgRgb: bgRgb ? ditherPlane(bgRgb, null, bgMask, width, height, snap, method, spread, bgState) : null,
+				bgMask,
+				changedCells,
+				textMask,
+			});
+		},
+	};
+}
@@ -7,10 +7,28 @@
  * and background isolation.
  */
 
-import { CHAR_RAMP, BLOCK_RAMP } from './render.js';
+import { CHAR_RAMP, BLOCK_RAMP, BRAILLE_BASE, BRAILLE_DOT_BITS, HALF_BLOCK_UPPER, HALF_BLOCK_LOWER } from './render.js';
+import { sortRampByDensity } from './font.js';
+import { buildShapeSet, matchShape } from './shape.js';
+import { PackedFrame } from './frame.js';
+import { SRGB_TO_LINEAR, linearToSrgb, resolveColorSpace } from './color.js';
+import { resolveMaskCleanup, cleanMask } from './mask.js';
 
 const EDGE_THRESHOLD = 30; // min quadrant lum range to count as an edge
-const COLOR_STABLE_THRESHOLD = 18 * 18 * 3; // ~18 per channel
+// 'motion' is detected here; the others arrive as a per-cell fgMask
+const ISOLATION_MODES = new Set(['motion', 'ml', 'chroma', 'mask']);
+const SPACE = 0x20;
+// Temporal stabilisation defaults: hold the previous glyph while the cell
+// colour moves less than `threshold` per channel; no hysteresis or voting.
+export const DEFAULT_STABILIZE = Object.freeze({ threshold: 18, hysteresis: 0, vote: 1 });
+const MAX_VOTE_FRAMES = 15;
+
+// Sobel edge mode defaults: gradient magnitude (0–255 step height) a cell
+// needs to draw an edge glyph, and whether to thin outlines to one cell.
+export const DEFAULT_EDGE = Object.freeze({ threshold: 32, nms: false });
+const EDGE_CORNER_COHERENCE = 0.35; // below this a strong cell is a corner/junction
+// Corner glyphs keyed by which neighbours continue the outline (bits: left, right, up, down)
+const CORNER_GLYPHS = { 0b0101: 'r', 0b1001: '7', 0b0110: 'L', 0b1010: 'J' };
 
 // 4-bit edge classification lookup table
 const EDGE_TABLE = [
@@ -32,8 +50,119 @@ const EDGE_TABLE = [
 	'#',    // 1111  all bright  (handled separately)
 ];
 
+// Fill order for flat braille cells (2×4 ordered-dither ranks, row-major)
+// so mid-tones light an even scatter of dots instead of filling top-down.
+const BRAILLE_FILL_RANK = [0, 4, 6, 2, 1, 5, 7, 3];
+
+/**
+ * Oversampling factor (source pixels per cell side) for a char mode.
+ * ASCII needs 4× for 2×2 quadrant edge detection (Sobel edge mode uses
+ * the same block for its gradients) and braille needs 4×
+ * so each of its 2×4 dots covers whole pixels; block mode only needs
+ * the average colour and half-block mode only a top/bottom split, so 2×
+ * is sufficient for both. Shape matching compares each cell against glyph
+ * bitmaps, so it samples 8× to resolve the 5×7 font's strokes.
+ */
+export function getSampleFactor(charMode) {
+	if (charMode === 'shape') return 8;
+	return (charMode === 'block' || charMode === 'halfblock') ? 2 : 4;
+}
+
+/**
+ * Validate stabilisation options, filling in defaults.
+ *
+ * @param {object} [stabilize]
+ * @param {number} [stabilize.threshold] - Per-channel colour change (0–255)
+ *   under which a cell keeps its previous glyph; 0 disables holding
+ * @param {number} [stabilize.hysteresis] - Extra tolerance while a cell is
+ *   already being held, so it does not toggle around the threshold
+ * @param {number} [stabilize.vote] - Majority vote over the last N raw
+ *   glyphs per cell (1 = off, max 15)
+ * @returns {{threshold: number, hysteresis: number, vote: number}}
+ */
+export function resolveStabilize(stabilize = {}) {
+	const opts = { ...DEFAULT_STABILIZE, ...stabilize };
+	for (const key of ['threshold', 'hysteresis']) {
+		if (typeof opts[key] !== 'number' || !(opts[key] >= 0 && opts[key] <= 255)) {
+			throw new RangeError(`Stabilisation ${key} must be a number from 0 to 255`);
+		}
+	}
+	if (!Number.isInteger(opts.vote) || opts.vote < 1 || opts.vote > MAX_VOTE_FRAMES) {
+		throw new RangeError(`Stabilisation vote must be a whole number of frames from 1 to ${MAX_VOTE_FRAMES}`);
+	}
+	return { threshold: opts.threshold, hysteresis: opts.hysteresis, vote: opts.vote };
+}
+
+/**
+ * Validate Sobel edge-mode options, filling in defaults.
+ *
+ * @param {object} [edge]
+ * @param {number} [edge.threshold] - Min RMS gradient magnitude per cell (0–255)
+ * @param {boolean} [edge.nms] - Non-maximum suppression across cells
+ * @returns {{threshold: number, nms: boolean}}
+ */
+export function resolveEdge(edge = {}) {
+	const opts = { ...DEFAULT_EDGE, ...edge };
+	if (typeof opts.threshold !== 'number' || !(opts.threshold >= 0 && opts.threshold <= 255)) {
+		throw new RangeError('Edge threshold must be a number from 0 to 255');
+	}
+	return { threshold: opts.threshold, nms: !!opts.nms };
+}
+
+/**
+ * Most frequent glyph for cell `i` across the history, newest winning ties.
+ */
+function majorityChar(history, i) {
+	let best = history[history.length - 1][i];
+	let bestCount = 0;
+	for (let h = history.length - 1; h >= 0; h--) {
+		const ch = history[h][i];
+		if (ch === best && bestCount) continue;
+		let count = 0;
+		for (let k = 0; k < history.length; k++) if (history[k][i] === ch) count++;
+		if (count > bestCount) {
+			best = ch;
+			bestCount = count;
+		}
+	}
+	return best;
+}
+
+/**
+ * Per-cell result of AsciiEngine#analyzeFrame(), before any temporal state
+ * is applied. Every field is a typed array, so it can be transferred
+ * between threads without copying.
+ *
+ * @typedef {object} CellAnalysis
+ * @property {Uint16Array} rawChars - Glyph code per cell
+ * @property {Uint8Array|null} rawColors - Average cell colour triples (colour only)
+ * @property {Uint8Array|null} halfFgColors - Half-block glyph colours (half-block colour only)
+ * @property {Uint8Array|null} halfBgColors - Half-block background colours
+ * @property {Uint8Array|null} halfBgMask - 1 where the half-block cell has a background
+ */
+
 export class AsciiEngine {
-	constructor() {
+	/**
+	 * @param {object} [options]
+	 * @param {string} [options.ramp] - Custom glyph ramp for 'ascii' and 'block'
+	 *   modes. It is sorted by measured glyph density and replaces both the
+	 *   built-in ramp and the edge glyphs, so output only uses these glyphs.
+	 *   In 'shape' mode it restricts the candidate glyphs instead; glyphs
+	 *   the bitmap font cannot draw are never chosen.
+	 * @param {object} [options.stabilize] - Temporal stabilisation, see resolveStabilize()
+	 * @param {object} [options.edge] - Sobel 'edge' mode settings, see resolveEdge()
+	 * @param {string} [options.colorSpace] - 'oklab' averages cell colours in
+	 *   linear light instead of on gamma-encoded sRGB values
+	 * @param {boolean} [options.invert] - Inverted polarity for light
+	 *   backgrounds: glyph density follows darkness instead of brightness,
+	 *   so dark areas get the dense glyphs and light areas stay blank
+	 */
+	constructor({ ramp = null, stabilize = {}, edge = {}, colorSpace = 'rgb', invert = false } = {}) {
+		this.ramp = ramp ? sortRampByDensity(ramp) : null;
+		this.stabilize = resolveStabilize(stabilize);
+		this.edge = resolveEdge(edge);
+		this.colorSpace = resolveColorSpace(colorSpace);
+		this.invert = !!invert;
 		this.reset();
 	}
 
@@ -43,6 +172,11 @@ export class AsciiEngine {
 		this.bgModelColors = null;
 		this.frozenChars = null;
 		this.frozenColors = null;
+		this.frozenBgColors = null;
+		this.frozenBgMask = null;
+		this.charHistory = [];
+		this.heldCells = null;
+		this.fgHold = null;
 		this.frameCounter = 0;
 	}
 
@@ -56,26 +190,36 @@ export class AsciiEngine {
 	 * @param {number} outH - Output height (characters)
 	 * @param {number} sampleFactor - Scaling factor (e.g. 4 for edge detection)
 	 * @param {boolean} useColor - Whether to compute per-cell color data
-	 * @param {string} charMode - 'ascii' or 'block'
-	 * @param {object} foreground - Isolation settings
-	 * @param {boolean[]} fgMask - Optional per-cell mask from ML model
+	 * @param {string} charMode - 'ascii', 'block', 'braille', 'halfblock', 'shape' or 'edge'
+	 * @param {object} foreground - Isolation settings, including the mask
+	 *   cleanup fields described in resolveMaskCleanup()
+	 * @param {ArrayLike<boolean|number>} fgMask - Per-cell mask for the 'ml',
+	 *   'chroma' and 'mask' modes (supplied by the converter)
 	 * @param {number} detail - Edge/Fill visibility (0-100)
+	 * @returns {PackedFrame} Char codes plus an `rgb` plane when `useColor`
+	 *   is set. `bgRgb`/`bgMask` are only present in half-block colour mode;
+	 *   a 0 mask entry means the cell has no background of its own.
+	 *   `changedCells` counts cells whose glyph differs from the previous
+	 *   frame (all on the first). With foreground isolation, `fgMask` holds
+	 *   the final per-cell mask (1 = subject).
 	 */
 	processFrame(pixels, scaledW, scaledH, outW, outH, sampleFactor, useColor, charMode, foreground, fgMask, detail = 100) {
-		const totalChars = outW * outH;
-		const charsArr = new Array(totalChars);
-		let colors = useColor ? new Array(totalChars) : null;
-
-		this.frameCounter++;
-
-		const useForeground = foreground && (foreground.mode === 'motion' || foreground.mode === 'ml');
-		const bgMode = foreground?.background || 'solid';   // 'transparent' | 'solid' | 'keep'
-		const motionThreshold = typeof foreground?.threshold === 'number' ? foreground.threshold : 20;
-		const motionThresholdSq = motionThreshold * motionThreshold * 3;
-		const bgRgb = (bgMode === 'solid')
-			? this.parseHexColor(foreground?.bg, [0, 0, 0])
-			: [0, 0, 0];
+		const cells = this.analyzeFrame(pixels, scaledW, scaledH, outW, outH, sampleFactor, useColor, charMode, detail);
+		return this.assembleFrame(cells, outW, outH, useColor, charMode, foreground, fgMask);
+	}
 
+	/**
+	 * Pass 1: the raw glyph and average colour of every cell.
+	 *
+	 * Reads nothing but the pixels and the engine's ramp/edge settings, so
+	 * frames can be analysed out of order (or on another thread, see
+	 * frame-pool.js) as long as assembleFrame() then sees them in order.
+	 *
+	 * @returns {CellAnalysis}
+	 */
+	analyzeFrame(pixels, scaledW, scaledH, outW, outH, sampleFactor, useColor, charMode, detail = 100) {
+		const totalChars = outW * outH;
+		const isHalfBlockMode = charMode === 'halfblock';
 		const blockW = sampleFactor;
 		const blockH = sampleFactor;
 		const denom = blockW * blockH;
@@ -83,17 +227,43 @@ export class AsciiEngine {
 		const halfH = blockH >> 1;
 		const qDenom = halfW * halfH;
 		const isBlockMode = charMode === 'block';
+		const blockRamp = this.ramp || BLOCK_RAMP;
+		const isBrailleMode = charMode === 'braille';
+		const dotW = Math.max(1, blockW >> 1);
+		const dotH = Math.max(1, blockH >> 2);
+		const dotDenom = dotW * dotH;
+		const dotSums = isBrailleMode ? new Float64Array(8) : null;
+		const isShapeMode = charMode === 'shape';
+		const shapeSet = isShapeMode ? buildShapeSet(blockW, this.ramp || undefined) : null;
+		const shapeSamples = isShapeMode ? new Float64Array(denom) : null;
+		const isSobelMode = charMode === 'edge';
+		const lumImage = isSobelMode ? this.luminanceImage(pixels, scaledW, scaledH) : null;
+		const edgeMags = isSobelMode ? new Float32Array(totalChars) : null;
+		const edgeDirs = isSobelMode ? new Uint8Array(totalChars) : null;
+		const edgeChars = isSobelMode ? new Uint16Array(totalChars) : null;
+		// Linear-light averaging: sum linear values, encode the mean back to sRGB
+		const lin = this.colorSpace === 'oklab' ? SRGB_TO_LINEAR : null;
+		const decode = (v) => lin ? linearToSrgb(v) : v;
+		// Glyph choice reads "ink" luminance; colours always keep the source values
+		const inv = this.invert;
 
-		// ── Pass 1: compute raw char + colour for every cell ──
-		const rawChars = new Array(totalChars);
-		const rawColors = useColor ? new Array(totalChars) : null;
+		const rawChars = new Uint16Array(totalChars);
+		const rawColors = useColor ? new Uint8Array(totalChars * 3) : null;
+		// Half-block cells carry a glyph colour and a background colour,
+		// both separate from the cell average used for motion/stability.
+		const halfFgColors = (useColor && isHalfBlockMode) ? new Uint8Array(totalChars * 3) : null;
+		const halfBgColors = halfFgColors ? new Uint8Array(totalChars * 3) : null;
+		const halfBgMask = halfFgColors ? new Uint8Array(totalChars) : null;
+		const halfDenom = blockW * Math.max(1, halfH);
 
 		for (let y = 0; y < outH; y++) {
 			for (let x = 0; x < outW; x++) {
 				let rSum = 0, gSum = 0, bSum = 0;
+				let tR = 0, tG = 0, tB = 0;
 				let qTL = 0, qTR = 0, qBL = 0, qBR = 0;
 				const startX = x * blockW;
 				const startY = y * blockH;
+				if (dotSums) dotSums.fill(0);
 
 				for (let by = 0; by < blockH; by++) {
 					const row = (startY + by) * scaledW;
@@ -102,9 +272,21 @@ export class AsciiEngine {
 						const pr = pixels[idx];
 						const pg = pixels[idx + 1];
 						const pb = pixels[idx + 2];
-						rSum += pr; gSum += pg; bSum += pb;
-						if (!isBlockMode) {
+						const sr = lin ? lin[pr] : pr, sg = lin ? lin[pg] : pg, sb = lin ? lin[pb] : pb;
+						rSum += sr; gSum += sg; bSum += sb;
+						if (isHalfBlockMode) {
+							if (by < halfH) { tR += sr; tG += sg; tB += sb; }
+						} else if (isBrailleMode) {
+							const dotRow = Math.min(3, (by / dotH) | 0);
+							const dotCol = Math.min(1, (bx / dotW) | 0);
 							const lum = 0.2126 * pr + 0.7152 * pg + 0.0722 * pb;
+							dotSums[dotRow * 2 + dotCol] += inv ? 255 - lum : lum;
+						} else if (isShapeMode) {
+							const lum = 0.2126 * pr + 0.7152 * pg + 0.0722 * pb;
+							shapeSamples[by * blockW + bx] = inv ? 255 - lum : lum;
+						} else if (!isBlockMode) {
+							const l = 0.2126 * pr + 0.7152 * pg + 0.0722 * pb;
+							const lum = inv ? 255 - l : l;
 							if (by < halfH) {
 								if (bx < halfW) qTL += lum; else qTR += lum;
 							} else {
@@ -114,111 +296,357 @@ export class AsciiEngine {
 					}
 				}
 
-				const r = rSum / denom, g = gSum / denom, b = bSum / denom;
+				const r = decode(rSum / denom), g = decode(gSum / denom), b = decode(bSum / denom);
 				const i = y * outW + x;
 
 				let ch;
 				if (isBlockMode) {
-					const yLum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+					const l = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+					const yLum = inv ? 255 - l : l;
 					const fillThreshold = detail < 100 ? 255 * (1 - detail / 100) : 0;
 					if (yLum < fillThreshold) {
 						ch = ' ';
 					} else {
-						const ci = Math.min(BLOCK_RAMP.length - 1, Math.floor((yLum / 255) * BLOCK_RAMP.length));
-						ch = BLOCK_RAMP[ci];
+						const ci = Math.min(blockRamp.length - 1, Math.floor((yLum / 255) * blockRamp.length));
+						ch = blockRamp[ci];
 					}
+				} else if (isBrailleMode) {
+					for (let d = 0; d < 8; d++) dotSums[d] /= dotDenom;
+					ch = this.selectBrailleChar(dotSums, detail);
+				} else if (isShapeMode) {
+					const fillThreshold = detail < 100 ? 255 * (1 - detail / 100) : 0;
+					ch = matchShape(shapeSamples, shapeSet, EDGE_THRESHOLD, fillThreshold);
+				} else if (isHalfBlockMode) {
+					const top = [decode(tR / halfDenom), decode(tG / halfDenom), decode(tB / halfDenom)];
+					const bottom = [decode((rSum - tR) / halfDenom), decode((gSum - tG) / halfDenom), decode((bSum - tB) / halfDenom)];
+					const cell = this.selectHalfBlock(top, bottom, useColor, detail);
+					ch = cell.ch;
+					if (halfFgColors) {
+						if (cell.fg) halfFgColors.set(cell.fg, i * 3);
+						if (cell.bg) {
+							halfBgColors.set(cell.bg, i * 3);
+							halfBgMask[i] = 1;
+						}
+					}
+				} else if (isSobelMode) {
+					const edge = this.measureGradient(lumImage, scaledW, scaledH, startX, startY, blockW, blockH);
+					edgeMags[i] = edge.magnitude;
+					edgeDirs[i] = edge.direction;
+					// Corners (0) are resolved from their neighbours once every cell is measured
+					edgeChars[i] = edge.coherence < EDGE_CORNER_COHERENCE ? 0 : edge.glyph.charCodeAt(0);
+					ch = this.selectFillChar((qTL + qTR + qBL + qBR) / (4 * qDenom), detail);
 				} else {
 					ch = this.selectEdgeChar(qTL / qDenom, qTR / qDenom, qBL / qDenom, qBR / qDenom, detail);
 				}
 
-				rawChars[i] = ch;
-				if (rawColors) rawColors[i] = [Math.round(r), Math.round(g), Math.round(b)];
+				rawChars[i] = ch.charCodeAt(0);
+				if (rawColors) {
+					rawColors[i * 3] = Math.round(r);
+					rawColors[i * 3 + 1] = Math.round(g);
+					rawColors[i * 3 + 2] = Math.round(b);
+				}
 			}
 		}
 
+		// ── Sobel edges override the fill where the gradient is strong ──
+		if (isSobelMode) this.applyEdges(rawChars, edgeMags, edgeDirs, edgeChars, outW, outH);
+
+		return { rawChars, rawColors, halfFgColors, halfBgColors, halfBgMask };
+	}
+
+	/**
+	 * Pass 2: foreground isolation, majority vote and colour stabilisation.
+	 * Each call advances the temporal state, so frames must arrive in order.
+	 *
+	 * @param {CellAnalysis} cells - analyzeFrame() output for this frame
+	 * @returns {PackedFrame} See processFrame()
+	 */
+	assembleFrame({ rawChars, rawColors, halfFgColors, halfBgColors, halfBgMask }, outW, outH, useColor, charMode, foreground, fgMask) {
+		const totalChars = outW * outH;
+		const codes = new Uint16Array(totalChars);
+		const colors = useColor ? new Uint8Array(totalChars * 3) : null;
+		const isHalfBlockMode = charMode === 'halfblock';
+		const bgColors = (useColor && isHalfBlockMode) ? new Uint8Array(totalChars * 3) : null;
+		const bgMask = bgColors ? new Uint8Array(totalChars) : null;
+
+		this.frameCounter++;
+
+		const useForeground = foreground && ISOLATION_MODES.has(foreground.mode);
+		const bgMode = foreground?.background || 'solid';   // 'transparent' | 'solid' | 'keep'
+		const motionThreshold = typeof foreground?.threshold === 'number' ? foreground.threshold : 20;
+		const motionThresholdSq = motionThreshold * motionThreshold * 3;
+		const bgRgb = (bgMode === 'solid')
+			? this.parseHexColor(foreground?.bg, [0, 0, 0])
+			: [0, 0, 0];
+
 		// ── Snapshot first frame for 'keep' background ──
 		if (useForeground && bgMode === 'keep' && this.frameCounter === 1) {
 			this.frozenChars = rawChars.slice();
 			this.frozenColors = rawColors ? rawColors.slice() : null;
+			if (halfFgColors) {
+				this.frozenColors = halfFgColors.slice();
+				this.frozenBgColors = halfBgColors.slice();
+				this.frozenBgMask = halfBgMask.slice();
+			}
 		}
 
 		// ── Compute foreground mask ──
-		const fgFlags = useForeground ? new Uint8Array(totalChars) : null;
+		let fgFlags = useForeground ? new Uint8Array(totalChars) : null;
 		if (useForeground) {
+			const cleanup = resolveMaskCleanup(foreground);
+			const cellColor = (o, c) => rawColors ? rawColors[o + c] : 128;
+			let adapt = false;
 			if (foreground.mode === 'motion') {
 				if (!this.bgModelColors) {
-					this.bgModelColors = new Array(totalChars);
-					for (let i = 0; i < totalChars; i++) {
-						this.bgModelColors[i] = rawColors
-							? [rawColors[i][0], rawColors[i][1], rawColors[i][2]]
-							: [128, 128, 128];
-						fgFlags[i] = 1;
-					}
+					this.bgModelColors = rawColors ? rawColors.slice() : new Uint8Array(totalChars * 3).fill(128);
+					fgFlags.fill(1);
 				} else {
-					for (let i = 0; i < totalChars; i++) {
-						const cr = rawColors ? rawColors[i][0] : 128;
-						const cg = rawColors ? rawColors[i][1] : 128;
-						const cb = rawColors ? rawColors[i][2] : 128;
-						const bgc = this.bgModelColors[i];
-						const dr = cr - bgc[0], dg = cg - bgc[1], db = cb - bgc[2];
-						const dist = dr * dr + dg * dg + db * db;
-
-						if (dist >= motionThresholdSq) {
-							fgFlags[i] = 1;
-						} else {
-							fgFlags[i] = 0;
-							const a = 0.05; // adaptation rate
-							bgc[0] = Math.round(bgc[0] * (1 - a) + cr * a);
-							bgc[1] = Math.round(bgc[1] * (1 - a) + cg * a);
-							bgc[2] = Math.round(bgc[2] * (1 - a) + cb * a);
-						}
+					const bgc = this.bgModelColors;
+					for (let i = 0, o = 0; i < totalChars; i++, o += 3) {
+						const dr = cellColor(o, 0) - bgc[o], dg = cellColor(o, 1) - bgc[o + 1], db = cellColor(o, 2) - bgc[o + 2];
+						fgFlags[i] = dr * dr + dg * dg + db * db >= motionThresholdSq ? 1 : 0;
 					}
+					adapt = true;
 				}
-			} else if (foreground.mode === 'ml' && fgMask) {
+			} else if (fgMask) {
 				for (let i = 0; i < totalChars; i++) fgFlags[i] = fgMask[i] ? 1 : 0;
 			}
+
+			// The motion model's first frame is all foreground; nothing to clean
+			if (adapt || foreground.mode !== 'motion') fgFlags = this.cleanForeground(fgFlags, outW, outH, cleanup);
+
+			// Only cells that end up background teach the background model,
+			// so filled holes and held cells don't fade into it
+			if (adapt) {
+				const bgc = this.bgModelColors;
+				const a = 0.05; // adaptation rate
+				for (let i = 0, o = 0; i < totalChars; i++, o += 3) {
+					if (fgFlags[i]) continue;
+					bgc[o] = Math.round(bgc[o] * (1 - a) + cellColor(o, 0) * a);
+					bgc[o + 1] = Math.round(bgc[o + 1] * (1 - a) + cellColor(o, 1) * a);
+					bgc[o + 2] = Math.round(bgc[o + 2] * (1 - a) + cellColor(o, 2) * a);
+				}
+			}
 		}
 
+		// ── Majority vote over the last N raw glyphs ──
+		const { threshold, hysteresis, vote } = this.stabilize;
+		let votedChars = rawChars;
+		if (vote > 1 && !isHalfBlockMode) {
+			this.charHistory.push(rawChars);
+			if (this.charHistory.length > vote) this.charHistory.shift();
+			if (this.charHistory.length > 1) {
+				votedChars = new Uint16Array(totalChars);
+				for (let i = 0; i < totalChars; i++) votedChars[i] = majorityChar(this.charHistory, i);
+			}
+		}
+		if (!this.heldCells || this.heldCells.length !== totalChars) this.heldCells = new Uint8Array(totalChars);
+		const heldCells = this.heldCells;
+
 		// ── Pass 2: assemble output with stabilization ──
+		const prevChars = this.prevFrameChars;
+		const prevColors = this.prevFrameColors;
+		const setColor = (plane, o, src, so) => {
+			plane[o] = src[so]; plane[o + 1] = src[so + 1]; plane[o + 2] = src[so + 2];
+		};
 		for (let i = 0; i < totalChars; i++) {
+			const o = i * 3;
 			const isFg = !useForeground || (fgFlags && fgFlags[i]);
 
 			if (useForeground && !isFg) {
-				if (bgMode === 'keep') {
-					charsArr[i] = (this.frozenChars && this.frozenChars[i]) || ' ';
-					if (useColor) colors[i] = (this.frozenColors && this.frozenColors[i]) || bgRgb;
+				if (bgMode === 'keep' && this.frozenChars) {
+					codes[i] = this.frozenChars[i];
+					// Blank half-block cells were snapshotted without a glyph colour
+					const frozenFg = this.frozenColors && !(isHalfBlockMode && codes[i] === SPACE);
+					if (useColor) setColor(colors, o, frozenFg ? this.frozenColors : bgRgb, frozenFg ? o : 0);
+					if (bgColors && this.frozenBgColors && this.frozenBgMask[i]) {
+						setColor(bgColors, o, this.frozenBgColors, o);
+						bgMask[i] = 1;
+					}
 				} else {
-					charsArr[i] = ' ';
-					if (useColor) colors[i] = bgRgb;
+					codes[i] = SPACE;
+					if (useColor) setColor(colors, o, bgRgb, 0);
 				}
 				continue;
 			}
 
-			const ch = rawChars[i];
+			const ch = votedChars[i];
 			if (useColor) {
-				colors[i] = (ch === ' ') ? bgRgb : rawColors[i];
+				if (ch === SPACE) setColor(colors, o, bgRgb, 0);
+				else setColor(colors, o, halfFgColors || rawColors, o);
 			}
 
-			// Colour stabilisation
-			if (this.prevFrameColors && this.prevFrameChars && this.prevFrameColors[i] && this.prevFrameChars[i] !== ' ') {
-				const pc = this.prevFrameColors[i];
-				const cr = rawColors ? rawColors[i][0] : 0;
-				const cg = rawColors ? rawColors[i][1] : 0;
-				const cb = rawColors ? rawColors[i][2] : 0;
-				const dr2 = cr - pc[0], dg2 = cg - pc[1], db2 = cb - pc[2];
-				if (dr2 * dr2 + dg2 * dg2 + db2 * db2 < COLOR_STABLE_THRESHOLD) {
-					charsArr[i] = this.prevFrameChars[i];
+			// Half blocks encode everything in their two colours, so holding
+			// the previous glyph would pair it with the wrong halves.
+			if (isHalfBlockMode) {
+				if (bgColors && halfBgMask[i]) {
+					setColor(bgColors, o, halfBgColors, o);
+					bgMask[i] = 1;
+				}
+				codes[i] = ch;
+				continue;
+			}
+
+			// Colour stabilisation – cells already held get `hysteresis` of
+			// extra tolerance before they release
+			if (threshold > 0 && prevColors && prevChars && prevChars[i] !== SPACE) {
+				const dr2 = rawColors[o] - prevColors[o];
+				const dg2 = rawColors[o + 1] - prevColors[o + 1];
+				const db2 = rawColors[o + 2] - prevColors[o + 2];
+				const limit = heldCells[i] ? threshold + hysteresis : threshold;
+				if (dr2 * dr2 + dg2 * dg2 + db2 * db2 < limit * limit * 3) {
+					codes[i] = prevChars[i];
+					heldCells[i] = 1;
 					continue;
 				}
 			}
-			charsArr[i] = ch;
+			heldCells[i] = 0;
+			codes[i] = ch;
+		}
+
+		let changedCells = totalChars;
+		if (prevChars && prevChars.length === totalChars) {
+			changedCells = 0;
+			for (let i = 0; i < totalChars; i++) if (codes[i] !== prevChars[i]) changedCells++;
+		}
+
+		this.prevFrameColors = rawColors;
+		this.prevFrameChars = codes.slice();
+
+		return new PackedFrame({ codes, rgb: colors, bgRgb: bgColors, bgMask, changedCells, fgMask: fgFlags });
+	}
+
+	/**
+	 * Spatial mask cleanup (see mask.js) followed by temporal persistence:
+	 * a cell stays foreground for `persist` frames after it was last
+	 * detected, so subjects that pause don't flicker out.
+	 */
+	cleanForeground(mask, outW, outH, cleanup) {
+		const out = cleanMask(mask, outW, outH, cleanup);
+		if (!cleanup.persist) {
+			this.fgHold = null;
+			return out;
+		}
+		if (!this.fgHold || this.fgHold.length !== out.length) this.fgHold = new Uint8Array(out.length);
+		const hold = this.fgHold;
+		for (let i = 0; i < out.length; i++) {
+			if (out[i]) hold[i] = cleanup.persist;
+			else if (hold[i]) {
+				hold[i]--;
+				out[i] = 1;
+			}
 		}
+		return out;
+	}
+
+	/**
+	 * Flat shading used by Sobel edge mode between outlines: the ramp glyph
+	 * for the cell brightness, or blank below the detail fill threshold.
+	 */
+	selectFillChar(avg, detail = 100) {
+		const fillThreshold = detail < 100 ? 255 * (1 - detail / 100) : 0;
+		if (avg < 8 || avg < fillThreshold) return ' ';
+		const ramp = this.ramp || CHAR_RAMP;
+		return ramp[Math.min(ramp.length - 1, Math.floor((avg / 255) * ramp.length))];
+	}
+
+	/**
+	 * Rec. 709 luminance of every pixel, so the Sobel kernel can read
+	 * across cell borders.
+	 */
+	luminanceImage(pixels, width, height) {
+		const lum = new Float32Array(width * height);
+		for (let p = 0, o = 0; p < lum.length; p++, o += 3) {
+			lum[p] = 0.2126 * pixels[o] + 0.7152 * pixels[o + 1] + 0.0722 * pixels[o + 2];
+		}
+		return lum;
+	}
+
+	/**
+	 * Sobel gradients over one cell's oversampled block. Orientation comes
+	 * from the structure tensor, so the opposing gradients on either side
+	 * of a thin line reinforce rather than cancel.
+	 *
+	 * @returns {{magnitude: number, direction: number, coherence: number, glyph: string}}
+	 *   `magnitude` is the RMS gradient over the block (0–255 scale; a sharp
+	 *   step of height h through the cell scores about 0.7h); `direction` is
+	 *   the gradient quantised to 0 (→), 1 (↘), 2 (↓), 3 (↙).
+	 */
+	measureGradient(lum, width, height, startX, startY, blockW, blockH) {
+		let gxx = 0, gyy = 0, gxy = 0, wSum = 0, wRow = 0;
+		const maxX = width - 1, maxY = height - 1;
+		for (let by = 0; by < blockH; by++) {
+			const y = startY + by;
+			const up = Math.max(0, y - 1) * width, mid = y * width, down = Math.min(maxY, y + 1) * width;
+			for (let bx = 0; bx < blockW; bx++) {
+				const x = startX + bx;
+				const l = Math.max(0, x - 1), r = Math.min(maxX, x + 1);
+				const gx = (lum[up + r] + 2 * lum[mid + r] + lum[down + r] - lum[up + l] - 2 * lum[mid + l] - lum[down + l]) / 4;
+				const gy = (lum[down + l] + 2 * lum[down + x] + lum[down + r] - lum[up + l] - 2 * lum[up + x] - lum[up + r]) / 4;
+				gxx += gx * gx; gyy += gy * gy; gxy += gx * gy;
+				const m = Math.sqrt(gx * gx + gy * gy);
+				wSum += m; wRow += m * (by + 0.5);
+			}
+		}
+
+		const energy = gxx + gyy;
+		if (energy === 0) return { magnitude: 0, direction: 0, coherence: 0, glyph: ' ' };
+		const coherence = Math.sqrt((gxx - gyy) * (gxx - gyy) + 4 * gxy * gxy) / energy;
+		// Dominant gradient angle in degrees, folded into [0, 180)
+		let angle = 0.5 * Math.atan2(2 * gxy, gxx - gyy) * 180 / Math.PI;
+		if (angle < 0) angle += 180;
+		const direction = Math.round(angle / 45) % 4;
 
-		const chars = charsArr.join('');
-		this.prevFrameColors = rawColors ? rawColors.slice() : null;
-		this.prevFrameChars = charsArr.slice();
+		let glyph;
+		if (direction === 0) glyph = '|';
+		else if (direction === 1) glyph = '/';
+		else if (direction === 3) glyph = '\\';
+		else glyph = (wRow / wSum) / blockH > 0.65 ? '_' : '-';
 
-		return useColor ? { chars, colors } : { chars };
+		return { magnitude: Math.sqrt(energy / (blockW * blockH)), direction, coherence, glyph };
+	}
+
+	/**
+	 * Replace fill glyphs with edge glyphs where the gradient clears the
+	 * threshold. With non-maximum suppression a cell only keeps its edge if
+	 * it is the strongest along its gradient direction, which thins soft or
+	 * wide edges to one-character outlines. Corner cells take the glyph that
+	 * joins the neighbouring edges (r 7 L J), or '+' for other junctions.
+	 */
+	applyEdges(chars, mags, dirs, edgeChars, outW, outH) {
+		const { threshold, nms } = this.edge;
+		// Neighbour offsets along each quantised gradient direction
+		const steps = [[1, 0], [1, 1], [0, 1], [-1, 1]];
+		const magAt = (x, y) => (x < 0 || y < 0 || x >= outW || y >= outH) ? 0 : mags[y * outW + x];
+		for (let y = 0; y < outH; y++) {
+			for (let x = 0; x < outW; x++) {
+				const i = y * outW + x;
+				const m = mags[i];
+				if (m < threshold || m === 0) continue;
+				if (nms && edgeChars[i] && !this.isEdgePeak(m, x, y, steps[dirs[i]], magAt)) continue;
+				if (edgeChars[i]) {
+					chars[i] = edgeChars[i];
+					continue;
+				}
+				const joins = (magAt(x - 1, y) >= threshold ? 8 : 0) | (magAt(x + 1, y) >= threshold ? 4 : 0) |
+					(magAt(x, y - 1) >= threshold ? 2 : 0) | (magAt(x, y + 1) >= threshold ? 1 : 0);
+				chars[i] = (CORNER_GLYPHS[joins] || '+').charCodeAt(0);
+			}
+		}
+	}
+
+	/**
+	 * Non-maximum test along the gradient step [dx, dy]. A diagonal line
+	 * also grazes the cells beside it on the grid axes, so diagonal steps
+	 * are checked along their x and y components too. Comparisons are
+	 * strict on one side so an edge straddling two cells keeps one.
+	 */
+	isEdgePeak(m, x, y, [dx, dy], magAt) {
+		const axes = (dx && dy) ? [[dx, dy], [dx, 0], [0, dy]] : [[dx, dy]];
+		for (const [ax, ay] of axes) {
+			if (m <= magAt(x - ax, y - ay) || m < magAt(x + ax, y + ay)) return false;
+		}
+		return true;
 	}
 
 	selectEdgeChar(tl, tr, bl, br, detail = 100) {
@@ -227,11 +655,13 @@ export class AsciiEngine {
 
 		const range = Math.max(tl, tr, bl, br) - Math.min(tl, tr, bl, br);
 		const fillThreshold = detail < 100 ? 255 * (1 - detail / 100) : 0;
+		const ramp = this.ramp || CHAR_RAMP;
 
-		if (range < EDGE_THRESHOLD) {
+		// Custom ramps have no edge glyphs; edges shade like flat cells
+		if (range < EDGE_THRESHOLD || this.ramp) {
 			if (avg < fillThreshold) return ' ';
-			const idx = Math.min(CHAR_RAMP.length - 1, Math.floor((avg / 255) * CHAR_RAMP.length));
-			return CHAR_RAMP[idx];
+			const idx = Math.min(ramp.length - 1, Math.floor((avg / 255) * ramp.length));
+			return ramp[idx];
 		}
 
 		const pattern = ((tl > avg ? 1 : 0) << 3) |
@@ -248,6 +678,68 @@ export class AsciiEngine {
 		return EDGE_TABLE[pattern];
 	}
 
+	/**
+	 * Pick a braille glyph from the mean luminance of each of the 8 dots
+	 * (row-major 2×4). Flat cells light a brightness-proportional share of
+	 * dots in dither order; cells with structure light the dots brighter
+	 * than the cell average so lines and edges keep their shape.
+	 */
+	selectBrailleChar(dots, detail = 100) {
+		let sum = 0, min = 255, max = 0;
+		for (let d = 0; d < 8; d++) {
+			const v = dots[d];
+			sum += v;
+			if (v < min) min = v;
+			if (v > max) max = v;
+		}
+		const avg = sum / 8;
+		if (avg < 8 && max < EDGE_THRESHOLD) return ' ';
+
+		const fillThreshold = detail < 100 ? 255 * (1 - detail / 100) : 0;
+		let bits = 0;
+
+		if (max - min < EDGE_THRESHOLD) {
+			if (avg < fillThreshold) return ' ';
+			const lit = Math.round((avg / 255) * 8);
+			for (let d = 0; d < 8; d++) {
+				if (BRAILLE_FILL_RANK[d] < lit) bits |= BRAILLE_DOT_BITS[d];
+			}
+		} else {
+			for (let d = 0; d < 8; d++) {
+				if (dots[d] > avg) bits |= BRAILLE_DOT_BITS[d];
+			}
+		}
+
+		return bits === 0 ? ' ' : String.fromCharCode(BRAILLE_BASE + bits);
+	}
+
+	/**
+	 * Pick a half-block glyph from the mean colours of the top and bottom
+	 * halves of a cell. Dark halves are left uncoloured so transparent and
+	 * solid backgrounds show through; when both halves are lit, '▀' takes
+	 * the top colour and the cell background the bottom one. Without colour
+	 * the glyph alone conveys the split, so fully lit cells become '█'.
+	 * With inverted polarity it is the light halves that are left blank.
+	 *
+	 * @returns {{ch: string, fg: number[]|null, bg: number[]|null}}
+	 */
+	selectHalfBlock(top, bottom, useColor, detail = 100) {
+		const fillThreshold = Math.max(8, detail < 100 ? 255 * (1 - detail / 100) : 0);
+		const ink = (c) => {
+			const lum = 0.2126 * c[0] + 0.7152 * c[1] + 0.0722 * c[2];
+			return this.invert ? 255 - lum : lum;
+		};
+		const topLit = ink(top) >= fillThreshold;
+		const bottomLit = ink(bottom) >= fillThreshold;
+		const rgb = (c) => [Math.round(c[0]), Math.round(c[1]), Math.round(c[2])];
+
+		if (!topLit && !bottomLit) return { ch: ' ', fg: null, bg: null };
+		if (!topLit) return { ch: HALF_BLOCK_LOWER, fg: rgb(bottom), bg: null };
+		if (!bottomLit) return { ch: HALF_BLOCK_UPPER, fg: rgb(top), bg: null };
+		if (!useColor) return { ch: BLOCK_RAMP[BLOCK_RAMP.length - 1], fg: null, bg: null };
+		return { ch: HALF_BLOCK_UPPER, fg: rgb(top), bg: rgb(bottom) };
+	}
+
 	parseHexColor(hex, fallback) {
 		const m = /^#?([0-9a-fA-F]{6})$/.exec(hex || '');
 		if (!m) return fallback;
@@ -0,0 +1,206 @@
+/**
+ * ASCII-fi – Built-in 5×7 bitmap font.
+ *
+ * Covers printable ASCII and the light box-drawing set. It lets the GIF
+ * renderer draw user-supplied ramps and gives the engine a measured ink
+ * coverage per glyph so custom ramps can be ordered dark → bright.
+ */
+
+import { BLOCK_RAMP, BRAILLE_BASE, HALF_BLOCK_UPPER, HALF_BLOCK_LOWER } from './render.js';
+
+export const FONT_W = 5;
+export const FONT_H = 7;
+
+// One entry per printable ASCII code (0x20–0x7E): 7 rows, bit 4 = leftmost column.
+const ASCII_ROWS = [
+	[0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00], // ' '
+	[0x04, 0x04, 0x04, 0x04, 0x00, 0x00, 0x04], // !
+	[0x0a, 0x0a, 0x0a, 0x00, 0x00, 0x00, 0x00], // "
+	[0x0a, 0x0a, 0x1f, 0x0a, 0x1f, 0x0a, 0x0a], // #
+	[0x04, 0x0f, 0x14, 0x0e, 0x05, 0x1e, 0x04], // $
+	[0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03], // %
+	[0x0c, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0d], // &
+	[0x0c, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00], // '
+	[0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02], // (
+	[0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08], // )
+	[0x00, 0x04, 0x15, 0x0e, 0x15, 0x04, 0x00], // *
+	[0x00, 0x04, 0x04, 0x1f, 0x04, 0x04, 0x00], // +
+	[0x00, 0x00, 0x00, 0x00, 0x0c, 0x04, 0x08], // ,
+	[0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00], // -
+	[0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c], // .
+	[0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00], // /
+	[0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e], // 0
+	[0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e], // 1
+	[0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f], // 2
+	[0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e], // 3
+	[0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02], // 4
+	[0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e], // 5
+	[0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e], // 6
+	[0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08], // 7
+	[0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e], // 8
+	[0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c], // 9
+	[0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00], // :
+	[0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x04, 0x08], // ;
+	[0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02], // <
+	[0x00, 0x00, 0x1f, 0x00, 0x1f, 0x00, 0x00], // =
+	[0x08, 0x04, 0x02, 0x01, 0x02, 0x04, 0x08], // >
+	[0x0e, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04], // ?
+	[0x0e, 0x11, 0x01, 0x0d, 0x15, 0x15, 0x0e], // @
+	[0x0e, 0x11, 0x11, 0x11, 0x1f, 0x11, 0x11], // A
+	[0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e], // B
+	[0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e], // C
+	[0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c], // D
+	[0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f], // E
+	[0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10], // F
+	[0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f], // G
+	[0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11], // H
+	[0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e], // I
+	[0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c], // J
+	[0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], // K
+	[0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f], // L
+	[0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11], // M
+	[0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11], // N
+	[0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], // O
+	[0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10], // P
+	[0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d], // Q
+	[0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11], // R
+	[0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e], // S
+	[0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04], // T
+	[0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], // U
+	[0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04], // V
+	[0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a], // W
+	[0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11], // X
+	[0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04], // Y
+	[0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f], // Z
+	[0x0e, 0x08, 0x08, 0x08, 0x08, 0x08, 0x0e], // [
+	[0x00, 0x10, 0x08, 0x04, 0x02, 0x01, 0x00], // \
+	[0x0e, 0x02, 0x02, 0x02, 0x02, 0x02, 0x0e], // ]
+	[0x04, 0x0a, 0x11, 0x00, 0x00, 0x00, 0x00], // ^
+	[0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1f], // _
+	[0x08, 0x04, 0x02, 0x00, 0x00, 0x00, 0x00], // `
+	[0x00, 0x00, 0x0e, 0x01, 0x0f, 0x11, 0x0f], // a
+	[0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x1e], // b
+	[0x00, 0x00, 0x0e, 0x10, 0x10, 0x11, 0x0e], // c
+	[0x01, 0x01, 0x0d, 0x13, 0x11, 0x11, 0x0f], // d
+	[0x00, 0x00, 0x0e, 0x11, 0x1f, 0x10, 0x0e], // e
+	[0x06, 0x09, 0x08, 0x1c, 0x08, 0x08, 0x08], // f
+	[0x00, 0x0f, 0x11, 0x11, 0x0f, 0x01, 0x0e], // g
+	[0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x11], // h
+	[0x04, 0x00, 0x0c, 0x04, 0x04, 0x04, 0x0e], // i
+	[0x02, 0x00, 0x06, 0x02, 0x02, 0x12, 0x0c], // j
+	[0x10, 0x10, 0x12, 0x14, 0x18, 0x14, 0x12], // k
+	[0x0c, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e], // l
+	[0x00, 0x00, 0x1a, 0x15, 0x15, 0x11, 0x11], // m
+	[0x00, 0x00, 0x16, 0x19, 0x11, 0x11, 0x11], // n
+	[0x00, 0x00, 0x0e, 0x11, 0x11, 0x11, 0x0e], // o
+	[0x00, 0x00, 0x1e, 0x11, 0x1e, 0x10, 0x10], // p
+	[0x00, 0x00, 0x0d, 0x13, 0x0f, 0x01, 0x01], // q
+	[0x00, 0x00, 0x16, 0x19, 0x10, 0x10, 0x10], // r
+	[0x00, 0x00, 0x0e, 0x10, 0x0e, 0x01, 0x1e], // s
+	[0x08, 0x08, 0x1c, 0x08, 0x08, 0x09, 0x06], // t
+	[0x00, 0x00, 0x11, 0x11, 0x11, 0x13, 0x0d], // u
+	[0x00, 0x00, 0x11, 0x11, 0x11, 0x0a, 0x04], // v
+	[0x00, 0x00, 0x11, 0x11, 0x15, 0x15, 0x0a], // w
+	[0x00, 0x00, 0x11, 0x0a, 0x04, 0x0a, 0x11], // x
+	[0x00, 0x00, 0x11, 0x11, 0x0f, 0x01, 0x0e], // y
+	[0x00, 0x00, 0x1f, 0x02, 0x04, 0x08, 0x1f], // z
+	[0x02, 0x04, 0x04, 0x08, 0x04, 0x04, 0x02], // {
+	[0x04, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04], // |
+	[0x08, 0x04, 0x04, 0x02, 0x04, 0x04, 0x08], // }
+	[0x00, 0x00, 0x08, 0x15, 0x02, 0x00, 0x00], // ~
+];
+
+// Light box-drawing glyphs as arms from the centre: [up, right, down, left]
+const BOX_ARMS = new Map([
+	['─', [0, 1, 0, 1]], ['│', [1, 0, 1, 0]],
+	['┌', [0, 1, 1, 0]], ['┐', [0, 0, 1, 1]], ['└', [1, 1, 0, 0]], ['┘', [1, 0, 0, 1]],
+	['├', [1, 1, 1, 0]], ['┤', [1, 0, 1, 1]], ['┬', [0, 1, 1, 1]], ['┴', [1, 1, 0, 1]],
+	['┼', [1, 1, 1, 1]],
+]);
+
+function rowsToGlyph(rows) {
+	return rows.map((bits) => {
+		let line = '';
+		for (let x = FONT_W - 1; x >= 0; x--) line += (bits >> x) & 1 ? '#' : ' ';
+		return line;
+	});
+}
+
+function boxGlyph([up, right, down, left]) {
+	const cx = FONT_W >> 1, cy = FONT_H >> 1;
+	const grid = Array.from({ length: FONT_H }, () => Array(FONT_W).fill(' '));
+	for (let y = 0; y < FONT_H; y++) {
+		if ((y < cy && up) || (y > cy && down) || y === cy) grid[y][cx] = '#';
+	}
+	for (let x = 0; x < FONT_W; x++) {
+		if ((x < cx && left) || (x > cx && right)) grid[cy][x] = '#';
+	}
+	return grid.map((row) => row.join(''));
+}
+
+/**
+ * 5×7 bitmap for `ch` as an array of 7 strings ('#' = lit), or null when
+ * the built-in font has no drawing for it.
+ */
+export function getFontGlyph(ch) {
+	const code = ch.charCodeAt(0);
+	if (code >= 0x20 && code <= 0x7e) return rowsToGlyph(ASCII_ROWS[code - 0x20]);
+	if (BOX_ARMS.has(ch)) return boxGlyph(BOX_ARMS.get(ch));
+	return null;
+}
+
+/**
+ * Fraction of a cell covered by ink (0–1), or null when it cannot be
+ * measured. Shade and half blocks have analytic coverage; braille and
+ * everything else is measured as drawn by the 5×7 font.
+ */
+export function glyphCoverage(ch) {
+	if (ch === ' ') return 0;
+	const blockIdx = BLOCK_RAMP.indexOf(ch);
+	if (blockIdx > 0) return blockIdx / (BLOCK_RAMP.length - 1);
+	if (ch === HALF_BLOCK_UPPER || ch === HALF_BLOCK_LOWER) return 0.5;
+
+	const code = ch.charCodeAt(0);
+	if (code >= BRAILLE_BASE && code <= BRAILLE_BASE + 0xff) {
+		let bits = code - BRAILLE_BASE, dots = 0;
+		while (bits) { dots += bits & 1; bits >>= 1; }
+		return dots / (FONT_W * FONT_H); // one pixel per dot, as the GIF font draws them
+	}
+
+	const glyph = getFontGlyph(ch);
+	if (!glyph) return null;
+	let lit = 0;
+	for (const row of glyph) for (const px of row) if (px === '#') lit++;
+	return lit / (FONT_W * FONT_H);
+}
+
+/**
+ * Normalise a user ramp: drop duplicate characters and order the rest by
+ * measured coverage, darkest first. Glyphs that cannot be measured inherit
+ * the coverage of the closest measurable glyph before them, so a ramp the
+ * font knows nothing about (e.g. katakana) keeps the order it was given in.
+ *
+ * Frames index glyphs by UTF-16 code unit, so characters outside the
+ * Basic Multilingual Plane (most emoji) and control characters are rejected.
+ *
+ * @param {string} ramp
+ * @returns {string}
+ */
+export function sortRampByDensity(ramp) {
+	const chars = [...new Set(Array.from(String(ramp || '')))];
+	const invalid = chars.filter((ch) => ch.length > 1 || ch.charCodeAt(0) < 0x20);
+	if (invalid.length) {
+		throw new TypeError(`Ramp contains unsupported characters: ${invalid.map((ch) => JSON.stringify(ch)).join(', ')}`);
+	}
+	if (chars.length < 2) {
+		throw new TypeError('Ramp needs at least two distinct characters');
+	}
+	let carried = 0;
+	const measured = chars.map((ch, i) => {
+		const c = glyphCoverage(ch);
+		if (c !== null) carried = c;
+		return { ch, i, coverage: c === null ? carried : c };
+	});
+	measured.sort((a, b) => (a.coverage - b.coverage) || (a.i - b.i));
+	return measured.map((m) => m.ch).join('');
+}
@@ -0,0 +1,115 @@
+/**
+ * ASCII-fi – Worker pool for the per-cell analysis pass.
+ *
+ * AsciiEngine#analyzeFrame() only reads the pixels, so frames can be
+ * spread across worker threads. assembleFrame() owns the temporal state
+ * (stabilisation, vote history, motion background model, 'keep' snapshot)
+ * and stays on the calling thread; callers await analyze() results in
+ * submission order and assemble them one after another.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+
+const MAX_WORKERS = 64;
+
+/**
+ * Validate a worker count. 'auto' leaves one core for FFmpeg and the
+ * assembly pass.
+ *
+ * @param {number|string} [workers]
+ * @returns {number}
+ */
+export function resolveWorkers(workers = 1) {
+	if (workers === 'auto') return Math.max(1, Math.min(MAX_WORKERS, availableParallelism() - 1));
+	if (!Number.isInteger(workers) || workers < 1 || workers > MAX_WORKERS) {
+		throw new RangeError(`Worker count must be an integer from 1 to ${MAX_WORKERS}, or "auto"`);
+	}
+	return workers;
+}
+
+export class FramePool {
+	/**
+	 * @param {number} size - Number of worker threads
+	 * @param {object} [engineOptions] - The `ramp`, `edge`, `colorSpace` and
+	 *   `invert` settings of the AsciiEngine whose frames are being analysed
+	 */
+	constructor(size, { ramp = null, edge = {}, colorSpace = 'rgb', invert = false } = {}) {
+		this.queue = [];
+		this.idle = [];
+		this.workers = [];
+		this.failure = null;
+		for (let i = 0; i < size; i++) {
+			const worker = new Worker(new URL('./frame-worker.js', import.meta.url), { workerData: { ramp, edge, colorSpace, invert } });
+			worker.job = null;
+			worker.on('message', (msg) => this.settle(worker, msg));
+			worker.on('error', (err) => this.fail(err));
+			this.workers.push(worker);
+			this.idle.push(worker);
+		}
+	}
+
+	/**
+	 * Queue one frame for analysis. Takes the same arguments as
+	 * AsciiEngine#analyzeFrame().
+	 *
+	 * @param {object} [options]
+	 * @param {boolean} [options.transfer] - Hand `pixels` to the worker
+	 *   instead of copying it; the caller must not read it afterwards.
+	 * @returns {Promise<import('./engine.js').CellAnalysis>}
+	 */
+	analyze(pixels, scaledW, scaledH, outW, outH, sampleFactor, useColor, charMode, detail = 100, { transfer = false } = {}) {
+		if (this.failure) return Promise.reject(this.failure);
+		const result = new Promise((resolve, reject) => {
+			this.queue.push({
+				message: { pixels, scaledW, scaledH, outW, outH, sampleFactor, useColor, charMode, detail },
+				transfer: transfer ? [pixels.buffer] : [],
+				resolve,
+				reject,
+			});
+			this.dispatch();
+		});
+		// Results are awaited in frame order, so a later frame can fail
+		// before anyone listens; the awaiting caller still sees the error.
+		result.catch(() => { });
+		return result;
+	}
+
+	dispatch() {
+		while (this.queue.length && this.idle.length) {
+			const worker = this.idle.pop();
+			const job = this.queue.shift();
+			worker.job = job;
+			worker.postMessage(job.message, job.transfer);
+		}
+	}
+
+	settle(worker, { cells, error }) {
+		const job = worker.job;
+		worker.job = null;
+		this.idle.push(worker);
+		if (error) job.reject(new Error(`Frame analysis failed: ${error}`));
+		else job.resolve(cells);
+		this.dispatch();
+	}
+
+	fail(err) {
+		if (this.failure) return;
+		this.failure = err;
+		this.destroy();
+	}
+
+	/** Stop every worker, rejecting frames that are still queued or running. */
+	destroy() {
+		const err = this.failure || new Error('Frame pool closed');
+		this.failure = err;
+		for (const worker of this.workers) {
+			if (worker.job) worker.job.reject(err);
+			worker.job = null;
+			worker.terminate();
+		}
+		for (const job of this.queue.splice(0)) job.reject(err);
+		this.workers = [];
+		this.idle = [];
+	}
+}
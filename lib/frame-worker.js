@@ -0,0 +1,23 @@
+/**
+ * ASCII-fi – Frame analysis worker.
+ *
+ * Runs AsciiEngine#analyzeFrame() for FramePool. The engine here never
+ * assembles a frame, so it holds no temporal state of its own.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { AsciiEngine } from './engine.js';
+
+const engine = new AsciiEngine(workerData);
+
+parentPort.on('message', ({ pixels, scaledW, scaledH, outW, outH, sampleFactor, useColor, charMode, detail }) => {
+	let cells;
+	try {
+		cells = engine.analyzeFrame(pixels, scaledW, scaledH, outW, outH, sampleFactor, useColor, charMode, detail);
+	} catch (err) {
+		parentPort.postMessage({ error: err.message });
+		return;
+	}
+	const transfer = Object.values(cells).filter(Boolean).map((plane) => plane.buffer);
+	parentPort.postMessage({ cells }, transfer);
+});
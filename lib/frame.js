@@ -0,0 +1,179 @@
+/**
+ * ASCII-fi – Packed frame representation.
+ *
+ * The engine emits frames as flat typed arrays so the bundler, GIF writer
+ * and players can walk them without a `[r,g,b]` array (and its garbage)
+ * per cell:
+ *
+ *   - `codes`  Uint16Array of UTF-16 char codes, one per cell. Every glyph
+ *              the engine can emit (ramps included) is in the BMP.
+ *   - `rgb`    Uint8Array of packed R,G,B triples, or null without colour.
+ *   - `bgRgb`  Half-block background triples, with `bgMask` marking the
+ *              cells that have one (0 = show the player background).
+ *   - `fgMask` With foreground isolation, 1 per subject cell. Debug/preview
+ *              data only; bundles and GIFs do not store it.
+ *   - `textMask` 1 per cell holding burned-in caption text, which the GIF
+ *              writer draws with its font. Players show the glyphs as-is,
+ *              so bundles do not store it.
+ *
+ * `chars`, `colors` and `bgColors` rebuild the string/array shape older
+ * `onFrame` consumers expect. They are computed on first access, so code
+ * that sticks to the packed fields never pays for them. Assigning one
+ * re-packs it into the typed arrays; editing the returned string or arrays
+ * in place does not.
+ */
+
+const STRING_CHUNK = 8192; // String.fromCharCode argument limit headroom
+
+/**
+ * Decode a run of char codes to a string.
+ *
+ * @param {Uint16Array} codes
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {string}
+ */
+export function codesToString(codes, start = 0, end = codes.length) {
+	let out = '';
+	for (let i = start; i < end; i += STRING_CHUNK) {
+		out += String.fromCharCode.apply(null, codes.subarray(i, Math.min(end, i + STRING_CHUNK)));
+	}
+	return out;
+}
+
+/**
+ * Encode a string to one char code per cell.
+ *
+ * @param {string} str
+ * @returns {Uint16Array}
+ */
+export function stringToCodes(str) {
+	const codes = new Uint16Array(str.length);
+	for (let i = 0; i < str.length; i++) codes[i] = str.charCodeAt(i);
+	return codes;
+}
+
+function unpackRgb(plane, mask) {
+	const n = plane.length / 3;
+	const out = new Array(n);
+	for (let i = 0, o = 0; i < n; i++, o += 3) {
+		out[i] = (mask && !mask[i]) ? null : [plane[o], plane[o + 1], plane[o + 2]];
+	}
+	return out;
+}
+
+function packRgb(colors, n) {
+	const plane = new Uint8Array(n * 3);
+	let mask = null;
+	for (let i = 0, o = 0; i < n; i++, o += 3) {
+		const c = colors[i];
+		if (!c) {
+			if (!mask) mask = new Uint8Array(n).fill(1);
+			mask[i] = 0;
+			continue;
+		}
+		plane[o] = c[0]; plane[o + 1] = c[1]; plane[o + 2] = c[2];
+	}
+	return { plane, mask };
+}
+
+// Half-block backgrounds always carry a mask, all 1s when every cell has one
+function packBg(bgColors, n) {
+	if (!bgColors) return { bgRgb: null, bgMask: null };
+	const { plane, mask } = packRgb(bgColors, n);
+	return { bgRgb: plane, bgMask: mask || new Uint8Array(n).fill(1) };
+}
+
+export class PackedFrame {
+	/**
+	 * @param {object} data
+	 * @param {Uint16Array} data.codes - Char code per cell
+	 * @param {Uint8Array|null} [data.rgb] - Glyph colour triples
+	 * @param {Uint8Array|null} [data.bgRgb] - Background colour triples (half-block)
+	 * @param {Uint8Array|null} [data.bgMask] - 1 where the cell has a background
+	 * @param {number} [data.changedCells] - Cells whose glyph changed since the previous frame
+	 * @param {Uint8Array|null} [data.fgMask] - 1 where foreground isolation kept the cell
+	 * @param {Uint8Array|null} [data.textMask] - 1 where the cell is caption text
+	 */
+	constructor({ codes, rgb = null, bgRgb = null, bgMask = null, changedCells, fgMask = null, textMask = null }) {
+		this.codes = codes;
+		this.rgb = rgb;
+		this.bgRgb = bgRgb;
+		this.bgMask = bgRgb ? bgMask : null;
+		if (changedCells !== undefined) this.changedCells = changedCells;
+		if (fgMask) this.fgMask = fgMask;
+		if (textMask) this.textMask = textMask;
+		this._legacy = null;
+	}
+
+	/** Number of cells in the frame. */
+	get length() {
+		return this.codes.length;
+	}
+
+	/** Glyphs as one string, row-major. */
+	get chars() {
+		return this.legacyView().chars;
+	}
+
+	set chars(str) {
+		this.codes = stringToCodes(str);
+		this._legacy = null;
+	}
+
+	/** Per-cell `[r,g,b]` glyph colours, or undefined without colour. */
+	get colors() {
+		return this.legacyView().colors;
+	}
+
+	set colors(colors) {
+		this.rgb = colors ? packRgb(colors, this.codes.length).plane : null;
+		this._legacy = null;
+	}
+
+	/** Per-cell `[r,g,b]` backgrounds (null = none), half-block colour mode only. */
+	get bgColors() {
+		return this.legacyView().bgColors;
+	}
+
+	set bgColors(bgColors) {
+		({ bgRgb: this.bgRgb, bgMask: this.bgMask } = packBg(bgColors, this.codes.length));
+		this._legacy = null;
+	}
+
+	legacyView() {
+		if (!this._legacy) {
+			this._legacy = {
+				chars: codesToString(this.codes),
+				colors: this.rgb ? unpackRgb(this.rgb, null) : undefined,
+				bgColors: this.bgRgb ? unpackRgb(this.bgRgb, this.bgMask) : undefined,
+			};
+		}
+		return this._legacy;
+	}
+
+	toJSON() {
+		const { chars, colors, bgColors } = this.legacyView();
+		const out = { chars };
+		if (colors) out.colors = colors;
+		if (bgColors) out.bgColors = bgColors;
+		if (this.changedCells !== undefined) out.changedCells = this.changedCells;
+		return out;
+	}
+
+	/**
+	 * Accept either representation: packed frames pass through, while
+	 * `{ chars, colors?, bgColors? }` objects (hand-built frames, older
+	 * callers of generateBundle) are packed once.
+	 *
+	 * @param {PackedFrame|{chars: string, colors?: number[][], bgColors?: (number[]|null)[]}} frame
+	 * @returns {PackedFrame}
+	 */
+	static from(frame) {
+		if (frame instanceof PackedFrame) return frame;
+		const codes = stringToCodes(frame.chars);
+		const rgb = frame.colors ? packRgb(frame.colors, codes.length).plane : null;
+		const { bgRgb, bgMask } = packBg(frame.bgColors, codes.length);
+		return new PackedFrame({ codes, rgb, bgRgb, bgMask, changedCells: frame.changedCells });
+	}
+}
@@ -19,7 +19,10 @@ async function loadGifenc() {
 	}
 }
 
-import { pickColorForChar, nearestPaletteColor, CHAR_RAMP, BLOCK_RAMP } from './render.js';
+import { pickColorForChar, nearestPaletteColor, CHAR_RAMP, BLOCK_RAMP, BRAILLE_BASE, BRAILLE_DOT_BITS, HALF_BLOCK_UPPER, HALF_BLOCK_LOWER } from './render.js';
+import { FONT_W, FONT_H, getFontGlyph, sortRampByDensity } from './font.js';
+import { createDitherer } from './dither.js';
+import { PackedFrame } from './frame.js';
 
 const isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
 
@@ -32,19 +35,63 @@ async function initGifenc() {
 	applyPalette = gifenc.applyPalette;
 }
 
-const FONT_W = 5;
-const FONT_H = 7;
 export const CELL_W = 6; // 5px glyph + 1px padding
 export const CELL_H = 8; // 7px glyph + 1px padding
 
+// Cell width ÷ height of the places output is viewed. The grid height is
+// chosen so that cells of this shape show the source undistorted.
+export const DEFAULT_CELL_ASPECT = CELL_W / CELL_H;
+export const CELL_ASPECT_PRESETS = Object.freeze({
+	gif: DEFAULT_CELL_ASPECT,
+	web: 0.75, // monospace advance ≈0.6em on the player's 0.8em lines
+	terminal: 0.5, // most terminal fonts sit close to 1:2
+});
+const MIN_CELL_ASPECT = 0.25;
+const MAX_CELL_ASPECT = 2;
+
+/**
+ * Resolve a `cellAspect` option to a width ÷ height ratio.
+ *
+ * @param {number|string} [cellAspect] - A ratio (0.25–2) or a preset name:
+ *   'gif' | 'web' | 'terminal' (default 'gif')
+ * @returns {number}
+ */
+export function resolveCellAspect(cellAspect = 'gif') {
+	if (typeof cellAspect === 'string') {
+		if (!Object.hasOwn(CELL_ASPECT_PRESETS, cellAspect)) {
+			throw new TypeError(`Unknown cell aspect preset "${cellAspect}" (expected ${Object.keys(CELL_ASPECT_PRESETS).join(', ')} or a number)`);
+		}
+		return CELL_ASPECT_PRESETS[cellAspect];
+	}
+	if (typeof cellAspect !== 'number' || !(cellAspect >= MIN_CELL_ASPECT && cellAspect <= MAX_CELL_ASPECT)) {
+		throw new RangeError(`Cell aspect must be a width/height ratio from ${MIN_CELL_ASPECT} to ${MAX_CELL_ASPECT} (got ${cellAspect})`);
+	}
+	return cellAspect;
+}
+
+/**
+ * GIF cell box for a cell aspect. One side keeps its default size and the
+ * other grows, so the 5×7 glyph area is stretched rather than cropped.
+ *
+ * @param {number} [aspect] - Width ÷ height, see resolveCellAspect()
+ * @returns {{w: number, h: number}} Pixels, including the 1px gap
+ */
+export function gifCellSize(aspect = DEFAULT_CELL_ASPECT) {
+	if (aspect <= DEFAULT_CELL_ASPECT) return { w: CELL_W, h: Math.max(CELL_H, Math.round(CELL_W / aspect)) };
+	return { w: Math.max(CELL_W, Math.round(CELL_H * aspect)), h: CELL_H };
+}
+
 
 // ─── Density-based glyph generator ──────────────────────────────────────────
 // Instead of hand-drawing 70+ bitmap glyphs, we generate a 5×7 fill pattern
 // for each character based on its position in the luminance ramp.
 // Darker chars (early ramp) have fewer lit pixels; brighter chars fill more.
 // This makes the GIF look like real ASCII art with varying densities.
+// User-supplied ramps and shape-matched output are drawn with the real 5×7
+// font from font.js instead.
 
 const _glyphCache = new Map();
+const BLANK_GLYPH = Array(FONT_H).fill(' '.repeat(FONT_W));
 
 // Hand-drawn 5×7 glyphs for edge/shape characters produced by the edge detector.
 // These characters are NOT in CHAR_RAMP, so they need explicit definitions.
@@ -57,42 +104,20 @@ const EDGE_GLYPH_MAP = new Map([
 	['L', ['#    ', '#    ', '#    ', '#    ', '#    ', '#####', '     ']],
 	['7', ['#####', '    #', '   # ', '   # ', '  #  ', '  #  ', '     ']],
 	['r', ['     ', ' ####', '#    ', '#    ', '#    ', '#    ', '     ']],
+	// Half blocks split the 7 rows 4/3 so '▀' and '▄' exactly complement each other
+	[HALF_BLOCK_UPPER, ['#####', '#####', '#####', '#####', '     ', '     ', '     ']],
+	[HALF_BLOCK_LOWER, ['     ', '     ', '     ', '     ', '#####', '#####', '#####']],
 ]);
 
-function getGlyph(ch) {
-	if (_glyphCache.has(ch)) return _glyphCache.get(ch);
-
-	let glyph;
-
-	// 1. Check hand-drawn edge glyphs
-	if (EDGE_GLYPH_MAP.has(ch)) {
-		glyph = EDGE_GLYPH_MAP.get(ch);
-		_glyphCache.set(ch, glyph);
-		return glyph;
-	}
-
-	// 2. Block ramp chars (░▒▓█) — fill from bottom up proportionally
-	const blockIdx = BLOCK_RAMP.indexOf(ch);
-	if (blockIdx > 0) {
-		const fillLevel = blockIdx / (BLOCK_RAMP.length - 1);
-		const litCount = Math.round(fillLevel * FONT_W * FONT_H);
-		const grid = Array.from({ length: FONT_H }, () => Array(FONT_W).fill(' '));
-		let filled = 0;
-		for (let gy = FONT_H - 1; gy >= 0 && filled < litCount; gy--) {
-			for (let gx = 0; gx < FONT_W && filled < litCount; gx++) {
-				grid[gy][gx] = '#';
-				filled++;
-			}
-		}
-		glyph = grid.map(row => row.join(''));
-		_glyphCache.set(ch, glyph);
-		return glyph;
-	}
-
-	// 3. CHAR_RAMP density-based fill (centre-outward)
-	const idx = CHAR_RAMP.indexOf(ch);
-	const level = idx <= 0 ? 0 : idx / (CHAR_RAMP.length - 1);
+function isBrailleChar(ch) {
+	const code = ch.charCodeAt(0);
+	return code >= BRAILLE_BASE && code <= BRAILLE_BASE + 0xff;
+}
 
+/**
+ * Deterministic centre-outward fill lighting `level` (0–1) of the 5×7 cell.
+ */
+function densityGlyph(level, seed) {
 	// Number of pixels to light up out of 35 (5×7)
 	const totalPixels = FONT_W * FONT_H;
 	const litCount = Math.round(level * totalPixels);
@@ -110,7 +135,7 @@ function getGlyph(ch) {
 				const dx = x - cx;
 				const dy = y - cy;
 				// Use a slight hash so the pattern isn't a perfect circle
-				const hash = ((x * 7 + y * 13 + idx * 3) & 0xf) / 16;
+				const hash = ((x * 7 + y * 13 + seed * 3) & 0xf) / 16;
 				cells.push({ x, y, dist: dx * dx + dy * dy + hash });
 			}
 		}
@@ -121,8 +146,82 @@ function getGlyph(ch) {
 		}
 	}
 
-	glyph = grid.map(row => row.join(''));
-	_glyphCache.set(ch, glyph);
+	return grid.map(row => row.join(''));
+}
+
+/**
+ * Characters in `chars` the GIF renderer has no drawing for. With a custom
+ * ramp these are still shown, but as density blobs rather than their shape.
+ *
+ * @param {string} chars
+ * @returns {string[]}
+ */
+export function findUnsupportedGlyphs(chars) {
+	const missing = [];
+	for (const ch of new Set(Array.from(chars || ''))) {
+		if (ch === ' ' || EDGE_GLYPH_MAP.has(ch) || isBrailleChar(ch) || BLOCK_RAMP.includes(ch)) continue;
+		if (!getFontGlyph(ch)) missing.push(ch);
+	}
+	return missing;
+}
+
+function getGlyph(ch, ramp = null, useFont = !!ramp) {
+	const cacheKey = useFont ? `${ramp || ''}\0${ch}` : ch;
+	if (_glyphCache.has(cacheKey)) return _glyphCache.get(cacheKey);
+
+	let glyph;
+
+	// 0. Custom ramps and shape mode draw real shapes where the font has them
+	if (useFont) glyph = getFontGlyph(ch);
+
+	// 1. Check hand-drawn edge glyphs
+	if (!glyph && EDGE_GLYPH_MAP.has(ch)) {
+		glyph = EDGE_GLYPH_MAP.get(ch);
+	}
+
+	// 2. Braille patterns (U+2800–U+28FF) — 2×4 dots at columns 1/3, rows 0/2/4/6
+	if (!glyph && isBrailleChar(ch)) {
+		const bits = ch.charCodeAt(0) - BRAILLE_BASE;
+		const grid = Array.from({ length: FONT_H }, () => Array(FONT_W).fill(' '));
+		for (let d = 0; d < 8; d++) {
+			if (bits & BRAILLE_DOT_BITS[d]) grid[(d >> 1) * 2][(d & 1) * 2 + 1] = '#';
+		}
+		glyph = grid.map(row => row.join(''));
+	}
+
+	// 3. Block ramp chars (░▒▓█) — fill from bottom up proportionally
+	const blockIdx = glyph ? -1 : BLOCK_RAMP.indexOf(ch);
+	if (blockIdx > 0) {
+		const fillLevel = blockIdx / (BLOCK_RAMP.length - 1);
+		const litCount = Math.round(fillLevel * FONT_W * FONT_H);
+		const grid = Array.from({ length: FONT_H }, () => Array(FONT_W).fill(' '));
+		let filled = 0;
+		for (let gy = FONT_H - 1; gy >= 0 && filled < litCount; gy--) {
+			for (let gx = 0; gx < FONT_W && filled < litCount; gx++) {
+				grid[gy][gx] = '#';
+				filled++;
+			}
+		}
+		glyph = grid.map(row => row.join(''));
+	}
+
+	if (!glyph) {
+		if (ramp) {
+			// 4a. Glyph the font can't draw — density blob by its place in the ramp
+			const idx = ramp.indexOf(ch);
+			glyph = densityGlyph(idx <= 0 ? 0 : idx / (ramp.length - 1), idx);
+		} else {
+			// 4b. CHAR_RAMP density-based fill (centre-outward), then the plain font
+			const idx = CHAR_RAMP.indexOf(ch);
+			if (idx > 0) {
+				glyph = densityGlyph(idx / (CHAR_RAMP.length - 1), idx);
+			} else {
+				glyph = getFontGlyph(ch) || densityGlyph(0, 0);
+			}
+		}
+	}
+
+	_glyphCache.set(cacheKey, glyph);
 	return glyph;
 }
 
@@ -134,77 +233,127 @@ function parseHexColor(hex, fallback) {
 }
 
 function renderFrameToRgba(frame, width, height, render) {
-	const blockMode = render?.charMode === 'block';
-	const imgW = width * CELL_W;
-	const imgH = height * CELL_H;
+	const blockMode = render?.charMode === 'block' && !render?.ramp;
+	const ramp = render?.ramp || null;
+	// Shape mode picked each glyph for its bitmap, so draw that bitmap
+	const useFont = !!ramp || render?.charMode === 'shape';
+	const { w: cellW, h: cellH } = gifCellSize(render?.cellAspect);
+	const imgW = width * cellW;
+	const imgH = height * cellH;
 	// Initialized to all-zero = fully transparent. Gap pixels (the 1px padding
-	// column/row within each cell) remain alpha=0 (transparent) always.
+	// column/row within each cell) stay alpha=0 unless the background is opaque.
 	const pixels = new Uint8Array(imgW * imgH * 4);
+	// Glyph area of a cell and the 5×7 font pixel each of its pixels shows
+	const areaW = cellW - 1;
+	const areaH = cellH - 1;
+	const fontCol = Array.from({ length: areaW }, (_, gx) => Math.floor(gx * FONT_W / areaW));
+	const fontRow = Array.from({ length: areaH }, (_, gy) => Math.floor(gy * FONT_H / areaH));
 
 	const bgSetting = render?.theme?.bg;
 	const transparentBg = !bgSetting || bgSetting === 'transparent';
 	const bg = transparentBg ? null : parseHexColor(bgSetting, null);
 	const bgAlpha = bg ? 255 : 0;
+	// An opaque background covers the whole image, gaps included, as the players paint it
+	if (bg) {
+		for (let o = 0; o < pixels.length; o += 4) {
+			pixels[o] = bg[0]; pixels[o + 1] = bg[1]; pixels[o + 2] = bg[2]; pixels[o + 3] = 255;
+		}
+	}
 
 	const defaultFg = parseHexColor(render?.theme?.fg, [0, 255, 0]);
+	const palette = render?.mode === 'palette' && render?.palette?.length ? render.palette : null;
+	const { codes, rgb, bgRgb, bgMask, textMask } = frame;
+	const glyphs = new Map();
+	const textGlyphs = new Map();
+	const snapped = new Map();
+	const fgScratch = [0, 0, 0];
+	const bgScratch = [0, 0, 0];
+
+	// Colour of cell `i` in a packed plane, snapped to the palette if any
+	const cellRgb = (plane, i, scratch) => {
+		const o = i * 3;
+		if (!palette) {
+			scratch[0] = plane[o]; scratch[1] = plane[o + 1]; scratch[2] = plane[o + 2];
+			return scratch;
+		}
+		const key = (plane[o] << 16) | (plane[o + 1] << 8) | plane[o + 2];
+		let c = snapped.get(key);
+		if (!c) {
+			c = nearestPaletteColor([plane[o], plane[o + 1], plane[o + 2]], palette, render.colorSpace);
+			snapped.set(key, c);
+		}
+		return c;
+	};
 
 	for (let y = 0; y < height; y++) {
 		for (let x = 0; x < width; x++) {
 			const i = y * width + x;
-			const ch = frame.chars[i] || ' ';
+			const code = codes[i] || 0x20;
+			const ch = String.fromCharCode(code);
+			// Caption text is spelled out in the font, never drawn as a density shape
+			const isText = !!textMask && textMask[i] === 1;
 
 			// Determine foreground colour for this cell
 			let cellColor = null;
-			if (ch !== ' ') {
+			if (code !== 0x20) {
 				if (render?.mode === 'mono') {
 					cellColor = defaultFg;
-				} else if (frame.colors && frame.colors[i]) {
-					cellColor = frame.colors[i];
-					if (render?.mode === 'palette' && render?.palette?.length) {
-						cellColor = nearestPaletteColor(cellColor, render.palette);
-					}
+				} else if (rgb) {
+					cellColor = cellRgb(rgb, i, fgScratch);
 				} else {
 					cellColor = pickColorForChar(ch, render, null, defaultFg);
 				}
 			}
 
-			// Only paint within the FONT_W × FONT_H glyph area (not the 1px gap).
-			// Gap pixels stay alpha=0 (transparent) always.
-			if (blockMode) {
-				// Block mode: fill the FONT_W × FONT_H area with colour (or bg).
+			// Half-block cells carry their own background for the unlit half
+			let cellBg = null;
+			if (code !== 0x20 && render?.mode !== 'mono' && bgRgb && bgMask[i]) {
+				cellBg = cellRgb(bgRgb, i, bgScratch);
+			}
+
+			// Only paint within the glyph area (not the 1px gap).
+			// Gap pixels keep whatever the background left there.
+			if (blockMode && !isText) {
+				// Block mode: fill the glyph area with colour (or bg).
 				const paint = cellColor || bg;
 				const alpha = cellColor ? 255 : bgAlpha;
 				if (!paint) continue; // fully transparent cell – nothing to write
-				for (let gy = 0; gy < FONT_H; gy++) {
-					for (let gx = 0; gx < FONT_W; gx++) {
-						const px = x * CELL_W + gx;
-						const py = y * CELL_H + gy;
+				for (let gy = 0; gy < areaH; gy++) {
+					for (let gx = 0; gx < areaW; gx++) {
+						const px = x * cellW + gx;
+						const py = y * cellH + gy;
 						const o = (py * imgW + px) * 4;
 						pixels[o] = paint[0]; pixels[o + 1] = paint[1]; pixels[o + 2] = paint[2]; pixels[o + 3] = alpha;
 					}
 				}
 			} else {
 				// Glyph mode: optionally fill glyph area with bg, then draw lit pixels.
-				if (bg && bgAlpha > 0) {
-					// Fill the FONT_W × FONT_H cell interior with the background.
-					for (let gy = 0; gy < FONT_H; gy++) {
-						for (let gx = 0; gx < FONT_W; gx++) {
-							const px = x * CELL_W + gx;
-							const py = y * CELL_H + gy;
+				const fill = cellBg || (bgAlpha > 0 ? bg : null);
+				if (fill) {
+					// Fill the cell interior with the background.
+					for (let gy = 0; gy < areaH; gy++) {
+						for (let gx = 0; gx < areaW; gx++) {
+							const px = x * cellW + gx;
+							const py = y * cellH + gy;
 							const o = (py * imgW + px) * 4;
-							pixels[o] = bg[0]; pixels[o + 1] = bg[1]; pixels[o + 2] = bg[2]; pixels[o + 3] = 255;
+							pixels[o] = fill[0]; pixels[o + 1] = fill[1]; pixels[o + 2] = fill[2]; pixels[o + 3] = 255;
 						}
 					}
 				}
 				// Draw lit glyph pixels (foreground) on top
 				if (cellColor) {
-					const glyph = getGlyph(ch);
-					for (let gy = 0; gy < FONT_H; gy++) {
-						const row = glyph[gy];
-						for (let gx = 0; gx < FONT_W; gx++) {
-							if (row[gx] !== '#') continue;
-							const px = x * CELL_W + gx;
-							const py = y * CELL_H + gy;
+					const cache = isText ? textGlyphs : glyphs;
+					let glyph = cache.get(code);
+					if (!glyph) {
+						glyph = isText ? (getFontGlyph(ch) || BLANK_GLYPH) : getGlyph(ch, ramp, useFont);
+						cache.set(code, glyph);
+					}
+					for (let gy = 0; gy < areaH; gy++) {
+						const row = glyph[fontRow[gy]];
+						for (let gx = 0; gx < areaW; gx++) {
+							if (row[fontCol[gx]] !== '#') continue;
+							const px = x * cellW + gx;
+							const py = y * cellH + gy;
 							const o = (py * imgW + px) * 4;
 							pixels[o] = cellColor[0]; pixels[o + 1] = cellColor[1]; pixels[o + 2] = cellColor[2]; pixels[o + 3] = 255;
 						}
@@ -219,12 +368,12 @@ function renderFrameToRgba(frame, width, height, render) {
 
 function getBackgroundColor(frame, render) {
 	const themeBg = render?.theme?.bg;
-	if (render?.mode === 'truecolor' && (themeBg === 'auto' || themeBg === 'transparent') && frame.colors) {
+	if (render?.mode === 'truecolor' && (themeBg === 'auto' || themeBg === 'transparent') && frame.rgb) {
 		let r = 0; let g = 0; let b = 0;
-		const total = frame.colors.length || 1;
-		for (let i = 0; i < total; i++) {
-			const c = frame.colors[i];
-			r += c[0]; g += c[1]; b += c[2];
+		const plane = frame.rgb;
+		const total = plane.length / 3 || 1;
+		for (let o = 0; o < plane.length; o += 3) {
+			r += plane[o]; g += plane[o + 1]; b += plane[o + 2];
 		}
 		return [Math.round(r / total), Math.round(g / total), Math.round(b / total)];
 	}
@@ -238,7 +387,8 @@ function getBackgroundColor(frame, render) {
  * @param {number} opts.width
  * @param {number} opts.height
  * @param {number} opts.fps
- * @param {object} opts.render
+ * @param {object} opts.render - `render.scenePalettes` is read at finalize,
+ *                               so it may be set once conversion has finished
  * @param {string} opts.outputPath
  */
 export async function createAsciiGifWriter({ width, height, fps, render, outputPath }) {
@@ -249,15 +399,36 @@ export async function createAsciiGifWriter({ width, height, fps, render, outputP
 
 	// Force transparent background for GIF previews — only ASCII glyphs are drawn.
 	// The GUI preview tab has its own background colour picker for viewing.
-	const gifRender = { ...render, theme: { ...render?.theme, bg: 'transparent' } };
+	// Inverted ramps keep the theme background: dark glyphs on transparency read as a negative.
+	const keepBg = render?.invert && parseHexColor(render?.theme?.bg, null);
+	const gifRender = { ...render, theme: { ...render?.theme, bg: keepBg ? render.theme.bg : 'transparent' } };
+	if (render?.ramp) gifRender.ramp = sortRampByDensity(render.ramp);
 
 	const writeFrame = (frame) => {
-		framesParams.push(frame);
+		framesParams.push(PackedFrame.from(frame));
 	};
 
 	const finalize = async () => {
+		// Per-scene k-means palettes take over at each scene's first frame
+		const switches = gifRender.mode === 'palette' && render.scenePalettes?.length
+			? render.scenePalettes
+			: [{ frame: 0, palette: gifRender.palette }];
+		let scene = -1;
+		let sceneRender = gifRender;
+		let ditherer = null;
+
 		// Render all frames memory buffers
-		const renderedFrames = framesParams.map(f => renderFrameToRgba(f, width, height, gifRender));
+		const renderedFrames = framesParams.map((f, i) => {
+			if (scene < 0 || (scene + 1 < switches.length && i >= switches[scene + 1].frame)) {
+				scene++;
+				sceneRender = { ...gifRender, palette: switches[scene].palette };
+				// Dither palette colours (in frame order, like the bundle) before snapping
+				ditherer = gifRender.mode === 'palette'
+					? createDitherer({ method: gifRender.dither, palette: sceneRender.palette, width, height, colorSpace: gifRender.colorSpace })
+					: null;
+			}
+			return renderFrameToRgba(ditherer ? ditherer.apply(f) : f, width, height, sceneRender);
+		});
 		if (renderedFrames.length === 0) return;
 
 		const imgW = renderedFrames[0].imgW;
@@ -292,8 +463,8 @@ export async function createAsciiGifWriter({ width, height, fps, render, outputP
 			const index = applyPalette(pixels, basePalette);
 
 			// Always map alpha=0 pixels (gap pixels + transparent bg) to TRANSPARENT_INDEX.
-			// This is necessary regardless of bg mode — gap pixels are always alpha=0
-			// from renderFrameToRgba, and we must not let them get quantized to a
+			// This is necessary regardless of bg mode — gap pixels are alpha=0 from
+			// renderFrameToRgba unless the background is opaque, and we must not let them get quantized to a
 			// dark palette entry (which would render as opaque black/white).
 			for (let j = 0; j < index.length; j++) {
 				if (pixels[j * 4 + 3] === 0) {
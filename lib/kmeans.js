@@ -6,8 +6,9 @@
  * image, rather than relying on hand-picked gradient presets.
  *
  * The algorithm:
- *   1. Sample pixels from one or more frames (fast sub-sampling).
- *   2. Run k-means in RGB space with k = desired palette size.
+ *   1. Sample pixels from frames spread across the clip (fast sub-sampling).
+ *   2. Run k-means with k = desired palette size, in RGB or (with the
+ *      'oklab' colour space) in OKLab, where distances track perception.
  *   3. Sort resulting centroids by luminance for consistent ordering.
  *   4. Optionally boost saturation/spread of centroids so they remain
  *      distinguishable at low colour depths.
@@ -15,24 +16,113 @@
  * This is "ML-lite" – fully deterministic once seeded, runs in <50 ms
  * for typical frame sizes, and produces dramatically better palettes
  * than fixed gradients for arbitrary source material.
+ *
+ * The `kmeans` option steers it: `locked` colours (brand colours, say)
+ * are centroids that never move, so the free ones fit whatever else the
+ * footage needs; `weight` makes the centre of the frame, or the subject
+ * under foreground isolation, count more; and `seed` swaps the
+ * farthest-point start for randomised k-means++ from a seeded generator,
+ * giving reproducible alternatives.
+ *
+ * One palette for a whole multi-shot video loses colours whenever the
+ * shot changes, so createScenePalettes() can instead split the converted
+ * frames at cuts and fit a palette to each scene's own cell colours. The
+ * bundle then switches colour dictionaries at every scene (see bundler.js).
  */
 
+import { srgbToOklab, oklabToSrgb } from './color.js';
+import { sampleVideoFrames, joinFrames } from './sampling.js';
+
+export const KMEANS_WEIGHTS = ['uniform', 'center', 'foreground'];
+export const DEFAULT_KMEANS = Object.freeze({ locked: [], weight: 'uniform', seed: null });
+// 'center': weight at the middle of the frame, falling to 1 over about a quarter of its size
+const CENTER_WEIGHT = 4;
+const CENTER_SIGMA = 0.25;
+// 'foreground': weight of subject cells against 1 for the rest
+const FOREGROUND_WEIGHT = 4;
+const MAX_PALETTE_SAMPLES = 3000;
+
+/**
+ * Validate a `kmeans` option.
+ *
+ * @param {object} [kmeans]
+ * @param {Array<string|number[]>} [kmeans.locked] - Colours always in the palette, '#rrggbb' or [r, g, b]
+ * @param {string} [kmeans.weight] - 'uniform' | 'center' | 'foreground'
+ * @param {number|null} [kmeans.seed] - Seed for randomised k-means++; null keeps the farthest-point start
+ * @param {number} [k] - Palette size the locked colours have to fit in
+ * @returns {{locked: number[][], weight: string, seed: number|null}}
+ */
+export function resolveKmeans({ locked = DEFAULT_KMEANS.locked, weight = DEFAULT_KMEANS.weight, seed = DEFAULT_KMEANS.seed } = {}, k = Infinity) {
+	if (!Array.isArray(locked)) {
+		throw new TypeError('Locked k-means colours must be a list of #rrggbb or [r, g, b] colours');
+	}
+	const colors = locked.map((c) => {
+		if (typeof c === 'string') {
+			const m = /^#?([0-9a-f]{6})$/i.exec(c.trim());
+			if (!m) throw new TypeError(`Bad locked colour "${c}" (expected #rrggbb)`);
+			const n = parseInt(m[1], 16);
+			return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+		}
+		if (!Array.isArray(c) || c.length !== 3 || !c.every((v) => Number.isInteger(v) && v >= 0 && v <= 255)) {
+			throw new RangeError(`Locked colour ${JSON.stringify(c)} must be [r, g, b] on 0–255`);
+		}
+		return [c[0], c[1], c[2]];
+	});
+	if (colors.length > k) {
+		throw new RangeError(`${colors.length} locked colours do not fit in a ${k}-colour palette`);
+	}
+	if (!KMEANS_WEIGHTS.includes(weight)) {
+		throw new TypeError(`Unknown k-means weighting "${weight}" (expected ${KMEANS_WEIGHTS.join(', ')})`);
+	}
+	if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+		throw new RangeError(`k-means seed must be a whole number from 0 to 4294967295 (got ${seed})`);
+	}
+	return { locked: colors, weight, seed };
+}
+
 /**
  * Run k-means clustering on an array of [r,g,b] samples.
  *
  * @param {number[][]} samples – array of [r,g,b] triples
- * @param {number}     k       – number of clusters
+ * @param {number}     k       – number of clusters, locked colours included
  * @param {number}     [maxIter=20] – iteration cap
- * @returns {number[][]} k centroids sorted by luminance
+ * @param {string}     [colorSpace='rgb'] – 'oklab' clusters in OKLab
+ * @param {object}     [opts]
+ * @param {number[][]} [opts.locked]  – [r,g,b] centroids that never move, returned exactly
+ * @param {number[]}   [opts.weights] – weight per sample (default 1 each)
+ * @param {number|null} [opts.seed]   – seeds randomised k-means++ instead of the farthest-point start
+ * @returns {number[][]} k centroids (sRGB) sorted by luminance
+ */
+export function kMeansRGB(samples, k, maxIter = 20, colorSpace = 'rgb', { locked = [], weights = null, seed = null } = {}) {
+	if (samples.length === 0) return locked.map((c) => [...c]);
+	const free = Math.max(0, Math.min(k - locked.length, samples.length));
+
+	const opts = { weights, random: seed === null ? null : seededRandom(seed) };
+	const found = colorSpace === 'oklab'
+		? kMeans(samples.map((c) => srgbToOklab(c[0], c[1], c[2])), free, maxIter, false, { ...opts, fixed: locked.map((c) => srgbToOklab(c[0], c[1], c[2])) }).map(oklabToSrgb)
+		: kMeans(samples, free, maxIter, true, { ...opts, fixed: locked });
+	const centroids = [...locked.map((c) => [...c]), ...found];
+
+	// Sort by luminance for consistent ordering
+	centroids.sort((a, b) => luminance(a) - luminance(b));
+	return centroids;
+}
+
+/**
+ * Lloyd's iterations over 3-component points. RGB centroids are rounded
+ * to whole channel values each step; OKLab ones stay fractional. `fixed`
+ * centroids take part in the assignment step but never move, and only
+ * the k free ones are returned.
  */
-export function kMeansRGB(samples, k, maxIter = 20) {
-	if (samples.length === 0) return [];
-	k = Math.min(k, samples.length);
+function kMeans(samples, k, maxIter, round, { fixed = [], weights = null, random = null } = {}) {
+	if (k === 0) return [];
 
 	// --- Initialise centroids with k-means++ ---
-	const centroids = kMeansPlusPlusInit(samples, k);
+	const centroids = kMeansPlusPlusInit(samples, k, fixed, weights, random);
+	const total = centroids.length;
 
-	const assignments = new Int32Array(samples.length);
+	// -1 so the first pass always counts as a change and computes the means
+	const assignments = new Int32Array(samples.length).fill(-1);
 
 	for (let iter = 0; iter < maxIter; iter++) {
 		// Assignment step
@@ -46,46 +136,50 @@ export function kMeansRGB(samples, k, maxIter = 20) {
 		}
 		if (!changed) break;
 
-		// Update step – recompute centroids
-		const sums = Array.from({ length: k }, () => [0, 0, 0]);
-		const counts = new Int32Array(k);
+		// Update step – recompute the free centroids as weighted means
+		const sums = Array.from({ length: total }, () => [0, 0, 0]);
+		const counts = new Float64Array(total);
 
 		for (let i = 0; i < samples.length; i++) {
 			const c = assignments[i];
-			sums[c][0] += samples[i][0];
-			sums[c][1] += samples[i][1];
-			sums[c][2] += samples[i][2];
-			counts[c]++;
+			const w = weights ? weights[i] : 1;
+			sums[c][0] += samples[i][0] * w;
+			sums[c][1] += samples[i][1] * w;
+			sums[c][2] += samples[i][2] * w;
+			counts[c] += w;
 		}
 
-		for (let c = 0; c < k; c++) {
+		for (let c = fixed.length; c < total; c++) {
 			if (counts[c] > 0) {
-				centroids[c] = [
-					Math.round(sums[c][0] / counts[c]),
-					Math.round(sums[c][1] / counts[c]),
-					Math.round(sums[c][2] / counts[c]),
-				];
+				const mean = [sums[c][0] / counts[c], sums[c][1] / counts[c], sums[c][2] / counts[c]];
+				centroids[c] = round ? mean.map(Math.round) : mean;
 			}
 		}
 	}
 
-	// Sort by luminance for consistent ordering
-	centroids.sort((a, b) => luminance(a) - luminance(b));
-	return centroids;
+	return centroids.slice(fixed.length);
 }
 
 /**
- * k-means++ initialisation – picks well-spread initial centroids.
+ * k-means++ initialisation – picks well-spread initial centroids, after
+ * any fixed ones. Without a random source it is deterministic: the
+ * middle sample first, then each time the sample farthest (by weighted
+ * distance²) from the centroids so far.
  */
-function kMeansPlusPlusInit(samples, k) {
-	const centroids = [];
+function kMeansPlusPlusInit(samples, k, fixed = [], weights = null, random = null) {
+	const centroids = fixed.map((c) => [...c]);
+	const total = fixed.length + k;
 
-	// Pick first centroid uniformly at random (deterministic: middle)
-	centroids.push([...samples[Math.floor(samples.length / 2)]]);
+	if (!centroids.length && k > 0) {
+		// Pick first centroid at random by weight (deterministic: middle)
+		const first = random
+			? pickWeighted(weights || new Float64Array(samples.length).fill(1), random)
+			: Math.floor(samples.length / 2);
+		centroids.push([...samples[first]]);
+	}
 
-	for (let c = 1; c < k; c++) {
-		// Compute distance from each sample to nearest existing centroid
-		let totalDist = 0;
+	while (centroids.length < total) {
+		// Compute weighted distance² from each sample to nearest existing centroid
 		const dists = new Float64Array(samples.length);
 		for (let i = 0; i < samples.length; i++) {
 			let minD = Infinity;
@@ -93,18 +187,18 @@ function kMeansPlusPlusInit(samples, k) {
 				const d = dist2(samples[i], centroids[j]);
 				if (d < minD) minD = d;
 			}
-			dists[i] = minD;
-			totalDist += minD;
+			dists[i] = minD * (weights ? weights[i] : 1);
 		}
 
-		// Pick next centroid proportional to distance²
-		// Use deterministic approach: pick the sample with highest distance
-		let bestIdx = 0;
-		let bestDist = -1;
-		for (let i = 0; i < samples.length; i++) {
-			if (dists[i] > bestDist) {
-				bestDist = dists[i];
-				bestIdx = i;
+		// Seeded: pick proportional to distance²; otherwise the farthest sample
+		let bestIdx = random ? pickWeighted(dists, random) : -1;
+		if (bestIdx < 0) {
+			let bestDist = -1;
+			for (let i = 0; i < samples.length; i++) {
+				if (dists[i] > bestDist) {
+					bestDist = dists[i];
+					bestIdx = i;
+				}
 			}
 		}
 		centroids.push([...samples[bestIdx]]);
@@ -113,6 +207,33 @@ function kMeansPlusPlusInit(samples, k) {
 	return centroids;
 }
 
+/** Index drawn with probability proportional to `weights`, or -1 if they are all 0. */
+function pickWeighted(weights, random) {
+	let sum = 0;
+	for (let i = 0; i < weights.length; i++) sum += weights[i];
+	if (!(sum > 0)) return -1;
+	let r = random() * sum;
+	for (let i = 0; i < weights.length; i++) {
+		r -= weights[i];
+		if (r < 0 && weights[i] > 0) return i;
+	}
+	// Float rounding left r a hair above 0: take the last candidate
+	for (let i = weights.length - 1; i >= 0; i--) if (weights[i] > 0) return i;
+	return -1;
+}
+
+/** Seeded generator of floats on [0, 1) (mulberry32). */
+function seededRandom(seed) {
+	let a = seed >>> 0;
+	return () => {
+		a = (a + 0x6d2b79f5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
 function nearestCentroid(pixel, centroids) {
 	let best = 0;
 	let bestD = Infinity;
@@ -183,55 +304,166 @@ export function spreadCentroids(centroids, strength = 0.3) {
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
 /**
- * High-level: sample a video frame and extract an optimal k-colour palette.
+ * High-level: sample frames across a video and extract an optimal k-colour
+ * palette from all of them (see sampling.js for how frames are picked).
  *
  * @param {string} inputPath
  * @param {number} outputWidth
- * @param {object} meta – { width, height }
+ * @param {object} meta – { width, height, duration }
  * @param {number} k    – palette size
  * @param {object} [crop] - { x, y, w, h } cropping parameters
+ * @param {string} [colorSpace] - 'rgb' | 'oklab', see kMeansRGB()
+ * @param {object} [sampling] - { frames, mode, start, end }, see sampleVideoFrames()
+ * @param {object} [kmeans] - resolveKmeans() fields; 'foreground' weighting
+ *                            needs converted frames, so counts as uniform here
  * @returns {Promise<number[][]>} palette of k [r,g,b] centroids
  */
-export async function extractPaletteFromVideo(inputPath, outputWidth, meta, k, crop) {
-	const { spawn } = await import('node:child_process');
-	const ffmpegPath = (await import('ffmpeg-static')).default;
+export async function extractPaletteFromVideo(inputPath, outputWidth, meta, k, crop, colorSpace = 'rgb', sampling, kmeans = DEFAULT_KMEANS) {
+	const { frames, width, height } = await sampleVideoFrames(inputPath, outputWidth, meta, crop, sampling);
+	if (!frames.length) return null;
+	// One sample set drawn evenly from every sampled frame
+	const weightOf = kmeans.weight === 'center' ? centerWeight(width, height) : null;
+	return paletteFromFrames(frames, k, colorSpace, { ...kmeans, weightOf });
+}
 
-	const validCrop = crop && crop.w && crop.h;
-	const srcW = validCrop ? crop.w : meta.width;
-	const srcH = validCrop ? crop.h : meta.height;
+/** Pixel weight over joined width×height frames, highest at the frame centre. */
+function centerWeight(width, height) {
+	const cells = width * height;
+	return (p) => {
+		const cell = p % cells;
+		const dx = ((cell % width) + 0.5) / width - 0.5;
+		const dy = (Math.floor(cell / width) + 0.5) / height - 0.5;
+		return 1 + (CENTER_WEIGHT - 1) * Math.exp(-(dx * dx + dy * dy) / (2 * CENTER_SIGMA * CENTER_SIGMA));
+	};
+}
 
-	const scaledH = Math.max(1, Math.round((outputWidth / srcW) * srcH / 2));
+/**
+ * k-means palette over a set of RGB24 frames, spread for low depths.
+ * `weightOf(p)` weighs pixel p of the joined frames; locked colours are
+ * kept exactly, spread included.
+ */
+function paletteFromFrames(frames, k, colorSpace, { locked = [], seed = null, weightOf = null } = {}) {
+	const pixels = joinFrames(frames);
+	const samples = samplePixels(pixels, MAX_PALETTE_SAMPLES);
+	// samplePixels() takes every step-th pixel, so sample s is pixel s × step
+	const step = Math.max(1, Math.floor(pixels.length / 3 / MAX_PALETTE_SAMPLES));
+	const weights = weightOf ? samples.map((_, s) => weightOf(s * step)) : null;
+	const centroids = kMeansRGB(samples, k, 20, colorSpace, { locked, weights, seed });
+
+	// Apply gentle spread for low depths
+	const strength = k <= 4 ? 0.15 : k <= 16 ? 0.08 : k <= 32 ? 0.04 : 0.02;
+	const isLocked = (c) => locked.some((l) => l[0] === c[0] && l[1] === c[1] && l[2] === c[2]);
+	return spreadCentroids(centroids, strength).map((c, i) => (isLocked(centroids[i]) ? centroids[i] : c));
+}
 
-	const filters = [];
-	if (validCrop) {
-		filters.push(`crop=${crop.w}:${crop.h}:${crop.x || 0}:${crop.y || 0}`);
+/* ── Per-scene palettes ────────────────────────────────────────────── */
+
+export const DEFAULT_SCENE_PALETTES = Object.freeze({ threshold: 0.4, minDuration: 1 });
+// Frames of cell colours kept per scene to fit its palette from
+const MAX_SCENE_SAMPLE_FRAMES = 24;
+// Levels per channel in the colour histogram used to find cuts
+const CUT_LEVELS = 4;
+const CUT_SAMPLE_STEP = 2;
+
+/**
+ * Validate a `scenePalettes` option (`true` for the defaults).
+ *
+ * @param {boolean|object} scenePalettes
+ * @param {number} [scenePalettes.threshold]   - Colour histogram change (0–1) that counts as a cut
+ * @param {number} [scenePalettes.minDuration] - Shortest scene in seconds; earlier cuts are ignored
+ * @returns {{threshold: number, minDuration: number}}
+ */
+export function resolveScenePalettes(scenePalettes) {
+	if (scenePalettes === true) return { ...DEFAULT_SCENE_PALETTES };
+	if (!scenePalettes || typeof scenePalettes !== 'object') {
+		throw new TypeError('scenePalettes must be true or an object');
 	}
-	filters.push(`scale=${outputWidth}:${scaledH}:flags=fast_bilinear`);
-
-	const args = [
-		'-ss', '0',
-		'-i', inputPath,
-		'-frames:v', '3',          // sample up to 3 frames
-		'-f', 'image2pipe',
-		'-vcodec', 'rawvideo',
-		'-pix_fmt', 'rgb24',
-		'-vf', filters.join(','),
-		'-',
-	];
-
-	const pixels = await new Promise((resolve) => {
-		const proc = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
-		const chunks = [];
-		proc.stdout.on('data', (c) => chunks.push(c));
-		proc.on('close', () => resolve(Buffer.concat(chunks)));
-		proc.on('error', () => resolve(Buffer.alloc(0)));
-	});
+	const { threshold = DEFAULT_SCENE_PALETTES.threshold, minDuration = DEFAULT_SCENE_PALETTES.minDuration } = scenePalettes;
+	if (!Number.isFinite(threshold) || threshold <= 0 || threshold >= 1) {
+		throw new RangeError(`Scene palette threshold must be between 0 and 1 (got ${threshold})`);
+	}
+	if (!Number.isFinite(minDuration) || minDuration < 0) {
+		throw new RangeError(`Scene palette minDuration must be 0 or more seconds (got ${minDuration})`);
+	}
+	return { threshold, minDuration };
+}
 
-	if (pixels.length < 3) return null;
-	const samples = samplePixels(new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength), 3000);
-	const centroids = kMeansRGB(samples, k);
+/** Share of sampled cells per coarse RGB bin. */
+function colorHistogram(rgb) {
+	const hist = new Float64Array(CUT_LEVELS ** 3);
+	const shift = 8 - Math.log2(CUT_LEVELS);
+	let count = 0;
+	for (let o = 0; o < rgb.length; o += 3 * CUT_SAMPLE_STEP) {
+		hist[((rgb[o] >> shift) * CUT_LEVELS + (rgb[o + 1] >> shift)) * CUT_LEVELS + (rgb[o + 2] >> shift)]++;
+		count++;
+	}
+	if (count) for (let i = 0; i < hist.length; i++) hist[i] /= count;
+	return hist;
+}
 
-	// Apply gentle spread for low depths
-	const strength = k <= 4 ? 0.15 : k <= 16 ? 0.08 : k <= 32 ? 0.04 : 0.02;
-	return spreadCentroids(centroids, strength);
+/**
+ * Split converted frames into scenes and fit a k-means palette to each.
+ * Frames must be added in order. Cuts are found from a coarse colour
+ * histogram rather than luminance, as a palette has to follow hue changes
+ * that leave brightness alone. Each scene keeps up to 24 frames of cell
+ * colours, evenly spread, to cluster once the last frame is in. A
+ * threshold of 1 never cuts, fitting one palette to the converted cells.
+ *
+ * @param {object} opts
+ * @param {number} opts.k - Palette size
+ * @param {string} [opts.colorSpace] - 'rgb' | 'oklab', see kMeansRGB()
+ * @param {number} [opts.threshold]
+ * @param {number} [opts.minFrames] - Shortest scene, in frames
+ * @param {number} [opts.width] - Grid width in cells, for 'center' weighting
+ * @param {object} [opts.kmeans] - resolveKmeans() fields; 'foreground'
+ *                                 weighs cells by each frame's fgMask
+ * @returns {{add: function(object, number): boolean, finish: function(): {frame: number, palette: number[][]}[]}}
+ *          add() returns true when the frame starts a new scene; finish()
+ *          gives each scene's first frame and palette
+ */
+export function createScenePalettes({ k, colorSpace = 'rgb', threshold = DEFAULT_SCENE_PALETTES.threshold, minFrames = 0, width = 0, kmeans = DEFAULT_KMEANS }) {
+	const scenes = [];
+	let prevHist = null;
+
+	const add = (frame, index) => {
+		if (!frame.rgb) return false;
+		const hist = colorHistogram(frame.rgb);
+		const scene = scenes[scenes.length - 1];
+		let distance = 0;
+		if (prevHist) {
+			for (let i = 0; i < hist.length; i++) distance += Math.abs(hist[i] - prevHist[i]);
+			distance /= 2;
+		}
+		prevHist = hist;
+
+		const cut = !scene || (distance > threshold && index - scene.frame >= minFrames);
+		if (cut) scenes.push({ frame: index, kept: [], masks: [], seen: 0, stride: 1 });
+		const current = scenes[scenes.length - 1];
+		if (current.seen++ % current.stride === 0) {
+			current.kept.push(frame.rgb.slice());
+			current.masks.push(frame.fgMask ? frame.fgMask.slice() : null);
+			if (current.kept.length > MAX_SCENE_SAMPLE_FRAMES) {
+				// Keep every other frame and sample half as often from now on
+				current.kept = current.kept.filter((_, i) => i % 2 === 0);
+				current.masks = current.masks.filter((_, i) => i % 2 === 0);
+				current.stride *= 2;
+			}
+		}
+		return cut;
+	};
+
+	const weightFor = ({ kept, masks }) => {
+		const cells = kept[0].length / 3;
+		if (kmeans.weight === 'center' && width) return centerWeight(width, cells / width);
+		if (kmeans.weight === 'foreground' && masks.some(Boolean)) {
+			return (p) => (masks[Math.floor(p / cells)]?.[p % cells] ? FOREGROUND_WEIGHT : 1);
+		}
+		return null;
+	};
+	const finish = () => scenes.map((scene) => ({
+		frame: scene.frame,
+		palette: paletteFromFrames(scene.kept, k, colorSpace, { ...kmeans, weightOf: weightFor(scene) }),
+	}));
+
+	return { add, finish };
 }
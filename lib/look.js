@@ -0,0 +1,270 @@
+/**
+ * ASCII-fi – Looks: tone curves and 3D LUTs.
+ *
+ * A look gives clips a consistent grade before they are mapped to
+ * characters. It is built from up to three parts, applied in this order
+ * to the RGB24 frames the converter hands to the engine:
+ *
+ *   1. A named tone curve (noir, high-key, film, bleach), which may also
+ *      pull saturation down.
+ *   2. Custom curve control points (`customTone.curve`).
+ *   3. A 3D LUT read from an Adobe/Resolve `.cube` file.
+ *
+ * Frames arrive already toned by adaptiveTone() (FFmpeg `eq`, or scene
+ * tone in JS), so the look composes with it rather than replacing it.
+ */
+
+/**
+ * Named tone curves: control points [input, output] on 0–255, applied to
+ * each channel, and the saturation kept around the luma afterwards.
+ */
+export const TONE_CURVES = Object.freeze({
+	noir: Object.freeze({ points: [[0, 0], [48, 14], [128, 120], [200, 228], [255, 255]], saturation: 0 }),
+	'high-key': Object.freeze({ points: [[0, 40], [64, 124], [128, 192], [192, 236], [255, 255]], saturation: 0.85 }),
+	film: Object.freeze({ points: [[0, 16], [64, 58], [128, 132], [192, 204], [255, 240]], saturation: 0.9 }),
+	bleach: Object.freeze({ points: [[0, 0], [64, 42], [128, 136], [192, 222], [255, 255]], saturation: 0.45 }),
+});
+
+const MAX_CUBE_SIZE = 256;
+
+/**
+ * Validate curve control points: at least two [input, output] pairs on
+ * 0–255, inputs strictly increasing.
+ *
+ * @param {number[][]} points
+ * @returns {number[][]}
+ */
+export function resolveCurvePoints(points) {
+	if (!Array.isArray(points) || points.length < 2 || !points.every((p) => Array.isArray(p) && p.length === 2)) {
+		throw new TypeError('Curve points must be a list of at least two [input, output] pairs');
+	}
+	for (let i = 0; i < points.length; i++) {
+		const [x, y] = points[i];
+		if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 255 || y < 0 || y > 255) {
+			throw new RangeError(`Curve point [${x}, ${y}] must be within 0–255`);
+		}
+		if (i > 0 && x <= points[i - 1][0]) {
+			throw new RangeError(`Curve point inputs must increase (${x} after ${points[i - 1][0]})`);
+		}
+	}
+	return points.map(([x, y]) => [x, y]);
+}
+
+/**
+ * Validate a `look` option.
+ *
+ * @param {object} look
+ * @param {string} [look.curve] - Name of a TONE_CURVES preset
+ * @param {number[][]} [look.points] - Custom curve control points, see resolveCurvePoints()
+ * @param {string|object} [look.lut] - Path to a `.cube` file, or the output of parseCube()
+ * @returns {{curve: string|null, points: number[][]|null, lut: string|object|null}}
+ */
+export function resolveLook({ curve = null, points = null, lut = null } = {}) {
+	if (curve !== null && !Object.hasOwn(TONE_CURVES, curve)) {
+		throw new TypeError(`Unknown tone curve "${curve}" (expected ${Object.keys(TONE_CURVES).join(', ')})`);
+	}
+	if (lut !== null && !(typeof lut === 'string' && lut) && !(typeof lut === 'object' && lut.table && lut.size)) {
+		throw new TypeError('lut must be a path to a .cube file or a parsed LUT');
+	}
+	return { curve, points: points === null ? null : resolveCurvePoints(points), lut };
+}
+
+/**
+ * Curve through the control points as a 256-entry lookup table. Uses
+ * monotone cubic interpolation (Fritsch–Carlson), so the curve never
+ * overshoots between points; it is flat beyond the first and last.
+ *
+ * @param {number[][]} points - Validated, see resolveCurvePoints()
+ * @returns {Uint8Array}
+ */
+export function curveLut(points) {
+	const n = points.length;
+	const xs = points.map((p) => p[0]);
+	const ys = points.map((p) => p[1]);
+	const d = [];
+	for (let k = 0; k < n - 1; k++) d.push((ys[k + 1] - ys[k]) / (xs[k + 1] - xs[k]));
+
+	const m = new Array(n);
+	m[0] = d[0];
+	m[n - 1] = d[n - 2];
+	for (let k = 1; k < n - 1; k++) m[k] = d[k - 1] * d[k] <= 0 ? 0 : (d[k - 1] + d[k]) / 2;
+	for (let k = 0; k < n - 1; k++) {
+		if (d[k] === 0) { m[k] = 0; m[k + 1] = 0; continue; }
+		const a = m[k] / d[k], b = m[k + 1] / d[k];
+		const s = a * a + b * b;
+		if (s > 9) {
+			const t = 3 / Math.sqrt(s);
+			m[k] = t * a * d[k];
+			m[k + 1] = t * b * d[k];
+		}
+	}
+
+	const lut = new Uint8Array(256);
+	let k = 0;
+	for (let i = 0; i < 256; i++) {
+		if (i <= xs[0]) { lut[i] = Math.round(ys[0]); continue; }
+		if (i >= xs[n - 1]) { lut[i] = Math.round(ys[n - 1]); continue; }
+		while (i > xs[k + 1]) k++;
+		const h = xs[k + 1] - xs[k];
+		const t = (i - xs[k]) / h;
+		const t2 = t * t, t3 = t2 * t;
+		const y = (2 * t3 - 3 * t2 + 1) * ys[k] + (t3 - 2 * t2 + t) * h * m[k]
+			+ (-2 * t3 + 3 * t2) * ys[k + 1] + (t3 - t2) * h * m[k + 1];
+		lut[i] = Math.max(0, Math.min(255, Math.round(y)));
+	}
+	return lut;
+}
+
+/**
+ * Parse a 3D LUT in `.cube` format. Red varies fastest in the table, as
+ * the format specifies; 1D LUTs are not supported.
+ *
+ * @param {string} text
+ * @returns {{title: string|null, size: number, domainMin: number[], domainMax: number[], table: Float32Array}}
+ */
+export function parseCube(text) {
+	let title = null;
+	let size = 0;
+	let domainMin = [0, 0, 0];
+	let domainMax = [1, 1, 1];
+	const values = [];
+
+	const lines = String(text).replace(/^\uFEFF/, '').split(/\r\n?|\n/);
+	for (let n = 0; n < lines.length; n++) {
+		const line = lines[n].trim();
+		if (!line || line.startsWith('#')) continue;
+		const [key, ...rest] = line.split(/\s+/);
+		if (/^[-+.\d]/.test(key)) {
+			const rgb = [key, ...rest].map(Number);
+			if (rgb.length !== 3 || !rgb.every(Number.isFinite)) {
+				throw new TypeError(`Bad LUT entry on line ${n + 1}: "${line}"`);
+			}
+			values.push(...rgb);
+		} else if (key === 'TITLE') {
+			title = line.slice(5).trim().replace(/^"(.*)"$/, '$1');
+		} else if (key === 'LUT_3D_SIZE') {
+			size = Number(rest[0]);
+		} else if (key === 'LUT_1D_SIZE') {
+			throw new TypeError('1D .cube LUTs are not supported – export a 3D LUT');
+		} else if (key === 'DOMAIN_MIN' || key === 'DOMAIN_MAX') {
+			const bound = rest.map(Number);
+			if (bound.length !== 3 || !bound.every(Number.isFinite)) {
+				throw new TypeError(`Bad ${key} on line ${n + 1}: "${line}"`);
+			}
+			if (key === 'DOMAIN_MIN') domainMin = bound; else domainMax = bound;
+		}
+		// Other keywords (e.g. LUT_3D_INPUT_RANGE) carry nothing we use
+	}
+
+	if (!Number.isInteger(size) || size < 2 || size > MAX_CUBE_SIZE) {
+		throw new RangeError(`LUT_3D_SIZE must be 2–${MAX_CUBE_SIZE} (got ${size || 'none'})`);
+	}
+	if (values.length !== size ** 3 * 3) {
+		throw new TypeError(`A ${size}³ LUT needs ${size ** 3} entries, found ${values.length / 3}`);
+	}
+	if (domainMin.some((v, c) => v >= domainMax[c])) {
+		throw new RangeError('LUT DOMAIN_MIN must be below DOMAIN_MAX');
+	}
+	return { title, size, domainMin, domainMax, table: Float32Array.from(values) };
+}
+
+/**
+ * Grid cell and offset of every 8-bit input value along each LUT axis,
+ * so applyLook() does no per-pixel division.
+ */
+function cubeAxes({ size, domainMin, domainMax }) {
+	return [0, 1, 2].map((c) => {
+		const index = new Int32Array(256);
+		const frac = new Float32Array(256);
+		for (let v = 0; v < 256; v++) {
+			const t = Math.max(0, Math.min(1, (v / 255 - domainMin[c]) / (domainMax[c] - domainMin[c]))) * (size - 1);
+			index[v] = Math.min(Math.floor(t), size - 2);
+			frac[v] = t - index[v];
+		}
+		return { index, frac };
+	});
+}
+
+/**
+ * Resolve a `look` option and read its LUT file, if any.
+ *
+ * @param {object} look - See resolveLook()
+ * @returns {Promise<{curve: Uint8Array|null, saturation: number, cube: object|null, axes: object[]|null}|null>}
+ *          null when the look changes nothing
+ */
+export async function loadLook(look) {
+	const { curve, points, lut } = resolveLook(look);
+	const preset = curve ? TONE_CURVES[curve] : null;
+
+	let cube = null;
+	if (typeof lut === 'string') {
+		const { readFile } = await import('node:fs/promises');
+		let text;
+		try {
+			text = await readFile(lut, 'utf8');
+		} catch (err) {
+			throw new Error(`Could not read LUT ${lut}: ${err.message}`);
+		}
+		cube = parseCube(text);
+	} else if (lut) {
+		cube = lut;
+	}
+
+	let table = preset ? curveLut(preset.points) : null;
+	if (points) {
+		const custom = curveLut(points);
+		table = table ? table.map((v) => custom[v]) : custom;
+	}
+
+	if (!table && !cube) return null;
+	return { curve: table, saturation: preset ? preset.saturation : 1, cube, axes: cube ? cubeAxes(cube) : null };
+}
+
+/**
+ * Grade an RGB24 buffer in place with a loaded look: tone curve on each
+ * channel, saturation around the luma, then the LUT (trilinear).
+ *
+ * @param {Uint8Array} pixels
+ * @param {object} look - Output of loadLook()
+ * @returns {Uint8Array}
+ */
+export function applyLook(pixels, { curve, saturation, cube, axes }) {
+	const size = cube ? cube.size : 0;
+	const table = cube ? cube.table : null;
+	const corner = [0, 0, 0];
+
+	for (let o = 0; o < pixels.length; o += 3) {
+		let r = pixels[o], g = pixels[o + 1], b = pixels[o + 2];
+		if (curve) {
+			r = curve[r]; g = curve[g]; b = curve[b];
+		}
+		if (saturation !== 1) {
+			const y = 0.299 * r + 0.587 * g + 0.114 * b;
+			r = Math.max(0, Math.min(255, Math.round(y + saturation * (r - y))));
+			g = Math.max(0, Math.min(255, Math.round(y + saturation * (g - y))));
+			b = Math.max(0, Math.min(255, Math.round(y + saturation * (b - y))));
+		}
+		if (table) {
+			const ri = axes[0].index[r], gi = axes[1].index[g], bi = axes[2].index[b];
+			const fr = axes[0].frac[r], fg = axes[1].frac[g], fb = axes[2].frac[b];
+			corner[0] = corner[1] = corner[2] = 0;
+			for (let dz = 0; dz < 2; dz++) {
+				const wz = dz ? fb : 1 - fb;
+				for (let dy = 0; dy < 2; dy++) {
+					const wy = wz * (dy ? fg : 1 - fg);
+					const row = ((bi + dz) * size + gi + dy) * size + ri;
+					const i0 = row * 3, i1 = i0 + 3;
+					const w0 = wy * (1 - fr), w1 = wy * fr;
+					corner[0] += table[i0] * w0 + table[i1] * w1;
+					corner[1] += table[i0 + 1] * w0 + table[i1 + 1] * w1;
+					corner[2] += table[i0 + 2] * w0 + table[i1 + 2] * w1;
+				}
+			}
+			r = Math.max(0, Math.min(255, Math.round(corner[0] * 255)));
+			g = Math.max(0, Math.min(255, Math.round(corner[1] * 255)));
+			b = Math.max(0, Math.min(255, Math.round(corner[2] * 255)));
+		}
+		pixels[o] = r; pixels[o + 1] = g; pixels[o + 2] = b;
+	}
+	return pixels;
+}
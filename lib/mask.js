@@ -0,0 +1,232 @@
+/**
+ * ASCII-fi – Foreground mask cleanup.
+ *
+ * Per-cell foreground masks (1 = subject) straight out of motion
+ * thresholding are speckled and full of holes. These passes work on the
+ * cell grid, in this order:
+ *
+ *   1. erode  – drop cells with a background neighbour (removes specks)
+ *   2. dilate – grow cells into their neighbours (re-grows survivors)
+ *   3. fill   – mark background enclosed by the subject as subject
+ *   4. area   – drop 4-connected regions smaller than `minArea` cells
+ *
+ * Eroding and dilating the same number of times is a morphological
+ * opening. Neighbourhoods are 3×3; cells past the grid edge are ignored,
+ * so subjects touching the frame border are not eaten away.
+ *
+ * The 'mask' foreground mode skips detection altogether and uses
+ * user-supplied images, scheduled by source time (see resolveMaskSources).
+ */
+
+export const DEFAULT_MASK_CLEANUP = Object.freeze({ erode: 0, dilate: 0, fillHoles: false, minArea: 0, persist: 0 });
+const MAX_MORPH_STEPS = 8;
+const MAX_PERSIST_FRAMES = 120;
+
+/**
+ * Validate the cleanup fields of a foreground options object, filling in
+ * defaults. Other fields (mode, background, threshold…) are ignored.
+ *
+ * @param {object} [foreground]
+ * @param {number} [foreground.erode] - Erosion steps (0–8)
+ * @param {number} [foreground.dilate] - Dilation steps (0–8)
+ * @param {boolean} [foreground.fillHoles] - Fill background enclosed by the subject
+ * @param {number} [foreground.minArea] - Drop subject regions smaller than this many cells
+ * @param {number} [foreground.persist] - Keep a cell foreground for this many
+ *   frames after it was last detected (0–120)
+ * @returns {{erode: number, dilate: number, fillHoles: boolean, minArea: number, persist: number}}
+ */
+export function resolveMaskCleanup(foreground = {}) {
+	const opts = { ...DEFAULT_MASK_CLEANUP };
+	for (const key of Object.keys(DEFAULT_MASK_CLEANUP)) {
+		if (foreground?.[key] !== undefined) opts[key] = foreground[key];
+	}
+	for (const key of ['erode', 'dilate']) {
+		if (!Number.isInteger(opts[key]) || opts[key] < 0 || opts[key] > MAX_MORPH_STEPS) {
+			throw new RangeError(`Foreground ${key} must be a whole number of steps from 0 to ${MAX_MORPH_STEPS}`);
+		}
+	}
+	if (!Number.isInteger(opts.minArea) || opts.minArea < 0) {
+		throw new RangeError('Foreground minArea must be a whole number of cells (0 = off)');
+	}
+	if (!Number.isInteger(opts.persist) || opts.persist < 0 || opts.persist > MAX_PERSIST_FRAMES) {
+		throw new RangeError(`Foreground persist must be a whole number of frames from 0 to ${MAX_PERSIST_FRAMES}`);
+	}
+	return { erode: opts.erode, dilate: opts.dilate, fillHoles: !!opts.fillHoles, minArea: opts.minArea, persist: opts.persist };
+}
+
+/**
+ * One 3×3 erosion (`keep` = 0) or dilation (`keep` = 1) step: a cell
+ * takes the value `keep` when any cell in its neighbourhood has it.
+ */
+function morphStep(mask, width, height, keep) {
+	const out = mask.slice();
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const i = y * width + x;
+			if (mask[i] === keep) continue;
+			search: for (let dy = -1; dy <= 1; dy++) {
+				const ny = y + dy;
+				if (ny < 0 || ny >= height) continue;
+				for (let dx = -1; dx <= 1; dx++) {
+					const nx = x + dx;
+					if (nx < 0 || nx >= width) continue;
+					if (mask[ny * width + nx] === keep) {
+						out[i] = keep;
+						break search;
+					}
+				}
+			}
+		}
+	}
+	return out;
+}
+
+/**
+ * @param {Uint8Array} mask - 1 = foreground
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [steps]
+ * @returns {Uint8Array} New mask
+ */
+export function erodeMask(mask, width, height, steps = 1) {
+	let out = mask;
+	for (let s = 0; s < steps; s++) out = morphStep(out, width, height, 0);
+	return out === mask ? mask.slice() : out;
+}
+
+/**
+ * @param {Uint8Array} mask - 1 = foreground
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [steps]
+ * @returns {Uint8Array} New mask
+ */
+export function dilateMask(mask, width, height, steps = 1) {
+	let out = mask;
+	for (let s = 0; s < steps; s++) out = morphStep(out, width, height, 1);
+	return out === mask ? mask.slice() : out;
+}
+
+/**
+ * Label `mask` cells equal to `value` that are 4-connected to a start cell,
+ * writing `label` into `labels`. Returns the region size.
+ */
+function floodRegion(mask, labels, width, height, start, value, label, queue) {
+	let head = 0, tail = 0;
+	queue[tail++] = start;
+	labels[start] = label;
+	while (head < tail) {
+		const i = queue[head++];
+		const x = i % width, y = (i / width) | 0;
+		if (x > 0 && mask[i - 1] === value && !labels[i - 1]) { labels[i - 1] = label; queue[tail++] = i - 1; }
+		if (x < width - 1 && mask[i + 1] === value && !labels[i + 1]) { labels[i + 1] = label; queue[tail++] = i + 1; }
+		if (y > 0 && mask[i - width] === value && !labels[i - width]) { labels[i - width] = label; queue[tail++] = i - width; }
+		if (y < height - 1 && mask[i + width] === value && !labels[i + width]) { labels[i + width] = label; queue[tail++] = i + width; }
+	}
+	return tail;
+}
+
+/**
+ * Mark background regions that do not touch the grid border as foreground.
+ *
+ * @param {Uint8Array} mask - 1 = foreground
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array} New mask
+ */
+export function fillMaskHoles(mask, width, height) {
+	const n = width * height;
+	const outside = new Uint8Array(n);
+	const queue = new Int32Array(n);
+	for (let i = 0; i < n; i++) {
+		const x = i % width, y = (i / width) | 0;
+		const border = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+		if (border && !mask[i] && !outside[i]) floodRegion(mask, outside, width, height, i, 0, 1, queue);
+	}
+	const out = mask.slice();
+	for (let i = 0; i < n; i++) if (!outside[i]) out[i] = 1;
+	return out;
+}
+
+/**
+ * Clear 4-connected foreground regions smaller than `minArea` cells.
+ *
+ * @param {Uint8Array} mask - 1 = foreground
+ * @param {number} width
+ * @param {number} height
+ * @param {number} minArea
+ * @returns {Uint8Array} New mask
+ */
+export function removeSmallRegions(mask, width, height, minArea) {
+	const n = width * height;
+	const out = mask.slice();
+	if (minArea <= 1) return out;
+	const labels = new Uint8Array(n);
+	const queue = new Int32Array(n);
+	for (let i = 0; i < n; i++) {
+		if (!mask[i] || labels[i]) continue;
+		const size = floodRegion(mask, labels, width, height, i, 1, 1, queue);
+		// The queue still lists the region's cells
+		if (size < minArea) for (let k = 0; k < size; k++) out[queue[k]] = 0;
+	}
+	return out;
+}
+
+/**
+ * Apply the spatial passes of `cleanup` in order.
+ *
+ * @param {Uint8Array} mask - 1 = foreground
+ * @param {number} width
+ * @param {number} height
+ * @param {ReturnType<typeof resolveMaskCleanup>} cleanup
+ * @returns {Uint8Array} `mask` itself when every pass is off, else a new mask
+ */
+export function cleanMask(mask, width, height, cleanup) {
+	let out = mask;
+	if (cleanup.erode) out = erodeMask(out, width, height, cleanup.erode);
+	if (cleanup.dilate) out = dilateMask(out, width, height, cleanup.dilate);
+	if (cleanup.fillHoles) out = fillMaskHoles(out, width, height);
+	if (cleanup.minArea > 1) out = removeSmallRegions(out, width, height, cleanup.minArea);
+	return out;
+}
+
+/**
+ * Normalise `foreground.maskPath` for the 'mask' mode: one black/white
+ * image, or several that each take over at `at` seconds of source time.
+ *
+ * @param {object} foreground
+ * @param {string|Array<{at: number, path: string}>} foreground.maskPath
+ * @returns {Array<{at: number, path: string}>} Sorted by `at`
+ */
+export function resolveMaskSources(foreground = {}) {
+	const { maskPath } = foreground;
+	if (typeof maskPath === 'string' && maskPath) return [{ at: 0, path: maskPath }];
+	if (!Array.isArray(maskPath) || !maskPath.length) {
+		throw new TypeError('Foreground mode "mask" needs a maskPath: an image path or a list of { at, path } entries');
+	}
+	const sources = maskPath.map((entry, i) => {
+		if (typeof entry?.path !== 'string' || !entry.path) throw new TypeError(`maskPath[${i}] needs a path`);
+		if (typeof entry.at !== 'number' || !(entry.at >= 0)) {
+			throw new RangeError(`maskPath[${i}].at must be a time in seconds (0 or more)`);
+		}
+		return { at: entry.at, path: entry.path };
+	});
+	return sources.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Pick the mask in effect at `time`: the last entry starting at or before
+ * it, or the first entry for times before any of them.
+ *
+ * @param {Array<{at: number, mask: Uint8Array}>} track - Sorted by `at`
+ * @param {number} time - Seconds of source time
+ * @returns {Uint8Array}
+ */
+export function maskAtTime(track, time) {
+	let current = track[0];
+	for (const entry of track) {
+		if (entry.at > time) break;
+		current = entry;
+	}
+	return current.mask;
+}
@@ -0,0 +1,249 @@
+/**
+ * ASCII-fi – Overlay layers.
+ *
+ * Stamps text, banners and other bundles onto converted frames before
+ * they reach the bundle and GIF writers. Each overlay is a small grid of
+ * its own ("sprite"), one or more frames long, placed at cell coordinates
+ * for a time range of the output:
+ *
+ *   - text   – literal text, or a list of texts to cycle through at `fps`
+ *   - banner – large letters drawn from the built-in 5×7 font with `char`
+ *   - bundle – frames decoded from another ASCII-fi bundle.js, at its own fps
+ *
+ * Spaces are see-through unless the overlay has a `background` colour.
+ * Overlays are drawn in list order, so later entries cover earlier ones.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { FONT_W, FONT_H, getFontGlyph } from './font.js';
+import { PackedFrame, stringToCodes } from './frame.js';
+import { TerminalPlayer } from './terminal-player.js';
+
+export const OVERLAY_TYPES = ['text', 'banner', 'bundle'];
+
+const SPACE = 0x20;
+// Filler for see-through cells given a background: players skip backgrounds on plain spaces
+const NBSP = 0xa0;
+const DEFAULT_TEXT_FPS = 2;
+
+function parseHex(value, field, i) {
+	const m = /^#?([0-9a-fA-F]{6})$/.exec(typeof value === 'string' ? value : '');
+	if (!m) throw new TypeError(`overlays[${i}].${field} must be a hex colour like #ffffff (got "${value}")`);
+	const n = parseInt(m[1], 16);
+	return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Validate an `overlays` list, filling in defaults.
+ *
+ * @param {object[]} overlays
+ * @param {string} overlays[].type - 'text' | 'banner' | 'bundle'
+ * @param {string|string[]} [overlays[].text] - text/banner: the text, or texts to cycle through
+ * @param {string} [overlays[].char] - banner: glyph for lit font pixels (default '#')
+ * @param {string} [overlays[].path] - bundle: path to a bundle.js
+ * @param {object[]} [overlays[].frames] - bundle: PackedFrames or `{ chars, colors? }` instead of a path
+ * @param {number} [overlays[].width] - bundle: grid width of `frames`
+ * @param {number} [overlays[].x] - Left column; negative anchors the right edge (-1 = flush right)
+ * @param {number} [overlays[].y] - Top row; negative anchors the bottom edge (-1 = flush bottom)
+ * @param {number} [overlays[].start] - First second of the output it shows at (default 0)
+ * @param {number} [overlays[].end] - Second it disappears at (default: never)
+ * @param {number} [overlays[].fps] - Animation rate (text default 2, bundle default its own)
+ * @param {boolean} [overlays[].loop] - Repeat the animation (default true), else hold the last frame
+ * @param {string} [overlays[].color] - Glyph colour as #rrggbb where the overlay has none (default #ffffff)
+ * @param {string} [overlays[].background] - Fill the overlay's box with this #rrggbb colour
+ * @returns {object[]}
+ */
+export function resolveOverlays(overlays) {
+	if (!Array.isArray(overlays)) throw new TypeError('overlays must be an array');
+	return overlays.map((o, i) => {
+		if (!OVERLAY_TYPES.includes(o?.type)) {
+			throw new TypeError(`Unknown overlays[${i}].type "${o?.type}" (expected ${OVERLAY_TYPES.join(', ')})`);
+		}
+		const { type, x = 0, y = 0, start = 0, end = Infinity, loop = true } = o;
+		const texts = typeof o.text === 'string' ? [o.text] : o.text;
+		if (type !== 'bundle' && !(Array.isArray(texts) && texts.length && texts.every((t) => typeof t === 'string'))) {
+			throw new TypeError(`overlays[${i}] (${type}) needs text: a string or a list of strings`);
+		}
+		if (type === 'banner' && o.char !== undefined && !(typeof o.char === 'string' && o.char.length === 1 && o.char !== ' ')) {
+			throw new TypeError(`overlays[${i}].char must be a single visible character`);
+		}
+		if (type === 'bundle') {
+			const hasPath = typeof o.path === 'string' && o.path;
+			const hasFrames = Array.isArray(o.frames) && o.frames.length;
+			if (!hasPath && !hasFrames) throw new TypeError(`overlays[${i}] (bundle) needs a path to a bundle.js or a list of frames`);
+			if (!hasPath && !(Number.isInteger(o.width) && o.width > 0)) {
+				throw new RangeError(`overlays[${i}].width must be the frames' grid width in cells`);
+			}
+		}
+		if (!Number.isInteger(x) || !Number.isInteger(y)) {
+			throw new RangeError(`overlays[${i}] x and y must be whole cell coordinates`);
+		}
+		if (typeof start !== 'number' || !(start >= 0) || typeof end !== 'number' || !(end > start)) {
+			throw new RangeError(`overlays[${i}] needs 0 <= start < end (seconds)`);
+		}
+		if (o.fps !== undefined && (typeof o.fps !== 'number' || !(o.fps > 0))) {
+			throw new RangeError(`overlays[${i}].fps must be above 0`);
+		}
+		return {
+			type, x, y, start, end, loop: !!loop,
+			texts: type === 'bundle' ? null : texts,
+			char: o.char || '#',
+			path: o.path || null,
+			frames: o.frames || null,
+			width: o.width || null,
+			fps: o.fps ?? null,
+			color: parseHex(o.color ?? '#ffffff', 'color', i),
+			background: o.background === undefined ? null : parseHex(o.background, 'background', i),
+		};
+	});
+}
+
+/** A sprite frame from text lines, padded to a rectangle with see-through spaces. */
+function textSprite(lines, color) {
+	const width = Math.max(1, ...lines.map((l) => l.length));
+	const codes = new Uint16Array(width * lines.length).fill(SPACE);
+	lines.forEach((line, row) => codes.set(stringToCodes(line), row * width));
+	const rgb = new Uint8Array(codes.length * 3);
+	for (let i = 0; i < codes.length; i++) rgb.set(color, i * 3);
+	// Only plain ASCII is spelled out by the GIF font; other glyphs draw as usual
+	const textMask = new Uint8Array(codes.length);
+	for (let i = 0; i < codes.length; i++) textMask[i] = codes[i] > SPACE && codes[i] < 0x7f ? 1 : 0;
+	return { width, height: lines.length, frame: new PackedFrame({ codes, rgb, textMask }) };
+}
+
+/** Big letters: each character as its 5×7 bitmap, one blank column apart. */
+function bannerLines(text, char) {
+	const out = [];
+	text.split('\n').forEach((line, n) => {
+		if (n) out.push('');
+		const glyphs = Array.from(line, (ch) => getFontGlyph(ch) || Array(FONT_H).fill(' '.repeat(FONT_W)));
+		for (let gy = 0; gy < FONT_H; gy++) {
+			out.push(glyphs.map((g) => g[gy].replace(/#/g, char)).join(' ').replace(/\s+$/, ''));
+		}
+	});
+	return out;
+}
+
+/** Decode a bundle.js into packed frames. */
+function decodeBundle(bundleJS, path) {
+	const match = /__ASCII_COMPRESSED__="([^"]+)"/.exec(bundleJS);
+	if (!match) throw new Error(`${path} is not an ASCII-fi bundle`);
+	const player = TerminalPlayer.fromCompressed(match[1]);
+	const colors = player.color ? player.colors : null;
+	const bgColors = player.color ? player.bgColors : null;
+	const frames = player.frames.map((chars, i) => PackedFrame.from({
+		chars,
+		colors: colors?.[i] || undefined,
+		bgColors: bgColors?.[i] || undefined,
+	}));
+	return { width: player.width, fps: player.fps, frames };
+}
+
+/**
+ * Turn resolved overlays into ready-to-stamp sprites, reading any bundles.
+ *
+ * @param {object[]} overlays - `overlays` option, see resolveOverlays()
+ * @returns {Promise<object[]>}
+ */
+export async function loadOverlays(overlays) {
+	const layers = [];
+	for (const o of resolveOverlays(overlays)) {
+		let sprites, fps = o.fps;
+		if (o.type === 'bundle') {
+			let source;
+			if (o.path) {
+				let bundleJS;
+				try {
+					bundleJS = await readFile(o.path, 'utf8');
+				} catch (err) {
+					throw new Error(`Could not read overlay bundle ${o.path}: ${err.message}`);
+				}
+				source = decodeBundle(bundleJS, o.path);
+			} else {
+				source = { width: o.width, fps: null, frames: o.frames.map((f) => PackedFrame.from(f)) };
+			}
+			sprites = source.frames.map((frame) => ({ width: source.width, height: Math.ceil(frame.length / source.width), frame }));
+			fps = fps || source.fps || DEFAULT_TEXT_FPS;
+		} else {
+			sprites = o.texts.map((text) => textSprite(
+				o.type === 'banner' ? bannerLines(text, o.char) : text.split('\n'),
+				o.color,
+			));
+			// Banners are pictures made of glyphs, not text to spell out
+			if (o.type === 'banner') for (const s of sprites) s.frame.textMask = null;
+			fps = fps || DEFAULT_TEXT_FPS;
+		}
+		layers.push({ ...o, sprites, fps });
+	}
+	return layers;
+}
+
+/** The sprite showing `local` seconds into a layer's time range. */
+function spriteAt(layer, local) {
+	const n = layer.sprites.length;
+	const idx = Math.floor(local * layer.fps + 1e-6);
+	return layer.sprites[layer.loop ? idx % n : Math.min(idx, n - 1)];
+}
+
+/**
+ * Stamp every layer active at `time` onto a frame, in place.
+ *
+ * @param {PackedFrame} frame
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @param {number} time - Seconds since the first output frame
+ * @param {object[]} layers - From loadOverlays()
+ * @returns {PackedFrame}
+ */
+export function compositeOverlays(frame, width, height, time, layers) {
+	for (const layer of layers) {
+		if (time < layer.start || time >= layer.end) continue;
+		const sprite = spriteAt(layer, time - layer.start);
+		const left = layer.x < 0 ? width + layer.x + 1 - sprite.width : layer.x;
+		const top = layer.y < 0 ? height + layer.y + 1 - sprite.height : layer.y;
+		stamp(frame, width, height, sprite, left, top, layer);
+	}
+	return frame;
+}
+
+function stamp(frame, width, height, sprite, left, top, { color, background }) {
+	const { codes, rgb } = frame;
+	const src = sprite.frame;
+	// Mono frames have no colour planes to paint a background into
+	const bg = rgb ? background : null;
+	if ((bg || (rgb && src.bgRgb)) && !frame.bgRgb) {
+		frame.bgRgb = new Uint8Array(codes.length * 3);
+		frame.bgMask = new Uint8Array(codes.length);
+	}
+	if (src.textMask && !frame.textMask) frame.textMask = new Uint8Array(codes.length);
+
+	for (let sy = 0; sy < sprite.height; sy++) {
+		const row = top + sy;
+		if (row < 0 || row >= height) continue;
+		for (let sx = 0; sx < sprite.width; sx++) {
+			const col = left + sx;
+			if (col < 0 || col >= width) continue;
+			const s = sy * sprite.width + sx;
+			const code = src.codes[s] || SPACE;
+			if (code === SPACE && !bg) continue;
+			const i = row * width + col;
+			const o = i * 3;
+			codes[i] = code === SPACE ? NBSP : code;
+			if (rgb) {
+				if (code === SPACE) rgb.set(bg, o);
+				else if (src.rgb) rgb.set(src.rgb.subarray(s * 3, s * 3 + 3), o);
+				else rgb.set(color, o);
+			}
+			if (frame.textMask) frame.textMask[i] = src.textMask ? src.textMask[s] : 0;
+			if (src.bgRgb && src.bgMask[s] && frame.bgRgb) {
+				frame.bgRgb.set(src.bgRgb.subarray(s * 3, s * 3 + 3), o);
+				frame.bgMask[i] = 1;
+			} else if (bg) {
+				frame.bgRgb.set(bg, o);
+				frame.bgMask[i] = 1;
+			} else if (frame.bgMask) {
+				frame.bgMask[i] = 0;
+			}
+		}
+	}
+}
@@ -0,0 +1,392 @@
+/**
+ * ASCII-fi – Palette files and the user palette library.
+ *
+ * Palettes can be read from and written to the formats other tools use:
+ *
+ *   .gpl   – GIMP / Inkscape / Krita palette (text)
+ *   .ase   – Adobe Swatch Exchange (binary; RGB, CMYK and Gray swatches)
+ *   .hex   – one RRGGBB per line, as downloaded from Lospec
+ *   .json  – `{ name, colors: ['#rrggbb', …] }`, a bare array of hex strings
+ *            or [r, g, b] triples, or Lospec's JSON export
+ *
+ * A palette here is `{ name, colors }`, with colours as [r, g, b] on 0–255.
+ * Unlike `customPalette` stops, the colours are used exactly as given.
+ *
+ * The user library is a folder of palette files, `palettes/` under
+ * $ASCII_FI_CONFIG_DIR, or else `ascii-fi/palettes/` in the platform config
+ * folder (%APPDATA%, $XDG_CONFIG_HOME or ~/.config). Library palettes are
+ * loaded by file name without the extension. Parsing and formatting also
+ * run in the browser; only the file and library helpers need Node.
+ */
+
+export const PALETTE_FORMATS = ['gpl', 'ase', 'hex', 'json'];
+const MAX_PALETTE_COLORS = 256;
+// ASE block types
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR = 0x0001;
+
+/**
+ * Palette format from a file name's extension.
+ *
+ * @param {string} path
+ * @returns {string} one of PALETTE_FORMATS
+ */
+export function paletteFormatFromPath(path) {
+	const m = /\.([a-z]+)$/i.exec(String(path));
+	const format = m ? m[1].toLowerCase() : '';
+	if (!PALETTE_FORMATS.includes(format)) {
+		throw new TypeError(`Unknown palette file type "${path}" (expected .${PALETTE_FORMATS.join(', .')})`);
+	}
+	return format;
+}
+
+/**
+ * Validate a palette: 1–256 colours, each [r, g, b] whole numbers on 0–255.
+ *
+ * @param {{name?: string, colors: number[][]}} palette
+ * @returns {{name: string|null, colors: number[][]}}
+ */
+export function resolvePalette({ name = null, colors } = {}) {
+	if (!Array.isArray(colors) || colors.length === 0) {
+		throw new TypeError('A palette needs at least one colour');
+	}
+	if (colors.length > MAX_PALETTE_COLORS) {
+		throw new RangeError(`Palettes can have at most ${MAX_PALETTE_COLORS} colours (got ${colors.length})`);
+	}
+	for (const c of colors) {
+		if (!Array.isArray(c) || c.length !== 3 || !c.every((v) => Number.isInteger(v) && v >= 0 && v <= 255)) {
+			throw new RangeError(`Palette colour ${JSON.stringify(c)} must be [r, g, b] on 0–255`);
+		}
+	}
+	return { name: name ? String(name) : null, colors: colors.map(([r, g, b]) => [r, g, b]) };
+}
+
+function hexColor(value, where) {
+	const m = /^#?([0-9a-f]{6})$/i.exec(String(value).trim());
+	if (!m) throw new TypeError(`Bad hex colour "${value}"${where}`);
+	const n = parseInt(m[1], 16);
+	return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+const toHex = ([r, g, b]) => `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}`;
+
+/* ── Parsing ───────────────────────────────────────────────────────── */
+
+function parseGpl(text) {
+	const lines = text.split(/\r\n?|\n/);
+	if (lines[0].trim() !== 'GIMP Palette') {
+		throw new TypeError('Not a GIMP palette: the first line must be "GIMP Palette"');
+	}
+	let name = null;
+	const colors = [];
+	for (let n = 1; n < lines.length; n++) {
+		const line = lines[n].trim();
+		if (!line || line.startsWith('#')) continue;
+		if (/^Name:/i.test(line)) { name = line.slice(5).trim() || null; continue; }
+		if (/^Columns:/i.test(line)) continue;
+		const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+		if (!m) throw new TypeError(`Bad GIMP palette entry on line ${n + 1}: "${line}"`);
+		colors.push([Number(m[1]), Number(m[2]), Number(m[3])]);
+	}
+	return { name, colors };
+}
+
+function parseHex(text) {
+	const colors = [];
+	const lines = text.split(/\r\n?|\n/);
+	for (let n = 0; n < lines.length; n++) {
+		const line = lines[n].trim();
+		if (line) colors.push(hexColor(line, ` on line ${n + 1}`));
+	}
+	return { name: null, colors };
+}
+
+function parseJson(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (err) {
+		throw new TypeError(`Bad palette JSON: ${err.message}`);
+	}
+	const list = Array.isArray(data) ? data : data?.colors;
+	if (!Array.isArray(list)) {
+		throw new TypeError('Palette JSON must be a list of colours or an object with a "colors" list');
+	}
+	const colors = list.map((c, i) => (typeof c === 'string' ? hexColor(c, ` at colors[${i}]`) : c));
+	return { name: Array.isArray(data) ? null : (data.name ?? null), colors };
+}
+
+function parseAse(bytes) {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const tag = (o) => String.fromCharCode(bytes[o], bytes[o + 1], bytes[o + 2], bytes[o + 3]);
+	if (bytes.length < 12 || tag(0) !== 'ASEF') {
+		throw new TypeError('Not an Adobe Swatch Exchange file (no ASEF signature)');
+	}
+	const blocks = view.getUint32(8);
+	let o = 12;
+	let name = null;
+	const colors = [];
+	const readName = () => {
+		const units = view.getUint16(o);
+		let s = '';
+		for (let i = 0; i < units; i++) s += String.fromCharCode(view.getUint16(o + 2 + i * 2));
+		o += 2 + units * 2;
+		return s.replace(/\0+$/, '');
+	};
+
+	for (let b = 0; b < blocks; b++) {
+		if (o + 6 > bytes.length) throw new TypeError('Adobe Swatch Exchange file is truncated');
+		const type = view.getUint16(o);
+		const length = view.getUint32(o + 2);
+		const end = o + 6 + length;
+		if (end > bytes.length) throw new TypeError('Adobe Swatch Exchange file is truncated');
+		o += 6;
+		if (type === ASE_GROUP_START && name === null) {
+			name = readName() || null;
+		} else if (type === ASE_COLOR) {
+			const swatch = readName();
+			const model = tag(o).trim();
+			o += 4;
+			const v = (i) => view.getFloat32(o + i * 4);
+			const byte = (x) => Math.max(0, Math.min(255, Math.round(x * 255)));
+			if (model === 'RGB') {
+				colors.push([byte(v(0)), byte(v(1)), byte(v(2))]);
+			} else if (model === 'Gray') {
+				colors.push([byte(v(0)), byte(v(0)), byte(v(0))]);
+			} else if (model === 'CMYK') {
+				const k = 1 - v(3);
+				colors.push([byte((1 - v(0)) * k), byte((1 - v(1)) * k), byte((1 - v(2)) * k)]);
+			} else {
+				throw new TypeError(`Swatch "${swatch}" uses the ${model} colour model – only RGB, CMYK and Gray are supported`);
+			}
+		}
+		// Group ends carry nothing; unknown blocks are skipped by length
+		o = end;
+	}
+	return { name, colors };
+}
+
+/**
+ * Parse palette file contents.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} data - Text, or bytes (needed for .ase)
+ * @param {string} format - One of PALETTE_FORMATS
+ * @returns {{name: string|null, colors: number[][]}}
+ */
+export function parsePalette(data, format) {
+	if (!PALETTE_FORMATS.includes(format)) {
+		throw new TypeError(`Unknown palette format "${format}" (expected ${PALETTE_FORMATS.join(', ')})`);
+	}
+	const bytes = typeof data === 'string' ? null : new Uint8Array(data);
+	if (format === 'ase') {
+		if (!bytes) throw new TypeError('Adobe Swatch Exchange palettes must be read as bytes');
+		return resolvePalette(parseAse(bytes));
+	}
+	const text = (bytes ? new TextDecoder('utf-8').decode(bytes) : data).replace(/^\uFEFF/, '');
+	const parse = format === 'gpl' ? parseGpl : format === 'hex' ? parseHex : parseJson;
+	return resolvePalette(parse(text));
+}
+
+/* ── Formatting ────────────────────────────────────────────────────── */
+
+function formatAse({ name, colors }) {
+	const utf16 = (s) => [...`${s}\0`].map((ch) => ch.charCodeAt(0));
+	const blocks = [];
+	if (name) blocks.push({ type: ASE_GROUP_START, name: utf16(name) });
+	for (const c of colors) blocks.push({ type: ASE_COLOR, name: utf16(toHex(c)), rgb: c });
+	if (name) blocks.push({ type: ASE_GROUP_END });
+
+	const bodyLength = (blk) => (blk.name ? 2 + blk.name.length * 2 : 0) + (blk.rgb ? 4 + 12 + 2 : 0);
+	const size = 12 + blocks.reduce((n, blk) => n + 6 + bodyLength(blk), 0);
+	const bytes = new Uint8Array(size);
+	const view = new DataView(bytes.buffer);
+	bytes.set([65, 83, 69, 70]); // ASEF
+	view.setUint16(4, 1);
+	view.setUint16(6, 0);
+	view.setUint32(8, blocks.length);
+	let o = 12;
+	for (const blk of blocks) {
+		view.setUint16(o, blk.type);
+		view.setUint32(o + 2, bodyLength(blk));
+		o += 6;
+		if (blk.name) {
+			view.setUint16(o, blk.name.length);
+			blk.name.forEach((u, i) => view.setUint16(o + 2 + i * 2, u));
+			o += 2 + blk.name.length * 2;
+		}
+		if (blk.rgb) {
+			bytes.set([82, 71, 66, 32], o); // "RGB "
+			blk.rgb.forEach((v, i) => view.setFloat32(o + 4 + i * 4, v / 255));
+			view.setUint16(o + 16, 2); // normal (not global or spot) colour
+			o += 18;
+		}
+	}
+	return bytes;
+}
+
+/**
+ * Write a palette in one of the supported formats.
+ *
+ * @param {{name?: string, colors: number[][]}} palette
+ * @param {string} format - One of PALETTE_FORMATS
+ * @returns {string|Uint8Array} text, or bytes for .ase
+ */
+export function formatPalette(palette, format) {
+	const { name, colors } = resolvePalette(palette);
+	switch (format) {
+		case 'gpl': {
+			const rows = colors.map((c) => `${c.map((v) => String(v).padStart(3)).join(' ')}\t${toHex(c)}`);
+			return `GIMP Palette\nName: ${name || 'ASCII-fi palette'}\nColumns: ${Math.min(16, colors.length)}\n#\n${rows.join('\n')}\n`;
+		}
+		case 'hex':
+			return `${colors.map((c) => toHex(c).slice(1)).join('\n')}\n`;
+		case 'json':
+			return `${JSON.stringify({ name, colors: colors.map(toHex) }, null, '\t')}\n`;
+		case 'ase':
+			return formatAse({ name, colors });
+		default:
+			throw new TypeError(`Unknown palette format "${format}" (expected ${PALETTE_FORMATS.join(', ')})`);
+	}
+}
+
+/* ── Files ─────────────────────────────────────────────────────────── */
+
+/**
+ * Read a palette file; the format comes from its extension. Palettes
+ * without a name of their own are named after the file.
+ *
+ * @param {string} path
+ * @returns {Promise<{name: string, colors: number[][]}>}
+ */
+export async function loadPaletteFile(path) {
+	const format = paletteFormatFromPath(path);
+	const { readFile } = await import('node:fs/promises');
+	const { basename, extname } = await import('node:path');
+	let data;
+	try {
+		data = await readFile(path);
+	} catch (err) {
+		throw new Error(`Could not read palette ${path}: ${err.message}`);
+	}
+	const palette = parsePalette(data, format);
+	return { ...palette, name: palette.name || basename(path, extname(path)) };
+}
+
+/**
+ * Write a palette file; the format comes from its extension.
+ *
+ * @param {string} path
+ * @param {{name?: string, colors: number[][]}} palette
+ * @returns {Promise<string>} the path written
+ */
+export async function savePaletteFile(path, palette) {
+	const data = formatPalette(palette, paletteFormatFromPath(path));
+	const { writeFile, mkdir } = await import('node:fs/promises');
+	const { dirname } = await import('node:path');
+	await mkdir(dirname(path), { recursive: true });
+	await writeFile(path, data);
+	return path;
+}
+
+/* ── User library ──────────────────────────────────────────────────── */
+
+/**
+ * Check a library palette name: it becomes a file name, so it may not
+ * contain path separators or characters Windows rejects.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function resolveLibraryName(name) {
+	if (typeof name !== 'string' || !name.trim() || /[<>:"/\\|?*\0]/.test(name) || /^\.+$/.test(name.trim())) {
+		throw new TypeError(`Bad palette name "${name}" – use letters, digits, spaces, - or _`);
+	}
+	return name.trim();
+}
+
+/**
+ * Folder holding the user's palettes (it may not exist yet).
+ *
+ * @param {object} [env] - Environment variables, process.env by default
+ * @returns {Promise<string>}
+ */
+export async function paletteLibraryDir(env = process.env) {
+	const { join } = await import('node:path');
+	if (env.ASCII_FI_CONFIG_DIR) return join(env.ASCII_FI_CONFIG_DIR, 'palettes');
+	const { homedir } = await import('node:os');
+	const base = process.platform === 'win32'
+		? (env.APPDATA || join(homedir(), 'AppData', 'Roaming'))
+		: (env.XDG_CONFIG_HOME || join(homedir(), '.config'));
+	return join(base, 'ascii-fi', 'palettes');
+}
+
+/**
+ * Palette files in the user library, sorted by name.
+ *
+ * @returns {Promise<{name: string, format: string, path: string}[]>}
+ */
+export async function listLibraryPalettes() {
+	const { readdir } = await import('node:fs/promises');
+	const { join } = await import('node:path');
+	const dir = await paletteLibraryDir();
+	let files;
+	try {
+		files = await readdir(dir);
+	} catch {
+		return [];
+	}
+	const entries = [];
+	for (const file of files) {
+		const m = /^(.+)\.([a-z]+)$/i.exec(file);
+		if (m && PALETTE_FORMATS.includes(m[2].toLowerCase())) {
+			entries.push({ name: m[1], format: m[2].toLowerCase(), path: join(dir, file) });
+		}
+	}
+	return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Load a palette from the user library by name.
+ *
+ * @param {string} name
+ * @returns {Promise<{name: string, colors: number[][]}>}
+ */
+export async function loadLibraryPalette(name) {
+	const entry = (await listLibraryPalettes()).find((p) => p.name === name);
+	if (!entry) {
+		throw new Error(`No palette named "${name}" in ${await paletteLibraryDir()}`);
+	}
+	return loadPaletteFile(entry.path);
+}
+
+/**
+ * Save a palette to the user library, replacing one of the same name.
+ *
+ * @param {string} name
+ * @param {number[][]} colors
+ * @param {string} [format='gpl']
+ * @returns {Promise<string>} the path written
+ */
+export async function saveLibraryPalette(name, colors, format = 'gpl') {
+	const { join } = await import('node:path');
+	const { rm } = await import('node:fs/promises');
+	const safe = resolveLibraryName(name);
+	// One file per name, whatever format it was saved in before
+	for (const old of await listLibraryPalettes()) {
+		if (old.name === safe) await rm(old.path, { force: true });
+	}
+	return savePaletteFile(join(await paletteLibraryDir(), `${safe}.${format}`), { name: safe, colors });
+}
+
+/**
+ * Load a palette from a file path, or from the user library when given a
+ * bare name (no palette file extension and no folder).
+ *
+ * @param {string} source
+ * @returns {Promise<{name: string, colors: number[][]}>}
+ */
+export async function loadPalette(source) {
+	const isPath = /[/\\]/.test(source) || new RegExp(`\\.(${PALETTE_FORMATS.join('|')})$`, 'i').test(source);
+	return isPath ? loadPaletteFile(source) : loadLibraryPalette(source);
+}
@@ -18,6 +18,9 @@ function _dv(b){var s=atob(b),r=[],i=0;while(i<s.length){var n=0,h=0,c;do{c=s.ch
 /* Gap decoder: base64 varint gaps → absolute positions */
 function _ug(b){var g=_dv(b),r=[],p=0;for(var i=0;i<g.length;i++){p+=g[i];r.push(p)}return r}
 
+/* Char codes to string, chunked for String.fromCharCode */
+function _cs(c){var o='';for(var i=0;i<c.length;i+=8192)o+=String.fromCharCode.apply(null,c.subarray(i,i+8192));return o}
+
 /* V5 Binary Reader */
 class _BR {
   constructor(buf) { this.v = new Uint8Array(buf); this.p = 0; }
@@ -39,6 +42,30 @@ class _BR {
 class AsciiPlayer {
   constructor(data) { this._init(data); }
 
+  /* Per-frame [r,g,b] cell colours; V5 keeps packed dictionary indices and rebuilds this on access */
+  get colors() {
+    if (!this._colorIndices) return this._colors;
+    var self = this;
+    return this._colorIndices.map(function(ci, fi) {
+      var d = self._dictAt(fi);
+      return (ci && d) ? Array.from(ci, function(idx) { return d[idx] || [0,0,0]; }) : null;
+    });
+  }
+  set colors(v) { this._colors = v; }
+
+  get bgColors() {
+    if (!this._bgIndices) return this._bgColors || null;
+    var self = this;
+    return this._bgIndices.map(function(bi, fi) {
+      var d = self._dictAt(fi);
+      return d ? Array.from(bi, function(idx) { return (idx > 0 && d[idx - 1]) || null; }) : null;
+    });
+  }
+  set bgColors(v) { this._bgColors = v; }
+
+  /* Colour dictionary for frame fi – V5 palette switches give scenes their own */
+  _dictAt(fi) { return this._frameDicts ? this._frameDicts[fi] : this._colorDict; }
+
   static async fromCompressed(b64) {
     var bin = Uint8Array.from(atob(b64), function(c) { return c.charCodeAt(0); });
     var ds = new DecompressionStream('gzip');
@@ -65,7 +92,9 @@ class AsciiPlayer {
     this.fps    = data.fps || 24;
     this.color  = data.color || false;
     this.render = data.render || { mode: 'truecolor', theme: { fg: '#00ff00', bg: '#000000' } };
+    this.cellAspect = data.cellAspect || 0.75;
     this._colorDict = null;
+    this._frameDicts = null;
 
     if (data.v >= 4) {
       /* V4: hex-encoded colour dictionary */
@@ -102,55 +131,71 @@ class AsciiPlayer {
     this.width = r.u16();
     this.height = r.u16();
     this.fps = r.u8();
-    this.color = r.u8() === 1;
+    var flags = r.u8();
+    this.color = (flags & 1) !== 0;
+    var hasBg = this.color && (flags & 2) !== 0; // half-block backgrounds
     this.render = {
       mode: r.str(),
-      theme: { fg: r.str(), bg: r.str() }
+      theme: { fg: r.str(), bg: r.str() },
+      invert: (flags & 4) !== 0 // light background: spaces show the theme bg
     };
+    this.cellAspect = (flags & 8) !== 0 ? r.u16() / 1000 : 0.75; // cell width / height
 
-    this._colorDict = null;
-    var dictLen = r.vi();
-    if (this.color && dictLen > 0) {
-      this._colorDict = [];
-      for (var i = 0; i < dictLen; i++) {
-        this._colorDict.push([r.u8(), r.u8(), r.u8()]);
-      }
+    function readDict() {
+      var len = r.vi(), d = [];
+      for (var i = 0; i < len; i++) d.push([r.u8(), r.u8(), r.u8()]);
+      return d;
     }
+    var dict = readDict();
+    this._colorDict = (this.color && dict.length) ? dict : null;
+    this._frameDicts = this.color ? [] : null;
+    dict = this._colorDict;
 
     var nFrames = r.vi();
     var tc = this.width * this.height;
     this.frames = [];
-    this.colors = this.color ? [] : null;
-    var prevC = ' '.repeat(tc);
-    var prevCI = this.color ? new Array(tc).fill(0) : null;
+    /* Glyphs are patched in place and snapshotted to a string per frame */
+    var codes = new Uint16Array(tc).fill(32);
+    var prevC = _cs(codes);
+    var prevCI = this.color ? new Uint32Array(tc) : null;
+    var prevBI = hasBg ? new Uint32Array(tc) : null; // dict index + 1, 0 = none
+    this._colorIndices = this.color ? [] : null;
+    this._bgIndices = hasBg ? [] : null;
+
+    function readRLE() {
+      var out = new Uint32Array(tc), len = r.vi(), p = 0;
+      for (var i = 0; i < len; i += 2) { var n = r.vi(); out.fill(r.vi(), p, p + n); p += n; }
+      return out;
+    }
+    function readDelta(out) {
+      var len = r.vi(), pos = new Array(len), p = 0;
+      for (var i = 0; i < len; i++) { p += r.vi(); pos[i] = p; }
+      for (var i = 0; i < len; i++) out[pos[i]] = r.vi();
+    }
 
     for (var fi = 0; fi < nFrames; fi++) {
       var type = r.u8();
-      var curC, curCI;
+      while (type === 3) {
+        /* Palette switch: the next scene's dictionary, followed by a full frame */
+        dict = readDict();
+        type = r.u8();
+      }
+      var curC = prevC, curCI = null, curBI = prevBI;
 
       if (type === 0) {
         /* Duplicate */
-        curC = prevC; curCI = prevCI;
+        curCI = prevCI;
       } else if (type === 1) {
         /* Full Frame */
         var countsLen = r.vi();
         var counts = new Array(countsLen);
         for(var i=0; i<countsLen; i++) counts[i] = r.vi();
         var charsStr = r.str();
-        curC = '';
-        for(var i=0; i<countsLen; i++) curC += charsStr[i].repeat(counts[i]);
+        for(var i=0, p=0; i<countsLen; i++) { codes.fill(charsStr.charCodeAt(i), p, p + counts[i]); p += counts[i]; }
+        curC = _cs(codes);
 
-        if (this.color) {
-          if (r.u8() === 1) {
-            var colorRleLen = r.vi();
-            curCI = [];
-            for(var i=0; i<colorRleLen; i+=2) {
-              var cn = r.vi();
-              var cv = r.vi();
-              for(var j=0; j<cn; j++) curCI.push(cv);
-            }
-          }
-        }
+        if (this.color && r.u8() === 1) curCI = readRLE();
+        if (hasBg && r.u8() === 1) curBI = readRLE();
       } else if (type === 2) {
         /* Delta Frame */
         var gapsLen = r.vi();
@@ -159,31 +204,26 @@ class AsciiPlayer {
         for(var i=0; i<gapsLen; i++) { p += r.vi(); pos[i] = p; }
 
         var charsStr = r.str();
-        var a = prevC.split('');
-        for(var i=0; i<gapsLen; i++) a[pos[i]] = charsStr[i];
-        curC = a.join('');
+        for(var i=0; i<gapsLen; i++) codes[pos[i]] = charsStr.charCodeAt(i);
+        curC = _cs(codes);
 
         if (this.color && prevCI) {
           curCI = prevCI.slice();
-          if (r.u8() === 1) {
-            var cgLen = r.vi();
-            var cp = new Array(cgLen);
-            var cpv = 0;
-            for(var i=0; i<cgLen; i++) { cpv += r.vi(); cp[i] = cpv; }
-            for(var i=0; i<cgLen; i++) curCI[cp[i]] = r.vi();
-          }
+          if (r.u8() === 1) readDelta(curCI);
+        }
+        if (hasBg && r.u8() === 1) {
+          curBI = prevBI.slice();
+          readDelta(curBI);
         }
       }
 
       this.frames.push(curC);
-      if (this.colors) {
-        if (curCI && this._colorDict) {
-          var d = this._colorDict;
-          this.colors.push(curCI.map(function(idx) { return d[idx] || [0,0,0]; }));
-        } else { this.colors.push(null); }
-      }
+      if (this._colorIndices) this._colorIndices.push(curCI);
+      if (this._bgIndices) this._bgIndices.push(curBI);
+      if (this._frameDicts) this._frameDicts.push(dict);
       prevC = curC;
       if (curCI) prevCI = curCI;
+      prevBI = curBI;
     }
 
     this._frameIndex = 0;
@@ -308,11 +348,27 @@ class AsciiPlayer {
   mount(el) {
     this._el = el;
     this._pre = document.createElement('pre');
-    this._pre.style.cssText = 'font-family:Consolas,Menlo,monospace;font-size:6px;line-height:0.8em;letter-spacing:0;padding:4px;overflow:auto;margin:0;white-space:pre;background:transparent;';
+    this._pre.style.cssText = 'font-family:Consolas,Menlo,\\'DejaVu Sans Mono\\',\\'Segoe UI Symbol\\',monospace;font-size:6px;line-height:0.8em;letter-spacing:0;padding:4px;overflow:auto;margin:0;white-space:pre;background:transparent;';
+    /* Inverted bundles were drawn for a light background: carry it with the player */
+    var theme = (this.render && this.render.theme) || {};
+    if (this.render && this.render.invert && /^#?[0-9a-f]{6}$/i.test(theme.bg || '')) this._pre.style.background = theme.bg;
     el.appendChild(this._pre);
+    this.lineHeight = this._lineHeight();
+    this._pre.style.lineHeight = this.lineHeight + 'em';
     this._render(0);
   }
 
+  /* Line height (em) that gives cells the bundle's width / height in the font that loaded */
+  _lineHeight() {
+    var probe = document.createElement('span');
+    probe.textContent = 'MMMMMMMMMM';
+    this._pre.appendChild(probe);
+    var size = parseFloat(getComputedStyle(this._pre).fontSize) || 6;
+    var advance = probe.getBoundingClientRect().width / 10 / size;
+    this._pre.removeChild(probe);
+    return Math.round((advance > 0 ? advance : 0.6) / this.cellAspect * 1000) / 1000;
+  }
+
   play() {
     this.stop();
     var self = this;
@@ -335,12 +391,19 @@ class AsciiPlayer {
       this._pre.textContent = text;
       return;
     }
-    var colorData = (this.color && this.colors) ? this.colors[idx] : null;
-    var html = '', runColor = null, runChars = '';
+    var dict = this._dictAt(idx);
+    var colorIdx = (this._colorIndices && dict) ? this._colorIndices[idx] : null;
+    var colorData = (!this._colorIndices && this.color && this._colors) ? this._colors[idx] : null;
+    var bgIdx = (this._bgIndices && dict) ? this._bgIndices[idx] : null;
+    var html = '', runColor = null, runBg = null, runChars = '';
+    function rgb(c) { return 'rgb(' + c[0] + ',' + c[1] + ',' + c[2] + ')'; }
+    function sameRgb(a, b) { return a === b || (!!a && !!b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2]); }
     function flushRun() {
       if (!runChars) return;
-      if (runColor) html += '<span style=\"color:rgb(' + runColor[0] + ',' + runColor[1] + ',' + runColor[2] + ')\">' + runChars + '</span>';
-      else html += runChars;
+      if (runColor || runBg) {
+        var style = (runColor ? 'color:' + rgb(runColor) + ';' : '') + (runBg ? 'background:' + rgb(runBg) : '');
+        html += '<span style=\"' + style + '\">' + runChars + '</span>';
+      } else html += runChars;
       runChars = '';
     }
     for (var row = 0; row < this.height; row++) {
@@ -349,12 +412,16 @@ class AsciiPlayer {
         var ch = chars[i] || ' ';
         var esc = ch === '<' ? '&lt;' : ch === '>' ? '&gt;' : ch === '&' ? '&amp;' : ch;
         // Space characters shouldn't be colored, let the <pre> background show through
-        var cellColor = (ch !== ' ' && colorData && colorData[i]) ? colorData[i] : null;
-        var sameColor = runColor && cellColor && runColor[0] === cellColor[0] && runColor[1] === cellColor[1] && runColor[2] === cellColor[2];
-        if (!sameColor && (runColor || cellColor)) { flushRun(); runColor = cellColor; }
+        var cellColor = null, cellBg = null;
+        if (ch !== ' ') {
+          if (colorIdx) cellColor = dict[colorIdx[i]] || [0,0,0];
+          else if (colorData && colorData[i]) cellColor = colorData[i];
+          if (bgIdx && bgIdx[i] > 0) cellBg = dict[bgIdx[i] - 1] || null;
+        }
+        if (!sameRgb(runColor, cellColor) || !sameRgb(runBg, cellBg)) { flushRun(); runColor = cellColor; runBg = cellBg; }
         runChars += esc;
       }
-      flushRun(); runColor = null; html += '\\n';
+      flushRun(); runColor = null; runBg = null; html += '\\n';
     }
     flushRun();
     this._pre.innerHTML = html;
@@ -1,17 +1,20 @@
 /**
  * ASCII-fi – Terminal preview renderer.
  *
- * Plays an ASCII animation directly in the terminal using log-update.
+ * Plays an ASCII animation directly in the terminal using log-update, at
+ * the colour depth the terminal supports (see ansi.js).
  */
 
 import logUpdate from 'log-update';
 import { pickColorForChar, contrastColor, nearestPaletteColor } from './render.js';
+import { PackedFrame } from './frame.js';
+import { playbackColorDepth, sgrColor } from './ansi.js';
 
 /**
  * Play frames in the terminal.
  *
  * @param {object}  opts
- * @param {Array}   opts.frames – Array of frame objects ({ chars }).
+ * @param {Array}   opts.frames – PackedFrames (or `{ chars, colors? }` objects).
  * @param {number}  opts.width  – Characters per row.
  * @param {number}  opts.height – Rows per frame.
  * @param {number}  opts.fps    – Playback frame rate.
@@ -25,31 +28,33 @@ export function previewInTerminal({ frames, width, height, fps, render }) {
 
 		const fg = parseHexColor(render?.theme?.fg, [0, 255, 0]);
 		const bg = parseHexColor(render?.theme?.bg, [0, 0, 0]);
-		const fgAnsi = `\x1b[38;2;${fg[0]};${fg[1]};${fg[2]}m`;
-		const bgAnsi = `\x1b[48;2;${bg[0]};${bg[1]};${bg[2]}m`;
+		const depth = playbackColorDepth(render?.ansi);
+		const bgAnsi = sgrColor(bg, depth, true);
 		const resetAnsi = '\x1b[0m';
+		const snap = (c) => (render?.mode === 'palette' && render?.palette?.length) ? nearestPaletteColor(c, render.palette, render.colorSpace) : c;
+		const rgbAt = (plane, i) => [plane[i * 3], plane[i * 3 + 1], plane[i * 3 + 2]];
 
 		const timer = setInterval(() => {
-			const frame = frames[idx];
+			const { codes, rgb: colors, bgRgb, bgMask } = PackedFrame.from(frames[idx]);
 			let output = '';
 
 			for (let row = 0; row < height; row++) {
-				const line = frame.chars.slice(row * width, (row + 1) * width);
-
 				let coloredLine = '';
-				for (let col = 0; col < line.length; col++) {
+				for (let col = 0; col < width && row * width + col < codes.length; col++) {
 					const ci = row * width + col;
-					const ch = line[col];
-					if ((render?.mode === 'truecolor' || render?.mode === 'palette') && frame.colors && frame.colors[ci]) {
-						let cellBg = frame.colors[ci];
-						if (render?.mode === 'palette' && render?.palette?.length) {
-							cellBg = nearestPaletteColor(cellBg, render.palette);
-						}
+					const ch = String.fromCharCode(codes[ci]);
+					if (bgRgb && colors && render?.mode !== 'mono') {
+						// Half-block cells: glyph paints one half, cell background the other
+						const cellFg = snap(rgbAt(colors, ci));
+						const cellBg = (ch !== ' ' && bgMask[ci]) ? snap(rgbAt(bgRgb, ci)) : bg;
+						coloredLine += `${sgrColor(cellBg, depth, true)}${sgrColor(cellFg, depth)}${ch}${resetAnsi}`;
+					} else if ((render?.mode === 'truecolor' || render?.mode === 'palette') && colors) {
+						const cellBg = snap(rgbAt(colors, ci));
 						const cellFg = contrastColor(cellBg[0], cellBg[1], cellBg[2]);
-						coloredLine += `\x1b[48;2;${cellBg[0]};${cellBg[1]};${cellBg[2]}m\x1b[38;2;${cellFg[0]};${cellFg[1]};${cellFg[2]}m${ch}${resetAnsi}`;
+						coloredLine += `${sgrColor(cellBg, depth, true)}${sgrColor(cellFg, depth)}${ch}${resetAnsi}`;
 					} else {
-						const rgb = pickColorForChar(ch, render, frame.colors ? frame.colors[ci] : null, fg);
-						coloredLine += `${bgAnsi}\x1b[38;2;${rgb[0]};${rgb[1]};${rgb[2]}m${ch}${resetAnsi}`;
+						const rgb = pickColorForChar(ch, render, colors ? rgbAt(colors, ci) : null, fg);
+						coloredLine += `${bgAnsi}${sgrColor(rgb, depth)}${ch}${resetAnsi}`;
 					}
 				}
 				output += coloredLine + '\n';
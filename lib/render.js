@@ -2,12 +2,21 @@
  * ASCII-fi – Shared rendering helpers for color mapping.
  */
 
+import { srgbToOklab } from './color.js';
+
 export const CHAR_RAMP = " .:;+=*#%@";
 // Block ramp: space → light shade → medium → dark → full block.
 // Used exclusively in block char mode for a clean pixel-art look.
 export const BLOCK_RAMP = " ░▒▓█";
 // Dense ramp for color mode to avoid empty background holes.
 export const COLOR_RAMP = "█▓▒░";
+// Braille patterns live at U+2800–U+28FF; the low 8 bits are the raised dots.
+export const BRAILLE_BASE = 0x2800;
+// Dot bit for each position of the 2×4 grid, row-major (TL, TR, … BL, BR).
+export const BRAILLE_DOT_BITS = [0x01, 0x08, 0x02, 0x10, 0x04, 0x20, 0x40, 0x80];
+// Half blocks: the glyph paints one half, the cell background the other.
+export const HALF_BLOCK_UPPER = '▀';
+export const HALF_BLOCK_LOWER = '▄';
 
 export function charToLevel(ch) {
 	const idx = CHAR_RAMP.indexOf(ch);
@@ -56,8 +65,21 @@ export function contrastColor(r, g, b) {
 	];
 }
 
-export function nearestPaletteColor(rgb, palette) {
+// Palette → its colours in OKLab, converted once per palette
+const oklabPalettes = new WeakMap();
+
+/**
+ * Closest palette entry to `rgb`. 'oklab' measures the distance
+ * perceptually (see color.js); 'rgb' uses plain sRGB Euclidean distance.
+ *
+ * @param {number[]} rgb
+ * @param {number[][]} palette
+ * @param {string} [colorSpace] - 'rgb' | 'oklab'
+ * @returns {number[]} The palette entry itself
+ */
+export function nearestPaletteColor(rgb, palette, colorSpace = 'rgb') {
 	if (!palette || !palette.length || !rgb) return rgb;
+	if (colorSpace === 'oklab') return nearestOklab(rgb, palette);
 	let bestDist = Infinity;
 	let best = palette[0];
 	for (let i = 0; i < palette.length; i++) {
@@ -70,6 +92,25 @@ export function nearestPaletteColor(rgb, palette) {
 	return best;
 }
 
+function nearestOklab(rgb, palette) {
+	let labs = oklabPalettes.get(palette);
+	if (!labs) {
+		labs = palette.map((c) => srgbToOklab(c[0], c[1], c[2]));
+		oklabPalettes.set(palette, labs);
+	}
+	const [L, A, B] = srgbToOklab(rgb[0], rgb[1], rgb[2]);
+	let bestDist = Infinity;
+	let best = palette[0];
+	for (let i = 0; i < labs.length; i++) {
+		const dL = L - labs[i][0];
+		const dA = A - labs[i][1];
+		const dB = B - labs[i][2];
+		const d = dL * dL + dA * dA + dB * dB;
+		if (d < bestDist) { bestDist = d; best = palette[i]; }
+	}
+	return best;
+}
+
 /* ── Realistic colour pool ─────────────────────────────────────────── */
 // ~70 curated real-world anchor colours covering shadows, midtones
 // highlights, skin, sky, foliage, earth, fabric, metal, etc.
@@ -150,6 +191,65 @@ export function makeRealisticPalette(count) {
 		);
 }
 
+/** Gradient stops for the named palettes (grayscale and realistic are built specially). */
+export const gradientPresets = {
+	realistic: [[12, 18, 30], [40, 80, 140], [120, 160, 120], [200, 170, 120], [220, 220, 210]],
+	grayscale: [[0, 0, 0], [255, 255, 255]],
+	sunset: [[255, 94, 58], [255, 149, 0], [255, 204, 0]],
+	ocean: [[0, 24, 72], [0, 118, 255], [0, 217, 255]],
+	dracula: [[40, 42, 54], [97, 175, 239], [255, 121, 198], [189, 147, 249], [80, 250, 123]],
+	neon: [[57, 255, 20], [0, 255, 255], [255, 0, 255]],
+	forest: [[16, 64, 32], [34, 139, 34], [154, 205, 50]],
+};
+
+/** Palette of `colorCount` colours for a named preset; unknown names fall back to realistic. */
+export function buildPresetPalette(name, colorCount) {
+	if (name === 'grayscale') return makeGrayscalePalette(colorCount);
+	if (name === 'realistic') return makeRealisticPalette(colorCount);
+	const stops = gradientPresets[name] || gradientPresets.realistic;
+	return makeGradientPalette(stops, colorCount);
+}
+
+export const POLARITIES = ['auto', 'normal', 'inverted'];
+
+/**
+ * Player background for `bg: 'auto'`, from sampled luminance stats
+ * (`mean` on 0–255): light clips get a light background, which then
+ * inverts the ramp under auto polarity.
+ *
+ * @param {{ mean: number }} stats
+ * @returns {string} #rrggbb
+ */
+export function autoBackground(stats) {
+	const mean = stats.mean / 255;
+	return mean > 0.6 ? '#f0f0f0' : mean > 0.4 ? '#1a1a2e' : '#0a0a0a';
+}
+
+/** True when a #rrggbb colour is light enough to need inverted polarity. */
+export function isLightColor(hex) {
+	const m = /^#?([0-9a-fA-F]{6})$/.exec(typeof hex === 'string' ? hex : '');
+	if (!m) return false;
+	const n = parseInt(m[1], 16);
+	return (0.2126 * ((n >> 16) & 255) + 0.7152 * ((n >> 8) & 255) + 0.0722 * (n & 255)) / 255 > 0.5;
+}
+
+/**
+ * Decide the ramp polarity. The ramps run from ' ' (darkest) to dense
+ * glyphs (brightest), which reads correctly on a dark background but as a
+ * negative on a light one. 'auto' inverts when the theme background is
+ * light; 'transparent' counts as dark.
+ *
+ * @param {string} [polarity] - 'auto' | 'normal' | 'inverted'
+ * @param {string} [bg] - Theme background as #rrggbb
+ * @returns {boolean} true for inverted polarity (dense glyphs on dark areas)
+ */
+export function resolvePolarity(polarity = 'auto', bg) {
+	if (!POLARITIES.includes(polarity)) {
+		throw new TypeError(`Unknown polarity "${polarity}" (expected ${POLARITIES.join(', ')})`);
+	}
+	return polarity === 'auto' ? isLightColor(bg) : polarity === 'inverted';
+}
+
 export function pickColorForChar(ch, render, frameColor, fallbackFg) {
 	if (render?.mode === 'truecolor') {
 		return frameColor || fallbackFg;
@@ -160,10 +260,10 @@ export function pickColorForChar(ch, render, frameColor, fallbackFg) {
 	if (render?.mode === 'palette' && render?.palette?.length) {
 		// If we have source color data, snap it to nearest palette color
 		if (frameColor) {
-			return nearestPaletteColor(frameColor, render.palette);
+			return nearestPaletteColor(frameColor, render.palette, render.colorSpace);
 		}
-		// Fallback: map character luminance to palette
-		const level = charToLevel(ch);
+		// Fallback: map character luminance to palette (dense = dark when inverted)
+		const level = render.invert ? 1 - charToLevel(ch) : charToLevel(ch);
 		const idx = Math.min(render.palette.length - 1, Math.max(0, Math.round(level * (render.palette.length - 1))));
 		return render.palette[idx];
 	}
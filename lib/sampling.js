@@ -0,0 +1,169 @@
+/**
+ * ASCII-fi – Frame sampling for tone and palette analysis.
+ *
+ * Adaptive tone and k-means palettes are decided before conversion from
+ * a handful of small frames. Taking them only from the start of the clip
+ * lets an intro, a fade or a title card set the look of the whole video,
+ * so frames are spread over the trimmed range instead:
+ *
+ *   'even'  – N frames at evenly spaced times (the middle of N equal slices).
+ *   'scene' – the first frame of every shot (FFmpeg's scene score), thinned
+ *             to N evenly spread over the shots found.
+ *
+ * Either way all N frames come out of a single FFmpeg run.
+ */
+
+export const SAMPLING_MODES = ['even', 'scene'];
+export const DEFAULT_SAMPLING = Object.freeze({ frames: 6, mode: 'even' });
+const MAX_SAMPLE_FRAMES = 60;
+// Scene score (0–1) above which FFmpeg's select filter counts a cut
+const SCENE_CUT_SCORE = 0.3;
+// Most shot-start frames kept before thinning to N
+const MAX_SCENE_CANDIDATES = 240;
+
+/**
+ * Validate a `sampling` option.
+ *
+ * @param {object} [sampling]
+ * @param {number} [sampling.frames] - Frames to sample (1–60)
+ * @param {string} [sampling.mode]   - 'even' or 'scene'
+ * @returns {{frames: number, mode: string}}
+ */
+export function resolveSampling({ frames = DEFAULT_SAMPLING.frames, mode = DEFAULT_SAMPLING.mode } = {}) {
+	if (!SAMPLING_MODES.includes(mode)) {
+		throw new TypeError(`Unknown sampling mode "${mode}" (expected ${SAMPLING_MODES.join(', ')})`);
+	}
+	if (!Number.isInteger(frames) || frames < 1 || frames > MAX_SAMPLE_FRAMES) {
+		throw new RangeError(`Sample frames must be a whole number from 1 to ${MAX_SAMPLE_FRAMES} (got ${frames})`);
+	}
+	return { frames, mode };
+}
+
+/**
+ * FFmpeg arguments for one sampling run, and the times it samples.
+ * Even sampling seeks to the middle of the first of `count` equal slices
+ * of the trimmed range and takes `count / span` frames a second from
+ * there; scene sampling reads shot starts across the whole range.
+ *
+ * @param {string} inputPath
+ * @param {number} outputWidth
+ * @param {object} meta – { width, height, duration }
+ * @param {object} [crop]
+ * @param {object} [sampling] – resolveSampling() fields plus `start`/`end`
+ * @returns {{args: string[], width: number, height: number, count: number, times: number[]|null}}
+ *          `times` (seconds) for even sampling over a known span, else null
+ */
+export function sampleFrameArgs(inputPath, outputWidth, meta, crop, sampling = {}) {
+	const { frames: count, mode } = resolveSampling(sampling);
+
+	const validCrop = crop && crop.w && crop.h;
+	const srcW = validCrop ? crop.w : meta.width;
+	const srcH = validCrop ? crop.h : meta.height;
+	const width = outputWidth;
+	const height = Math.max(1, Math.round((outputWidth / srcW) * srcH / 2));
+
+	const start = Math.max(0, sampling.start || 0);
+	const end = typeof sampling.end === 'number' ? Math.min(sampling.end, meta.duration || Infinity) : meta.duration;
+	const span = end > start ? end - start : 0;
+
+	const filters = [];
+	if (validCrop) {
+		filters.push(`crop=${crop.w}:${crop.h}:${crop.x || 0}:${crop.y || 0}`);
+	}
+	filters.push(`scale=${width}:${height}:flags=fast_bilinear`);
+
+	let seek = start;
+	let maxFrames = count;
+	let times = null;
+	if (mode === 'scene') {
+		filters.push(`select=eq(n\\,0)+gt(scene\\,${SCENE_CUT_SCORE})`);
+		maxFrames = MAX_SCENE_CANDIDATES;
+	} else if (span > 0) {
+		// One frame from the middle of each of `count` equal slices
+		seek = start + span / (2 * count);
+		if (count > 1) filters.push(`fps=${count}/${span}`);
+		times = Array.from({ length: count }, (_, i) => seek + i * span / count);
+	}
+
+	const args = [
+		'-ss', String(seek),
+		...(span > 0 ? ['-t', String(end - seek)] : []),
+		'-i', inputPath,
+		'-frames:v', String(maxFrames),
+		...(mode === 'scene' ? ['-fps_mode', 'vfr'] : []),
+		'-f', 'image2pipe',
+		'-vcodec', 'rawvideo',
+		'-pix_fmt', 'rgb24',
+		'-vf', filters.join(','),
+		'-',
+	];
+	return { args, width, height, count, times };
+}
+
+/**
+ * Thin `items` to `count` spread evenly across them (the middle of each
+ * of `count` equal runs); shorter lists are returned as they are.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} count
+ * @returns {T[]}
+ */
+export function spreadPick(items, count) {
+	if (items.length <= count) return items;
+	return Array.from({ length: count }, (_, i) => items[Math.floor((i + 0.5) * items.length / count)]);
+}
+
+/**
+ * Decode sample frames from a video as small RGB24 buffers, all in one
+ * FFmpeg run. Frames are `outputWidth` pixels wide at half the source's
+ * aspect height, like one pixel per character cell.
+ *
+ * @param {string} inputPath
+ * @param {number} outputWidth
+ * @param {object} meta – { width, height, duration }
+ * @param {object} [crop]
+ * @param {object} [sampling] – resolveSampling() fields plus `start`/`end`
+ *                              (seconds) to stay inside a trim
+ * @returns {Promise<{frames: Uint8Array[], width: number, height: number}>}
+ *          no frames when the video could not be read
+ */
+export async function sampleVideoFrames(inputPath, outputWidth, meta, crop, sampling = {}) {
+	const { spawn } = await import('node:child_process');
+	const ffmpegPath = (await import('ffmpeg-static')).default;
+	const { args, width, height, count } = sampleFrameArgs(inputPath, outputWidth, meta, crop, sampling);
+
+	const buf = await new Promise((resolve) => {
+		const proc = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+		const chunks = [];
+		proc.stdout.on('data', (c) => chunks.push(c));
+		proc.on('close', () => resolve(Buffer.concat(chunks)));
+		proc.on('error', () => resolve(Buffer.alloc(0)));
+	});
+
+	const frameBytes = width * height * 3;
+	const frames = [];
+	for (let o = 0; o + frameBytes <= buf.length; o += frameBytes) {
+		frames.push(new Uint8Array(buf.buffer, buf.byteOffset + o, frameBytes));
+	}
+	// More shots than wanted: keep `count` spread across them
+	return { frames: spreadPick(frames, count), width, height };
+}
+
+/**
+ * Join sampled frames into one RGB24 buffer, so they are analysed as a
+ * single histogram or sample set.
+ *
+ * @param {Uint8Array[]} frames
+ * @returns {Uint8Array}
+ */
+export function joinFrames(frames) {
+	if (frames.length === 1) return frames[0];
+	const out = new Uint8Array(frames.reduce((n, f) => n + f.length, 0));
+	let o = 0;
+	for (const f of frames) {
+		out.set(f, o);
+		o += f.length;
+	}
+	return out;
+}
@@ -0,0 +1,273 @@
+/**
+ * ASCII-fi – Glyph shape matching.
+ *
+ * Precomputes a descriptor for every candidate glyph by rasterising its
+ * 5×7 font bitmap into the GIF cell and resampling it to the engine's
+ * sampling grid. Cells are then matched against those descriptors by
+ * normalised correlation, so diagonals, curves and text keep their shape
+ * instead of collapsing to a brightness ramp.
+ */
+
+import { CELL_W, CELL_H } from './gif.js';
+import { FONT_W, FONT_H, getFontGlyph } from './font.js';
+
+// Printable ASCII – every glyph the bitmap font can draw legibly
+const DEFAULT_SHAPE_GLYPHS = Array.from({ length: 0x7f - 0x20 }, (_, i) => String.fromCharCode(0x20 + i)).join('');
+
+// How strongly a glyph's ink coverage must agree with the cell brightness
+// when ranking structural matches (correlation alone ignores brightness).
+const COVERAGE_WEIGHT = 0.5;
+
+// Glyphs short-listed by the coarse pattern for full-resolution matching
+const SHORTLIST_SIZE = 8;
+
+const _setCache = new Map();
+
+/**
+ * Rasterise `glyph` (5×7 rows of '#'/' ') into the CELL_W × CELL_H cell and
+ * area-average it onto a `grid` × `grid` sampling lattice.
+ */
+function resampleGlyph(glyph, grid) {
+	const out = new Float32Array(grid * grid);
+	const sx = CELL_W / grid, sy = CELL_H / grid;
+	for (let gy = 0; gy < grid; gy++) {
+		const y0 = gy * sy, y1 = y0 + sy;
+		for (let gx = 0; gx < grid; gx++) {
+			const x0 = gx * sx, x1 = x0 + sx;
+			let ink = 0;
+			for (let py = Math.floor(y0); py < Math.min(FONT_H, Math.ceil(y1)); py++) {
+				const oy = Math.min(y1, py + 1) - Math.max(y0, py);
+				for (let px = Math.floor(x0); px < Math.min(FONT_W, Math.ceil(x1)); px++) {
+					if (glyph[py][px] !== '#') continue;
+					ink += oy * (Math.min(x1, px + 1) - Math.max(x0, px));
+				}
+			}
+			out[gy * grid + gx] = ink / (sx * sy);
+		}
+	}
+	return out;
+}
+
+/**
+ * 3×3 tent blur, so thin strokes still correlate when the source puts them
+ * a sample or so away from where the font draws them.
+ */
+function blurGrid(src, grid) {
+	const out = new Float32Array(src.length);
+	for (let y = 0; y < grid; y++) {
+		for (let x = 0; x < grid; x++) {
+			let acc = 0, wsum = 0;
+			for (let dy = -1; dy <= 1; dy++) {
+				const yy = y + dy;
+				if (yy < 0 || yy >= grid) continue;
+				for (let dx = -1; dx <= 1; dx++) {
+					const xx = x + dx;
+					if (xx < 0 || xx >= grid) continue;
+					const w = (2 - Math.abs(dx)) * (2 - Math.abs(dy));
+					acc += src[yy * grid + xx] * w;
+					wsum += w;
+				}
+			}
+			out[y * grid + x] = acc / wsum;
+		}
+	}
+	return out;
+}
+
+/**
+ * Average 2×2 blocks of a zero-mean `grid` × `grid` vector and renormalise,
+ * giving a quarter-size descriptor for the coarse matching pass.
+ */
+function poolShape(shape, grid, out = new Float64Array((grid >> 1) * (grid >> 1))) {
+	const half = grid >> 1;
+	let norm = 0;
+	for (let y = 0; y < half; y++) {
+		for (let x = 0; x < half; x++) {
+			const i = y * 2 * grid + x * 2;
+			const v = shape[i] + shape[i + 1] + shape[i + grid] + shape[i + grid + 1];
+			out[y * half + x] = v;
+			norm += v * v;
+		}
+	}
+	norm = Math.sqrt(norm) || 1;
+	for (let i = 0; i < out.length; i++) out[i] /= norm;
+	return out;
+}
+
+/**
+ * Build (and cache) descriptors for a glyph set at a given sampling grid.
+ * Glyphs without a font bitmap cannot be matched and are skipped.
+ *
+ * @param {number} grid - Samples per cell side (the engine's sample factor)
+ * @param {string} [chars] - Candidate glyphs; defaults to printable ASCII
+ * @returns {{grid: number, glyphs: {ch: string, coverage: number, shape: Float32Array, coarse: Float64Array}[], byCoverage: object[], maxCoverage: number}}
+ */
+export function buildShapeSet(grid, chars = DEFAULT_SHAPE_GLYPHS) {
+	const cacheKey = `${grid}:${chars}`;
+	if (_setCache.has(cacheKey)) return _setCache.get(cacheKey);
+
+	const glyphs = [];
+	for (const ch of new Set(Array.from(chars))) {
+		if (ch === ' ') continue;
+		const bitmap = getFontGlyph(ch);
+		if (!bitmap) continue;
+
+		const ink = resampleGlyph(bitmap, grid);
+		let sum = 0;
+		for (let i = 0; i < ink.length; i++) sum += ink[i];
+		const coverage = sum / ink.length;
+		if (coverage === 0) continue;
+		const samples = blurGrid(ink, grid);
+		let mean = 0;
+		for (let i = 0; i < samples.length; i++) mean += samples[i];
+		mean /= samples.length;
+
+		// Zero-mean, unit-norm shape so matching is a single dot product
+		const shape = new Float32Array(samples.length);
+		let norm = 0;
+		for (let i = 0; i < samples.length; i++) {
+			shape[i] = samples[i] - mean;
+			norm += shape[i] * shape[i];
+		}
+		norm = Math.sqrt(norm) || 1;
+		for (let i = 0; i < shape.length; i++) shape[i] /= norm;
+
+		glyphs.push({ ch, coverage, shape, coarse: poolShape(shape, grid) });
+	}
+
+	const byCoverage = glyphs.slice().sort((a, b) => a.coverage - b.coverage);
+	const set = {
+		grid,
+		glyphs,
+		byCoverage,
+		maxCoverage: byCoverage.length ? byCoverage[byCoverage.length - 1].coverage : 1,
+		scratch: new Float64Array((grid >> 1) * (grid >> 1)),
+		// One short-list slot per coarse pattern (only when it fits a bitmask)
+		shortlists: (grid >> 1) * (grid >> 1) <= 16 ? new Array(1 << ((grid >> 1) * (grid >> 1))) : null,
+	};
+	_setCache.set(cacheKey, set);
+	return set;
+}
+
+/**
+ * Characters in `chars` shape mode can never pick, because the bitmap font
+ * has no drawing to match them against.
+ *
+ * @param {string} chars
+ * @returns {string[]}
+ */
+export function findUnmatchableGlyphs(chars) {
+	return Array.from(new Set(Array.from(chars || ''))).filter(ch => ch !== ' ' && !getFontGlyph(ch));
+}
+
+/**
+ * Index of the glyph (in coverage order) whose ink coverage is closest to `target`.
+ */
+function nearestByCoverage(list, target) {
+	let lo = 0, hi = list.length - 1;
+	while (lo < hi) {
+		const mid = (lo + hi) >> 1;
+		if (list[mid].coverage < target) lo = mid + 1; else hi = mid;
+	}
+	if (lo > 0 && Math.abs(list[lo - 1].coverage - target) <= Math.abs(list[lo].coverage - target)) lo--;
+	return lo;
+}
+
+/**
+ * Indices (into `set.byCoverage`) of the glyphs whose coarse shape best
+ * correlates with a coarse bright/dark `mask`. Memoised per mask, since
+ * video keeps producing the same few hundred patterns.
+ */
+function shortlistFor(set, mask) {
+	const cache = set.shortlists;
+	if (cache && cache[mask]) return cache[mask];
+
+	const list = set.byCoverage;
+	const size = set.scratch.length;
+	let bits = 0;
+	for (let i = 0; i < size; i++) if (mask & (1 << i)) bits++;
+	let result;
+	if (!cache || bits === 0 || bits === size) {
+		// No usable pattern – compare against every glyph
+		result = list.map((_, g) => g);
+	} else {
+		const on = 1 - bits / size, off = -bits / size;
+		const scores = list.map((glyph, g) => {
+			let dot = 0;
+			for (let i = 0; i < size; i++) dot += glyph.coarse[i] * ((mask & (1 << i)) ? on : off);
+			return { g, dot };
+		});
+		scores.sort((a, b) => b.dot - a.dot);
+		result = scores.slice(0, SHORTLIST_SIZE).map(s => s.g);
+	}
+	if (cache) cache[mask] = result;
+	return result;
+}
+
+/**
+ * Pick the glyph that best matches a cell's luminance samples (0–255,
+ * row-major `grid` × `grid`). Flat cells fall back to the glyph with the
+ * closest ink coverage; cells with structure are ranked by correlation
+ * against each glyph's shape, penalised by how far the glyph's coverage is
+ * from the cell's lit fraction.
+ *
+ * The cell's 2×2-pooled bright/dark pattern selects a memoised short-list
+ * of candidates before the full-resolution comparison, which keeps wide
+ * video at a usable frame rate.
+ *
+ * @param {Float64Array} samples - Overwritten with the zero-mean samples
+ * @param {object} set - From buildShapeSet()
+ * @param {number} edgeThreshold - Min luminance range for structure
+ * @param {number} fillThreshold - Flat cells darker than this stay blank
+ */
+export function matchShape(samples, set, edgeThreshold, fillThreshold) {
+	const list = set.byCoverage;
+	if (!list.length) return ' ';
+	const n = samples.length;
+	let sum = 0, min = 255, max = 0;
+	for (let i = 0; i < n; i++) {
+		const v = samples[i];
+		sum += v;
+		if (v < min) min = v;
+		if (v > max) max = v;
+	}
+	const mean = sum / n;
+	if (mean < 8 && max < edgeThreshold) return ' ';
+
+	if (max - min < edgeThreshold) {
+		if (mean < fillThreshold) return ' ';
+		return list[nearestByCoverage(list, (mean / 255) * set.maxCoverage)].ch;
+	}
+
+	let norm = 0;
+	for (let i = 0; i < n; i++) {
+		const d = samples[i] - mean;
+		samples[i] = d;
+		norm += d * d;
+	}
+	norm = Math.sqrt(norm) || 1;
+
+	// Share of the cell that is lit, relative to its own contrast
+	const target = (mean - min) / (max - min);
+
+	// Short-list by the cell's coarse bright/dark pattern, then let the
+	// full-resolution correlation decide between the candidates
+	const coarse = poolShape(samples, set.grid, set.scratch);
+	let mask = 0;
+	for (let i = 0; i < coarse.length; i++) if (coarse[i] > 0) mask |= 1 << i;
+	const candidates = shortlistFor(set, mask);
+
+	let best = candidates[0], bestScore = -Infinity;
+	for (let c = 0; c < candidates.length; c++) {
+		const g = candidates[c];
+		const shape = list[g].shape;
+		let dot = 0;
+		for (let i = 0; i < n; i++) dot += samples[i] * shape[i];
+		const score = dot / norm - COVERAGE_WEIGHT * Math.abs(list[g].coverage - target);
+		if (score > bestScore) {
+			bestScore = score;
+			best = g;
+		}
+	}
+	return list[best].ch;
+}
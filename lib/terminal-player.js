@@ -3,7 +3,8 @@
  *
  * Designed to decode compressed ASCII-fi bundle payloads
  * natively in Node.js using `node:zlib` and render them inline
- * to `process.stdout` using ANSI truecolor sequence escape codes.
+ * to `process.stdout` using ANSI colour escape codes: truecolor where the
+ * terminal supports it, else the xterm 256 or 16 colours (see ansi.js).
  *
  * Yields time back to the Node event loop using async delays,
  * strictly drawing within exactly one allocated bounding box
@@ -11,6 +12,10 @@
  */
 
 import { gunzipSync } from 'node:zlib';
+import { codesToString } from './frame.js';
+import { COLOR_DEPTHS, detectColorDepth, playbackColorDepth, sgrColor } from './ansi.js';
+
+const BLACK = [0, 0, 0];
 
 function fromBase64(b64) {
 	return Buffer.from(b64, 'base64');
@@ -71,15 +76,32 @@ class BinaryReader {
 }
 
 export class TerminalPlayer {
-	constructor() {
+	/**
+	 * @param {object} [options]
+	 * @param {string} [options.colorDepth] - 'truecolor' | 'ansi256' | 'ansi16';
+	 *   detected from the environment when play() starts if omitted
+	 */
+	constructor({ colorDepth = null } = {}) {
+		if (colorDepth !== null && !COLOR_DEPTHS.includes(colorDepth)) {
+			throw new TypeError(`Unknown colour depth "${colorDepth}" (expected ${COLOR_DEPTHS.join(', ')})`);
+		}
 		this.width = 0;
 		this.height = 0;
 		this.fps = 24;
 		this.color = false;
 		this.render = { mode: 'truecolor', theme: { fg: '#00ff00', bg: '#000000' } };
+		this.cellAspect = 0.75;
+		// What the terminal shows (null = detect on play); ANSI bundles play at their own depth or lower
+		this.colorDepth = colorDepth;
 		this._colorDict = null;
 		this.frames = [];
-		this.colors = null;
+		this._colors = null;
+		this._bgColors = null;
+		// V5 bundles keep per-frame dictionary indices instead of colour arrays
+		this._colorIndices = null;
+		this._bgIndices = null;
+		// Dictionary per frame, as palette switches give each scene its own
+		this._frameDicts = null;
 
 		this._frameIndex = 0;
 		this._timer = null;
@@ -88,13 +110,52 @@ export class TerminalPlayer {
 		this._onSigint = this._handleSigint.bind(this);
 	}
 
-	static fromCompressed(b64) {
+	/**
+	 * Per-frame `[r,g,b]` cell colours (null where a frame has none). V5
+	 * bundles are decoded to packed dictionary indices, so this view is
+	 * rebuilt on access.
+	 */
+	get colors() {
+		if (!this._colorIndices) return this._colors;
+		return this._colorIndices.map((ci, fi) => {
+			const dict = this._dictAt(fi);
+			return (ci && dict) ? Array.from(ci, idx => dict[idx] || [0, 0, 0]) : null;
+		});
+	}
+
+	set colors(colors) {
+		this._colors = colors;
+	}
+
+	/** Per-frame half-block backgrounds, null where a cell has none. */
+	get bgColors() {
+		if (!this._bgIndices) return this._bgColors;
+		return this._bgIndices.map((bi, fi) => {
+			const dict = this._dictAt(fi);
+			return dict ? Array.from(bi, idx => (idx > 0 && dict[idx - 1]) || null) : null;
+		});
+	}
+
+	set bgColors(bgColors) {
+		this._bgColors = bgColors;
+	}
+
+	/** Colour dictionary in effect for frame `fi`. */
+	_dictAt(fi) {
+		return this._frameDicts ? this._frameDicts[fi] : this._colorDict;
+	}
+
+	/**
+	 * @param {string} b64 - The bundle's `__ASCII_COMPRESSED__` payload
+	 * @param {object} [options] - Constructor options
+	 * @returns {TerminalPlayer}
+	 */
+	static fromCompressed(b64, options) {
+		const p = new TerminalPlayer(options);
 		try {
 			const bin = fromBase64(b64);
 			const decomp = gunzipSync(bin);
 
-			const p = new TerminalPlayer();
-
 			// Detect V5 Binary
 			const magicArray = new Uint8Array(decomp.buffer, decomp.byteOffset, 7);
 			const isV5 = (
@@ -123,32 +184,42 @@ export class TerminalPlayer {
 		this.width = r.u16();
 		this.height = r.u16();
 		this.fps = r.u8();
-		this.color = r.u8() === 1;
+		const flags = r.u8();
+		this.color = (flags & 1) !== 0;
+		const hasBg = this.color && (flags & 2) !== 0;
 		this.render = {
 			mode: r.str(),
-			theme: { fg: r.str(), bg: r.str() }
+			theme: { fg: r.str(), bg: r.str() },
+			invert: (flags & 4) !== 0
 		};
+		this.cellAspect = (flags & 8) !== 0 ? r.u16() / 1000 : 0.75; // cell width ÷ height
 
-		const dictLen = r.vi();
-		if (this.color && dictLen > 0) {
-			this._colorDict = [];
-			for (let i = 0; i < dictLen; i++) {
-				this._colorDict.push([r.u8(), r.u8(), r.u8()]);
-			}
-		}
+		const header = this._readDict(r);
+		if (this.color && header.length > 0) this._colorDict = header;
+		let dict = this._colorDict;
+		this._frameDicts = this.color ? [] : null;
 
 		const nFrames = r.vi();
 		const tc = this.width * this.height;
-		let prevC = ' '.repeat(tc);
-		let prevCI = this.color ? new Array(tc).fill(0) : null;
-		this.colors = this.color ? [] : null;
+		// Glyphs are patched in place and snapshotted to a string per frame
+		const codes = new Uint16Array(tc).fill(0x20);
+		let prevC = codesToString(codes);
+		let prevCI = this.color ? new Uint32Array(tc) : null;
+		// Background indices are dictionary index + 1; 0 means no background
+		let prevBI = hasBg ? new Uint32Array(tc) : null;
+		this._colorIndices = this.color ? [] : null;
+		this._bgIndices = hasBg ? [] : null;
 
 		for (let fi = 0; fi < nFrames; fi++) {
-			const type = r.u8();
-			let curC = '', curCI = null;
+			let type = r.u8();
+			while (type === 3) {
+				// Palette switch: the next scene's dictionary, then a full frame
+				dict = this._readDict(r);
+				type = r.u8();
+			}
+			let curC = prevC, curCI = null, curBI = prevBI;
 
 			if (type === 0) {
-				curC = prevC;
 				curCI = prevCI;
 			} else if (type === 1) {
 				const countsLen = r.vi();
@@ -156,19 +227,15 @@ export class TerminalPlayer {
 				for (let i = 0; i < countsLen; i++) counts[i] = r.vi();
 				const charsStr = r.str();
 
-				for (let i = 0; i < countsLen; i++) curC += charsStr[i].repeat(counts[i]);
-
-				if (this.color) {
-					if (r.u8() === 1) {
-						const colorRleLen = r.vi();
-						curCI = [];
-						for (let i = 0; i < colorRleLen; i += 2) {
-							const cn = r.vi();
-							const cv = r.vi();
-							for (let j = 0; j < cn; j++) curCI.push(cv);
-						}
-					}
+				let p = 0;
+				for (let i = 0; i < countsLen; i++) {
+					codes.fill(charsStr.charCodeAt(i), p, p + counts[i]);
+					p += counts[i];
 				}
+				curC = codesToString(codes);
+
+				if (this.color && r.u8() === 1) curCI = this._readIndexRLE(r, tc);
+				if (hasBg && r.u8() === 1) curBI = this._readIndexRLE(r, tc);
 			} else if (type === 2) {
 				const gapsLen = r.vi();
 				const pos = new Array(gapsLen);
@@ -176,33 +243,56 @@ export class TerminalPlayer {
 				for (let i = 0; i < gapsLen; i++) { p += r.vi(); pos[i] = p; }
 
 				const charsStr = r.str();
-				const a = prevC.split('');
-				for (let i = 0; i < gapsLen; i++) a[pos[i]] = charsStr[i];
-				curC = a.join('');
+				for (let i = 0; i < gapsLen; i++) codes[pos[i]] = charsStr.charCodeAt(i);
+				curC = codesToString(codes);
 
 				if (this.color && prevCI) {
 					curCI = prevCI.slice();
-					if (r.u8() === 1) {
-						const cgLen = r.vi();
-						const cp = new Array(cgLen);
-						let cpv = 0;
-						for (let i = 0; i < cgLen; i++) { cpv += r.vi(); cp[i] = cpv; }
-						for (let i = 0; i < cgLen; i++) curCI[cp[i]] = r.vi();
-					}
+					if (r.u8() === 1) this._readIndexDelta(r, curCI);
+				}
+				if (hasBg && r.u8() === 1) {
+					curBI = prevBI.slice();
+					this._readIndexDelta(r, curBI);
 				}
 			}
 
 			this.frames.push(curC);
-			if (this.colors) {
-				if (curCI && this._colorDict) {
-					this.colors.push(curCI.map(idx => this._colorDict[idx] || [0, 0, 0]));
-				} else {
-					this.colors.push(null);
-				}
-			}
+			if (this._colorIndices) this._colorIndices.push(curCI);
+			if (this._bgIndices) this._bgIndices.push(curBI);
+			if (this._frameDicts) this._frameDicts.push(dict);
 			prevC = curC;
 			if (curCI) prevCI = curCI;
+			prevBI = curBI;
+		}
+	}
+
+	/** Varint length + RGB triples → colour dictionary. */
+	_readDict(r) {
+		const len = r.vi();
+		const dict = [];
+		for (let i = 0; i < len; i++) dict.push([r.u8(), r.u8(), r.u8()]);
+		return dict;
+	}
+
+	/** Run-length encoded dictionary indices → one index per cell. */
+	_readIndexRLE(r, tc) {
+		const out = new Uint32Array(tc);
+		const len = r.vi();
+		for (let i = 0, p = 0; i < len; i += 2) {
+			const n = r.vi();
+			out.fill(r.vi(), p, p + n);
+			p += n;
 		}
+		return out;
+	}
+
+	/** Gap-encoded positions followed by their new indices, applied in place. */
+	_readIndexDelta(r, out) {
+		const len = r.vi();
+		const pos = new Array(len);
+		let p = 0;
+		for (let i = 0; i < len; i++) { p += r.vi(); pos[i] = p; }
+		for (let i = 0; i < len; i++) out[pos[i]] = r.vi();
 	}
 
 	_initLegacy(data) {
@@ -364,6 +454,13 @@ export class TerminalPlayer {
 		] : [255, 255, 255];
 	}
 
+	/** Theme background to paint behind blank cells, for bundles rendered for a light background. */
+	_baseBg() {
+		if (!this.render?.invert) return null;
+		const bg = this.render.theme?.bg;
+		return /^#?[a-f\d]{6}$/i.test(bg || '') ? this._hexToRgb(bg) : null;
+	}
+
 	_renderFrame(idx) {
 		const chars = this.frames[idx];
 		if (!chars) return;
@@ -374,12 +471,16 @@ export class TerminalPlayer {
 
 		const mode = this.render?.mode || 'truecolor';
 		const theme = this.render?.theme || {};
+		const depth = playbackColorDepth(mode, this.colorDepth || 'truecolor');
+		// Inverted bundles read as negatives on the terminal's own (usually dark) background
+		const baseBg = this._baseBg();
 
 		if (mode === 'mono') {
 			const fg = this._hexToRgb(theme.fg || '#0f0');
-			out += `\x1b[38;2;${fg[0]};${fg[1]};${fg[2]}m`;
+			const bgSeq = baseBg ? sgrColor(baseBg, depth, true) : '';
+			out += sgrColor(fg, depth);
 			for (let row = 0; row < this.height; row++) {
-				out += chars.slice(row * this.width, (row + 1) * this.width);
+				out += bgSeq + chars.slice(row * this.width, (row + 1) * this.width) + (bgSeq ? '\x1b[49m' : '');
 				if (row < this.height - 1) out += '\n';
 			}
 			out += '\x1b[0m'; // Reset colors
@@ -387,18 +488,38 @@ export class TerminalPlayer {
 			return;
 		}
 
-		const colorData = (this.color && this.colors) ? this.colors[idx] : null;
+		const dict = this._dictAt(idx);
+		const colorIdx = (this._colorIndices && dict) ? this._colorIndices[idx] : null;
+		const colorData = (!this._colorIndices && this.color && this._colors) ? this._colors[idx] : null;
+		const bgIdx = (this._bgIndices && dict) ? this._bgIndices[idx] : null;
 		let lastColor = null;
+		let lastBg = null;
 
 		for (let row = 0; row < this.height; row++) {
 			for (let col = 0; col < this.width; col++) {
 				const i = row * this.width + col;
 				const ch = chars[i] || ' ';
-				const cellColor = (ch !== ' ' && colorData && colorData[i]) ? colorData[i] : null;
+				let cellColor = null, cellBg = null;
+				if (ch !== ' ') {
+					if (colorIdx) cellColor = dict[colorIdx[i]] || BLACK;
+					else if (colorData && colorData[i]) cellColor = colorData[i];
+					if (bgIdx && bgIdx[i] > 0) cellBg = dict[bgIdx[i] - 1] || null;
+				}
+
+				const paintBg = cellBg || baseBg;
+				if (paintBg) {
+					if (!lastBg || paintBg[0] !== lastBg[0] || paintBg[1] !== lastBg[1] || paintBg[2] !== lastBg[2]) {
+						out += sgrColor(paintBg, depth, true);
+						lastBg = paintBg;
+					}
+				} else if (lastBg) {
+					out += '\x1b[49m'; // Reset BG
+					lastBg = null;
+				}
 
 				if (cellColor) {
 					if (!lastColor || cellColor[0] !== lastColor[0] || cellColor[1] !== lastColor[1] || cellColor[2] !== lastColor[2]) {
-						out += `\x1b[38;2;${Math.round(cellColor[0])};${Math.round(cellColor[1])};${Math.round(cellColor[2])}m`;
+						out += sgrColor(cellColor, depth);
 						lastColor = cellColor;
 					}
 				} else if (lastColor) {
@@ -407,6 +528,11 @@ export class TerminalPlayer {
 				}
 				out += ch;
 			}
+			if (lastBg) {
+				// Keep the background from bleeding into the line feed
+				out += '\x1b[49m';
+				lastBg = null;
+			}
 			if (row < this.height - 1) out += '\n';
 		}
 
@@ -422,6 +548,7 @@ export class TerminalPlayer {
 	play() {
 		if (this._playing) return;
 		this._playing = true;
+		if (!this.colorDepth) this.colorDepth = detectColorDepth();
 
 		// Allocate visual lines on play
 		this._allocateSpace();
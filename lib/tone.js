@@ -9,31 +9,31 @@
  *
  * The approach is a lightweight "perceptual" model, not a neural net,
  * but it is data-driven:
- *   1. Sample luminance histogram from the first frame(s).
+ *   1. Sample one luminance histogram from frames across the clip.
  *   2. Compute dynamic range, mean brightness, shadow/highlight ratios.
  *   3. Map those stats to contrast/brightness/gamma/saturation curves
  *      that are tuned per colour-depth tier.
+ *
+ * Multi-shot videos can re-sample per shot instead (createSceneTone):
+ * cuts are detected from luminance histograms as frames arrive, each
+ * scene gets its own parameters, and they are applied in JS with short
+ * crossfades rather than as one FFmpeg filter for the whole clip.
+ *
+ * A global curve cannot lift a shadowed face without flattening the
+ * rest of the frame, so applyClahe() adds an optional local pass:
+ * contrast-limited adaptive histogram equalisation over tiles of the
+ * RGB24 buffer, built on the same luminance histograms.
  */
 
+import { sampleVideoFrames, joinFrames } from './sampling.js';
+
 /**
  * Compute luminance stats from raw RGB24 pixel buffer.
  * @param {Uint8Array} pixels – raw RGB24 data
  * @param {number} [sampleStep=4] – stride to speed up sampling
  */
 export function analyseLuminance(pixels, sampleStep = 4) {
-	const hist = new Uint32Array(256);
-	let count = 0;
-	let sum = 0;
-
-	for (let i = 0; i < pixels.length; i += 3 * sampleStep) {
-		const r = pixels[i];
-		const g = pixels[i + 1];
-		const b = pixels[i + 2];
-		const lum = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
-		hist[lum]++;
-		sum += lum;
-		count++;
-	}
+	const { hist, count, sum } = luminanceHistogram(pixels, sampleStep);
 
 	if (count === 0) return { mean: 128, low: 0, high: 255, range: 255, shadowRatio: 0.5 };
 
@@ -51,7 +51,46 @@ export function analyseLuminance(pixels, sampleStep = 4) {
 	return { mean, low: p05, high: p95, range, shadowRatio };
 }
 
-function percentile(hist, total, p) {
+/**
+ * 256-bin luminance histogram of an RGB24 buffer, or of one rectangle of
+ * it when `rect` ({ x0, y0, x1, y1 }, end-exclusive) and `width` are given.
+ *
+ * @param {Uint8Array} pixels
+ * @param {number} [sampleStep=1] – take every Nth pixel
+ * @param {object} [rect]
+ * @param {number} [width] – row length in pixels, needed with `rect`
+ * @returns {{hist: Uint32Array, count: number, sum: number}}
+ */
+export function luminanceHistogram(pixels, sampleStep = 1, rect = null, width = 0) {
+	const hist = new Uint32Array(256);
+	let count = 0;
+	let sum = 0;
+	const add = (i) => {
+		const lum = Math.round(0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2]);
+		hist[lum]++;
+		sum += lum;
+		count++;
+	};
+
+	if (rect) {
+		for (let y = rect.y0; y < rect.y1; y++) {
+			for (let x = rect.x0; x < rect.x1; x += sampleStep) add((y * width + x) * 3);
+		}
+	} else {
+		for (let i = 0; i < pixels.length; i += 3 * sampleStep) add(i);
+	}
+	return { hist, count, sum };
+}
+
+/**
+ * Lowest bin at which `p` (0–1) of the histogram's `total` is reached.
+ *
+ * @param {ArrayLike<number>} hist
+ * @param {number} total
+ * @param {number} p
+ * @returns {number}
+ */
+export function percentile(hist, total, p) {
 	const target = Math.floor(total * p);
 	let acc = 0;
 	for (let i = 0; i < 256; i++) {
@@ -162,50 +201,270 @@ function depthTier(depth) {
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
 /**
- * Sample the first N bytes of a video via FFmpeg and return luminance stats.
+ * Sample frames across a video via FFmpeg and return luminance stats of
+ * all of them together (see sampling.js for how frames are picked).
  * This is used before the main conversion so we can set tone parameters.
  *
  * @param {string} inputPath
  * @param {number} outputWidth
- * @param {object} meta – { width, height }
- * @returns {Promise<object>} stats from analyseLuminance
+ * @param {object} meta – { width, height, duration }
+ * @param {object} [crop]
+ * @param {object} [sampling] – { frames, mode, start, end }
+ * @returns {Promise<object|null>} stats from analyseLuminance
+ */
+export async function sampleVideoLuminance(inputPath, outputWidth, meta, crop, sampling) {
+	const { frames } = await sampleVideoFrames(inputPath, outputWidth, meta, crop, sampling);
+	if (!frames.length) return null;
+	return analyseLuminance(joinFrames(frames));
+}
+
+/* ── Scene-aware tone ──────────────────────────────────────────────── */
+
+export const DEFAULT_SCENE_TONE = Object.freeze({ threshold: 0.35, transition: 0.5 });
+const SCENE_BINS = 32;
+const SCENE_SAMPLE_STEP = 4;
+const MAX_TRANSITION = 10;
+
+/**
+ * Validate a `sceneTone` option: `true` for the defaults, or an object.
+ *
+ * @param {boolean|object} sceneTone
+ * @param {number} [sceneTone.threshold] - Histogram change (0–1) between two frames that counts as a cut
+ * @param {number} [sceneTone.transition] - Seconds to blend into a new scene's tone (0 = switch at the cut)
+ * @returns {{threshold: number, transition: number}}
+ */
+export function resolveSceneTone(sceneTone) {
+	if (sceneTone === true) return { ...DEFAULT_SCENE_TONE };
+	if (!sceneTone || typeof sceneTone !== 'object') {
+		throw new TypeError('sceneTone must be true or an object like { threshold, transition }');
+	}
+	const { threshold = DEFAULT_SCENE_TONE.threshold, transition = DEFAULT_SCENE_TONE.transition } = sceneTone;
+	if (typeof threshold !== 'number' || !(threshold > 0 && threshold <= 1)) {
+		throw new RangeError(`Scene cut threshold must be above 0 and at most 1 (got ${threshold})`);
+	}
+	if (typeof transition !== 'number' || !(transition >= 0 && transition <= MAX_TRANSITION)) {
+		throw new RangeError(`Scene tone transition must be 0–${MAX_TRANSITION} seconds (got ${transition})`);
+	}
+	return { threshold, transition };
+}
+
+/**
+ * Luma lookup table for a tone, the same curve as FFmpeg's `eq` filter:
+ * contrast and brightness around mid-grey, then gamma.
+ *
+ * @param {{contrast: number, brightness: number, gamma: number}} tone
+ * @returns {Uint8Array}
+ */
+export function toneLut(tone) {
+	const lut = new Uint8Array(256);
+	const g = 1 / (tone.gamma || 1);
+	for (let i = 0; i < 256; i++) {
+		const v = tone.contrast * (i / 255 - 0.5) + 0.5 + tone.brightness;
+		lut[i] = v <= 0 ? 0 : v >= 1 ? 255 : Math.min(255, Math.floor(256 * Math.pow(v, g)));
+	}
+	return lut;
+}
+
+/**
+ * Apply a tone to an RGB24 buffer in place: luma goes through toneLut(),
+ * and the colour around it is scaled by `saturation`.
+ *
+ * @param {Uint8Array} pixels
+ * @param {{contrast: number, brightness: number, saturation: number, gamma: number}} tone
+ * @param {Uint8Array} [lut] - toneLut(tone), when already built
+ * @returns {Uint8Array}
+ */
+export function applyTone(pixels, tone, lut = toneLut(tone)) {
+	const sat = tone.saturation;
+	for (let o = 0; o < pixels.length; o += 3) {
+		const r = pixels[o], g = pixels[o + 1], b = pixels[o + 2];
+		const y = 0.299 * r + 0.587 * g + 0.114 * b;
+		const ny = lut[Math.round(y)];
+		pixels[o] = clamp(Math.round(ny + sat * (r - y)), 0, 255);
+		pixels[o + 1] = clamp(Math.round(ny + sat * (g - y)), 0, 255);
+		pixels[o + 2] = clamp(Math.round(ny + sat * (b - y)), 0, 255);
+	}
+	return pixels;
+}
+
+/** Share of sampled pixels per luminance bin. */
+function lumaHistogram(pixels) {
+	const hist = new Float64Array(SCENE_BINS);
+	let count = 0;
+	for (let i = 0; i < pixels.length; i += 3 * SCENE_SAMPLE_STEP) {
+		const lum = 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
+		hist[Math.min(SCENE_BINS - 1, (lum * SCENE_BINS / 256) | 0)]++;
+		count++;
+	}
+	if (count) for (let i = 0; i < SCENE_BINS; i++) hist[i] /= count;
+	return hist;
+}
+
+/** Total variation distance between two histograms: 0 = same, 1 = disjoint. */
+function histogramDistance(a, b) {
+	let d = 0;
+	for (let i = 0; i < a.length; i++) d += Math.abs(a[i] - b[i]);
+	return d / 2;
+}
+
+const TONE_KEYS = ['contrast', 'brightness', 'saturation', 'gamma'];
+
+/**
+ * Track scenes across a frame sequence and tone each frame for its scene.
+ * Frames must be passed in order. A frame whose luminance histogram
+ * differs from the previous frame's by more than `threshold` starts a new
+ * scene, toned from its own stats; the tone eases from the old values to
+ * the new ones over `transition` seconds.
+ *
+ * @param {object} opts
+ * @param {function(object): object} opts.toneFor - analyseLuminance() stats → tone, e.g. via adaptiveTone()
+ * @param {number} [opts.threshold]
+ * @param {number} [opts.transition]
+ * @returns {{apply: function(Uint8Array, number, number): Uint8Array, scenes: {frame: number, start: number, tone: object}[]}}
+ */
+export function createSceneTone({ toneFor, threshold = DEFAULT_SCENE_TONE.threshold, transition = DEFAULT_SCENE_TONE.transition }) {
+	const scenes = [];
+	let prevHist = null;
+	let from = null;
+	let current = null;
+	let lut = null;
+
+	/**
+	 * Tone one frame in place.
+	 *
+	 * @param {Uint8Array} pixels - RGB24, untouched by any other tone
+	 * @param {number} frame - Frame index
+	 * @param {number} time - Seconds, on the source timeline
+	 */
+	const apply = (pixels, frame, time) => {
+		const hist = lumaHistogram(pixels);
+		if (!prevHist || histogramDistance(hist, prevHist) > threshold) {
+			const tone = toneFor(analyseLuminance(pixels));
+			from = current && transition > 0 ? current : null;
+			scenes.push({ frame, start: time, tone });
+			lut = null;
+		}
+		prevHist = hist;
+
+		const scene = scenes[scenes.length - 1];
+		const k = from ? Math.min(1, (time - scene.start) / transition) : 1;
+		if (k < 1) {
+			current = {};
+			for (const key of TONE_KEYS) current[key] = from[key] + (scene.tone[key] - from[key]) * k;
+			return applyTone(pixels, current);
+		}
+		from = null;
+		current = scene.tone;
+		if (!lut) lut = toneLut(current);
+		return applyTone(pixels, current, lut);
+	};
+
+	return { apply, scenes };
+}
+
+/* ── Local contrast (CLAHE) ────────────────────────────────────────── */
+
+export const DEFAULT_CLAHE = Object.freeze({ tileSize: 8, clipLimit: 2 });
+const MAX_CLAHE_TILE = 64;
+const MAX_CLAHE_CLIP = 16;
+
+/**
+ * Validate a `clahe` option: `true` for the defaults, or an object.
+ *
+ * @param {boolean|object} clahe
+ * @param {number} [clahe.tileSize] - Tile edge in character cells (1–64)
+ * @param {number} [clahe.clipLimit] - Histogram clip as a multiple of the mean bin (1–16; lower = subtler)
+ * @returns {{tileSize: number, clipLimit: number}}
  */
-export async function sampleVideoLuminance(inputPath, outputWidth, meta, crop) {
-	const { spawn } = await import('node:child_process');
-	const ffmpegPath = (await import('ffmpeg-static')).default;
-
-	const validCrop = crop && crop.w && crop.h;
-	const srcW = validCrop ? crop.w : meta.width;
-	const srcH = validCrop ? crop.h : meta.height;
-
-	const scaledH = Math.max(1, Math.round((outputWidth / srcW) * srcH / 2));
-
-	const filters = [];
-	if (validCrop) {
-		filters.push(`crop=${crop.w}:${crop.h}:${crop.x || 0}:${crop.y || 0}`);
-	}
-	filters.push(`scale=${outputWidth}:${scaledH}:flags=fast_bilinear`);
-
-	const args = [
-		'-ss', '0',
-		'-i', inputPath,
-		'-frames:v', '1',
-		'-f', 'image2pipe',
-		'-vcodec', 'rawvideo',
-		'-pix_fmt', 'rgb24',
-		'-vf', filters.join(','),
-		'-',
-	];
-
-	return new Promise((resolve) => {
-		const proc = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
-		const chunks = [];
-		proc.stdout.on('data', (c) => chunks.push(c));
-		proc.on('close', () => {
-			const buf = Buffer.concat(chunks);
-			if (buf.length < 3) return resolve(null);
-			resolve(analyseLuminance(new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength)));
-		});
-		proc.on('error', () => resolve(null));
-	});
+export function resolveClahe(clahe) {
+	if (clahe === true) return { ...DEFAULT_CLAHE };
+	if (!clahe || typeof clahe !== 'object') {
+		throw new TypeError('clahe must be true or an object like { tileSize, clipLimit }');
+	}
+	const { tileSize = DEFAULT_CLAHE.tileSize, clipLimit = DEFAULT_CLAHE.clipLimit } = clahe;
+	if (!Number.isInteger(tileSize) || tileSize < 1 || tileSize > MAX_CLAHE_TILE) {
+		throw new RangeError(`CLAHE tile size must be a whole number of cells, 1–${MAX_CLAHE_TILE} (got ${tileSize})`);
+	}
+	if (typeof clipLimit !== 'number' || !(clipLimit >= 1 && clipLimit <= MAX_CLAHE_CLIP)) {
+		throw new RangeError(`CLAHE clip limit must be 1–${MAX_CLAHE_CLIP} (got ${clipLimit})`);
+	}
+	return { tileSize, clipLimit };
+}
+
+/**
+ * Equalisation curve for one tile: its histogram is clipped at
+ * `clipLimit` × the mean bin count, the excess spread evenly over all
+ * bins, and the cumulative sum scaled to 0–255.
+ */
+function clippedCdfLut(hist, count, clipLimit, out) {
+	const limit = Math.max(1, clipLimit * count / 256);
+	let excess = 0;
+	for (let i = 0; i < 256; i++) if (hist[i] > limit) excess += hist[i] - limit;
+	const spread = excess / 256;
+	let acc = 0;
+	for (let i = 0; i < 256; i++) {
+		acc += Math.min(hist[i], limit) + spread;
+		out[i] = Math.min(255, Math.round(acc / count * 255));
+	}
+}
+
+/**
+ * Contrast-limited adaptive histogram equalisation of an RGB24 buffer,
+ * in place. Each tile gets its own equalisation curve; every pixel's
+ * luminance is mapped through the curves of the four nearest tiles,
+ * blended bilinearly so tile edges do not show, and its colour is
+ * shifted by the same amount so hue and saturation are kept.
+ *
+ * @param {Uint8Array} pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {object} opts
+ * @param {number} opts.tileSize - Tile edge in pixels
+ * @param {number} opts.clipLimit
+ * @returns {Uint8Array}
+ */
+export function applyClahe(pixels, width, height, { tileSize, clipLimit }) {
+	const tilesX = Math.max(1, Math.round(width / tileSize));
+	const tilesY = Math.max(1, Math.round(height / tileSize));
+	const tileW = width / tilesX;
+	const tileH = height / tilesY;
+
+	const luts = new Uint8Array(tilesX * tilesY * 256);
+	for (let ty = 0; ty < tilesY; ty++) {
+		for (let tx = 0; tx < tilesX; tx++) {
+			const rect = {
+				x0: Math.floor(tx * tileW), x1: Math.floor((tx + 1) * tileW),
+				y0: Math.floor(ty * tileH), y1: Math.floor((ty + 1) * tileH),
+			};
+			const { hist, count } = luminanceHistogram(pixels, 1, rect, width);
+			if (count) clippedCdfLut(hist, count, clipLimit, luts.subarray((ty * tilesX + tx) * 256, (ty * tilesX + tx + 1) * 256));
+		}
+	}
+
+	// Tile neighbours and weights along one axis, measured between tile centres
+	const axis = (pos, size, tiles) => {
+		const g = clamp((pos + 0.5) / size - 0.5, 0, tiles - 1);
+		const t0 = Math.floor(g);
+		return [t0, Math.min(t0 + 1, tiles - 1), g - t0];
+	};
+
+	const columns = Array.from({ length: width }, (_, x) => axis(x, tileW, tilesX));
+
+	for (let y = 0; y < height; y++) {
+		const [ty0, ty1, fy] = axis(y, tileH, tilesY);
+		const row0 = ty0 * tilesX, row1 = ty1 * tilesX;
+		for (let x = 0; x < width; x++) {
+			const [tx0, tx1, fx] = columns[x];
+			const o = (y * width + x) * 3;
+			const r = pixels[o], g = pixels[o + 1], b = pixels[o + 2];
+			const lum = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+			const top = luts[(row0 + tx0) * 256 + lum] * (1 - fx) + luts[(row0 + tx1) * 256 + lum] * fx;
+			const bottom = luts[(row1 + tx0) * 256 + lum] * (1 - fx) + luts[(row1 + tx1) * 256 + lum] * fx;
+			const shift = top * (1 - fy) + bottom * fy - lum;
+			pixels[o] = clamp(Math.round(r + shift), 0, 255);
+			pixels[o + 1] = clamp(Math.round(g + shift), 0, 255);
+			pixels[o + 2] = clamp(Math.round(b + shift), 0, 255);
+		}
+	}
+	return pixels;
 }
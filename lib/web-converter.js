@@ -11,8 +11,14 @@ let FFmpeg = null;
 let fetchFile = null;
 let toBlobURL = null;
 let AsciiEngine = null;
-let CELL_W = null;
-let CELL_H = null;
+let getSampleFactor = null;
+let resolveCellAspect = null;
+let resolveChromaKey = null;
+let keyFrame = null;
+let resolveClahe = null;
+let applyClahe = null;
+let loadLook = null;
+let applyLook = null;
 
 // Helper function to add timeout to a promise
 function withTimeout(promise, timeoutMs, label) {
@@ -66,10 +72,22 @@ async function loadDependencies() {
 
 		const engineModule = await import('./engine.js');
 		AsciiEngine = engineModule.AsciiEngine;
+		getSampleFactor = engineModule.getSampleFactor;
 
 		const gifModule = await import('./gif.js');
-		CELL_W = gifModule.CELL_W;
-		CELL_H = gifModule.CELL_H;
+		resolveCellAspect = gifModule.resolveCellAspect;
+
+		const chromaModule = await import('./chroma.js');
+		resolveChromaKey = chromaModule.resolveChromaKey;
+		keyFrame = chromaModule.keyFrame;
+
+		const toneModule = await import('./tone.js');
+		resolveClahe = toneModule.resolveClahe;
+		applyClahe = toneModule.applyClahe;
+
+		const lookModule = await import('./look.js');
+		loadLook = lookModule.loadLook;
+		applyLook = lookModule.applyLook;
 
 		console.log('[ASCII-fy] ✅ All JavaScript dependencies loaded');
 	} catch (err) {
@@ -227,26 +245,40 @@ export async function probeVideoWeb(file) {
 	});
 }
 
+/**
+ * Render config for a bundle converted in the browser, from the GUI's
+ * options. The ramp polarity follows the theme background as on the
+ * server; there is no luminance pass here, so `bg` is taken as given.
+ */
+export async function resolveWebRender({ render, fg, bg, polarity = 'auto' } = {}) {
+	const { resolvePolarity } = await import('./render.js');
+	const base = render || { mode: 'truecolor', theme: { fg: fg || '#00ff00', bg: bg || '#000000' } };
+	return { ...base, invert: resolvePolarity(polarity, base.theme?.bg) };
+}
+
 /**
  * Convert a video file to ASCII frames entirely in the browser.
+ * Takes the same options as convert() in converter.js, as far as WASM allows.
  */
-export async function convertWeb({ file, outputWidth = 100, outputHeight, color = false, onFrame, startTime, endTime, meta, collectFrames = true, targetFps, tone, charMode = 'ascii', foreground = null, crop = null, signal = null, detail = 100 }) {
+export async function convertWeb({ file, outputWidth = 100, outputHeight, color = false, onFrame, startTime, endTime, meta, collectFrames = true, targetFps, tone, charMode = 'ascii', foreground = null, crop = null, signal = null, detail = 100, ramp = null, stabilize = {}, edge = {}, colorSpace = 'rgb', invert = false, cellAspect = 'gif', look = null, clahe = null }) {
 	const ff = await initFFmpeg();
 	const inputName = 'input.' + file.name.split('.').pop();
 	await ff.writeFile(inputName, await fetchFile(file));
 
 	const info = (meta && meta.width && meta.height) ? meta : await probeVideoWeb(file);
 
-	const engine = new AsciiEngine();
+	const engine = new AsciiEngine({ ramp, stabilize, edge, colorSpace, invert });
 
 	const srcH = crop && crop.h ? crop.h : info.height;
 	const srcW = (crop && crop.w ? crop.w : info.width) * (info.sar || 1);
-	const targetHeight = outputHeight || Math.round(outputWidth * (srcH / srcW) * (CELL_W / CELL_H));
+	const targetHeight = outputHeight || Math.round(outputWidth * (srcH / srcW) * resolveCellAspect(cellAspect));
 	const asciiHeight = Math.max(1, targetHeight);
 	const evenHeight = asciiHeight % 2 === 0 ? asciiHeight : asciiHeight + 1;
-	const sampleFactor = charMode === 'block' ? 2 : 4;
+	const sampleFactor = getSampleFactor(charMode);
 	const scaledW = outputWidth * sampleFactor;
 	const scaledH = evenHeight * sampleFactor;
+	// LUTs are passed in parsed (parseCube), there is no file system to read them from
+	const grade = look ? await loadLook(look) : null;
 
 	const filters = [];
 	if (crop && crop.w && crop.h) {
@@ -301,8 +333,13 @@ export async function convertWeb({ file, outputWidth = 100, outputHeight, color
 	const dirContents = await ff.listDir('.');
 	const frameFiles = dirContents.filter(f => f.name.startsWith('frame_') && f.name.endsWith('.raw')).sort((a, b) => a.name.localeCompare(b.name));
 
-	// ML background isolation not yet supported in zero-dependency WASM
-	const fg = foreground && foreground.mode === 'motion' ? foreground : null;
+	// ML background isolation not yet supported in zero-dependency WASM;
+	// chroma keying needs only the pixels
+	const fg = foreground && (foreground.mode === 'motion' || foreground.mode === 'chroma') ? foreground : null;
+	const chroma = fg && fg.mode === 'chroma' ? resolveChromaKey(fg) : null;
+	// Local contrast tiles are given in cells, the frames are sampled at sampleFactor per cell
+	const claheOpts = clahe ? resolveClahe(clahe) : null;
+	if (claheOpts) claheOpts.tileSize *= sampleFactor;
 
 	for (const fileChunk of frameFiles) {
 		if (aborted) break;
@@ -310,7 +347,10 @@ export async function convertWeb({ file, outputWidth = 100, outputHeight, color
 		const frameData = await ff.readFile(fileChunk.name);
 		const pixels = new Uint8Array(frameData);
 
-		const frame = engine.processFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, sampleFactor, color, charMode, fg, null, detail);
+		const keyMask = chroma ? keyFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, chroma) : null;
+		if (grade) applyLook(pixels, grade);
+		if (claheOpts) applyClahe(pixels, scaledW, scaledH, claheOpts);
+		const frame = engine.processFrame(pixels, scaledW, scaledH, outputWidth, evenHeight, sampleFactor, color, charMode, fg, keyMask, detail);
 
 		if (frames) frames.push(frame);
 		if (onFrame) await onFrame(frameIndex, frame);
@@ -5,13 +5,74 @@
  *
  * Usage: node ascii-player.js <bundle.js>
  *
+ * Importing the file only exports the player; it plays when run directly.
+ *
  * Designed for high-performance terminal playback of ASCII-fi bundles.
- * Uses ANSI truecolor sequences and relative cursor movement.
+ * Uses ANSI truecolor sequences and relative cursor movement, or the
+ * xterm 256/16 colours when COLORTERM/TERM say the terminal has no
+ * truecolor (override with ASCII_FI_COLOR_DEPTH). Mirrors lib/ansi.js.
  */
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { gunzipSync } from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+
+const BLACK = [0, 0, 0];
+
+const DEPTHS = ['truecolor', 'ansi256', 'ansi16'];
+const LEVELS = [0, 95, 135, 175, 215, 255];
+// xterm palette: 16 system colours, 6×6×6 cube, 24 greys
+const XTERM = [
+	[0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0], [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+	[127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0], [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255],
+];
+for (let i = 0; i < 216; i++) XTERM.push([LEVELS[Math.floor(i / 36)], LEVELS[Math.floor(i / 6) % 6], LEVELS[i % 6]]);
+for (let i = 0; i < 24; i++) XTERM.push([8 + i * 10, 8 + i * 10, 8 + i * 10]);
+
+function detectColorDepth(env = process.env) {
+	if (DEPTHS.includes(env.ASCII_FI_COLOR_DEPTH)) return env.ASCII_FI_COLOR_DEPTH;
+	if (/^(truecolor|24bit)$/i.test(env.COLORTERM || '') || env.WT_SESSION) return 'truecolor';
+	if (!env.TERM) return 'truecolor';
+	return /256/.test(env.TERM) ? 'ansi256' : 'ansi16';
+}
+
+/** Depth to play a `mode` bundle at on a terminal of depth `terminal`. */
+function playbackColorDepth(mode, terminal) {
+	return DEPTHS.indexOf(mode) > DEPTHS.indexOf(terminal) ? mode : terminal;
+}
+
+const xtermIndex = new Map();
+
+/** SGR foreground/background sequence for a colour at a colour depth. */
+function sgrColor(rgb, depth, background = false) {
+	if (depth === 'truecolor') {
+		return `\x1b[${background ? 48 : 38};2;${Math.round(rgb[0])};${Math.round(rgb[1])};${Math.round(rgb[2])}m`;
+	}
+	// Nearest xterm colour: system colours for 16, cube and greys for 256
+	const key = `${depth}:${rgb.join()}`;
+	let n = xtermIndex.get(key);
+	if (n === undefined) {
+		const [from, to] = depth === 'ansi16' ? [0, 16] : [16, 256];
+		let best = Infinity;
+		for (let i = from; i < to; i++) {
+			const d = (rgb[0] - XTERM[i][0]) ** 2 + (rgb[1] - XTERM[i][1]) ** 2 + (rgb[2] - XTERM[i][2]) ** 2;
+			if (d < best) { best = d; n = i; }
+		}
+		xtermIndex.set(key, n);
+	}
+	if (depth === 'ansi256') return `\x1b[${background ? 48 : 38};5;${n}m`;
+	return `\x1b[${(n < 8 ? 30 : 82) + (background ? 10 : 0) + n}m`;
+}
+
+/** Char codes → string, in chunks small enough for String.fromCharCode. */
+function codesToString(codes) {
+	let out = '';
+	for (let i = 0; i < codes.length; i += 8192) {
+		out += String.fromCharCode.apply(null, codes.subarray(i, i + 8192));
+	}
+	return out;
+}
 
 class BinaryReader {
 	constructor(buf) {
@@ -41,16 +102,26 @@ class BinaryReader {
 	}
 }
 
-class TerminalPlayer {
-	constructor() {
+export class TerminalPlayer {
+	/** `colorDepth` overrides the detection play() does when it starts. */
+	constructor({ colorDepth = null } = {}) {
+		if (colorDepth !== null && !DEPTHS.includes(colorDepth)) {
+			throw new TypeError(`Unknown colour depth "${colorDepth}" (expected ${DEPTHS.join(', ')})`);
+		}
 		this.width = 0;
 		this.height = 0;
 		this.fps = 24;
 		this.color = false;
 		this.render = { mode: 'truecolor', theme: { fg: '#00ff00', bg: '#000000' } };
+		this.cellAspect = 0.75;
+		this.colorDepth = colorDepth;
 		this._colorDict = null;
 		this.frames = [];
-		this.colors = null;
+		// Per-frame dictionary indices (background indices are shifted by one, 0 = none)
+		this.colorIndices = null;
+		this.bgIndices = null;
+		// Colour dictionary per frame (palette switches give each scene its own)
+		this.frameDicts = null;
 
 		this._frameIndex = 0;
 		this._timer = null;
@@ -64,10 +135,10 @@ class TerminalPlayer {
 		};
 	}
 
-	static fromCompressed(b64) {
+	static fromCompressed(b64, options) {
+		const p = new TerminalPlayer(options);
 		const bin = Buffer.from(b64, 'base64');
 		const decomp = gunzipSync(bin);
-		const p = new TerminalPlayer();
 
 		const magicArray = new Uint8Array(decomp.buffer, decomp.byteOffset, 7);
 		const isV5 = (
@@ -99,80 +170,106 @@ class TerminalPlayer {
 		this.width = r.u16();
 		this.height = r.u16();
 		this.fps = r.u8();
-		this.color = r.u8() === 1;
+		const flags = r.u8();
+		this.color = (flags & 1) !== 0;
+		const hasBg = this.color && (flags & 2) !== 0; // half-block backgrounds
 		this.render = {
 			mode: r.str(),
-			theme: { fg: r.str(), bg: r.str() }
+			theme: { fg: r.str(), bg: r.str() },
+			invert: (flags & 4) !== 0 // light background: spaces show the theme bg
 		};
+		this.cellAspect = (flags & 8) !== 0 ? r.u16() / 1000 : 0.75; // cell width ÷ height
 
-		const dictLen = r.vi();
-		if (this.color && dictLen > 0) {
-			this._colorDict = [];
-			for (let i = 0; i < dictLen; i++) {
-				this._colorDict.push([r.u8(), r.u8(), r.u8()]);
-			}
-		}
+		const readDict = () => {
+			const len = r.vi();
+			const dict = [];
+			for (let i = 0; i < len; i++) dict.push([r.u8(), r.u8(), r.u8()]);
+			return dict;
+		};
+		const header = readDict();
+		if (this.color && header.length > 0) this._colorDict = header;
+		let dict = this._colorDict;
+		this.frameDicts = this.color ? [] : null;
 
 		const nFrames = r.vi();
 		const tc = this.width * this.height;
-		let prevC = ' '.repeat(tc);
-		let prevCI = this.color ? new Array(tc).fill(0) : null;
-		this.colors = this.color ? [] : null;
+		// Glyphs are patched in place and snapshotted to a string per frame
+		const codes = new Uint16Array(tc).fill(0x20);
+		let prevC = codesToString(codes);
+		let prevCI = this.color ? new Uint32Array(tc) : null;
+		let prevBI = hasBg ? new Uint32Array(tc) : null; // dict index + 1, 0 = none
+		this.colorIndices = this.color ? [] : null;
+		this.bgIndices = hasBg ? [] : null;
+
+		const readRLE = () => {
+			const out = new Uint32Array(tc);
+			const len = r.vi();
+			for (let i = 0, p = 0; i < len; i += 2) {
+				const n = r.vi();
+				out.fill(r.vi(), p, p + n);
+				p += n;
+			}
+			return out;
+		};
+		const readDelta = (out) => {
+			const len = r.vi();
+			const pos = new Array(len);
+			let p = 0;
+			for (let i = 0; i < len; i++) { p += r.vi(); pos[i] = p; }
+			for (let i = 0; i < len; i++) out[pos[i]] = r.vi();
+		};
 
 		for (let fi = 0; fi < nFrames; fi++) {
-			const type = r.u8();
-			let curC = '', curCI = null;
+			let type = r.u8();
+			while (type === 3) {
+				// Palette switch: the next scene's dictionary, then a full frame
+				dict = readDict();
+				type = r.u8();
+			}
+			let curC = prevC, curCI = null, curBI = prevBI;
 
 			if (type === 0) {
-				curC = prevC;
 				curCI = prevCI;
 			} else if (type === 1) {
 				const countsLen = r.vi();
 				const counts = new Array(countsLen);
 				for (let i = 0; i < countsLen; i++) counts[i] = r.vi();
 				const charsStr = r.str();
-				for (let i = 0; i < countsLen; i++) curC += charsStr[i].repeat(counts[i]);
-
-				if (this.color && r.u8() === 1) {
-					const colorRleLen = r.vi();
-					curCI = [];
-					for (let i = 0; i < colorRleLen; i += 2) {
-						const cn = r.vi(); const cv = r.vi();
-						for (let j = 0; j < cn; j++) curCI.push(cv);
-					}
+				let p = 0;
+				for (let i = 0; i < countsLen; i++) {
+					codes.fill(charsStr.charCodeAt(i), p, p + counts[i]);
+					p += counts[i];
 				}
+				curC = codesToString(codes);
+
+				if (this.color && r.u8() === 1) curCI = readRLE();
+				if (hasBg && r.u8() === 1) curBI = readRLE();
 			} else if (type === 2) {
 				const gapsLen = r.vi();
 				const pos = new Array(gapsLen);
 				let p = 0;
 				for (let i = 0; i < gapsLen; i++) { p += r.vi(); pos[i] = p; }
 				const charsStr = r.str();
-				const a = prevC.split('');
-				for (let i = 0; i < gapsLen; i++) a[pos[i]] = charsStr[i];
-				curC = a.join('');
+				for (let i = 0; i < gapsLen; i++) codes[pos[i]] = charsStr.charCodeAt(i);
+				curC = codesToString(codes);
 
 				if (this.color && prevCI) {
 					curCI = prevCI.slice();
-					if (r.u8() === 1) {
-						const cgLen = r.vi();
-						const cp = new Array(cgLen);
-						let cpv = 0;
-						for (let i = 0; i < cgLen; i++) { cpv += r.vi(); cp[i] = cpv; }
-						for (let i = 0; i < cgLen; i++) curCI[cp[i]] = r.vi();
-					}
+					if (r.u8() === 1) readDelta(curCI);
+				}
+				if (hasBg && r.u8() === 1) {
+					curBI = prevBI.slice();
+					readDelta(curBI);
 				}
 			}
 
 			this.frames.push(curC);
-			if (this.colors) {
-				if (curCI && this._colorDict) {
-					this.colors.push(curCI.map(idx => this._colorDict[idx] || [0, 0, 0]));
-				} else {
-					this.colors.push(null);
-				}
-			}
+			if (this.colorIndices) this.colorIndices.push(curCI);
+			if (this.bgIndices) this.bgIndices.push(curBI);
+			if (this.frameDicts) this.frameDicts.push(dict);
 			prevC = curC;
 			if (curCI) prevCI = curCI;
+			prevBI = curBI;
 		}
 	}
 
@@ -192,6 +289,13 @@ class TerminalPlayer {
 		] : [255, 255, 255];
 	}
 
+	/** Theme background to paint behind blank cells, for bundles rendered for a light background. */
+	_baseBg() {
+		if (!this.render?.invert) return null;
+		const bg = this.render.theme?.bg;
+		return /^#?[a-f\d]{6}$/i.test(bg || '') ? this._hexToRgb(bg) : null;
+	}
+
 	_renderFrame(idx) {
 		const chars = this.frames[idx];
 		if (!chars) return;
@@ -200,12 +304,17 @@ class TerminalPlayer {
 
 		const mode = this.render?.mode || 'truecolor';
 		const theme = this.render?.theme || {};
+		// ANSI bundles play at their own depth, or lower if the terminal has less
+		const depth = playbackColorDepth(mode, this.colorDepth || 'truecolor');
+		// Inverted bundles read as negatives on the terminal's own (usually dark) background
+		const baseBg = this._baseBg();
 
 		if (mode === 'mono') {
 			const fg = this._hexToRgb(theme.fg || '#0f0');
-			out += `\x1b[38;2;${fg[0]};${fg[1]};${fg[2]}m`;
+			const bgSeq = baseBg ? sgrColor(baseBg, depth, true) : '';
+			out += sgrColor(fg, depth);
 			for (let row = 0; row < this.height; row++) {
-				out += chars.slice(row * this.width, (row + 1) * this.width);
+				out += bgSeq + chars.slice(row * this.width, (row + 1) * this.width) + (bgSeq ? '\x1b[49m' : '');
 				if (row < this.height - 1) out += '\n';
 			}
 			out += '\x1b[0m';
@@ -213,19 +322,35 @@ class TerminalPlayer {
 			return;
 		}
 
-		const colorData = (this.color && this.colors) ? this.colors[idx] : null;
+		const dict = this.frameDicts ? this.frameDicts[idx] : this._colorDict;
+		const colorIdx = (this.colorIndices && dict) ? this.colorIndices[idx] : null;
+		const bgIdx = (this.bgIndices && dict) ? this.bgIndices[idx] : null;
 		let lastColor = null;
+		let lastBg = null;
 
 		for (let row = 0; row < this.height; row++) {
 			let rowText = '';
 			for (let col = 0; col < this.width; col++) {
 				const i = row * this.width + col;
 				const ch = chars[i] || ' ';
-				const cellColor = (colorData && colorData[i]) ? colorData[i] : null;
+				// Blank cells need no colour, as in lib/terminal-player.js
+				const cellColor = (ch !== ' ' && colorIdx) ? (dict[colorIdx[i]] || BLACK) : null;
+				const cellBg = (ch !== ' ' && bgIdx && bgIdx[i] > 0) ? (dict[bgIdx[i] - 1] || null) : null;
+
+				const paintBg = cellBg || baseBg;
+				if (paintBg) {
+					if (!lastBg || paintBg[0] !== lastBg[0] || paintBg[1] !== lastBg[1] || paintBg[2] !== lastBg[2]) {
+						rowText += sgrColor(paintBg, depth, true);
+						lastBg = paintBg;
+					}
+				} else if (lastBg) {
+					rowText += '\x1b[49m';
+					lastBg = null;
+				}
 
 				if (cellColor) {
 					if (!lastColor || cellColor[0] !== lastColor[0] || cellColor[1] !== lastColor[1] || cellColor[2] !== lastColor[2]) {
-						rowText += `\x1b[38;2;${Math.round(cellColor[0])};${Math.round(cellColor[1])};${Math.round(cellColor[2])}m`;
+						rowText += sgrColor(cellColor, depth);
 						lastColor = cellColor;
 					}
 				} else if (lastColor) {
@@ -234,6 +359,10 @@ class TerminalPlayer {
 				}
 				rowText += ch;
 			}
+			if (lastBg) {
+				rowText += '\x1b[49m';
+				lastBg = null;
+			}
 			out += rowText;
 			if (row < this.height - 1) out += '\n';
 		}
@@ -245,6 +374,7 @@ class TerminalPlayer {
 	play() {
 		if (this._playing) return;
 		this._playing = true;
+		if (!this.colorDepth) this.colorDepth = detectColorDepth();
 
 		this._allocateSpace();
 		// Hide cursor and save position
@@ -315,4 +445,4 @@ async function main() {
 	}
 }
 
-main();
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
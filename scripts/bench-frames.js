@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * ASCII-fi Frame Pipeline Benchmark
+ *
+ * Usage: node --expose-gc scripts/bench-frames.js [--width 200] [--frames 120] [--char-mode ascii] [--palette] [--gif] [--workers 1]
+ *
+ * Pushes synthetic frames through the engine, the bundle writer and
+ * (optionally) the GIF writer, the same way lib/api.js does, and reports
+ * time per frame for each stage plus the memory held by the collected frames.
+ * The source is already downscaled to the engine's sampling grid, as FFmpeg
+ * delivers it, so the numbers isolate the JavaScript side of a conversion.
+ * With --workers > 1 the engine stage runs through FramePool, the way
+ * convert() does.
+ */
+
+import { AsciiEngine, getSampleFactor } from '../lib/engine.js';
+import { FramePool } from '../lib/frame-pool.js';
+import { createBundleWriter } from '../lib/bundler.js';
+import { createAsciiGifWriter } from '../lib/gif.js';
+
+function parseArgs(argv) {
+	const opts = { width: 200, frames: 120, charMode: 'ascii', palette: false, gif: false, workers: 1 };
+	for (let i = 0; i < argv.length; i++) {
+		const a = argv[i];
+		if (a === '--width') opts.width = Number(argv[++i]);
+		else if (a === '--frames') opts.frames = Number(argv[++i]);
+		else if (a === '--char-mode') opts.charMode = argv[++i];
+		else if (a === '--palette') opts.palette = true;
+		else if (a === '--gif') opts.gif = true;
+		else if (a === '--workers') opts.workers = Number(argv[++i]);
+	}
+	return opts;
+}
+
+/**
+ * A moving colour gradient with a drifting disc, so every stage sees a mix
+ * of static and changing cells.
+ */
+function syntheticFrame(w, h, t) {
+	const px = new Uint8Array(w * h * 3);
+	const cx = w * (0.3 + 0.4 * Math.sin(t / 15)), cy = h * 0.5, r2 = (h * 0.3) ** 2;
+	for (let y = 0; y < h; y++) {
+		for (let x = 0; x < w; x++) {
+			const o = (y * w + x) * 3;
+			const inDisc = (x - cx) ** 2 + (y - cy) ** 2 < r2;
+			px[o] = inDisc ? 240 : (x * 255 / w) | 0;
+			px[o + 1] = inDisc ? 200 : (y * 255 / h) | 0;
+			px[o + 2] = inDisc ? 40 : ((x + y + t * 4) & 255);
+		}
+	}
+	return px;
+}
+
+// Typed-array backing stores live outside the JS heap, so count both
+async function heapUsed() {
+	if (global.gc) {
+		// Backing stores are released after the collection that frees them
+		global.gc();
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		global.gc();
+	}
+	const { heapUsed, arrayBuffers } = process.memoryUsage();
+	return heapUsed + arrayBuffers;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const outW = opts.width;
+const outH = Math.round(outW * 9 / 16 / 2) & ~1;
+const sf = getSampleFactor(opts.charMode);
+const scaledW = outW * sf, scaledH = outH * sf;
+const render = opts.palette
+	? { mode: 'palette', charMode: opts.charMode, palette: [[0, 0, 0], [255, 255, 255], [240, 200, 40], [40, 80, 200], [200, 40, 80], [40, 200, 120]], theme: { fg: '#00ff00', bg: '#000000' } }
+	: { mode: 'truecolor', charMode: opts.charMode, theme: { fg: '#00ff00', bg: '#000000' } };
+
+// Only the last source buffer is kept alive, like the FFmpeg reader
+const sources = Array.from({ length: 8 }, (_, t) => syntheticFrame(scaledW, scaledH, t));
+
+const log = console.log;
+console.log = () => {}; // the bundler logs its settings
+
+const heapBefore = await heapUsed();
+const engine = new AsciiEngine();
+const frames = [];
+const pool = opts.workers > 1 ? new FramePool(opts.workers) : null;
+let t0 = performance.now();
+if (pool) {
+	const pending = [];
+	for (let i = 0; i < opts.frames; i++) {
+		pending.push(pool.analyze(sources[i % sources.length], scaledW, scaledH, outW, outH, sf, true, opts.charMode));
+	}
+	for (const analysis of pending) frames.push(engine.assembleFrame(await analysis, outW, outH, true, opts.charMode, null, null));
+	pool.destroy();
+} else {
+	for (let i = 0; i < opts.frames; i++) {
+		frames.push(engine.processFrame(sources[i % sources.length], scaledW, scaledH, outW, outH, sf, true, opts.charMode, null, null));
+	}
+}
+const engineMs = performance.now() - t0;
+const frameHeap = await heapUsed() - heapBefore;
+
+t0 = performance.now();
+const bundleWriter = createBundleWriter({ width: outW, height: outH, fps: 24, color: true, render });
+for (const frame of frames) bundleWriter.writeFrame(frame);
+const { stats } = await bundleWriter.finalize();
+const bundleMs = performance.now() - t0;
+
+let gifMs = null;
+if (opts.gif) {
+	t0 = performance.now();
+	const gifWriter = await createAsciiGifWriter({ width: outW, height: outH, fps: 24, render });
+	for (const frame of frames) gifWriter.writeFrame(frame);
+	await gifWriter.finalize();
+	gifMs = performance.now() - t0;
+}
+
+console.log = log;
+const perFrame = (ms) => `${(ms / opts.frames).toFixed(2)} ms/frame`;
+console.log(`${opts.frames} frames · ${outW}×${outH} cells · ${opts.charMode} · ${render.mode}${pool ? ` · ${opts.workers} workers` : ''}`);
+console.log(`  engine   ${perFrame(engineMs)}  (${(opts.frames / (engineMs / 1000)).toFixed(1)} fps)`);
+console.log(`  bundle   ${perFrame(bundleMs)}  (${stats.bundleSize} bytes)`);
+if (gifMs !== null) console.log(`  gif      ${perFrame(gifMs)}`);
+console.log(`  frames   ${(frameHeap / opts.frames / 1024).toFixed(1)} KiB/frame${global.gc ? '' : ' (run with --expose-gc for stable numbers)'}`);
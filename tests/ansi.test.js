@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { XTERM_256, ansiPalette, ansiIndex, sgrColor, detectColorDepth, playbackColorDepth } from '../lib/ansi.js';
+import { TerminalPlayer } from '../lib/terminal-player.js';
+import { TerminalPlayer as ScriptPlayer } from '../scripts/ascii-player.js';
+import { generateBundle } from '../lib/bundler.js';
+
+test('ANSI colour depths', async (t) => {
+	await t.test('builds the xterm palettes', () => {
+		assert.strictEqual(XTERM_256.length, 256);
+		assert.deepStrictEqual(XTERM_256[196], [255, 0, 0]);
+		assert.deepStrictEqual(XTERM_256[232], [8, 8, 8]);
+		assert.strictEqual(ansiPalette('ansi16').length, 16);
+		// The 256 mode skips the theme-dependent system colours
+		const palette = ansiPalette('ansi256');
+		assert.strictEqual(palette.length, 240);
+		palette.forEach((c, i) => assert.strictEqual(ansiIndex(c, 'ansi256'), i + 16));
+		ansiPalette('ansi16').forEach((c, i) => assert.strictEqual(ansiIndex(c, 'ansi16'), i));
+		assert.throws(() => ansiPalette('ansi8'), TypeError);
+	});
+
+	await t.test('emits SGR codes for each depth', () => {
+		assert.strictEqual(sgrColor([255, 0, 0]), '\x1b[38;2;255;0;0m');
+		assert.strictEqual(sgrColor([250, 5, 5], 'ansi256'), '\x1b[38;5;196m');
+		assert.strictEqual(sgrColor([250, 5, 5], 'ansi256', true), '\x1b[48;5;196m');
+		assert.strictEqual(sgrColor([200, 10, 0], 'ansi16'), '\x1b[31m');
+		assert.strictEqual(sgrColor([255, 0, 0], 'ansi16'), '\x1b[91m');
+		assert.strictEqual(sgrColor([0, 0, 0], 'ansi16', true), '\x1b[40m');
+		assert.strictEqual(sgrColor([255, 255, 255], 'ansi16', true), '\x1b[107m');
+	});
+
+	await t.test('detects the terminal colour depth', () => {
+		assert.strictEqual(detectColorDepth({ TERM: 'xterm-256color', COLORTERM: 'truecolor' }), 'truecolor');
+		assert.strictEqual(detectColorDepth({ TERM: 'tmux-256color' }), 'ansi256');
+		assert.strictEqual(detectColorDepth({ TERM: 'linux' }), 'ansi16');
+		assert.strictEqual(detectColorDepth({ TERM: 'xterm', WT_SESSION: '1' }), 'truecolor');
+		assert.strictEqual(detectColorDepth({}), 'truecolor');
+		assert.strictEqual(detectColorDepth({ TERM: 'xterm-256color', COLORTERM: '24bit', ASCII_FI_COLOR_DEPTH: 'ansi16' }), 'ansi16');
+
+		assert.strictEqual(playbackColorDepth('truecolor', 'ansi256'), 'ansi256');
+		assert.strictEqual(playbackColorDepth('ansi16', 'truecolor'), 'ansi16');
+		assert.strictEqual(playbackColorDepth('ansi256', 'ansi16'), 'ansi16');
+	});
+
+	const payload = async (frame, width, render) => {
+		const { bundleJS } = await generateBundle({ frames: [frame], width, height: 1, fps: 10, color: true, qStep: 1, render });
+		return /__ASCII_COMPRESSED__="([^"]+)"/.exec(bundleJS)[1];
+	};
+	const draw = (player) => {
+		const originalWrite = process.stdout.write;
+		let out = '';
+		process.stdout.write = (str) => { out += str; return true; };
+		try {
+			player._renderFrame(0);
+		} finally {
+			process.stdout.write = originalWrite;
+		}
+		return out;
+	};
+
+	await t.test('players downgrade bundles to the terminal', async () => {
+		const red = [255, 0, 0];
+		const render = { mode: 'palette', ansi: 'ansi16', palette: ansiPalette('ansi16'), theme: { fg: '#111111', bg: '#000000' } };
+
+		const ansi = TerminalPlayer.fromCompressed(await payload({ chars: '#', colors: [red] }, 1, render), { colorDepth: 'truecolor' });
+		assert.strictEqual(ansi.render.mode, 'ansi16');
+		assert.ok(draw(ansi).includes('\x1b[91m#'), 'ANSI 16 bundles keep their codes on truecolor terminals');
+
+		const truecolor = TerminalPlayer.fromCompressed(await payload({ chars: '#', colors: [red] }, 1), { colorDepth: 'ansi256' });
+		assert.ok(draw(truecolor).includes('\x1b[38;5;196m#'), 'truecolor bundles drop to 256 colours');
+
+		assert.strictEqual(new TerminalPlayer().colorDepth, null, 'detected when play() starts');
+		assert.throws(() => new TerminalPlayer({ colorDepth: '24bit' }), TypeError);
+	});
+
+	await t.test('scripts/ascii-player.js writes the same SGR codes as TerminalPlayer', async () => {
+		const colors = [[255, 0, 0], [0, 135, 255], [88, 88, 88], [215, 175, 0], [255, 255, 255], [18, 18, 18]];
+		const render = { mode: 'palette', ansi: 'ansi256', palette: ansiPalette('ansi256'), theme: { fg: '#111111', bg: '#000000' } };
+		const b64 = await payload({ chars: '#@ #%#', colors }, colors.length, render);
+
+		for (const colorDepth of ['truecolor', 'ansi256', 'ansi16']) {
+			// The library player also moves the cursor up to its box first
+			const lib = draw(TerminalPlayer.fromCompressed(b64, { colorDepth })).replace(/^\x1b\[1A\x1b\[1G/, '');
+			const script = draw(ScriptPlayer.fromCompressed(b64, { colorDepth }));
+			assert.strictEqual(script, lib, `${colorDepth} terminal`);
+		}
+		assert.ok(draw(ScriptPlayer.fromCompressed(b64, { colorDepth: 'truecolor' })).includes('\x1b[38;5;'), 'ANSI 256 bundles keep their codes');
+	});
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseCaptions, resolveCaptions, captionAt, burnCaption } from '../lib/captions.js';
+import { codesToString, PackedFrame } from '../lib/frame.js';
+import { createDitherer } from '../lib/dither.js';
+
+const SRT = `1
+00:00:01,000 --> 00:00:02,500
+<i>Hello</i> there
+
+2
+00:00:02,000 --> 00:00:04,000
+Second – line
+`;
+
+const VTT = `WEBVTT
+
+NOTE speaker notes --> not a cue
+
+intro
+00:01.000 --> 00:02.500 align:start line:90%
+<v Ana>Hello &amp; welcome</v>
+`;
+
+/** A width×height frame of '#' cells coloured (10,20,30). */
+function solidFrame(width, height, { color = true } = {}) {
+	const n = width * height;
+	const rgb = color ? new Uint8Array(n * 3).map((_, i) => [10, 20, 30][i % 3]) : null;
+	return new PackedFrame({ codes: new Uint16Array(n).fill(0x23), rgb });
+}
+
+const rows = (frame, width) => codesToString(frame.codes).match(new RegExp(`.{${width}}`, 'g'));
+
+test('Captions', async (t) => {
+	await t.test('parses SRT and WebVTT cues', () => {
+		assert.deepStrictEqual(parseCaptions(SRT), [
+			{ start: 1, end: 2.5, text: 'Hello there' },
+			{ start: 2, end: 4, text: 'Second - line' },
+		]);
+		assert.deepStrictEqual(parseCaptions(VTT.replace(/\n/g, '\r\n')), [{ start: 1, end: 2.5, text: 'Hello & welcome' }]);
+		assert.throws(() => parseCaptions('1\n00:00:01 --> soon\nHi'), TypeError);
+	});
+
+	await t.test('picks the cues active at a time', () => {
+		const cues = parseCaptions(SRT);
+		assert.strictEqual(captionAt(cues, 0.9), null);
+		assert.strictEqual(captionAt(cues, 1), 'Hello there');
+		assert.strictEqual(captionAt(cues, 2.2), 'Hello there\nSecond - line');
+		assert.strictEqual(captionAt(cues, 4), null);
+	});
+
+	await t.test('burns wrapped, centred text onto a strip', () => {
+		const { style } = resolveCaptions({ cues: [], padding: 1, margin: 0 });
+		const frame = burnCaption(solidFrame(10, 6), 10, 6, 'one two three', style);
+		assert.deepStrictEqual(rows(frame, 10), [
+			'##########',
+			'##########',
+			'          ',
+			' one two  ',
+			'  three   ',
+			'          ',
+		]);
+		assert.deepStrictEqual(Array.from(frame.rgb.subarray(31 * 3, 32 * 3)), [255, 255, 255]);
+		assert.strictEqual(frame.textMask[19], 0);
+		assert.strictEqual(frame.textMask[20], 1);
+		assert.strictEqual(frame.bgRgb, null);
+
+		// A coloured strip fills blank cells with no-break spaces so players paint it
+		const top = resolveCaptions({ cues: [], position: 'top', background: '#202020', color: '#ffff00' }).style;
+		const boxed = burnCaption(solidFrame(6, 4), 6, 4, 'hi', top);
+		assert.strictEqual(codesToString(boxed.codes, 6, 12), '\u00a0\u00a0hi\u00a0\u00a0');
+		assert.deepStrictEqual(Array.from(boxed.bgMask), [0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+		assert.deepStrictEqual(Array.from(boxed.rgb.subarray(8 * 3, 9 * 3)), [255, 255, 0]);
+		assert.deepStrictEqual(Array.from(boxed.rgb.subarray(6 * 3, 7 * 3)), [32, 32, 32]);
+
+		// Mono frames get the text on blank cells, and dithering keeps the text flags
+		const mono = burnCaption(solidFrame(6, 4, { color: false }), 6, 4, 'hi', top);
+		assert.strictEqual(codesToString(mono.codes, 6, 12), '  hi  ');
+		assert.strictEqual(mono.bgRgb, null);
+		const dithered = createDitherer({ method: 'atkinson', palette: [[0, 0, 0], [255, 255, 255]], width: 6, height: 4 }).apply(boxed);
+		assert.strictEqual(dithered.textMask, boxed.textMask);
+	});
+
+	await t.test('validates the caption settings', () => {
+		assert.deepStrictEqual(resolveCaptions('talk.srt'), {
+			path: 'talk.srt',
+			cues: null,
+			style: { position: 'bottom', margin: 1, padding: 0, background: null, color: [255, 255, 255] },
+		});
+		assert.throws(() => resolveCaptions({}), TypeError);
+		assert.throws(() => resolveCaptions({ path: 'a.vtt', position: 'middle' }), TypeError);
+		assert.throws(() => resolveCaptions({ path: 'a.vtt', background: 'grey' }), TypeError);
+		assert.throws(() => resolveCaptions({ path: 'a.vtt', padding: -1 }), RangeError);
+		assert.throws(() => resolveCaptions({ path: 'a.vtt', margin: 1.5 }), RangeError);
+	});
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { resolveCellAspect, gifCellSize, createAsciiGifWriter, CELL_W, CELL_H } from '../lib/gif.js';
+import { generateBundle } from '../lib/bundler.js';
+import { TerminalPlayer } from '../lib/terminal-player.js';
+
+const decode = (bundleJS) => TerminalPlayer.fromCompressed(/__ASCII_COMPRESSED__="([^"]+)"/.exec(bundleJS)[1]);
+
+test('Cell aspect', async (t) => {
+	await t.test('resolves presets and ratios', () => {
+		assert.strictEqual(resolveCellAspect(), CELL_W / CELL_H);
+		assert.strictEqual(resolveCellAspect('web'), 0.75);
+		assert.strictEqual(resolveCellAspect('terminal'), 0.5);
+		assert.strictEqual(resolveCellAspect(0.6), 0.6);
+		assert.throws(() => resolveCellAspect('phone'), TypeError);
+		assert.throws(() => resolveCellAspect('toString'), TypeError);
+		assert.throws(() => resolveCellAspect(5), RangeError);
+		assert.throws(() => resolveCellAspect(NaN), RangeError);
+	});
+
+	await t.test('sizes GIF cells to the aspect', async () => {
+		assert.deepStrictEqual(gifCellSize(), { w: 6, h: 8 });
+		assert.deepStrictEqual(gifCellSize(0.5), { w: 6, h: 12 });
+		assert.deepStrictEqual(gifCellSize(1), { w: 8, h: 8 });
+
+		const writer = await createAsciiGifWriter({ width: 3, height: 2, fps: 10, render: { mode: 'mono', charMode: 'block', theme: { fg: '#ffffff' }, cellAspect: 0.5 } });
+		writer.writeFrame({ chars: '█ ██ █' });
+		const gif = await writer.finalize();
+		assert.deepStrictEqual([gif.width, gif.height], [18, 24]);
+	});
+
+	await t.test('travels in the bundle header', async () => {
+		const frames = [{ chars: 'ab' }];
+		const tall = await generateBundle({ frames, width: 2, height: 1, fps: 10, color: false, render: { mode: 'mono', theme: { fg: '#fff', bg: '#000' }, cellAspect: 0.5 } });
+		assert.strictEqual(decode(tall.bundleJS).cellAspect, 0.5);
+		assert.deepStrictEqual(decode(tall.bundleJS).frames, ['ab']);
+
+		const plain = await generateBundle({ frames, width: 2, height: 1, fps: 10, color: false });
+		assert.strictEqual(decode(plain.bundleJS).cellAspect, 0.75);
+	});
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { keyFrame, resolveChromaKey } from '../lib/chroma.js';
+import { validateForeground } from '../lib/api.js';
+import { AsciiEngine } from '../lib/engine.js';
+
+const SCREEN = [60, 170, 70];
+const SHADOW = [25, 70, 30];
+const SKIN = [200, 150, 120];
+
+/** Fill a frame of `cellsW`×`cellsH` 2×2-pixel cells with one colour per cell. */
+function cellFrame(cellsW, cellsH, colorAt) {
+	const w = cellsW * 2, h = cellsH * 2;
+	const px = new Uint8Array(w * h * 3);
+	for (let y = 0; y < h; y++) {
+		for (let x = 0; x < w; x++) px.set(colorAt(x >> 1, y >> 1), (y * w + x) * 3);
+	}
+	return px;
+}
+
+test('Chroma key', async (t) => {
+	await t.test('keys the screen, lit or shadowed, and keeps the subject', () => {
+		const px = cellFrame(4, 2, (x, y) => (x === 1 && y === 1 ? SKIN : x === 3 ? SHADOW : SCREEN));
+		const mask = keyFrame(px, 8, 4, 4, 2, resolveChromaKey({ key: '#3caa46', spill: 0 }));
+		assert.deepStrictEqual(Array.from(mask), [0, 0, 0, 0, 0, 1, 0, 0]);
+		// Tolerance 0 keys nothing
+		const none = keyFrame(px, 8, 4, 4, 2, resolveChromaKey({ key: '#3caa46', tolerance: 0 }));
+		assert.deepStrictEqual(Array.from(none), [1, 1, 1, 1, 1, 1, 1, 1]);
+	});
+
+	await t.test('pulls the key colour cast out of the subject', () => {
+		const fringe = [150, 190, 140];
+		const px = Uint8Array.from(fringe);
+		keyFrame(px, 1, 1, 1, 1, resolveChromaKey({ key: '#3caa46', spill: 1 }));
+		assert.ok(px[1] - Math.max(px[0], px[2]) < 15, `green cast left: ${px}`);
+		assert.ok(Math.abs(px[0] + px[1] + px[2] - 480) <= 2, 'brightness kept');
+
+		const skin = Uint8Array.from(SKIN);
+		keyFrame(skin, 1, 1, 1, 1, resolveChromaKey({ spill: 1 }));
+		assert.deepStrictEqual(Array.from(skin), SKIN);
+	});
+
+	await t.test('validates the key settings', () => {
+		assert.deepStrictEqual(resolveChromaKey(), { key: [0, 255, 0], tolerance: 70, spill: 0.5 });
+		assert.throws(() => resolveChromaKey({ key: '#808080' }), TypeError);
+		assert.throws(() => resolveChromaKey({ key: 'green' }), TypeError);
+		assert.throws(() => resolveChromaKey({ tolerance: 120 }), RangeError);
+		assert.throws(() => resolveChromaKey({ spill: -0.1 }), RangeError);
+		assert.throws(() => validateForeground({ mode: 'chroma', background: 'blur' }), TypeError);
+		assert.doesNotThrow(() => validateForeground({ mode: 'chroma', background: 'keep', key: '#0047bb' }));
+	});
+
+	await t.test('feeds the engine like any other foreground mask', () => {
+		const px = cellFrame(2, 1, (x) => (x === 0 ? SKIN : SCREEN));
+		const chroma = resolveChromaKey({ key: '#3caa46' });
+		const foreground = { mode: 'chroma', background: 'solid', bg: '#ff0000' };
+		const frame = new AsciiEngine().processFrame(px, 4, 2, 2, 1, 2, true, 'block', foreground, keyFrame(px, 4, 2, 2, 1, chroma));
+		assert.deepStrictEqual(Array.from(frame.fgMask), [1, 0]);
+		assert.notStrictEqual(frame.codes[0], 0x20);
+		assert.strictEqual(frame.codes[1], 0x20);
+		assert.deepStrictEqual(Array.from(frame.rgb.subarray(3)), [255, 0, 0]);
+	});
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { srgbToOklab, oklabToSrgb, resolveColorSpace } from '../lib/color.js';
+import { nearestPaletteColor } from '../lib/render.js';
+import { kMeansRGB } from '../lib/kmeans.js';
+import { AsciiEngine } from '../lib/engine.js';
+
+test('OKLab colour space', async (t) => {
+	await t.test('round-trips every sRGB byte triple it is given', () => {
+		for (let v = 0; v < 256; v += 17) {
+			for (const c of [[v, 0, 0], [0, v, 0], [0, 0, v], [v, 255 - v, v >> 1]]) {
+				assert.deepStrictEqual(oklabToSrgb(srgbToOklab(...c)), c);
+			}
+		}
+		assert.ok(Math.abs(srgbToOklab(255, 255, 255)[0] - 1) < 1e-6);
+		assert.throws(() => resolveColorSpace('lab'), TypeError);
+	});
+
+	await t.test('snaps dark colours to the entry with the matching hue', () => {
+		const palette = [[0, 0, 0], [40, 40, 40], [10, 10, 90]];
+		// In sRGB distance a dark navy is "closest" to grey
+		assert.deepStrictEqual(nearestPaletteColor([15, 15, 50], palette), [40, 40, 40]);
+		assert.deepStrictEqual(nearestPaletteColor([15, 15, 50], palette, 'oklab'), [10, 10, 90]);
+		assert.strictEqual(nearestPaletteColor([40, 40, 40], palette, 'oklab'), palette[1]);
+	});
+
+	await t.test('averages cells in linear light', () => {
+		// One 2×2 block cell, half black and half white
+		const pixels = new Uint8Array([0, 0, 0, 255, 255, 255, 255, 255, 255, 0, 0, 0]);
+		const rgb = new AsciiEngine().processFrame(pixels, 2, 2, 1, 1, 2, true, 'block', null, null);
+		const oklab = new AsciiEngine({ colorSpace: 'oklab' }).processFrame(pixels, 2, 2, 1, 1, 2, true, 'block', null, null);
+		assert.deepStrictEqual(Array.from(rgb.rgb), [128, 128, 128]);
+		assert.deepStrictEqual(Array.from(oklab.rgb), [188, 188, 188]);
+		assert.throws(() => new AsciiEngine({ colorSpace: 'hsv' }), TypeError);
+	});
+
+	await t.test('clusters k-means in OKLab and returns sRGB centroids', () => {
+		const samples = [];
+		for (let i = 0; i < 20; i++) samples.push([4 + (i % 3), 4, 30 + i], [200, 190 + (i % 5), 20]);
+		const centroids = kMeansRGB(samples, 2, 20, 'oklab');
+		assert.strictEqual(centroids.length, 2);
+		for (const c of centroids) assert.ok(c.every((v) => Number.isInteger(v) && v >= 0 && v <= 255));
+		// Sorted by luminance: the dark blue cluster first
+		assert.ok(centroids[0][2] > centroids[0][0] && centroids[1][0] > 150);
+		assert.deepStrictEqual(kMeansRGB(samples, 2), [[5, 4, 40], [200, 192, 20]]);
+	});
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createDitherer } from '../lib/dither.js';
+
+const BW = [[0, 0, 0], [255, 255, 255]];
+
+/**
+ * A `w`×`h` frame of solid glyphs with every cell coloured by `fill(x, y)`.
+ */
+function makeFrame(w, h, fill) {
+	const colors = [];
+	for (let y = 0; y < h; y++) {
+		for (let x = 0; x < w; x++) colors.push(fill(x, y));
+	}
+	return { chars: '#'.repeat(w * h), colors };
+}
+
+function litShare(frame) {
+	return frame.colors.filter((c) => c[0] === 255).length / frame.colors.length;
+}
+
+test('Palette dithering', async (t) => {
+	const grey = makeFrame(16, 8, () => [128, 128, 128]);
+
+	for (const method of ['floyd-steinberg', 'atkinson', 'bayer']) {
+		await t.test(`${method} mixes palette entries for in-between colours`, () => {
+			const out = createDitherer({ method, palette: BW, width: 16, height: 8 }).apply(grey);
+			const share = litShare(out);
+			assert.ok(share > 0.3 && share < 0.7, `lit share ${share}`);
+			assert.ok(out.colors.every((c) => BW.some((p) => String(p) === String(c))));
+		});
+	}
+
+	await t.test('keeps the pattern still when the source barely changes', () => {
+		const ditherer = createDitherer({ method: 'floyd-steinberg', palette: BW, width: 16, height: 8 });
+		const first = ditherer.apply(makeFrame(16, 8, (x) => [x * 16, x * 16, x * 16]));
+		// A slight brightness drift re-shuffles about half the cells when
+		// dithered from scratch
+		const second = ditherer.apply(makeFrame(16, 8, (x) => [x * 16 + 5, x * 16 + 5, x * 16 + 5]));
+		assert.deepStrictEqual(second.colors, first.colors);
+	});
+
+	await t.test('only holds palette entries from the previous frame', () => {
+		const palette = [[0, 0, 0], [90, 40, 200], [255, 255, 255]];
+		const ditherer = createDitherer({ method: 'atkinson', palette, width: 16, height: 8, colorSpace: 'oklab' });
+		const gradient = (shift) => makeFrame(16, 8, (x, y) => [x * 16 + shift, y * 30 + shift, 128]);
+		// Blank cells pass their colour through; the next frame draws glyphs there
+		const first = { ...gradient(0), chars: '# '.repeat(64) };
+		for (const frame of [first, gradient(3), gradient(6)]) {
+			const out = ditherer.apply(frame);
+			out.colors.forEach((c, i) => {
+				if (frame.chars[i] !== ' ') assert.ok(palette.some((p) => String(p) === String(c)), `cell ${i} is ${c}`);
+			});
+		}
+	});
+
+	await t.test('leaves blank cells alone and skips non-palette setups', () => {
+		const frame = { chars: ' #', colors: [[128, 128, 128], [128, 128, 128]] };
+		const out = createDitherer({ method: 'bayer', palette: BW, width: 2, height: 1 }).apply(frame);
+		assert.deepStrictEqual(out.colors[0], frame.colors[0]);
+		assert.strictEqual(createDitherer({ method: 'none', palette: BW, width: 2, height: 1 }), null);
+		assert.throws(() => createDitherer({ method: 'sierra', palette: BW, width: 2, height: 1 }), TypeError);
+	});
+});
@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { AsciiEngine, getSampleFactor, resolveStabilize, resolveEdge } from '../lib/engine.js';
+import { getFontGlyph } from '../lib/font.js';
+
+/**
+ * Build an RGB24 buffer of `w`×`h` pixels, lit (255) wherever `lit(x, y)` is true.
+ */
+function makePixels(w, h, lit) {
+	const px = new Uint8Array(w * h * 3);
+	for (let y = 0; y < h; y++) {
+		for (let x = 0; x < w; x++) {
+			const v = lit(x, y) ? 255 : 0;
+			const o = (y * w + x) * 3;
+			px[o] = v; px[o + 1] = v; px[o + 2] = v;
+		}
+	}
+	return px;
+}
+
+test('AsciiEngine braille char mode', async (t) => {
+	const sf = getSampleFactor('braille');
+
+	await t.test('oversamples 4× so every dot covers whole pixels', () => {
+		assert.strictEqual(sf, 4);
+		assert.strictEqual(getSampleFactor('block'), 2);
+	});
+
+	await t.test('maps a lit left column to dots 1-2-3-7', () => {
+		const engine = new AsciiEngine();
+		const px = makePixels(sf, sf, (x) => x < sf / 2);
+		const { chars } = engine.processFrame(px, sf, sf, 1, 1, sf, false, 'braille', null, null);
+		assert.strictEqual(chars, '⡇');
+	});
+
+	await t.test('fills flat bright cells and blanks dark ones', () => {
+		const engine = new AsciiEngine();
+		const px = makePixels(sf * 2, sf, (x) => x >= sf);
+		const { chars, colors } = engine.processFrame(px, sf * 2, sf, 2, 1, sf, true, 'braille', null, null);
+		assert.strictEqual(chars, ' ⣿');
+		assert.deepStrictEqual(colors[1], [255, 255, 255]);
+	});
+});
+
+test('AsciiEngine halfblock char mode', async (t) => {
+	const sf = getSampleFactor('halfblock');
+
+	await t.test('splits each cell into top and bottom colours', () => {
+		const engine = new AsciiEngine();
+		const px = new Uint8Array(sf * sf * 3);
+		for (let i = 0; i < sf * sf; i++) {
+			const top = i < sf * (sf / 2);
+			px.set(top ? [255, 0, 0] : [0, 0, 255], i * 3);
+		}
+		const { chars, colors, bgColors } = engine.processFrame(px, sf, sf, 1, 1, sf, true, 'halfblock', null, null);
+		assert.strictEqual(chars, '▀');
+		assert.deepStrictEqual(colors[0], [255, 0, 0]);
+		assert.deepStrictEqual(bgColors[0], [0, 0, 255]);
+	});
+
+	await t.test('leaves dark halves without a background', () => {
+		const engine = new AsciiEngine();
+		const px = makePixels(sf * 2, sf, (x, y) => x < sf ? y >= sf / 2 : true);
+		const { chars, bgColors } = engine.processFrame(px, sf * 2, sf, 2, 1, sf, true, 'halfblock', null, null);
+		assert.strictEqual(chars, '▄▀');
+		assert.strictEqual(bgColors[0], null);
+		assert.deepStrictEqual(bgColors[1], [255, 255, 255]);
+	});
+
+	await t.test('omits bgColors without colour', () => {
+		const engine = new AsciiEngine();
+		const px = makePixels(sf, sf, () => true);
+		const out = engine.processFrame(px, sf, sf, 1, 1, sf, false, 'halfblock', null, null);
+		assert.strictEqual(out.chars, '█');
+		assert.strictEqual(out.bgColors, undefined);
+	});
+});
+
+test('AsciiEngine custom ramp', async (t) => {
+	await t.test('shades with the sorted ramp and skips edge glyphs', () => {
+		const engine = new AsciiEngine({ ramp: '#. ' });
+		assert.strictEqual(engine.ramp, ' .#');
+		const px = makePixels(8, 4, (x) => x >= 4 || x < 2);
+		const { chars } = engine.processFrame(px, 8, 4, 2, 1, 4, false, 'ascii', null, null);
+		assert.strictEqual(chars, '.#');
+	});
+});
+
+test('AsciiEngine shape char mode', async (t) => {
+	const sf = getSampleFactor('shape');
+
+	await t.test('reads back text drawn with the glyph font', () => {
+		const text = 'Hi /\\ 42';
+		const px = makePixels(text.length * sf, sf, (x, y) => {
+			const glyph = getFontGlyph(text[Math.floor(x / sf)]);
+			// Map the cell onto the 6×8 GIF cell, whose last column/row is the gap
+			const gx = Math.floor((x % sf) * 6 / sf), gy = Math.floor(y * 8 / sf);
+			return !!glyph && gx < 5 && gy < 7 && glyph[gy][gx] === '#';
+		});
+		const { chars } = new AsciiEngine().processFrame(px, text.length * sf, sf, text.length, 1, sf, false, 'shape', null, null);
+		assert.strictEqual(chars, text);
+	});
+
+	await t.test('blanks dark cells and matches only ramp glyphs', () => {
+		const px = makePixels(sf * 2, sf, (x) => x >= sf && (x % sf) < sf / 2);
+		assert.strictEqual(new AsciiEngine().processFrame(px, sf * 2, sf, 2, 1, sf, false, 'shape', null, null).chars[0], ' ');
+		const { chars } = new AsciiEngine({ ramp: ' .|#' }).processFrame(px, sf * 2, sf, 2, 1, sf, false, 'shape', null, null);
+		assert.strictEqual(chars, ' |');
+	});
+});
+
+test('AsciiEngine temporal stabilisation', async (t) => {
+	const grey = (v) => new Uint8Array(4 * 4 * 3).fill(v);
+	const run = (engine, values) => values.map((v) => engine.processFrame(grey(v), 4, 4, 1, 1, 4, true, 'ascii', null, null));
+
+	await t.test('majority vote ignores single-frame flicker', () => {
+		const engine = new AsciiEngine({ stabilize: { threshold: 0, vote: 3 } });
+		const out = run(engine, [255, 255, 0, 255, 255, 0, 0]);
+		assert.deepStrictEqual(out.map((f) => f.chars), ['@', '@', '@', '@', '@', '@', ' ']);
+		assert.deepStrictEqual(out.map((f) => f.changedCells), [1, 0, 0, 0, 0, 0, 1]);
+	});
+
+	await t.test('hysteresis keeps a held glyph through a slow drift', () => {
+		const values = [100, 108, 125];
+		const plain = run(new AsciiEngine({ stabilize: { threshold: 10 } }), values);
+		const sticky = run(new AsciiEngine({ stabilize: { threshold: 10, hysteresis: 20 } }), values);
+		const first = plain[0].chars;
+		assert.deepStrictEqual(plain.map((f) => f.chars).slice(0, 2), [first, first]);
+		assert.notStrictEqual(plain[2].chars, first);
+		assert.deepStrictEqual(sticky.map((f) => f.chars), [first, first, first]);
+	});
+
+	await t.test('rejects out-of-range settings', () => {
+		assert.deepStrictEqual(resolveStabilize(), { threshold: 18, hysteresis: 0, vote: 1 });
+		assert.throws(() => resolveStabilize({ vote: 0 }), RangeError);
+		assert.throws(() => resolveStabilize({ threshold: -1 }), RangeError);
+	});
+});
+
+test('AsciiEngine Sobel edge mode', async (t) => {
+	const sf = 4, w = 8, h = 6;
+	const draw = (lit) => makePixels(w * sf, h * sf, lit);
+	const render = (pixels, edge) => {
+		const { chars } = new AsciiEngine({ edge }).processFrame(pixels, w * sf, h * sf, w, h, sf, false, 'edge', null, null, 0);
+		return Array.from({ length: h }, (_, y) => chars.slice(y * w, y * w + w));
+	};
+
+	await t.test('outlines a box with direction glyphs and corners', () => {
+		const rows = render(draw((x, y) => x >= 6 && x < 26 && y >= 5 && y < 19));
+		assert.deepStrictEqual(rows.slice(1, 5), [' r----7 ', ' |    | ', ' |    | ', ' L____J ']);
+	});
+
+	await t.test('non-maximum suppression thins a diagonal to one cell per row', () => {
+		const diagonal = draw((x, y) => x === h * sf - 1 - y);
+		const wide = render(diagonal);
+		const thin = render(diagonal, { nms: true });
+		const count = (rows) => rows.map((r) => r.replace(/ /g, '').length);
+		assert.ok(count(wide).some((n) => n > 1));
+		for (const row of thin.slice(0, h - 1)) assert.match(row, /^ *\/ *$/);
+		assert.ok(count(thin).every((n) => n <= 1));
+	});
+
+	await t.test('magnitude threshold hides faint edges', () => {
+		const faint = new Uint8Array(w * sf * h * sf * 3);
+		for (let i = 0; i < faint.length; i += 3) if ((i / 3) % (w * sf) >= 16) faint.fill(40, i, i + 3);
+		assert.ok(render(faint, { threshold: 8 }).every((r) => r.includes('|')));
+		assert.ok(render(faint, { threshold: 64 }).every((r) => !r.includes('|')));
+		assert.throws(() => resolveEdge({ threshold: 300 }), RangeError);
+	});
+});
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { sortRampByDensity, glyphCoverage, getFontGlyph } from '../lib/font.js';
+import { findUnsupportedGlyphs } from '../lib/gif.js';
+
+test('Custom glyph ramps', async (t) => {
+	await t.test('sorts a ramp dark → bright by measured coverage', () => {
+		assert.strictEqual(sortRampByDensity('@.# '), ' .@#');
+		assert.ok(glyphCoverage('.') < glyphCoverage('+'));
+		assert.strictEqual(glyphCoverage('█'), 1);
+	});
+
+	await t.test('keeps the given order for glyphs the font cannot measure', () => {
+		assert.strictEqual(glyphCoverage('ア'), null);
+		assert.strictEqual(sortRampByDensity(' アイウ'), ' アイウ');
+	});
+
+	await t.test('drops duplicates and rejects unusable ramps', () => {
+		assert.strictEqual(sortRampByDensity('..  ##'), ' .#');
+		assert.throws(() => sortRampByDensity('#'), TypeError);
+		assert.throws(() => sortRampByDensity(' 😀'), TypeError);
+		assert.throws(() => sortRampByDensity(' .\n'), TypeError);
+	});
+
+	await t.test('reports glyphs the GIF font cannot draw', () => {
+		assert.ok(getFontGlyph('┼'));
+		assert.deepStrictEqual(findUnsupportedGlyphs(' .─┼░⣿ア'), ['ア']);
+	});
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { AsciiEngine } from '../lib/engine.js';
+import { FramePool, resolveWorkers } from '../lib/frame-pool.js';
+
+/**
+ * A drifting bright square over a gradient, so motion isolation, the vote
+ * history and colour stabilisation all have something to do.
+ */
+function movingFrame(w, h, t) {
+	const px = new Uint8Array(w * h * 3);
+	for (let y = 0; y < h; y++) {
+		for (let x = 0; x < w; x++) {
+			const o = (y * w + x) * 3;
+			const inSquare = Math.abs(x - (t * 3) % w) < 6 && Math.abs(y - h / 2) < 6;
+			px[o] = inSquare ? 250 : (x * 4) & 255;
+			px[o + 1] = inSquare ? 240 : (y * 8) & 255;
+			px[o + 2] = inSquare ? 200 : ((x + y + t) * 2) & 255;
+		}
+	}
+	return px;
+}
+
+test('FramePool', async (t) => {
+	await t.test('matches serial processFrame output, frame for frame', async () => {
+		const [outW, outH, sf] = [16, 8, 4];
+		const foreground = { mode: 'motion', background: 'keep', threshold: 12 };
+		const stabilize = { threshold: 20, hysteresis: 6, vote: 3 };
+		const sources = Array.from({ length: 12 }, (_, i) => movingFrame(outW * sf, outH * sf, i));
+
+		for (const charMode of ['ascii', 'edge', 'halfblock']) {
+			const serial = new AsciiEngine({ stabilize });
+			const expected = sources.map((px) => serial.processFrame(px, outW * sf, outH * sf, outW, outH, sf, true, charMode, foreground, null));
+
+			const engine = new AsciiEngine({ stabilize });
+			const pool = new FramePool(3, { edge: engine.edge });
+			try {
+				const pending = sources.map((px) => pool.analyze(px.slice(), outW * sf, outH * sf, outW, outH, sf, true, charMode, 100, { transfer: true }));
+				for (let i = 0; i < pending.length; i++) {
+					const frame = engine.assembleFrame(await pending[i], outW, outH, true, charMode, foreground, null);
+					assert.deepStrictEqual(frame.codes, expected[i].codes, `${charMode} frame ${i} glyphs`);
+					assert.deepStrictEqual(frame.rgb, expected[i].rgb, `${charMode} frame ${i} colours`);
+					assert.deepStrictEqual(frame.bgRgb, expected[i].bgRgb, `${charMode} frame ${i} backgrounds`);
+					assert.strictEqual(frame.changedCells, expected[i].changedCells);
+				}
+			} finally {
+				pool.destroy();
+			}
+		}
+	});
+
+	await t.test('rejects queued frames once destroyed', async () => {
+		const pool = new FramePool(1);
+		const px = movingFrame(32, 32, 0);
+		const running = pool.analyze(px, 32, 32, 8, 8, 4, true, 'ascii');
+		const queued = pool.analyze(px, 32, 32, 8, 8, 4, true, 'ascii');
+		pool.destroy();
+		await assert.rejects(running, /closed/);
+		await assert.rejects(queued, /closed/);
+		await assert.rejects(pool.analyze(px, 32, 32, 8, 8, 4, true, 'ascii'), /closed/);
+	});
+
+	await t.test('validates the worker count', () => {
+		assert.strictEqual(resolveWorkers(), 1);
+		assert.strictEqual(resolveWorkers(4), 4);
+		assert.ok(resolveWorkers('auto') >= 1);
+		assert.throws(() => resolveWorkers(0), RangeError);
+		assert.throws(() => resolveWorkers(2.5), RangeError);
+		assert.throws(() => resolveWorkers('many'), RangeError);
+	});
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { PackedFrame, codesToString, stringToCodes } from '../lib/frame.js';
+import { AsciiEngine } from '../lib/engine.js';
+import { generateBundle } from '../lib/bundler.js';
+
+test('PackedFrame', async (t) => {
+	await t.test('round-trips the string/array frame shape', () => {
+		const legacy = { chars: '▀ a', colors: [[1, 2, 3], [0, 0, 0], [250, 251, 252]], bgColors: [[9, 8, 7], null, null] };
+		const packed = PackedFrame.from(legacy);
+		assert.ok(packed.codes instanceof Uint16Array);
+		assert.deepStrictEqual(Array.from(packed.rgb), [1, 2, 3, 0, 0, 0, 250, 251, 252]);
+		assert.deepStrictEqual(Array.from(packed.bgMask), [1, 0, 0]);
+		assert.strictEqual(packed.chars, legacy.chars);
+		assert.deepStrictEqual(packed.colors, legacy.colors);
+		assert.deepStrictEqual(packed.bgColors, legacy.bgColors);
+		assert.strictEqual(PackedFrame.from(packed), packed);
+	});
+
+	await t.test('re-packs the string/array fields on assignment', () => {
+		const frame = PackedFrame.from({ chars: 'ab', colors: [[1, 2, 3], [4, 5, 6]] });
+		assert.strictEqual(frame.chars, 'ab');
+		frame.chars = '▀c';
+		frame.colors = [[7, 8, 9], [10, 11, 12]];
+		frame.bgColors = [[20, 21, 22], null];
+		assert.deepStrictEqual(Array.from(frame.codes), [0x2580, 0x63]);
+		assert.deepStrictEqual(Array.from(frame.rgb), [7, 8, 9, 10, 11, 12]);
+		assert.deepStrictEqual(Array.from(frame.bgMask), [1, 0]);
+		assert.deepStrictEqual(frame.toJSON(), { chars: '▀c', colors: [[7, 8, 9], [10, 11, 12]], bgColors: [[20, 21, 22], null] });
+		frame.colors = undefined;
+		frame.bgColors = null;
+		assert.deepStrictEqual([frame.rgb, frame.bgRgb, frame.bgMask, frame.colors], [null, null, null, undefined]);
+	});
+
+	await t.test('decodes frames larger than one String.fromCharCode call', () => {
+		const str = 'ab⠿'.repeat(10000);
+		assert.strictEqual(codesToString(stringToCodes(str)), str);
+	});
+
+	await t.test('engine output bundles the same as its string/array view', async () => {
+		const engine = new AsciiEngine();
+		const pixels = new Uint8Array(16 * 8 * 3).map((_, i) => (i * 37) & 255);
+		const frame = engine.processFrame(pixels, 16, 8, 8, 4, 2, true, 'halfblock', null, null);
+		assert.ok(frame instanceof PackedFrame && frame.rgb instanceof Uint8Array);
+
+		const opts = { width: 8, height: 4, fps: 10, color: true, qStep: 1 };
+		const packed = await generateBundle({ ...opts, frames: [frame] });
+		const legacy = await generateBundle({ ...opts, frames: [{ chars: frame.chars, colors: frame.colors, bgColors: frame.bgColors }] });
+		assert.strictEqual(packed.bundleJS, legacy.bundleJS);
+	});
+});
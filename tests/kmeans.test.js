@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { kMeansRGB, resolveKmeans, createScenePalettes } from '../lib/kmeans.js';
+
+const BRAND = [227, 6, 19];
+/** Greens and blues with a little spread in each cluster. */
+function footage() {
+	const samples = [];
+	for (let i = 0; i < 30; i++) samples.push([20 + (i % 5), 150 + (i % 7), 40], [30, 60 + (i % 4), 200 - (i % 6)]);
+	return samples;
+}
+
+test('k-means locks, weights and seeds', async (t) => {
+	await t.test('keeps locked colours exactly and fits the rest', () => {
+		for (const colorSpace of ['rgb', 'oklab']) {
+			const palette = kMeansRGB(footage(), 3, 20, colorSpace, { locked: [BRAND] });
+			assert.strictEqual(palette.length, 3, colorSpace);
+			assert.ok(palette.some((c) => c.join() === BRAND.join()), `${colorSpace}: brand colour kept`);
+			assert.ok(palette.some(([r, g, b]) => g > r && g > b), `${colorSpace}: green found`);
+			assert.ok(palette.some(([r, g, b]) => b > r && b > g), `${colorSpace}: blue found`);
+		}
+		// Nothing to fit: the locked colours alone
+		assert.deepStrictEqual(kMeansRGB([], 4, 20, 'rgb', { locked: [BRAND] }), [BRAND]);
+	});
+
+	await t.test('pulls centroids towards heavier samples', () => {
+		const samples = [[0, 0, 0], [100, 100, 100]];
+		assert.deepStrictEqual(kMeansRGB(samples, 1), [[50, 50, 50]]);
+		assert.deepStrictEqual(kMeansRGB(samples, 1, 20, 'rgb', { weights: [3, 1] }), [[25, 25, 25]]);
+	});
+
+	await t.test('gives the same palette for the same seed', () => {
+		const samples = [];
+		for (let i = 0; i < 200; i++) samples.push([(i * 37) % 256, (i * 91) % 256, (i * 53) % 256]);
+		const a = kMeansRGB(samples, 6, 20, 'rgb', { seed: 7 });
+		assert.deepStrictEqual(kMeansRGB(samples, 6, 20, 'rgb', { seed: 7 }), a);
+		const others = [1, 2, 3, 4].map((seed) => JSON.stringify(kMeansRGB(samples, 6, 20, 'rgb', { seed })));
+		assert.ok(others.some((p) => p !== JSON.stringify(a)), 'other seeds start elsewhere');
+	});
+
+	await t.test('weighs subject cells in scene palettes', () => {
+		// Half the cells red (subject), half blue (background)
+		const rgb = new Uint8Array(16 * 3), fgMask = new Uint8Array(16);
+		for (let i = 0; i < 16; i++) {
+			rgb.set(i < 8 ? [200, 0, 0] : [0, 0, 200], i * 3);
+			fgMask[i] = i < 8 ? 1 : 0;
+		}
+		const fit = (weight) => {
+			const tracker = createScenePalettes({ k: 1, threshold: 1, kmeans: resolveKmeans({ weight }) });
+			tracker.add({ rgb, fgMask }, 0);
+			return tracker.finish()[0].palette[0];
+		};
+		assert.ok(fit('uniform')[0] === fit('uniform')[2], 'an even mix');
+		assert.ok(fit('foreground')[0] > fit('foreground')[2] * 2, 'subject red dominates');
+	});
+
+	await t.test('validates the settings', () => {
+		assert.deepStrictEqual(resolveKmeans(), { locked: [], weight: 'uniform', seed: null });
+		assert.deepStrictEqual(resolveKmeans({ locked: ['#E30613', [0, 0, 0]], seed: 0 }).locked, [BRAND, [0, 0, 0]]);
+		assert.throws(() => resolveKmeans({ locked: ['red'] }), TypeError);
+		assert.throws(() => resolveKmeans({ locked: [[0, 0, 256]] }), RangeError);
+		assert.throws(() => resolveKmeans({ locked: ['#000000', '#ffffff', '#ff0000'] }, 2), RangeError);
+		assert.throws(() => resolveKmeans({ weight: 'edges' }), TypeError);
+		assert.throws(() => resolveKmeans({ seed: 1.5 }), RangeError);
+	});
+});
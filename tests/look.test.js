@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { TONE_CURVES, curveLut, parseCube, loadLook, applyLook, resolveLook } from '../lib/look.js';
+
+/** A 2×2×2 .cube whose output channels are the input's (b, g, r). */
+function swapCube() {
+	const rows = [];
+	for (let b = 0; b < 2; b++) for (let g = 0; g < 2; g++) for (let r = 0; r < 2; r++) rows.push(`${b} ${g} ${r}`);
+	return `# red/blue swap\nTITLE "Swap"\nLUT_3D_SIZE 2\n\n${rows.join('\n')}\n`;
+}
+
+test('Looks', async (t) => {
+	await t.test('interpolates curves without overshoot', () => {
+		assert.deepStrictEqual(Array.from(curveLut([[0, 0], [255, 255]])), Array.from({ length: 256 }, (_, i) => i));
+		for (const { points } of Object.values(TONE_CURVES)) {
+			const lut = curveLut(points);
+			for (const [x, y] of points) assert.strictEqual(lut[x], y);
+			for (let i = 1; i < 256; i++) assert.ok(lut[i] >= lut[i - 1], 'monotone');
+		}
+		// Flat beyond the end points
+		assert.strictEqual(curveLut([[64, 10], [192, 200]])[0], 10);
+	});
+
+	await t.test('grades with a curve preset and custom points', async () => {
+		const noir = await loadLook({ curve: 'noir' });
+		const px = applyLook(new Uint8Array([200, 60, 20]), noir);
+		assert.ok(px[0] === px[1] && px[1] === px[2], 'noir is black and white');
+
+		// Custom points run after the preset
+		const lifted = await loadLook({ curve: 'noir', points: [[0, 50], [255, 255]] });
+		assert.strictEqual(applyLook(new Uint8Array([0, 0, 0]), lifted)[0], 50);
+		assert.strictEqual(await loadLook({}), null);
+	});
+
+	await t.test('parses and applies .cube LUTs', async () => {
+		const cube = parseCube(swapCube());
+		assert.strictEqual(cube.title, 'Swap');
+		assert.strictEqual(cube.size, 2);
+
+		const dir = await mkdtemp(join(tmpdir(), 'ascii-look-'));
+		try {
+			const path = join(dir, 'swap.cube');
+			await writeFile(path, swapCube());
+			const look = await loadLook({ lut: path });
+			assert.deepStrictEqual(Array.from(applyLook(new Uint8Array([255, 128, 0, 10, 20, 30]), look)), [0, 128, 255, 30, 20, 10]);
+			await assert.rejects(loadLook({ lut: join(dir, 'missing.cube') }), /Could not read LUT/);
+		} finally {
+			await rm(dir, { recursive: true, force: true });
+		}
+	});
+
+	await t.test('validates curves and LUT files', () => {
+		assert.throws(() => resolveLook({ curve: 'sepia' }), TypeError);
+		assert.throws(() => resolveLook({ points: [[0, 0]] }), TypeError);
+		assert.throws(() => resolveLook({ points: [[0, 0], [300, 255]] }), RangeError);
+		assert.throws(() => resolveLook({ points: [[128, 0], [64, 255]] }), RangeError);
+		assert.throws(() => parseCube('LUT_1D_SIZE 2\n0 0 0\n1 1 1'), TypeError);
+		assert.throws(() => parseCube('LUT_3D_SIZE 2\n0 0 0'), TypeError);
+		assert.throws(() => parseCube('0 0 0'), RangeError);
+	});
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { cleanMask, fillMaskHoles, removeSmallRegions, resolveMaskCleanup, resolveMaskSources, maskAtTime } from '../lib/mask.js';
+import { AsciiEngine } from '../lib/engine.js';
+
+/** Build a mask from rows of '#' (foreground) and '.' characters. */
+function grid(...rows) {
+	return Uint8Array.from(rows.join(''), (c) => (c === '#' ? 1 : 0));
+}
+
+test('Foreground mask cleanup', async (t) => {
+	await t.test('opening removes specks and keeps solid blobs', () => {
+		const mask = grid(
+			'#.......',
+			'...###..',
+			'...###..',
+			'...###..',
+			'......#.',
+		);
+		const cleanup = resolveMaskCleanup({ erode: 1, dilate: 1 });
+		assert.deepStrictEqual(cleanMask(mask, 8, 5, cleanup), grid(
+			'........',
+			'...###..',
+			'...###..',
+			'...###..',
+			'........',
+		));
+		// All passes off hands the mask straight back
+		assert.strictEqual(cleanMask(mask, 8, 5, resolveMaskCleanup()), mask);
+	});
+
+	await t.test('fills enclosed holes and drops small regions', () => {
+		const ring = grid(
+			'#####...',
+			'#..##...',
+			'#####..#',
+		);
+		assert.deepStrictEqual(fillMaskHoles(ring, 8, 3), grid(
+			'#####...',
+			'#####...',
+			'#####..#',
+		));
+		assert.deepStrictEqual(removeSmallRegions(ring, 8, 3, 2), grid(
+			'#####...',
+			'#..##...',
+			'#####...',
+		));
+	});
+
+	await t.test('validates the cleanup fields', () => {
+		assert.deepStrictEqual(resolveMaskCleanup({ mode: 'motion', persist: 3 }),
+			{ erode: 0, dilate: 0, fillHoles: false, minArea: 0, persist: 3 });
+		assert.throws(() => resolveMaskCleanup({ erode: 9 }), RangeError);
+		assert.throws(() => resolveMaskCleanup({ minArea: -1 }), RangeError);
+		assert.throws(() => resolveMaskCleanup({ persist: 1.5 }), RangeError);
+	});
+
+	await t.test('holds cells in the foreground for `persist` frames', () => {
+		// One 2×2 block cell: a flash of white on black, then black again
+		const dark = new Uint8Array(12);
+		const lit = new Uint8Array(12).fill(255);
+		const run = (persist) => {
+			const engine = new AsciiEngine();
+			const foreground = { mode: 'motion', background: 'keep', threshold: 20, persist };
+			return [dark, lit, dark, dark, dark].map((px) =>
+				engine.processFrame(px, 2, 2, 1, 1, 2, true, 'block', foreground, null).fgMask[0]);
+		};
+		assert.deepStrictEqual(run(0), [1, 1, 0, 0, 0]);
+		assert.deepStrictEqual(run(2), [1, 1, 1, 1, 0]);
+	});
+
+	await t.test('schedules mask images by source time', () => {
+		assert.deepStrictEqual(resolveMaskSources({ maskPath: 'door.png' }), [{ at: 0, path: 'door.png' }]);
+		const sources = resolveMaskSources({ maskPath: [{ at: 4, path: 'b.png' }, { at: 1.5, path: 'a.png' }] });
+		assert.deepStrictEqual(sources.map((s) => s.path), ['a.png', 'b.png']);
+		assert.throws(() => resolveMaskSources({}), TypeError);
+		assert.throws(() => resolveMaskSources({ maskPath: [{ at: -1, path: 'a.png' }] }), RangeError);
+
+		const [a, b] = [new Uint8Array([1, 0]), new Uint8Array([0, 1])];
+		const track = [{ at: 1.5, mask: a }, { at: 4, mask: b }];
+		assert.strictEqual(maskAtTime(track, 0), a);
+		assert.strictEqual(maskAtTime(track, 3.99), a);
+		assert.strictEqual(maskAtTime(track, 4), b);
+
+		// 'mask' mode takes the supplied cells as they are
+		const px = new Uint8Array(24).fill(200);
+		const frame = new AsciiEngine().processFrame(px, 4, 2, 2, 1, 2, true, 'block', { mode: 'mask', background: 'transparent' }, b);
+		assert.deepStrictEqual(Array.from(frame.fgMask), [0, 1]);
+		assert.strictEqual(frame.codes[0], 0x20);
+	});
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveOverlays, loadOverlays, compositeOverlays } from '../lib/overlay.js';
+import { codesToString, PackedFrame } from '../lib/frame.js';
+import { generateBundle } from '../lib/bundler.js';
+
+/** A width×height frame of '.' cells coloured (10,20,30). */
+function dotFrame(width, height) {
+	const n = width * height;
+	const rgb = new Uint8Array(n * 3).map((_, i) => [10, 20, 30][i % 3]);
+	return new PackedFrame({ codes: new Uint16Array(n).fill(0x2e), rgb });
+}
+
+const rows = (frame, width) => codesToString(frame.codes).match(new RegExp(`.{${width}}`, 'g'));
+
+test('Overlays', async (t) => {
+	await t.test('stamps text at anchored coordinates, spaces see-through', async () => {
+		const layers = await loadOverlays([{ type: 'text', text: 'A B', x: -1, y: -1, color: '#ff0000' }]);
+		const frame = compositeOverlays(dotFrame(6, 2), 6, 2, 0, layers);
+		assert.deepStrictEqual(rows(frame, 6), ['......', '...A.B']);
+		assert.deepStrictEqual(Array.from(frame.rgb.subarray(9 * 3, 10 * 3)), [255, 0, 0]);
+		assert.deepStrictEqual(Array.from(frame.rgb.subarray(10 * 3, 11 * 3)), [10, 20, 30]);
+		assert.deepStrictEqual(Array.from(frame.textMask), [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1]);
+
+		// A background fills the box, including its spaces
+		const boxed = await loadOverlays([{ type: 'text', text: 'A B', background: '#000080' }]);
+		const f2 = compositeOverlays(dotFrame(4, 1), 4, 1, 0, boxed);
+		assert.strictEqual(codesToString(f2.codes), 'A B.');
+		assert.deepStrictEqual(Array.from(f2.bgMask), [1, 1, 1, 0]);
+	});
+
+	await t.test('animates through texts and honours the time range', async () => {
+		const layers = await loadOverlays([{ type: 'text', text: ['1', '2', '3'], fps: 2, start: 1, end: 3, loop: false }]);
+		const at = (time) => codesToString(compositeOverlays(dotFrame(1, 1), 1, 1, time, layers).codes);
+		assert.deepStrictEqual([0.9, 1, 1.5, 2, 2.9, 3].map(at), ['.', '1', '2', '3', '3', '.']);
+	});
+
+	await t.test('draws banners from the bitmap font', async () => {
+		const layers = await loadOverlays([{ type: 'banner', text: 'I', char: '@' }]);
+		const frame = compositeOverlays(dotFrame(5, 7), 5, 7, 0, layers);
+		assert.deepStrictEqual(rows(frame, 5), ['.@@@.', '..@..', '..@..', '..@..', '..@..', '..@..', '.@@@.']);
+		assert.strictEqual(frame.textMask, undefined);
+	});
+
+	await t.test('plays another bundle\'s frames', async () => {
+		const dir = await mkdtemp(join(tmpdir(), 'ascii-overlay-'));
+		try {
+			const frames = [{ chars: 'ab', colors: [[255, 0, 0], [0, 255, 0]] }, { chars: 'c ', colors: [[0, 0, 255], [0, 0, 0]] }];
+			await generateBundle({ frames, width: 2, height: 1, fps: 4, color: true, qStep: 1, outputDir: dir });
+			const layers = await loadOverlays([{ type: 'bundle', path: join(dir, 'bundle.js'), x: 1 }]);
+			const first = compositeOverlays(dotFrame(4, 1), 4, 1, 0, layers);
+			assert.strictEqual(codesToString(first.codes), '.ab.');
+			assert.deepStrictEqual(Array.from(first.rgb.subarray(3, 9)), [255, 0, 0, 0, 255, 0]);
+			// The bundle's own 4 fps: frame 2 at 0.25s, looping back at 0.5s
+			assert.strictEqual(codesToString(compositeOverlays(dotFrame(4, 1), 4, 1, 0.25, layers).codes), '.c..');
+			assert.strictEqual(codesToString(compositeOverlays(dotFrame(4, 1), 4, 1, 0.5, layers).codes), '.ab.');
+			await assert.rejects(loadOverlays([{ type: 'bundle', path: join(dir, 'missing.js') }]), /Could not read overlay bundle/);
+		} finally {
+			await rm(dir, { recursive: true, force: true });
+		}
+	});
+
+	await t.test('validates the overlay list', () => {
+		assert.throws(() => resolveOverlays({ type: 'text' }), TypeError);
+		assert.throws(() => resolveOverlays([{ type: 'sticker' }]), TypeError);
+		assert.throws(() => resolveOverlays([{ type: 'text' }]), TypeError);
+		assert.throws(() => resolveOverlays([{ type: 'banner', text: 'HI', char: '##' }]), TypeError);
+		assert.throws(() => resolveOverlays([{ type: 'bundle', frames: [{ chars: 'a' }] }]), RangeError);
+		assert.throws(() => resolveOverlays([{ type: 'text', text: 'x', x: 1.5 }]), RangeError);
+		assert.throws(() => resolveOverlays([{ type: 'text', text: 'x', start: 2, end: 1 }]), RangeError);
+		assert.throws(() => resolveOverlays([{ type: 'text', text: 'x', color: 'red' }]), TypeError);
+	});
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+	PALETTE_FORMATS, parsePalette, formatPalette, paletteFormatFromPath, resolvePalette,
+	loadPalette, saveLibraryPalette, listLibraryPalettes, paletteLibraryDir,
+} from '../lib/palette-file.js';
+
+const PICO = { name: 'Pico', colors: [[0, 0, 0], [29, 43, 83], [126, 37, 83], [255, 241, 232]] };
+
+test('Palette files', async (t) => {
+	await t.test('round-trips every format', () => {
+		for (const format of PALETTE_FORMATS) {
+			const parsed = parsePalette(formatPalette(PICO, format), format);
+			assert.deepStrictEqual(parsed.colors, PICO.colors, format);
+			// Lospec .hex files carry no name
+			assert.strictEqual(parsed.name, format === 'hex' ? null : 'Pico', format);
+		}
+	});
+
+	await t.test('reads palettes written by other tools', () => {
+		const gpl = 'GIMP Palette\nName: Dusk\nColumns: 2\n# comment\n  0   0   0\tBlack\n255 128  64 Orange\n';
+		assert.deepStrictEqual(parsePalette(gpl, 'gpl'), { name: 'Dusk', colors: [[0, 0, 0], [255, 128, 64]] });
+		assert.deepStrictEqual(parsePalette('#ff0000\r\n00ff00\n\n', 'hex').colors, [[255, 0, 0], [0, 255, 0]]);
+		assert.deepStrictEqual(parsePalette('[[1, 2, 3], "#0a0b0c"]', 'json').colors, [[1, 2, 3], [10, 11, 12]]);
+
+		// One CMYK swatch (pure cyan) and one Gray swatch, outside any group
+		const ase = new Uint8Array(128);
+		const view = new DataView(ase.buffer);
+		ase.set([65, 83, 69, 70]);
+		view.setUint16(4, 1);
+		view.setUint32(8, 2);
+		let o = 12;
+		for (const [model, values] of [['CMYK', [1, 0, 0, 0]], ['Gray', [0.5]]]) {
+			const length = 2 + 4 + 4 + values.length * 4 + 2;
+			view.setUint16(o, 1);
+			view.setUint32(o + 2, length);
+			view.setUint16(o + 6, 2);
+			view.setUint16(o + 8, 65); // "A\0"
+			ase.set([...model].map((c) => c.charCodeAt(0)), o + 12);
+			values.forEach((v, i) => view.setFloat32(o + 16 + i * 4, v));
+			o += 6 + length;
+		}
+		assert.deepStrictEqual(parsePalette(ase.subarray(0, o), 'ase').colors, [[0, 255, 255], [128, 128, 128]]);
+	});
+
+	await t.test('validates palettes and file names', () => {
+		assert.throws(() => parsePalette('Not a palette\n0 0 0', 'gpl'), TypeError);
+		assert.throws(() => parsePalette('#12345', 'hex'), TypeError);
+		assert.throws(() => parsePalette('{"colors": [[0, 0, 300]]}', 'json'), RangeError);
+		assert.throws(() => parsePalette(new Uint8Array(12), 'ase'), TypeError);
+		assert.throws(() => resolvePalette({ colors: [] }), TypeError);
+		assert.throws(() => resolvePalette({ colors: Array(257).fill([0, 0, 0]) }), RangeError);
+		assert.throws(() => paletteFormatFromPath('palette.act'), TypeError);
+		assert.strictEqual(paletteFormatFromPath('Swatches.ASE'), 'ase');
+	});
+
+	await t.test('keeps a library in the config folder', async () => {
+		const dir = await mkdtemp(join(tmpdir(), 'ascii-palettes-'));
+		const saved = process.env.ASCII_FI_CONFIG_DIR;
+		process.env.ASCII_FI_CONFIG_DIR = dir;
+		try {
+			assert.strictEqual(await paletteLibraryDir(), join(dir, 'palettes'));
+			assert.deepStrictEqual(await listLibraryPalettes(), []);
+
+			await saveLibraryPalette('dusk', PICO.colors, 'json');
+			// Saving again under the same name replaces the old file
+			await saveLibraryPalette('dusk', PICO.colors.slice(0, 2));
+			assert.deepStrictEqual((await listLibraryPalettes()).map((p) => `${p.name}.${p.format}`), ['dusk.gpl']);
+			assert.deepStrictEqual(await loadPalette('dusk'), { name: 'dusk', colors: PICO.colors.slice(0, 2) });
+			await assert.rejects(saveLibraryPalette('../escape', PICO.colors), TypeError);
+			await assert.rejects(loadPalette('missing'), /No palette named "missing"/);
+
+			// Paths load directly; unnamed palettes are named after the file
+			const path = join(dir, 'lospec.hex');
+			await writeFile(path, '000000\nffffff\n');
+			assert.deepStrictEqual(await loadPalette(path), { name: 'lospec', colors: [[0, 0, 0], [255, 255, 255]] });
+			await assert.rejects(loadPalette(join(dir, 'gone.gpl')), /Could not read palette/);
+		} finally {
+			if (saved === undefined) delete process.env.ASCII_FI_CONFIG_DIR;
+			else process.env.ASCII_FI_CONFIG_DIR = saved;
+			await rm(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert';
 import { TerminalPlayer } from '../lib/terminal-player.js';
+import { generateBundle } from '../lib/bundler.js';
 
 test('TerminalPlayer logic assertions', async (t) => {
 	// Mock process.stdout to prevent tests clobbering the terminal output
@@ -52,6 +53,24 @@ test('TerminalPlayer logic assertions', async (t) => {
 			}
 		});
 
+		await t.test('decodes per-cell background colours from half-block bundles', async () => {
+			const red = [255, 0, 0], blue = [0, 0, 255];
+			const frames = [
+				{ chars: '▀▄', colors: [red, blue], bgColors: [blue, null] },
+				{ chars: '▀▄', colors: [red, blue], bgColors: [null, red] },
+			];
+			const { bundleJS } = await generateBundle({ frames, width: 2, height: 1, fps: 10, color: true, qStep: 1 });
+			const b64 = /__ASCII_COMPRESSED__="([^"]+)"/.exec(bundleJS)[1];
+			const hp = TerminalPlayer.fromCompressed(b64);
+
+			assert.deepStrictEqual(hp.bgColors, [[blue, null], [null, red]]);
+			assert.deepStrictEqual(hp.colors[1], [red, blue]);
+
+			stdoutOutput = '';
+			hp._renderFrame(0);
+			assert.ok(stdoutOutput.includes('\x1b[48;2;0;0;255m\x1b[38;2;255;0;0m▀\x1b[49m'), 'half block carries both colours');
+		});
+
 	} finally {
 		// Restore stdout
 		process.stdout.write = originalWrite;
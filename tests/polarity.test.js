@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { AsciiEngine, getSampleFactor } from '../lib/engine.js';
+import { resolvePolarity, isLightColor, pickColorForChar, autoBackground } from '../lib/render.js';
+import { TerminalPlayer } from '../lib/terminal-player.js';
+import { generateBundle } from '../lib/bundler.js';
+import { createAsciiGifWriter } from '../lib/gif.js';
+import { resolveWebRender } from '../lib/web-converter.js';
+
+/** One flat grey cell per level, side by side, sized for `charMode`. */
+function greyCells(levels, charMode) {
+	const sf = getSampleFactor(charMode);
+	const w = sf * levels.length;
+	const px = new Uint8Array(w * sf * 3);
+	for (let y = 0; y < sf; y++) {
+		for (let x = 0; x < w; x++) px.fill(levels[Math.floor(x / sf)], (y * w + x) * 3, (y * w + x) * 3 + 3);
+	}
+	return [px, w, sf, levels.length, 1, sf];
+}
+
+/** Decode a GIF's LZW image data into `count` colour indices. */
+function lzwDecode(data, minSize, count) {
+	const clear = 1 << minSize;
+	let dict, size, prev;
+	const reset = () => {
+		dict = Array.from({ length: clear + 2 }, (_, i) => [i]);
+		size = minSize + 1;
+		prev = null;
+	};
+	reset();
+	const out = [];
+	for (let bit = 0; out.length < count;) {
+		let code = 0;
+		for (let i = 0; i < size; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+		if (code === clear) { reset(); continue; }
+		if (code === clear + 1) break;
+		const entry = code < dict.length ? dict[code] : [...prev, prev[0]];
+		out.push(...entry);
+		if (prev) dict.push([...prev, entry[0]]);
+		prev = entry;
+		if (dict.length === 1 << size && size < 12) size++;
+	}
+	return out;
+}
+
+/** First frame of a GIF as 'r,g,b' strings, null where transparent (global colour table only). */
+function firstGifFrame(buf) {
+	let pos = 13 + ((buf[10] & 0x80) ? 3 * 2 ** ((buf[10] & 7) + 1) : 0);
+	let transparent = -1;
+	while (buf[pos] === 0x21) {
+		if (buf[pos + 1] === 0xf9 && (buf[pos + 3] & 1)) transparent = buf[pos + 6];
+		pos += 2;
+		while (buf[pos]) pos += buf[pos] + 1;
+		pos++;
+	}
+	const w = buf[pos + 5] | (buf[pos + 6] << 8);
+	const h = buf[pos + 7] | (buf[pos + 8] << 8);
+	const minSize = buf[pos + 10];
+	pos += 11;
+	const data = [];
+	while (buf[pos]) {
+		data.push(...buf.subarray(pos + 1, pos + 1 + buf[pos]));
+		pos += buf[pos] + 1;
+	}
+	return lzwDecode(data, minSize, w * h).map((i) => (i === transparent ? null : Array.from(buf.subarray(13 + i * 3, 16 + i * 3)).join()));
+}
+
+const chars = (engine, levels, charMode) => engine.processFrame(...greyCells(levels, charMode), false, charMode, null, null).chars;
+
+test('Ramp polarity', async (t) => {
+	await t.test('auto inverts on light backgrounds only', () => {
+		assert.strictEqual(resolvePolarity('auto', '#f0f0f0'), true);
+		assert.strictEqual(resolvePolarity('auto', '#1a1a2e'), false);
+		assert.strictEqual(resolvePolarity('auto', 'transparent'), false);
+		assert.strictEqual(resolvePolarity('inverted', '#000000'), true);
+		assert.strictEqual(resolvePolarity('normal', '#ffffff'), false);
+		assert.strictEqual(isLightColor('#808080'), true);
+		assert.throws(() => resolvePolarity('negative'), TypeError);
+	});
+
+	await t.test('keeps dark clips at normal polarity with an auto background', () => {
+		// Luminance means are on 0–255
+		assert.strictEqual(autoBackground({ mean: 30 }), '#0a0a0a');
+		assert.strictEqual(resolvePolarity('auto', autoBackground({ mean: 30 })), false);
+		assert.strictEqual(autoBackground({ mean: 128 }), '#1a1a2e');
+		assert.strictEqual(resolvePolarity('auto', autoBackground({ mean: 200 })), true);
+	});
+
+	await t.test('draws dark areas dense and light areas blank', () => {
+		assert.strictEqual(chars(new AsciiEngine(), [0, 255], 'ascii'), ' @');
+		assert.strictEqual(chars(new AsciiEngine({ invert: true }), [0, 255], 'ascii'), '@ ');
+		assert.strictEqual(chars(new AsciiEngine({ invert: true }), [0, 255], 'block'), '█ ');
+		assert.strictEqual(chars(new AsciiEngine({ invert: true }), [0, 255], 'braille'), '⣿ ');
+
+		// Half blocks fill the dark half instead of the bright one
+		const engine = new AsciiEngine({ invert: true });
+		assert.deepStrictEqual(engine.selectHalfBlock([255, 255, 255], [0, 0, 0], true), { ch: '▄', fg: [0, 0, 0], bg: null });
+	});
+
+	await t.test('maps glyph density to the dark end of a palette', () => {
+		const render = { mode: 'palette', palette: [[0, 0, 0], [128, 128, 128], [255, 255, 255]] };
+		assert.deepStrictEqual(pickColorForChar('@', render, null, null), [255, 255, 255]);
+		assert.deepStrictEqual(pickColorForChar('@', { ...render, invert: true }, null, null), [0, 0, 0]);
+	});
+
+	await t.test('players paint the theme background behind blank cells', async () => {
+		const render = { mode: 'mono', theme: { fg: '#222222', bg: '#f0f0f0' }, invert: true };
+		const { bundleJS } = await generateBundle({ frames: [{ chars: '@ ' }], width: 2, height: 1, fps: 10, color: false, render });
+		const player = TerminalPlayer.fromCompressed(/__ASCII_COMPRESSED__="([^"]+)"/.exec(bundleJS)[1]);
+		assert.strictEqual(player.render.invert, true);
+
+		const originalWrite = process.stdout.write;
+		let out = '';
+		process.stdout.write = (str) => { out += str; return true; };
+		try {
+			player._renderFrame(0);
+		} finally {
+			process.stdout.write = originalWrite;
+		}
+		assert.ok(out.includes('\x1b[48;2;240;240;240m@ \x1b[49m'), 'row drawn on the light theme background');
+	});
+
+	await t.test('GIFs fill inverted frames with the theme background', async () => {
+		const blankCell = async (invert) => {
+			const render = { mode: 'mono', theme: { fg: '#222222', bg: '#f0f0f0' }, invert };
+			const writer = await createAsciiGifWriter({ width: 2, height: 1, fps: 10, render });
+			writer.writeFrame({ chars: '@ ' });
+			const { buffer, width } = await writer.finalize();
+			// Right half of the first frame: the blank cell and its gap pixels
+			return firstGifFrame(buffer).filter((_, i) => i % width >= width / 2);
+		};
+		const inverted = await blankCell(true);
+		assert.ok(inverted.every((px) => px === '240,240,240'), `inverted GIF drawn on the theme background, got ${[...new Set(inverted)]}`);
+		assert.ok((await blankCell(false)).every((px) => px === null), 'normal GIF stays transparent');
+	});
+
+	await t.test('the web converter inverts on a light theme background', async () => {
+		assert.strictEqual((await resolveWebRender({ bg: '#f0f0f0' })).invert, true);
+		assert.strictEqual((await resolveWebRender({ bg: '#000000' })).invert, false);
+		assert.strictEqual((await resolveWebRender({ bg: '#f0f0f0', polarity: 'normal' })).invert, false);
+		const render = await resolveWebRender({ render: { mode: 'mono', theme: { fg: '#222222', bg: '#ffffff' } } });
+		assert.deepStrictEqual([render.mode, render.invert], ['mono', true]);
+		await assert.rejects(resolveWebRender({ polarity: 'negative' }), TypeError);
+	});
+});
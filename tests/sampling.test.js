@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { resolveSampling, joinFrames, sampleFrameArgs, spreadPick } from '../lib/sampling.js';
+
+const META = { width: 640, height: 360, duration: 60 };
+/** Value following `flag` in an FFmpeg argument list. */
+const arg = (args, flag) => args[args.indexOf(flag) + 1];
+
+test('Frame sampling', async (t) => {
+	await t.test('validates the sampling settings', () => {
+		assert.deepStrictEqual(resolveSampling(), { frames: 6, mode: 'even' });
+		assert.deepStrictEqual(resolveSampling({ frames: 12, mode: 'scene' }), { frames: 12, mode: 'scene' });
+		assert.throws(() => resolveSampling({ mode: 'random' }), TypeError);
+		assert.throws(() => resolveSampling({ frames: 0 }), RangeError);
+		assert.throws(() => resolveSampling({ frames: 2.5 }), RangeError);
+	});
+
+	await t.test('spreads even samples over a trimmed range', () => {
+		const { args, width, height, count, times } = sampleFrameArgs('in.mp4', 80, META, null, { frames: 4, mode: 'even', start: 10, end: 18 });
+		// Middle of each 2 s slice of 10–18 s
+		assert.deepStrictEqual(times, [11, 13, 15, 17]);
+		assert.strictEqual(arg(args, '-ss'), '11');
+		assert.strictEqual(arg(args, '-t'), '7');
+		assert.strictEqual(arg(args, '-frames:v'), '4');
+		assert.match(arg(args, '-vf'), /fps=4\/8/);
+		assert.deepStrictEqual([width, height, count], [80, 23, 4]);
+
+		// The end is capped at the clip's duration
+		assert.deepStrictEqual(sampleFrameArgs('in.mp4', 80, META, null, { frames: 2, start: 50, end: 90 }).times, [52.5, 57.5]);
+		// One frame: the middle of the range, no fps filter
+		const one = sampleFrameArgs('in.mp4', 80, META, null, { frames: 1, start: 10, end: 18 });
+		assert.deepStrictEqual(one.times, [14]);
+		assert.doesNotMatch(arg(one.args, '-vf'), /fps=/);
+	});
+
+	await t.test('reads scene cuts across a trimmed range and thins them', () => {
+		const { args, times } = sampleFrameArgs('in.mp4', 80, META, { x: 0, y: 0, w: 320, h: 320 }, { frames: 3, mode: 'scene', start: 10, end: 18 });
+		assert.strictEqual(times, null);
+		assert.strictEqual(arg(args, '-ss'), '10');
+		assert.strictEqual(arg(args, '-t'), '8');
+		assert.strictEqual(arg(args, '-frames:v'), '240');
+		assert.strictEqual(arg(args, '-fps_mode'), 'vfr');
+		assert.match(arg(args, '-vf'), /^crop=320:320:0:0,scale=80:40:.*,select=/);
+
+		// Six shots found between 10 and 18 s, three wanted
+		const shots = [10, 11.5, 13, 14, 16, 17.2];
+		assert.deepStrictEqual(spreadPick(shots, 3), [11.5, 14, 17.2]);
+		assert.deepStrictEqual(spreadPick(shots.slice(0, 2), 3), [10, 11.5]);
+	});
+
+	await t.test('pools frames into one buffer', () => {
+		const a = new Uint8Array([1, 2, 3]);
+		assert.strictEqual(joinFrames([a]), a);
+		assert.deepStrictEqual(Array.from(joinFrames([a, new Uint8Array([4, 5, 6])])), [1, 2, 3, 4, 5, 6]);
+	});
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { createScenePalettes, resolveScenePalettes } from '../lib/kmeans.js';
+import { generateBundle } from '../lib/bundler.js';
+import { TerminalPlayer } from '../lib/terminal-player.js';
+import { TerminalPlayer as ScriptPlayer } from '../scripts/ascii-player.js';
+import PLAYER_SOURCE from '../lib/player.js';
+
+const RED = [200, 30, 30], BLUE = [30, 30, 200];
+/** Cells of one colour, with a darker stripe so k-means has two clusters. */
+const cells = ([r, g, b], n = 32) => {
+	const rgb = new Uint8Array(n * 3);
+	for (let i = 0; i < n; i++) rgb.set(i % 4 ? [r, g, b] : [r >> 2, g >> 2, b >> 2], i * 3);
+	return rgb;
+};
+
+test('Scene palettes', async (t) => {
+	await t.test('cuts on colour changes and fits a palette per scene', () => {
+		const tracker = createScenePalettes({ k: 2, threshold: 0.4, minFrames: 2 });
+		const shots = [RED, RED, RED, BLUE, RED, RED];
+		const cuts = shots.map((c, i) => tracker.add({ rgb: cells(c) }, i));
+		// The cut back to red comes one frame after blue started, under minFrames
+		assert.deepStrictEqual(cuts, [true, false, false, true, false, false]);
+
+		const scenes = tracker.finish();
+		assert.deepStrictEqual(scenes.map((s) => s.frame), [0, 3]);
+		assert.ok(scenes[0].palette.some(([r, , b]) => r > b), 'first palette is red');
+		assert.ok(scenes[1].palette.some(([r, , b]) => b > r), 'second palette has blue');
+	});
+
+	await t.test('switches dictionaries mid-bundle in every player', async () => {
+		const redPalette = [[0, 0, 0], [255, 0, 0]], bluePalette = [[0, 0, 0], [0, 0, 255]];
+		const purple = [180, 0, 180];
+		const frames = [0, 1, 2, 3].map(() => ({ chars: '##', colors: [purple, [10, 10, 10]] }));
+		const render = {
+			mode: 'palette', palette: redPalette, theme: { fg: '#fff', bg: '#000' },
+			scenePalettes: [{ frame: 0, palette: redPalette }, { frame: 2, palette: bluePalette }],
+		};
+		const { bundleJS } = await generateBundle({ frames, width: 2, height: 1, fps: 10, color: true, render });
+		const b64 = /__ASCII_COMPRESSED__="([^"]+)"/.exec(bundleJS)[1];
+		const expected = [[255, 0, 0], [255, 0, 0], [0, 0, 255], [0, 0, 255]];
+
+		const tp = TerminalPlayer.fromCompressed(b64);
+		assert.strictEqual(tp.frames.length, 4);
+		assert.deepStrictEqual(tp.colors.map((c) => c[0]), expected);
+
+		const AsciiPlayer = new Function(`${PLAYER_SOURCE}\nreturn AsciiPlayer;`)();
+		const ap = await AsciiPlayer.fromCompressed(b64);
+		assert.strictEqual(ap.frames.length, 4);
+		assert.deepStrictEqual(ap.colors.map((c) => c[0]), expected);
+
+		// scripts/ascii-player.js decodes on its own, keeping indices into each frame's dictionary
+		const sp = ScriptPlayer.fromCompressed(b64);
+		assert.strictEqual(sp.frames.length, 4);
+		assert.deepStrictEqual(sp.colorIndices.map((ci, fi) => sp.frameDicts[fi][ci[0]]), expected);
+	});
+
+	await t.test('validates the settings', () => {
+		assert.deepStrictEqual(resolveScenePalettes(true), { threshold: 0.4, minDuration: 1 });
+		assert.deepStrictEqual(resolveScenePalettes({ minDuration: 0 }), { threshold: 0.4, minDuration: 0 });
+		assert.throws(() => resolveScenePalettes('on'), TypeError);
+		assert.throws(() => resolveScenePalettes({ threshold: 1 }), RangeError);
+		assert.throws(() => resolveScenePalettes({ minDuration: -1 }), RangeError);
+	});
+});
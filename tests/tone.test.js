@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { toneLut, applyTone, createSceneTone, resolveSceneTone, applyClahe, resolveClahe, analyseLuminance } from '../lib/tone.js';
+
+const NEUTRAL = { contrast: 1, brightness: 0, saturation: 1, gamma: 1 };
+const grey = (v, n = 64) => new Uint8Array(n * 3).fill(v);
+
+test('Scene tone', async (t) => {
+	await t.test('applies the eq curve in JS', () => {
+		assert.deepStrictEqual(Array.from(toneLut(NEUTRAL)), Array.from({ length: 256 }, (_, i) => i));
+		assert.strictEqual(toneLut({ ...NEUTRAL, brightness: 0.2 })[0], 51);
+		assert.strictEqual(toneLut({ ...NEUTRAL, contrast: 2 })[64], 0);
+
+		const px = applyTone(new Uint8Array([200, 100, 50]), { ...NEUTRAL, saturation: 0 });
+		assert.strictEqual(px[0], px[1]);
+		assert.strictEqual(px[1], px[2]);
+	});
+
+	await t.test('re-tones each scene with a crossfade', () => {
+		// Dark shots get lifted, bright shots are left alone
+		const toneFor = (stats) => ({ ...NEUTRAL, brightness: stats.mean < 100 ? 0.2 : 0 });
+		const tracker = createSceneTone({ toneFor, threshold: 0.35, transition: 0.2 });
+		const out = [20, 22, 20, 200, 200, 200, 201].map((v, i) => tracker.apply(grey(v), i, i / 10)[0]);
+
+		assert.deepStrictEqual(tracker.scenes.map((s) => [s.frame, s.start, s.tone.brightness]), [[0, 0, 0.2], [3, 0.3, 0]]);
+		// Full lift on the dark shot, then easing down over 0.2s after the cut
+		assert.deepStrictEqual(out, [71, 73, 71, 251, 226, 200, 201]);
+	});
+
+	await t.test('validates the scene settings', () => {
+		assert.deepStrictEqual(resolveSceneTone(true), { threshold: 0.35, transition: 0.5 });
+		assert.deepStrictEqual(resolveSceneTone({ transition: 0 }), { threshold: 0.35, transition: 0 });
+		assert.throws(() => resolveSceneTone('on'), TypeError);
+		assert.throws(() => resolveSceneTone({ threshold: 0 }), RangeError);
+		assert.throws(() => resolveSceneTone({ transition: -1 }), RangeError);
+	});
+});
+
+test('Local contrast (CLAHE)', async (t) => {
+	// Left half dark, right half bright, each a faint 8-level gradient
+	const W = 32, H = 16;
+	const scene = () => {
+		const px = new Uint8Array(W * H * 3);
+		for (let y = 0; y < H; y++) {
+			for (let x = 0; x < W; x++) px.fill((x < W / 2 ? 30 : 190) + (x % 8), (y * W + x) * 3, (y * W + x) * 3 + 3);
+		}
+		return px;
+	};
+
+	await t.test('stretches contrast within each tile', () => {
+		const before = analyseLuminance(scene(), 1);
+		const px = applyClahe(scene(), W, H, { tileSize: 8, clipLimit: 4 });
+		const dark = [], bright = [];
+		for (let x = 0; x < W / 2; x++) dark.push(px[(8 * W + x) * 3]);
+		for (let x = W / 2; x < W; x++) bright.push(px[(8 * W + x) * 3]);
+		assert.ok(Math.max(...dark) - Math.min(...dark) > 4 * 7, 'dark gradient spread out');
+		assert.ok(Math.max(...bright) - Math.min(...bright) > 4 * 7, 'bright gradient spread out');
+		assert.ok(analyseLuminance(px, 1).range > before.range);
+	});
+
+	await t.test('keeps colour and limits flat areas', () => {
+		const px = new Uint8Array(16 * 16 * 3);
+		for (let o = 0; o < px.length; o += 3) px.set([120, 80, 40], o);
+		applyClahe(px, 16, 16, { tileSize: 8, clipLimit: 2 });
+		// A flat tile only moves a little, and the channels move together
+		assert.ok(Math.abs(px[1] - 80) < 40);
+		assert.deepStrictEqual([px[0] - px[1], px[1] - px[2]], [40, 40]);
+	});
+
+	await t.test('validates the settings', () => {
+		assert.deepStrictEqual(resolveClahe(true), { tileSize: 8, clipLimit: 2 });
+		assert.deepStrictEqual(resolveClahe({ tileSize: 4 }), { tileSize: 4, clipLimit: 2 });
+		assert.throws(() => resolveClahe('on'), TypeError);
+		assert.throws(() => resolveClahe({ tileSize: 2.5 }), RangeError);
+		assert.throws(() => resolveClahe({ clipLimit: 0.5 }), RangeError);
+	});
+});